@@ -0,0 +1,84 @@
+// netlify/functions/admin-damage-claim.js
+// Security deposits (Authorization: Bearer <ADMIN_TOKEN>), see lib/security-deposits:
+//   GET  ?order_id=KO-…                                   -> the order's deposit
+//   POST { order_id, action: 'flag', note? }              -> hold the deposit back from the release job
+//   POST { order_id, action: 'unflag' }                   -> let the release job release it again
+//   POST { order_id, action: 'release' }                  -> release it now
+//   POST { order_id, action: 'claim', items: [{ description, amount_cents }], note?, notify_customer? }
+//        -> keep the itemized amount, release the rest, email the customer a damage notice
+
+const { getOrder } = require('../lib/orders');
+const { isAdminRequest } = require('../lib/admin-auth');
+const { claimDamage, flagDamage, releaseSecurityDeposit } = require('../lib/security-deposits');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...cors },
+    body: JSON.stringify(body)
+  };
+}
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+  if (!isAdminRequest(event)) {
+    return json(401, { error: 'Unauthorized' });
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const order = await getOrder(String(event.queryStringParameters?.order_id || '').trim());
+      if (!order) return json(404, { error: 'Order not found' });
+      return json(200, { order_id: order.id, status: order.status, deposit: order.security_deposit || null });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      return json(400, { error: 'Invalid JSON' });
+    }
+
+    const orderId = String(body.order_id || '').trim();
+    if (!(await getOrder(orderId))) return json(404, { error: 'Order not found' });
+
+    let result;
+    switch (body.action) {
+      case 'flag':
+      case 'unflag':
+        result = await flagDamage(orderId, { flagged: body.action === 'flag', note: body.note });
+        break;
+      case 'release':
+        result = await releaseSecurityDeposit(orderId, { actor: 'admin', reason: body.note });
+        break;
+      case 'claim':
+        result = await claimDamage({
+          orderId,
+          items: body.items,
+          note: body.note,
+          actor: 'admin',
+          notifyCustomer: body.notify_customer !== false
+        });
+        break;
+      default:
+        return json(400, { error: 'action must be flag, unflag, release or claim' });
+    }
+    return json(result.statusCode, { ...result.body, order: await getOrder(orderId) });
+  } catch (err) {
+    console.error('admin-damage-claim error:', err);
+    return json(500, { error: err?.message || 'Internal error' });
+  }
+};
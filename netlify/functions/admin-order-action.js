@@ -0,0 +1,96 @@
+// netlify/functions/admin-order-action.js
+// POST { order_id, action: 'approve' | 'decline' | 'revoke_links' }  (Authorization: Bearer <ADMIN_TOKEN>)
+// approve/decline run the same code as the emailed checkout-approve / checkout-decline links and
+// then revoke those links; revoke_links only kills the outstanding links.
+// approve also takes ignore_capacity: true to approve although the crew is fully booked (409 crew_conflicts),
+// and ignore_stock: true to approve although a lapsed inventory hold's units were booked since (409 stock_conflicts).
+
+const { getOrder } = require('../lib/orders');
+const { isAdminRequest } = require('../lib/admin-auth');
+const { approveOrder } = require('../lib/approve-order');
+const { declineOrder } = require('../lib/decline-order');
+const { revokeActionTokens } = require('../lib/action-tokens');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+const ACTIONS = {
+  approve: approveOrder,
+  decline: declineOrder
+};
+
+const PAST_TENSE = { approve: 'approved', decline: 'declined' };
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...cors },
+    body: JSON.stringify(body)
+  };
+}
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+  if (!isAdminRequest(event)) {
+    return json(401, { error: 'Unauthorized' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return json(400, { error: 'Invalid JSON' });
+  }
+
+  const action = String(body.action || '').trim();
+  const run = ACTIONS[action];
+  if (!run && action !== 'revoke_links') {
+    return json(400, { error: 'action must be "approve", "decline" or "revoke_links"' });
+  }
+
+  try {
+    const order = await getOrder(String(body.order_id || '').trim());
+    if (!order) return json(404, { error: 'Order not found' });
+
+    const sessionId = order.stripe?.checkout_session_id;
+
+    if (action === 'revoke_links') {
+      const revoked = await revokeActionTokens(
+        { orderId: order.id, sessionId },
+        { reason: String(body.reason || 'revoked from admin dashboard').slice(0, 200) }
+      );
+      return json(200, { ok: true, revoked: revoked.length, order });
+    }
+
+    if (!sessionId) return json(409, { error: 'Order has no Checkout Session yet' });
+
+    const result = await run({
+      sessionId,
+      claims: { orderId: order.id },
+      actor: 'admin',
+      ...(action === 'approve'
+        ? { ignoreCapacity: body.ignore_capacity === true, ignoreStock: body.ignore_stock === true }
+        : {})
+    });
+    if (result.statusCode < 300) {
+      await revokeActionTokens(
+        { orderId: order.id, sessionId },
+        { reason: `order ${PAST_TENSE[action]} from admin dashboard`, supersededBy: action }
+      );
+    }
+    return json(result.statusCode, { ...result.body, order: await getOrder(order.id) });
+  } catch (err) {
+    console.error('admin-order-action error:', err);
+    return json(500, { error: err?.message || 'Internal error' });
+  }
+};
@@ -0,0 +1,112 @@
+// netlify/functions/admin-orders.js
+// Admin dashboard data (Authorization: Bearer <ADMIN_TOKEN>).
+//
+// GET ?id=KO-...                        -> { order }  (full record incl. pricing lines + status history)
+// GET ?view=pending|upcoming|all        -> { orders: [summary...] } sorted by rental start date
+//     [&status=requested,approved] [&from=YYYY-MM-DD&to=YYYY-MM-DD] (filters on rental start date)
+
+const { nyTodayYMD, parseNYDate, compareYMD } = require('../lib/ny-dates');
+const { getOrder, listOrders, orderDates } = require('../lib/orders');
+const { isAdminRequest } = require('../lib/admin-auth');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+// Approved orders that still have a rental ahead of them
+const UPCOMING_STATUSES = ['approved', 'deposit_paid', 'balance_scheduled', 'paid_in_full', 'delivered'];
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...cors },
+    body: JSON.stringify(body)
+  };
+}
+
+function summarize(order) {
+  const { start_date, end_date } = orderDates(order);
+  return {
+    id: order.id,
+    flow: order.flow,
+    status: order.status,
+    at_risk: Boolean(order.at_risk),
+    customer: order.customer,
+    start_date,
+    end_date,
+    total_cents: order.pricing?.total_cents ?? null,
+    balance_cents: order.payment?.balance_cents ?? null,
+    item_count: (order.items || []).reduce((n, it) => n + (Number(it.qty) || 0), 0),
+    created_at: order.created_at,
+    updated_at: order.updated_at
+  };
+}
+
+function inRange(ymd, from, to) {
+  const d = parseNYDate(ymd);
+  if (!d) return !from && !to;
+  if (from && compareYMD(d, parseNYDate(from)) < 0) return false;
+  if (to && compareYMD(d, parseNYDate(to)) > 0) return false;
+  return true;
+}
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+  if (!isAdminRequest(event)) {
+    return json(401, { error: 'Unauthorized' });
+  }
+
+  const qs = event.queryStringParameters || {};
+
+  try {
+    if (qs.id) {
+      const order = await getOrder(String(qs.id).trim());
+      if (!order) return json(404, { error: 'Order not found' });
+      return json(200, { order: { ...order, ...orderDates(order) } });
+    }
+
+    const view = String(qs.view || 'all').trim();
+    let statuses = String(qs.status || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+    let from = String(qs.from || '').trim();
+    const to = String(qs.to || '').trim();
+
+    if ((from && !parseNYDate(from)) || (to && !parseNYDate(to))) {
+      return json(400, { error: 'Invalid from/to date (expected YYYY-MM-DD)' });
+    }
+
+    if (view === 'pending' && !statuses.length) statuses = ['requested'];
+    if (view === 'upcoming') {
+      if (!statuses.length) statuses = UPCOMING_STATUSES;
+      if (!from) from = nyTodayYMD();
+    }
+
+    const orders = await listOrders((o) =>
+      (!statuses.length || statuses.includes(o.status)) &&
+      inRange(orderDates(o).start_date, from, to)
+    );
+
+    const rows = orders
+      .map(summarize)
+      .sort((a, b) =>
+        String(a.start_date).localeCompare(String(b.start_date)) ||
+        String(a.created_at).localeCompare(String(b.created_at))
+      );
+
+    return json(200, { view, statuses, from: from || null, to: to || null, orders: rows });
+  } catch (err) {
+    console.error('admin-orders error:', err);
+    return json(500, { error: err?.message || 'Internal error' });
+  }
+};
@@ -0,0 +1,94 @@
+// netlify/functions/admin-quote-request.js
+// Quote requests from the manual request form (Authorization: Bearer <ADMIN_TOKEN>), see
+// lib/quote-requests and lib/quote-conversion:
+//   GET  ?status=received                      -> { requests } (newest first; all statuses if omitted),
+//                                                 each with delivery: { owner_email: 'sent', ... }
+//   GET  ?id=KR-…                              -> { request, order, messages } (order once converted;
+//                                                 messages: the lib/outbox emails / SMS and their status)
+//   POST { request_id, action: 'checkout' }    -> Checkout Session link emailed to the customer
+//   POST { request_id, action: 'invoice' }     -> hosted Stripe invoice emailed to the customer
+//   POST { request_id, action: 'resend' }      -> retry its unsent / failed messages now
+
+const { getOrder } = require('../lib/orders');
+const { isAdminRequest } = require('../lib/admin-auth');
+const { getQuoteRequest, listQuoteRequests } = require('../lib/quote-requests');
+const { convertQuoteRequest } = require('../lib/quote-conversion');
+const { listMessages, messagesForQuoteRequest, deliverySummary, retryNow } = require('../lib/outbox');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...cors },
+    body: JSON.stringify(body)
+  };
+}
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+  if (!isAdminRequest(event)) {
+    return json(401, { error: 'Unauthorized' });
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const q = event.queryStringParameters || {};
+      if (q.id) {
+        const request = await getQuoteRequest(String(q.id).trim());
+        if (!request) return json(404, { error: 'Quote request not found' });
+        return json(200, {
+          request,
+          order: await getOrder(request.conversion?.order_id),
+          messages: await messagesForQuoteRequest(request.id)
+        });
+      }
+      const status = String(q.status || '').trim();
+      const requests = await listQuoteRequests((r) => !status || r.status === status);
+      requests.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+      const messages = await listMessages((m) => m.ref?.quote_request_id);
+      return json(200, {
+        requests: requests.map((r) => ({
+          ...r,
+          delivery: deliverySummary(messages.filter((m) => m.ref.quote_request_id === r.id))
+        }))
+      });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      return json(400, { error: 'Invalid JSON' });
+    }
+
+    const requestId = String(body.request_id || '').trim();
+    if (body.action === 'resend') {
+      const request = await getQuoteRequest(requestId);
+      if (!request) return json(404, { error: 'Quote request not found' });
+      const messages = await retryNow(await messagesForQuoteRequest(request.id));
+      return json(200, { ok: true, delivery: deliverySummary(messages), messages });
+    }
+
+    const result = await convertQuoteRequest({
+      requestId,
+      mode: body.action,
+      actor: 'admin'
+    });
+    return json(result.statusCode, result.body);
+  } catch (err) {
+    console.error('admin-quote-request error:', err);
+    return json(500, { error: err?.message || 'Internal error' });
+  }
+};
@@ -0,0 +1,65 @@
+// netlify/functions/admin-refund.js
+// Refunds (Authorization: Bearer <ADMIN_TOKEN>), see lib/refund-order:
+//   GET  ?order_id=KO-…                                    -> what can still be refunded
+//   POST { order_id, amount_cents?, reason, notify_customer?, refund_key? } -> refund (full when amount_cents
+//        is omitted); a repeated refund_key returns the first refund instead of refunding again
+
+const { getOrder } = require('../lib/orders');
+const { isAdminRequest } = require('../lib/admin-auth');
+const { refundOrder, refundPreview } = require('../lib/refund-order');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...cors },
+    body: JSON.stringify(body)
+  };
+}
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+  if (!isAdminRequest(event)) {
+    return json(401, { error: 'Unauthorized' });
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const result = await refundPreview(String(event.queryStringParameters?.order_id || '').trim());
+      return json(result.statusCode, result.body);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      return json(400, { error: 'Invalid JSON' });
+    }
+
+    const orderId = String(body.order_id || '').trim();
+    const result = await refundOrder({
+      orderId,
+      amountCents: body.amount_cents ?? null,
+      reason: body.reason,
+      actor: 'admin',
+      notifyCustomer: body.notify_customer !== false,
+      refundKey: body.refund_key || null
+    });
+    return json(result.statusCode, { ...result.body, order: await getOrder(orderId) });
+  } catch (err) {
+    console.error('admin-refund error:', err);
+    return json(500, { error: err?.message || 'Internal error' });
+  }
+};
@@ -0,0 +1,52 @@
+// netlify/functions/admin-return-checkin.js
+// Self-service return check-in (Authorization: Bearer <ADMIN_TOKEN>), see lib/late-returns:
+//   POST { order_id, counts?: { chair_dark: 10, chair_light: 4 }, note? }
+// Marks the order returned; counts default to everything rented, short counts are recorded as missing.
+
+const { getOrder } = require('../lib/orders');
+const { isAdminRequest } = require('../lib/admin-auth');
+const { checkInReturn } = require('../lib/late-returns');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...cors },
+    body: JSON.stringify(body)
+  };
+}
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+  if (!isAdminRequest(event)) {
+    return json(401, { error: 'Unauthorized' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return json(400, { error: 'Invalid JSON' });
+  }
+
+  try {
+    const orderId = String(body.order_id || '').trim();
+    const result = await checkInReturn({ orderId, counts: body.counts || {}, note: body.note, actor: 'admin' });
+    return json(result.statusCode, { ...result.body, order: await getOrder(orderId) });
+  } catch (err) {
+    console.error('admin-return-checkin error:', err);
+    return json(err.statusCode || 500, { error: err?.message || 'Internal error' });
+  }
+};
@@ -0,0 +1,152 @@
+// netlify/functions/auth-hold-watchdog.js
+// Scheduled function (every 6 hours, see netlify.toml): scans uncaptured self-service card holds
+// and texts/emails the owner once, WARN_HOURS before a hold on a still-pending request lapses.
+// Approving after that charges the card the hold saved (or fails for older holds that saved
+// none); see lib/auth-holds.
+//
+// Response / log line is a run report:
+// { ok, checked, ignored, healthy: [...], warned: [...], already_warned: [...], skipped: [{ payment_intent_id, reason }] }
+const Stripe = require('stripe');
+const { getOrder, updateOrder } = require('../lib/orders');
+const { formatWhen } = require('../lib/order-status');
+const { sendOwnerAlert } = require('../lib/owner-alerts');
+const { connectStore } = require('../lib/store');
+const {
+  AUTH_WINDOW_DAYS,
+  WARN_HOURS,
+  holdExpiresAt,
+  hoursLeftOnHold,
+  holdHasSavedCard
+} = require('../lib/auth-holds');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+};
+
+function centsToDollars(cents) {
+  const n = Number(cents || 0);
+  return (n / 100).toFixed(2);
+}
+
+// Holds placed before checkout-self tagged its PaymentIntents: find the order via the session
+async function orderIdForHold(pi) {
+  if (pi.metadata?.order_id) return pi.metadata.order_id;
+  try {
+    const sessions = await stripe.checkout.sessions.list({ payment_intent: pi.id, limit: 1 });
+    const md = sessions.data?.[0]?.metadata || {};
+    return md.flow === 'self_service' || md.chairs_subtotal_cents ? md.order_id || null : null;
+  } catch (err) {
+    console.warn('[auth-hold-watchdog] failed to look up checkout session:', pi.id, err?.message || err);
+    return null;
+  }
+}
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors };
+
+  try {
+    const now = new Date();
+    // Anything older than the window has already lapsed (Stripe cancels it)
+    const since = Math.floor(now.getTime() / 1000) - (AUTH_WINDOW_DAYS + 1) * 24 * 60 * 60;
+    const report = { checked: 0, ignored: 0, healthy: [], warned: [], already_warned: [], skipped: [] };
+
+    let starting_after = null;
+    while (true) {
+      const page = await stripe.paymentIntents.list({
+        created: { gte: since },
+        limit: 100,
+        ...(starting_after ? { starting_after } : {})
+      });
+
+      if (!page.data || page.data.length === 0) break;
+
+      for (const pi of page.data) {
+        if (pi.status !== 'requires_capture' || pi.capture_method !== 'manual') continue;
+        report.checked += 1;
+
+        const order = await getOrder(await orderIdForHold(pi));
+        if (!order || order.flow !== 'self_service') {
+          report.ignored += 1;
+          continue;
+        }
+        if (order.status !== 'requested') {
+          report.skipped.push({ payment_intent_id: pi.id, order_id: order.id, reason: `order is ${order.status}` });
+          continue;
+        }
+
+        const expiresAt = holdExpiresAt(pi);
+        const entry = {
+          payment_intent_id: pi.id,
+          order_id: order.id,
+          amount_cents: pi.amount,
+          expires_at: expiresAt.toISOString(),
+          saved_card: holdHasSavedCard(pi)
+        };
+
+        if (hoursLeftOnHold(pi, now) > WARN_HOURS) {
+          report.healthy.push(entry);
+          continue;
+        }
+        if (pi.metadata?.kraus_expiry_warned) {
+          report.already_warned.push(entry);
+          continue;
+        }
+
+        await sendOwnerAlert({
+          subject: `Card hold expiring — approve order ${order.id}`,
+          sms: [
+            `${order.customer?.name || 'Customer'} $${centsToDollars(pi.amount)} hold lapses ~${formatWhen(expiresAt.toISOString())}.`,
+            `Pickup ${order.schedule?.pickup_date || '?'}.`,
+            entry.saved_card
+              ? 'Approving after that charges the saved card instead.'
+              : 'No saved card: approve before then or the customer must pay again.'
+          ].join(' '),
+          details: { ...entry, customer: order.customer, pickup_date: order.schedule?.pickup_date }
+        });
+
+        // Warn once per hold
+        await stripe.paymentIntents.update(pi.id, { metadata: { kraus_expiry_warned: now.toISOString() } });
+        await updateOrder(order.id, (current) => ({
+          ...current,
+          auth_hold: { ...entry, warned_at: now.toISOString() }
+        }));
+        report.warned.push(entry);
+      }
+
+      if (!page.has_more) break;
+      starting_after = page.data[page.data.length - 1].id;
+    }
+
+    console.log('[auth-hold-watchdog] report', JSON.stringify({
+      checked: report.checked,
+      ignored: report.ignored,
+      healthy: report.healthy.length,
+      warned: report.warned.length,
+      already_warned: report.already_warned.length,
+      skipped: report.skipped.length
+    }));
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', ...cors },
+      body: JSON.stringify({ ok: true, ...report })
+    };
+  } catch (err) {
+    console.error('auth-hold-watchdog error:', err);
+    await sendOwnerAlert({
+      subject: 'Card hold watchdog crashed',
+      sms: err?.message || String(err),
+      details: { where: 'auth-hold-watchdog', message: err?.message || String(err) }
+    });
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ ok: false, error: err.message })
+    };
+  }
+};
@@ -0,0 +1,61 @@
+// netlify/functions/availability.js
+// GET ?start=YYYY-MM-DD&end=YYYY-MM-DD[&sku=dark,industrial-bar]
+// Returns, per SKU, how many units are free on every day of the range (inclusive),
+// counting committed reservations and unexpired checkout holds.
+
+const { parseNYDate, compareYMD, dayDiffNY } = require('../lib/ny-dates');
+const { availabilityForRange, MAX_RANGE_DAYS } = require('../lib/inventory');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+
+  const qs = event.queryStringParameters || {};
+  const start = String(qs.start || qs.date || '').trim();
+  const end = String(qs.end || qs.start || qs.date || '').trim();
+
+  const startNY = parseNYDate(start);
+  const endNY = parseNYDate(end);
+  if (!startNY || !endNY) {
+    return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Invalid or missing start/end dates' }) };
+  }
+  if (compareYMD(endNY, startNY) < 0) {
+    return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'End date cannot be before start date' }) };
+  }
+  if (dayDiffNY(startNY, endNY) > MAX_RANGE_DAYS) {
+    return { statusCode: 400, headers: cors, body: JSON.stringify({ error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` }) };
+  }
+
+  const skus = String(qs.sku || qs.skus || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  try {
+    const availability = await availabilityForRange(start, end, skus);
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', ...cors },
+      body: JSON.stringify({ start, end, skus: availability })
+    };
+  } catch (err) {
+    console.error('availability error:', err);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json', ...cors },
+      body: JSON.stringify({ error: err?.message || 'Internal error' })
+    };
+  }
+};
@@ -1,15 +1,22 @@
 // netlify/functions/checkout-decline.js
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const jwt = require('jsonwebtoken');
-
-let resendClient = null;
-function getResendClient() {
-  if (!resendClient && process.env.RESEND_API_KEY) {
-    const { Resend } = require('resend');
-    resendClient = new Resend(process.env.RESEND_API_KEY);
-  }
-  return resendClient;
-}
+// Decline an order from the owner's emailed link (single-use 'decline' token from checkout-webhook;
+// see lib/action-tokens). The decline itself lives in lib/decline-order (shared with the admin dashboard).
+//
+// GET  ?token=...  -> confirmation page; never declines anything
+// POST token=...   -> decline; HTML result page for the form, JSON for API callers
+const { declineOrder } = require('../lib/decline-order');
+const { verifyActionToken, checkActionToken, claimActionToken, settleActionToken } = require('../lib/action-tokens');
+const { connectStore } = require('../lib/store');
+const {
+  readToken,
+  wantsHtml,
+  htmlResponse,
+  actionSummary,
+  confirmPage,
+  resultPage,
+} = require('../lib/action-pages');
+
+const POST_URL = '/.netlify/functions/checkout-decline';
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -30,187 +37,92 @@ function pickSessionId(decoded) {
   );
 }
 
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...cors },
+    body: JSON.stringify(body),
+  };
+}
+
 exports.handler = async (event) => {
+  connectStore(event);
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 204, headers: cors };
   }
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
 
-  try {
-    // Accept token via GET ?token=... OR POST body { token }
-    const qsToken = event.queryStringParameters?.token;
-
-    let bodyToken = null;
-    if (event.body) {
-      try {
-        bodyToken = JSON.parse(event.body).token;
-      } catch (_) {}
-    }
+  const html = wantsHtml(event);
+  const fail = (statusCode, error, extra = {}) => html
+    ? htmlResponse(statusCode, resultPage({ ok: false, title: 'Order not declined', message: error }))
+    : json(statusCode, { success: false, error, ...extra });
 
-    const token = qsToken || bodyToken;
+  try {
+    const token = readToken(event);
     if (!token) {
-      return {
-        statusCode: 400,
-        headers: cors,
-        body: JSON.stringify({ success: false, error: 'Token is required' }),
-      };
+      return fail(400, 'Token is required');
     }
 
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (_) {
-      return {
-        statusCode: 401,
-        headers: cors,
-        body: JSON.stringify({ success: false, error: 'Invalid or expired token' }),
-      };
+    const verified = verifyActionToken(token, 'decline', process.env.JWT_SECRET);
+    if (!verified.ok) {
+      return fail(verified.statusCode, verified.error);
     }
+    const decoded = verified.claims;
 
     const sessionId = pickSessionId(decoded);
     if (!sessionId || typeof sessionId !== 'string') {
-      return {
-        statusCode: 400,
-        headers: cors,
-        body: JSON.stringify({
-          success: false,
-          error: 'Missing Checkout Session id in token payload',
-          details: 'Expected a Checkout Session id like "cs_..." on decline tokens.',
-        }),
-      };
+      return fail(400, 'Missing Checkout Session id in token payload', {
+        details: 'Expected a Checkout Session id like "cs_..." on decline tokens.',
+      });
     }
 
-    // Retrieve Checkout Session (authoritative source for email/name)
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-
-    const sessionEmail =
-      session.customer_details?.email ||
-      session.customer_email ||
-      '';
-
-    const sessionName =
-      session.customer_details?.name ||
-      '';
-
-    const customerEmail =
-      decoded.customerEmail ||
-      decoded.email ||
-      sessionEmail ||
-      '';
-
-    const customerName =
-      decoded.customerName ||
-      decoded.name ||
-      sessionName ||
-      '';
+    // GET: confirmation page only (prefetchers/scanners must not be able to decline the order)
+    if (event.httpMethod === 'GET') {
+      const check = await checkActionToken(decoded);
+      if (!check.ok) return fail(check.statusCode, check.error);
+      const summary = await actionSummary(decoded);
+      return htmlResponse(200, confirmPage({ action: 'decline', token, postUrl: POST_URL, summary }));
+    }
 
-    // Expire Checkout Session (best-effort)
-    let expired = null;
-    try {
-      expired = await stripe.checkout.sessions.expire(sessionId);
-    } catch (_) {
-      // Session may already be complete; this is fine
+    // One request per link: a second click (or a forwarded email) gets "already declined on ..."
+    const claim = await claimActionToken(decoded);
+    if (!claim.ok) {
+      return fail(claim.statusCode, claim.error, { token_status: claim.token_status });
     }
 
-    // Detach saved payment method (best-effort)
+    let result;
     try {
-      if (session.setup_intent) {
-        const si = await stripe.setupIntents.retrieve(session.setup_intent);
-        if (si?.payment_method) {
-          await stripe.paymentMethods.detach(si.payment_method);
-        }
-      }
-    } catch (_) {}
-
-    // -------- Email (clean, normalized, production-ready) --------
-
-    const resend = getResendClient();
-
-    const fromEmail =
-      (process.env.FROM_EMAIL || '').trim() ||
-      "Kraus' Tables & Chairs <orders@kraustables.com>";
-
-    const replyToEmail =
-      (process.env.REPLY_TO_EMAIL || '').trim() ||
-      'orders@kraustables.com';
-
-    // Always BCC internal inbox for records
-    const internalBcc = 'orders@kraustables.com';
-
-    let emailSent = false;
-    let emailError = null;
-
-    if (!process.env.RESEND_API_KEY) {
-      emailError = 'RESEND_API_KEY missing';
-    } else if (!customerEmail) {
-      emailError = 'Customer email missing';
-    } else if (!resend) {
-      emailError = 'Resend client not initialized';
-    } else {
-      const subjectTag = sessionId ? sessionId.slice(-8) : '';
-
-      try {
-        const result = await resend.emails.send({
-        from: fromEmail,
-        to: customerEmail,
-        bcc: internalBcc,
-        reply_to: replyToEmail,
-        subject: subjectTag
-          ? `Order Request Declined`
-          : 'Order Request Declined',
-        html: `
-          <p>Hi ${customerName || 'there'},</p>
-
-          <p>Thank you for your order request.</p>
-
-          <p>
-            Unfortunately, we’re unable to proceed with this request at this time.
-            No charge was made, and your card details were not retained.
-          </p>
-
-          <p>
-            If you have any questions or would like to explore alternative options,
-            feel free to reply to this email.
-          </p>
-
-          <p>
-            —<br />
-            Kraus’ Tables &amp; Chairs
-          </p>
-        `,
-      });
-        if (result?.id || result?.data?.id) {
-          emailSent = true;
-        } else {
-          emailError = 'Resend did not return an email id';
-        }
-      } catch (err) {
-        emailError = err?.message || String(err || 'Resend send failed');
-      }
+      result = await declineOrder({ sessionId, claims: decoded, actor: 'owner' });
+    } catch (err) {
+      await settleActionToken(decoded, false);
+      throw err;
+    }
+    await settleActionToken(decoded, result.statusCode < 300);
 
+    if (result.statusCode >= 300) {
+      const { error, success, ...extra } = result.body;
+      return fail(result.statusCode, error, extra);
+    }
+    if (!html) {
+      return json(result.statusCode, result.body);
     }
 
-    return {
-      statusCode: 200,
-      headers: { 'Content-Type': 'application/json', ...cors },
-      body: JSON.stringify({
-        success: true,
-        message: 'Checkout Session expired (declined)',
-        sessionId,
-        sessionStatus: expired?.status || session.status,
-        emailSent,
-        emailError,
-      }),
-    };
+    const r = result.body;
+    return htmlResponse(200, resultPage({
+      ok: true,
+      title: 'Order declined',
+      message: 'The request was declined and no charge was made.',
+      rows: [
+        ['Customer email', r.emailSent ? 'Sent' : `Not sent${r.emailError ? ` (${r.emailError})` : ''}`],
+        ['Checkout Session', r.sessionId],
+      ],
+    }));
   } catch (err) {
     console.error('Decline error:', err);
-    return {
-      statusCode: 500,
-      headers: cors,
-      body: JSON.stringify({
-        success: false,
-        error: 'Failed to decline order',
-        details: err.message,
-      }),
-    };
+    return html
+      ? fail(500, `Failed to decline order: ${err.message}`)
+      : json(500, { success: false, error: 'Failed to decline order', details: err.message });
   }
 };
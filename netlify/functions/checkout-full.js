@@ -2,106 +2,12 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const crypto = require('crypto');
 
-
-// --- KRAUS: NY date helpers (server-authoritative) ---
-function nyTodayYMD() {
-  // Returns YYYY-MM-DD for "today" in America/New_York
-  return new Date().toLocaleDateString("en-CA", { timeZone: "America/New_York" });
-}
-function parseNYDate(ymd) {
-  if (!/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(String(ymd || "").trim())) return null;
-  const [y, m, d] = String(ymd).trim().split("-").map(Number);
-  return { y, m, d };
-}
-function compareYMD(a, b) {
-  if (!a || !b) return null;
-  if (a.y !== b.y) return a.y < b.y ? -1 : 1;
-  if (a.m !== b.m) return a.m < b.m ? -1 : 1;
-  if (a.d !== b.d) return a.d < b.d ? -1 : 1;
-  return 0;
-}
-function dayDiffNY(a, b) {
-  // Whole calendar-day difference between two {y,m,d} dates
-  if (!a || !b) return null;
-  const da = Date.UTC(a.y, a.m - 1, a.d);
-  const db = Date.UTC(b.y, b.m - 1, b.d);
-  return Math.round((db - da) / 86400000);
-}
-
-// ---- Business settings (prices in cents) ----
-const USD = v => Math.round(v);
-
-// Product pricing (in cents)
-const PRICE_MAP = {
-  'table-chair-set': { name: 'Table + 6 Chairs', unit: 16000 },
-  'dark': { name: 'Vintage Folding Chairs — Dark', unit: 1000 },
-  'light': { name: 'Vintage Folding Chairs — Light', unit: 1000 },
-  'folding-table': { name: 'Folding Farm Table', unit: 10000 },
-  'end-leaves': { name: 'End Leaves (pair)', unit: 5000 },
-  'industrial-bar': { name: 'Industrial Serving Bar', unit: 40000 },
-  'industrial-cocktail-table': { name: 'Industrial Cocktail Table', unit: 5000 },
-  'ASH-NYC-steel-table': { name: 'ASH NYC Standard Steel Table', unit: 40000 },
-  'MCM-etched-tulip-table': { name: 'MCM Etched Tulip Table', unit: 25000 },
-  'antique-work-bench': { name: 'Antique Work Bench', unit: 40000 },
-  'vintage-drafting-table': { name: 'Vintage Drafting Table', unit: 10000 },
-  'industrial-garment-rack': { name: 'Industrial Garment Rack', unit: 10000 }
-};
-
-// Fee rates
-const DELIVERY_RATE = 0.30;    // 30% of items subtotal
-const EXTENDED_RATE = 0.15;    // 15% per extra day
-const MIN_ORDER = 30000;       // $300 minimum order
-const TAX_RATE = 0.08875;      // 8.875%
-
-// Manhattan congestion surcharge
-const CONGESTION_FEE_CENTS = 7500; // $75
-const MANHATTAN_ZIPS = [
-  // Lower Manhattan / Midtown / UWS / UES / Harlem / Washington Heights / Inwood
-  "10001","10002","10003","10004","10005","10006","10007","10009","10010","10011","10012","10013","10014",
-  "10016","10017","10018","10019","10020","10021","10022","10023","10024","10025","10026","10027","10028","10029",
-  "10030","10031","10032","10033","10034","10035","10036","10037","10038","10039","10040",
-  // Roosevelt Island
-  "10044",
-  // Common UES variants
-  "10065","10075","10128",
-  // Battery Park City / FiDi area
-  "10280","10281","10282"
-];
-
-function normalizeZip(zip) {
-  // Supports "10001" and "10001-1234"
-  return String(zip || '').trim().slice(0, 5);
-}
-
-function isManhattanZip(zip) {
-  const z = normalizeZip(zip);
-  return z.length === 5 && MANHATTAN_ZIPS.includes(z);
-}
-
-// Time slot fees - base fee for 1-hour prompt time slot
-const TIMESLOT_BASE_FEE = {
-  prompt: 10000,  // $100 for 1-hour prompt time slot
-  flex: 0         // $0 for flexible time slot
-};
-
-// Time slot fees for 1-hour prompt time slots (in cents)
-const PROMPT_FEE = {
-  6: 7500,   // 6-7am: $75
-  7: 5000,   // 7-8am: $50
-  8: 2500,   // 8-9am: $25
-  9: 0, 10: 0, 11: 0, 12: 0, 13: 0, 14: 0, 15: 0, 16: 0, 17: 0, 18: 0, 19: 0, 20: 0,
-  21: 2500,  // 9-10pm: $25
-  22: 5000,  // 10-11pm: $50
-  23: 5000,  // 11pm-12am: $50
-  0: 7500    // 12-1am: $75
-};
-
-// Time slot fees for 4-hour flex time slots (in cents)
-const FLEX_FEE = {
-  '8-12': 0,     // Morning: $0
-  '12-4': 5000,  // Afternoon: $50
-  '4-8': 0       // Evening: $0
-};
+const { priceFullService } = require('../lib/pricing');
+const { checkAvailability, describeConflicts, holdReservation } = require('../lib/inventory');
+const { orderIdFromHash, buildOrder, createOrder, updateOrder } = require('../lib/orders');
+const { resolvePromo, reservePromo } = require('../lib/promo-codes');
+const { checkCrewCapacity, describeCrewConflicts } = require('../lib/crew-capacity');
+const { connectStore } = require('../lib/store');
 
 // Helper function to format time slot value to 12-hour AM/PM format
 const formatTimeSlot = (value) => {
@@ -213,6 +119,7 @@ function sanitizeUtm(utm) {
 }
 
 exports.handler = async (event) => {
+  connectStore(event);
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 204, headers: cors };
   }
@@ -229,6 +136,7 @@ exports.handler = async (event) => {
       location = {},
       schedule = {},
       isRush = false, // kept (not required)
+      promo_code,
       utm = {},
       success_url,
       cancel_url
@@ -245,126 +153,32 @@ const safeCancelUrl  = normalizeAndValidateRedirect(cancel_url,  allowedOrigins,
       throw new Error('Invalid flow: expected full_service');
     }
 
-    // --- Calculate products subtotal ---
-    let productsSubtotalC = 0;
-    const validItems = [];
-
-    for (const item of items) {
-      const sku = item.sku;
-      const qty = Math.max(0, Number(item.qty) || 0);
-
-      if (qty > 0 && PRICE_MAP[sku]) {
-        const priceInfo = PRICE_MAP[sku];
-        productsSubtotalC += priceInfo.unit * qty;
-        validItems.push({ sku, qty, unit: priceInfo.unit, name: priceInfo.name });
-      }
-    }
-
-    if (validItems.length === 0) {
-      throw new Error('Please select at least 1 item.');
-    }
-
-    
-    // Human-readable item summary for emails/SMS (qty only)
-    const itemsSummary = validItems
-      .map((it) => `${it.name} × ${it.qty}`)
-      .join('\n');
-
-
-// --- KRAUS: NY date sanity checks (server-authoritative calendar days) ---
-const todayNY = parseNYDate(nyTodayYMD());
-const dropoffNY = parseNYDate(schedule.dropoff_date);
-const pickupNY  = parseNYDate(schedule.pickup_date);
-
-if (!dropoffNY || !pickupNY) {
-  return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Invalid or missing rental dates' }) };
-}
-if (compareYMD(dropoffNY, todayNY) < 0) {
-  return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Dropoff date cannot be in the past' }) };
-}
-if (compareYMD(pickupNY, dropoffNY) < 0) {
-  return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Pickup date cannot be before dropoff date' }) };
-}
-
-// --- Calculate delivery fee (30% of items) ---
-    const deliveryC = Math.round(productsSubtotalC * DELIVERY_RATE);
-
-    // --- Manhattan congestion surcharge (flat $75 for Manhattan ZIPs) ---
-    const zip5 = normalizeZip(location.zip);
-    const congestionC = isManhattanZip(zip5) ? CONGESTION_FEE_CENTS : 0;
-    // --- Rush fee (if drop-off is within 2 days; NY calendar days) ---
-    const daysUntilDropoff = dayDiffNY(todayNY, dropoffNY);
-    const rushC = (Number.isFinite(daysUntilDropoff) && daysUntilDropoff <= 2)
-      ? Math.max(10000, Math.round(productsSubtotalC * 0.10))  // max of $100 or 10% of items
-      : 0;
-
-    // --- Time slot fees ---
-    const parseHourStart = (range) => {
-      // "6-7" -> 6, "21-22" -> 21, "0-1" -> 0
-      const h = parseInt(String(range).split('-')[0], 10);
-      return Number.isFinite(h) ? h : null;
-    };
-
-    // Dropoff time slot fee
-    const dropoffType = schedule.dropoff_timeslot_type || 'flex';
-    const dropoffValue = schedule.dropoff_timeslot_value || '';
-    let dropoffTimeslotC = TIMESLOT_BASE_FEE[dropoffType] || 0;
-
-    if (dropoffType === 'prompt') {
-      const h = parseHourStart(dropoffValue);
-      dropoffTimeslotC += (h !== null ? (PROMPT_FEE[h] || 0) : 0);
-    } else if (dropoffType === 'flex') {
-      dropoffTimeslotC += FLEX_FEE[dropoffValue] || 0;
+    // --- Promo code (lib/promo-codes): dates, usage limits, first order ---
+    const { promo, error: promoError } = await resolvePromo({
+      code: promo_code,
+      email: customer.email,
+      clientOrderToken: client_order_token
+    });
+    if (promoError) {
+      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: promoError }) };
     }
 
-    // Pickup time slot fee (no base fee for prompt if same day)
-    // (NY calendar dates already parsed above)
-    const sameDay = compareYMD(dropoffNY, pickupNY) === 0;
-
-    const pickupType = schedule.pickup_timeslot_type || 'flex';
-    const pickupValue = schedule.pickup_timeslot_value || '';
-    let pickupTimeslotC = 0;
-
-    // Only add base fee if NOT (prompt AND same day)
-    if (pickupType === 'prompt' && !sameDay) {
-      pickupTimeslotC += TIMESLOT_BASE_FEE[pickupType] || 0;
-    } else if (pickupType === 'flex') {
-      pickupTimeslotC += TIMESLOT_BASE_FEE[pickupType] || 0;
+    // --- Price the order (shared engine; NY calendar days, server-authoritative) ---
+    const quote = priceFullService({ items, schedule, location }, { promo });
+    if (quote.errors.length || quote.promo_error) {
+      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: quote.errors[0] || quote.promo_error }) };
     }
 
-    // Always add time slot fee
-    if (pickupType === 'prompt') {
-      const h = parseHourStart(pickupValue);
-      pickupTimeslotC += (h !== null ? (PROMPT_FEE[h] || 0) : 0);
-    } else if (pickupType === 'flex') {
-      pickupTimeslotC += FLEX_FEE[pickupValue] || 0;
+    // --- inventory: every day from dropoff through pickup must have stock ---
+    const availability = await checkAvailability(quote.items, quote.dropoff_date, quote.pickup_date);
+    if (!availability.ok) {
+      return {
+        statusCode: 409,
+        headers: cors,
+        body: JSON.stringify({ error: describeConflicts(availability.conflicts), conflicts: availability.conflicts })
+      };
     }
 
-    // --- Extended rental fee (15% per extra day after first day) ---
-        const rentalDays = dayDiffNY(dropoffNY, pickupNY);
-    const extraDays = Math.max(0, rentalDays - 1);
-    const extendedC = Math.round(productsSubtotalC * EXTENDED_RATE * extraDays);
-
-    // --- Minimum order surcharge ---
-    // Minimum includes: items + delivery + congestion + rush + time slot fees + extended
-    const towardMinC =
-      productsSubtotalC +
-      deliveryC +
-      congestionC +
-      rushC +
-      dropoffTimeslotC +
-      pickupTimeslotC +
-      extendedC;
-
-    const minC = Math.max(0, MIN_ORDER - towardMinC);
-
-    // --- Tax calculation ---
-    const taxableC = towardMinC + minC;
-    const taxC = Math.round(taxableC * TAX_RATE);
-
-    // --- Total ---
-    const totalC = taxableC + taxC;
-
     // --- Create Stripe Checkout session in SETUP mode (save card only; no line_items) ---
     const sessionParams = {
       mode: 'setup',
@@ -382,16 +196,19 @@ if (compareYMD(pickupNY, dropoffNY) < 0) {
         flow: 'full_service',
 
         // pricing (cents)
-        products_subtotal_cents: String(productsSubtotalC),
-        delivery_cents: String(deliveryC),
-        congestion_cents: String(congestionC),
-        rush_cents: String(rushC),
-        dropoff_timeslot_cents: String(dropoffTimeslotC),
-        pickup_timeslot_cents: String(pickupTimeslotC),
-        extended_cents: String(extendedC),
-        min_order_cents: String(minC),
-        tax_cents: String(taxC),
-        total_cents: String(totalC),
+        products_subtotal_cents: String(quote.subtotal_cents),
+        bundle_cents: String(quote.bundle_cents),
+        delivery_cents: String(quote.delivery_cents),
+        congestion_cents: String(quote.congestion_cents),
+        rush_cents: String(quote.rush_cents),
+        dropoff_timeslot_cents: String(quote.dropoff_timeslot_cents),
+        pickup_timeslot_cents: String(quote.pickup_timeslot_cents),
+        extended_cents: String(quote.extended_cents),
+        min_order_cents: String(quote.min_order_cents),
+        promo_code: quote.promo_code,
+        discount_cents: String(quote.discount_cents),
+        tax_cents: String(quote.tax_cents),
+        total_cents: String(quote.total_cents),
 
         // schedule
         dropoff_date: schedule.dropoff_date || '',
@@ -401,29 +218,70 @@ if (compareYMD(pickupNY, dropoffNY) < 0) {
         pickup_timeslot_type: schedule.pickup_timeslot_type || '',
         pickup_timeslot_value: schedule.pickup_timeslot_value || '',
 
-        // customer + location (trimmed)
+        // customer (trimmed; full contact, address and items live on the order record)
         name: String(customer.name || '').slice(0, 350),
         phone: String(customer.phone || '').slice(0, 350),
         email: String(customer.email || '').slice(0, 350),
-        street: String(location.street || '').slice(0, 350),
-        address2: String(location.address2 || '').slice(0, 350),
-        city: String(location.city || '').slice(0, 350),
-        state: String(location.state || '').slice(0, 350),
         zip: String(location.zip || '').slice(0, 350),
-        location_notes: String(location.notes || '').slice(0, 350),
-
-        // items (trim hard)
-        items: JSON.stringify(validItems).slice(0, 350),
-        // items (human readable, qty only)
-        items_summary: String(itemsSummary || '').slice(0, 500),
+        delivery_zone: quote.delivery_zone ? quote.delivery_zone.name : '',
 
         // UTM (sanitized)
         ...sanitizeUtm(utm)
       }
     };
 
-    const idemKey = 'full_' + crypto.createHash('sha256').update(JSON.stringify(sessionParams)).digest('hex').slice(0, 48);
+    const paramsHash = crypto.createHash('sha256').update(JSON.stringify(sessionParams)).digest('hex');
+    const idemKey = 'full_' + paramsHash.slice(0, 48);
+
+    // Order record holds items, address and schedule; metadata only carries its id
+    const orderId = orderIdFromHash(paramsHash);
+
+    // --- crew capacity: the drop-off and pickup slots must still have a crew free ---
+    // (an identical retry is the same order and does not count against itself)
+    const crew = await checkCrewCapacity(
+      { ...schedule, dropoff_date: quote.dropoff_date, pickup_date: quote.pickup_date },
+      { excludeOrderId: orderId }
+    );
+    if (!crew.ok) {
+      return {
+        statusCode: 409,
+        headers: cors,
+        body: JSON.stringify({ error: describeCrewConflicts(crew.conflicts), crew_conflicts: crew.conflicts })
+      };
+    }
+
+    // --- Promo: claim the use now (atomic against the code's limits; a retry is a no-op) ---
+    const reserved = await reservePromo({ promo, orderId, email: customer.email, clientOrderToken: client_order_token });
+    if (reserved.error) {
+      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: reserved.error }) };
+    }
+
+    sessionParams.metadata.order_id = orderId;
+    await createOrder(buildOrder({
+      id: orderId,
+      flow: 'full_service',
+      client_order_token,
+      customer,
+      location,
+      schedule,
+      quote,
+      utm: sanitizeUtm(utm)
+    }));
+
     const session = await stripe.checkout.sessions.create(sessionParams, { idempotencyKey: idemKey });
+    await updateOrder(orderId, { stripe: { checkout_session_id: session.id } });
+
+    // Hold the stock until the owner approves/declines (best-effort; checkout already exists)
+    try {
+      await holdReservation(session.id, {
+        flow: 'full_service',
+        items: quote.items,
+        start_date: quote.dropoff_date,
+        end_date: quote.pickup_date
+      });
+    } catch (err) {
+      console.error('[ALERT] Failed to place inventory hold:', session.id, err?.message || err);
+    }
 
     return {
       statusCode: 200,
@@ -2,44 +2,12 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const crypto = require('crypto');
 
-
-// --- KRAUS: NY date helpers (server-authoritative) ---
-function nyTodayYMD() {
-  // Returns YYYY-MM-DD for "today" in America/New_York
-  return new Date().toLocaleDateString("en-CA", { timeZone: "America/New_York" });
-}
-function parseNYDate(ymd) {
-  if (!/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(String(ymd || "").trim())) return null;
-  const [y, m, d] = String(ymd).trim().split("-").map(Number);
-  return { y, m, d };
-}
-function compareYMD(a, b) {
-  if (!a || !b) return null;
-  if (a.y !== b.y) return a.y < b.y ? -1 : 1;
-  if (a.m !== b.m) return a.m < b.m ? -1 : 1;
-  if (a.d !== b.d) return a.d < b.d ? -1 : 1;
-  return 0;
-}
-function dayDiffNY(a, b) {
-  // Whole calendar-day difference between two {y,m,d} dates
-  if (!a || !b) return null;
-  const da = Date.UTC(a.y, a.m - 1, a.d);
-  const db = Date.UTC(b.y, b.m - 1, b.d);
-  return Math.round((db - da) / 86400000);
-}
-
-// ---- Business settings (mirror the client; server is authoritative) ----
-const USD = v => Math.round(v);                // cents already
-const UNIT = 1000;                             // $10 per chair => 1000 cents
-const EXT_RATE   = 0.15;                       // 15% per extra day
-const RUSH_FEE   = 2500;                       // $25 flat
-const MIN_ORDER  = 5000;                      // $50 before tax/deposit
-const TAX_RATE   = 0.08875;                    // 8.875%
-
-const PRICE_MAP = {
-  chair_dark:  { name: 'Vintage Folding Chairs — Dark',  unit: UNIT },
-  chair_light: { name: 'Vintage Folding Chairs — Light', unit: UNIT }
-};
+const { priceSelfService } = require('../lib/pricing');
+const { checkAvailability, describeConflicts, holdReservation } = require('../lib/inventory');
+const { orderIdFromHash, buildOrder, createOrder, updateOrder } = require('../lib/orders');
+const { selfServicePaymentMode } = require('../lib/auth-holds');
+const { resolvePromo, reservePromo } = require('../lib/promo-codes');
+const { connectStore } = require('../lib/store');
 
 const cors = {
   'Access-Control-Allow-Origin': '*',
@@ -99,6 +67,7 @@ function normalizeAndValidateRedirect(urlStr, allowedOrigins, baseOrigin, fieldN
 
 
 exports.handler = async (event) => {
+  connectStore(event);
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 204, headers: cors };
   }
@@ -107,7 +76,7 @@ exports.handler = async (event) => {
   }
 
   try {
-    const { items = [], pickup_date, return_date, customer = {}, utm = {}, success_url, cancel_url, client_order_token } =
+    const { items = [], pickup_date, return_date, customer = {}, utm = {}, success_url, cancel_url, client_order_token, promo_code } =
       JSON.parse(event.body || '{}');
 
     const baseOrigin = getBaseOrigin(event);
@@ -119,152 +88,176 @@ exports.handler = async (event) => {
       normalizeAndValidateRedirect(cancel_url, allowedOrigins, baseOrigin, 'cancel_url') ||
       `${baseOrigin}/`;
 
-    // --- sanitize items & quantities ---
-    let qtyDark = 0, qtyLight = 0;
-    for (const it of items) {
-      const q = Number(it.qty) || 0;
-      if (it.sku === 'chair_dark')  qtyDark  = Math.max(0, q);
-      if (it.sku === 'chair_light') qtyLight = Math.max(0, q);
-    }
-    const totalQty = qtyDark + qtyLight;
-    if (totalQty <= 0) throw new Error('Please select at least 1 chair.');
-
-    // cap to your business rule (25)
-    const MAX_QTY = 25;
-    const clampedDark  = Math.min(qtyDark,  MAX_QTY);
-    const clampedLight = Math.min(qtyLight, Math.max(0, MAX_QTY - clampedDark));
-
-    const chairsSubtotalC = (clampedDark + clampedLight) * UNIT;
-    // --- dates (NY calendar days; server-authoritative) ---
-    const todayNY = parseNYDate(nyTodayYMD());
-    const pickupNY = parseNYDate(pickup_date);
-    const returnNY = parseNYDate(return_date);
-
-    if (!pickupNY || !returnNY) {
-      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Invalid or missing rental dates' }) };
+    // --- promo code (lib/promo-codes): dates, usage limits, first order ---
+    const { promo, error: promoError } = await resolvePromo({
+      code: promo_code,
+      email: customer.email,
+      clientOrderToken: client_order_token
+    });
+    if (promoError) {
+      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: promoError }) };
     }
-    if (compareYMD(pickupNY, todayNY) < 0) {
-      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Pickup date cannot be in the past' }) };
+
+    // --- price the order (shared engine; NY calendar days, server-authoritative) ---
+    const quote = priceSelfService({ items, pickup_date, return_date }, { promo });
+    if (quote.errors.length || quote.promo_error) {
+      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: quote.errors[0] || quote.promo_error }) };
     }
-    if (compareYMD(returnNY, pickupNY) < 0) {
-      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Return date cannot be before pickup date' }) };
+
+    // --- inventory: every day from pickup through return must have stock ---
+    const availability = await checkAvailability(quote.items, quote.pickup_date, quote.return_date);
+    if (!availability.ok) {
+      return {
+        statusCode: 409,
+        headers: cors,
+        body: JSON.stringify({ error: describeConflicts(availability.conflicts), conflicts: availability.conflicts })
+      };
     }
 
-    const rentalDays = dayDiffNY(pickupNY, returnNY);
-    const extDays = Math.max(0, (Number.isFinite(rentalDays) ? rentalDays : 0) - 1);
+    const clampedDark  = quote.items.find(it => it.sku === 'chair_dark')?.qty  || 0;
+    const clampedLight = quote.items.find(it => it.sku === 'chair_light')?.qty || 0;
 
-    // rush: pickup is today (America/New_York calendar day)
-    let rushC = 0;
-    const daysUntilPickup = dayDiffNY(todayNY, pickupNY);
-    if (Number.isFinite(daysUntilPickup) && daysUntilPickup === 0) {
-      rushC = RUSH_FEE;
-    }
+    // --- Build line items for Stripe (bundle / promo credits are a Checkout discount, see below) ---
+    const line_items = [
+      ...quote.items.map(it => ({
+        price_data: {
+          currency: 'usd',
+          product_data: { name: it.note ? `${it.name} (${it.note})` : it.name },
+          unit_amount: it.unit_cents,
+        },
+        quantity: it.qty,
+      })),
+      ...quote.lines.filter(line => line.amount_cents > 0).map(line => ({
+        price_data: { currency: 'usd', product_data: { name: line.label }, unit_amount: line.amount_cents },
+        quantity: 1,
+      })),
+    ];
 
-    const extFeeC = Math.round(chairsSubtotalC * EXT_RATE * extDays);
 
-    const baseC = chairsSubtotalC + rushC + extFeeC;
-    const minC  = Math.max(0, MIN_ORDER - baseC);
 
-    const taxC  = Math.round((baseC + minC) * TAX_RATE);
+    // Card holds lapse after ~7 days: pickups further out save the card and are charged on
+    // approval (see lib/auth-holds)
+    const paymentMode = selfServicePaymentMode(quote.pickup_date);
 
+    const metadata = {
+      flow: 'self_service',               // identify this flow for the webhook
+      payment_mode: paymentMode,
 
-    // --- Build line items for Stripe ---
-    const line_items = [];
+      // Optional idempotency token passed from the client (helps dedupe accidental retries)
+      client_order_token: String(client_order_token || ''),
 
-    if (clampedDark > 0) {
-      line_items.push({
-        price_data: {
-          currency: 'usd',
-          product_data: { name: PRICE_MAP.chair_dark.name },
-          unit_amount: PRICE_MAP.chair_dark.unit,
-        },
-        quantity: clampedDark,
-      });
-    }
-    if (clampedLight > 0) {
-      line_items.push({
-        price_data: {
-          currency: 'usd',
-          product_data: { name: PRICE_MAP.chair_light.name },
-          unit_amount: PRICE_MAP.chair_light.unit,
-        },
-        quantity: clampedLight,
-      });
-    }
-    if (rushC > 0) {
-      line_items.push({
-        price_data: { currency: 'usd', product_data: { name: 'Same-day pickup rush' }, unit_amount: rushC },
-        quantity: 1,
-      });
-    }
-    if (extFeeC > 0) {
-      line_items.push({
-        price_data: { currency: 'usd', product_data: { name: `Extended rental (${extDays} days)` }, unit_amount: extFeeC },
-        quantity: 1,
-      });
-    }
-    if (minC > 0) {
-      line_items.push({
-        price_data: { currency: 'usd', product_data: { name: 'Minimum order surcharge (to $50)' }, unit_amount: minC },
-        quantity: 1,
-      });
-    }
-    if (taxC > 0) {
-      line_items.push({
-        price_data: { currency: 'usd', product_data: { name: `Sales tax (${(TAX_RATE*100).toFixed(3)}%)` }, unit_amount: taxC },
-        quantity: 1,
-      });
-    }
+      name:  customer.name  || '',
+      phone: customer.phone || '',
 
+      qty_dark:  String(clampedDark),
+      qty_light: String(clampedLight),
+      pickup_date:  pickup_date  || '',
+      return_date:  return_date  || '',
+      chairs_subtotal_cents: String(quote.subtotal_cents),
+      rush_cents:    String(quote.rush_cents),
+      ext_days:      String(quote.extra_days),
+      ext_fee_cents: String(quote.extended_cents),
+      min_cents:     String(quote.min_order_cents),
+      promo_code:    quote.promo_code,
+      discount_cents: String(quote.discount_cents),
+      bundle_cents:  String(quote.bundle_cents),
+      tax_cents:     String(quote.tax_cents),
 
 
-    const sessionParams = {
-      mode: 'payment',
-      payment_intent_data: {
-        capture_method: 'manual',   // AUTH ONLY - capture after phone confirmation
-      },
-      custom_text: {
-        submit: {
-          message:
-            "Clicking Pay places an authorization only. We’ll call within 2 business hours to confirm availability and finalize pickup before any charge is made."
-        }
-      },
-      line_items,
-      success_url: safeSuccessUrl,
-      cancel_url: safeCancelUrl,
-      customer_email: customer.email || undefined,
-      metadata: {
-        flow: 'self_service',               // identify this flow for the webhook
-
-        // Optional idempotency token passed from the client (helps dedupe accidental retries)
-        client_order_token: String(client_order_token || ''),
-      
-        name:  customer.name  || '',
-        phone: customer.phone || '',
-      
-        qty_dark:  String(clampedDark),
-        qty_light: String(clampedLight),
-        pickup_date:  pickup_date  || '',
-        return_date:  return_date  || '',
-        chairs_subtotal_cents: String(chairsSubtotalC),
-        rush_cents:    String(rushC),
-        ext_days:      String(extDays),
-        ext_fee_cents: String(extFeeC),
-        min_cents:     String(minC),
-        tax_cents:     String(taxC),
-      
-      
-        ...utm
-      }
-      
-      
+      ...utm
     };
 
+    const sessionParams = paymentMode === 'hold'
+      ? {
+          mode: 'payment',
+          customer_creation: 'always',
+          payment_intent_data: {
+            capture_method: 'manual',   // AUTH ONLY - capture after phone confirmation
+            // keep the card so approval can still charge it if the hold lapses first
+            setup_future_usage: 'off_session',
+            metadata: { flow: 'self_service' }
+          },
+          custom_text: {
+            submit: {
+              message:
+                "Clicking Pay places an authorization only. We’ll call within 2 business hours to confirm availability and finalize pickup before any charge is made."
+            }
+          },
+          line_items,
+          success_url: safeSuccessUrl,
+          cancel_url: safeCancelUrl,
+          customer_email: customer.email || undefined,
+          metadata
+        }
+      : {
+          mode: 'setup',
+          payment_method_types: ['card'],
+          custom_text: {
+            submit: {
+              message:
+                "Your card details will be securely saved to reserve your request. No charges are made until we confirm availability and approve your pickup."
+            }
+          },
+          success_url: safeSuccessUrl,
+          cancel_url: safeCancelUrl,
+          customer_email: customer.email || undefined,
+          metadata: { ...metadata, total_cents: String(quote.total_cents) }
+        };
+
     // Stripe idempotency: stable key derived from params.
     // Same params => safe retry; different params => different key (prevents Stripe 400 mismatch).
-    const idemKey = 'self_' + crypto.createHash('sha256').update(JSON.stringify(sessionParams)).digest('hex').slice(0, 48);
+    const paramsHash = crypto.createHash('sha256').update(JSON.stringify(sessionParams)).digest('hex');
+    const idemKey = 'self_' + paramsHash.slice(0, 48);
+
+    // Order record holds the full cart; metadata only carries its id
+    const orderId = orderIdFromHash(paramsHash);
+    sessionParams.metadata.order_id = orderId;
+    if (sessionParams.payment_intent_data) sessionParams.payment_intent_data.metadata.order_id = orderId;
+
+    // --- promo: claim the use now (atomic against the code's limits; a retry is a no-op) ---
+    const reserved = await reservePromo({ promo, orderId, email: customer.email, clientOrderToken: client_order_token });
+    if (reserved.error) {
+      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: reserved.error }) };
+    }
+
+    // Card hold: Stripe line items cannot be negative, so bundle and promo credits become a one-off
+    // coupon; Checkout lists the discount and authorizes the discounted total
+    // (setup mode has no line items; approval charges the total)
+    const credits = quote.lines.filter(line => line.amount_cents < 0);
+    if (paymentMode === 'hold' && credits.length) {
+      const coupon = await stripe.coupons.create({
+        amount_off: -credits.reduce((sum, line) => sum + line.amount_cents, 0),
+        currency: 'usd',
+        duration: 'once',
+        max_redemptions: 1,
+        name: credits.map(line => line.label).join(' + ').slice(0, 40),
+        metadata: { promo_code: quote.promo_code, bundle_cents: String(quote.bundle_cents), order_id: orderId }
+      }, { idempotencyKey: `promo_${idemKey}` });
+      sessionParams.discounts = [{ coupon: coupon.id }];
+    }
+    await createOrder(buildOrder({
+      id: orderId,
+      flow: 'self_service',
+      client_order_token,
+      customer,
+      quote,
+      utm
+    }));
 
     const session = await stripe.checkout.sessions.create(sessionParams, { idempotencyKey: idemKey });
+    await updateOrder(orderId, { payment_mode: paymentMode, stripe: { checkout_session_id: session.id } });
+
+    // Hold the stock until the owner approves/declines (best-effort; checkout already exists)
+    try {
+      await holdReservation(session.id, {
+        flow: 'self_service',
+        items: quote.items,
+        start_date: quote.pickup_date,
+        end_date: quote.return_date
+      });
+    } catch (err) {
+      console.error('[ALERT] Failed to place inventory hold:', session.id, err?.message || err);
+    }
 
     return {
       statusCode: 200,
@@ -1,22 +1,42 @@
-
-
-function escapeHtml(input) {
-  const s = String(input ?? '');
-  return s
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
 // checkout-webhooks.js
 // Handles Stripe checkout.session.completed, sends owner + customer
 // email notifications via Resend and an SMS alert via Twilio.
+// Email bodies are built in lib/order-emails (shared layout: lib/email-templates).
 
 const Stripe = require('stripe');
-const jwt = require('jsonwebtoken');
 const twilio = require('twilio');
 const { Resend } = require('resend');
+const { orderForSession, getOrder } = require('../lib/orders');
+const { transitionOrder } = require('../lib/order-status');
+const { issueActionToken } = require('../lib/action-tokens');
+const { manageBookingUrl } = require('../lib/manage-links');
+const { isBalanceInvoice } = require('../lib/balance-invoices');
+const { DEPOSIT_KIND } = require('../lib/security-deposits');
+const { LATE_FEE_KIND } = require('../lib/late-returns');
+const { sendOwnerAlert, buildOwnerAlertEmail } = require('../lib/owner-alerts');
+const { QUOTE_INVOICE_KIND } = require('../lib/quote-conversion');
+const { ADJUSTMENT_KIND, recordAdjustmentPayment } = require('../lib/modify-order');
+const { trackQuoteRequest } = require('../lib/quote-requests');
+const { connectStore } = require('../lib/store');
+const {
+  formatMoney,
+  summarizeSchedule,
+  summarizeSelfSchedule,
+  buildOwnerEmail,
+  buildCustomerEmail,
+  buildSelfOwnerEmail,
+  buildSelfCustomerEmail,
+  buildSelfApprovedEmail,
+  buildSelfCapturedOwnerEmail,
+  buildInvoicePaidEmail
+} = require('../lib/order-emails');
+const {
+  markPaymentAtRisk,
+  resolvePaymentIssue,
+  customerNoticeDue,
+  noteCustomerNotified,
+  sendPayLinkEmail
+} = require('../lib/payment-failures');
 
 // ==== Config / Clients =====================================================
 
@@ -56,7 +76,6 @@ async function sendFailureAlert({ where, error, stripeEvent, extra = {} }) {
   };
 
   const subject = `[KRAUS] Webhook alert: ${where}${ev.type ? ` (${ev.type})` : ''}`;
-  const bodyText = JSON.stringify(summary, null, 2);
 
   // Email (Resend)
   if (resend && OWNER_EMAIL && FROM_EMAIL) {
@@ -64,8 +83,7 @@ async function sendFailureAlert({ where, error, stripeEvent, extra = {} }) {
       await resend.emails.send({
         from: FROM_EMAIL,
         to: OWNER_EMAIL,
-        subject,
-        html: `<pre style="font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace; white-space: pre-wrap;">${escapeHtml(bodyText)}</pre>`
+        ...buildOwnerAlertEmail(subject, summary)
       });
       console.log('[ALERT] Failure email sent to owner');
     } catch (e) {
@@ -112,125 +130,6 @@ const centsToNumber = (cents) => {
   return n / 100;
 };
 
-const formatMoney = (amount) => {
-  const n = asNumberOrNull(amount);
-  if (n === null) return '$0.00';
-  return `$${n.toLocaleString('en-US', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  })}`;
-};
-
-// Add weekday name (Monday, Tuesday, etc.)
-const formatDate = (isoDate) => {
-  if (!isoDate) return 'Not provided';
-  const d = new Date(isoDate + 'T00:00:00');
-  if (Number.isNaN(d.getTime())) return isoDate;
-  return d.toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric'
-  });
-};
-
-// Convert "23-24" -> "11PM–12AM", "12-4" -> "12PM–4PM" etc.
-const formatHourRange = (value) => {
-  if (!value) return null;
-  
-  // Special handling for known flex slot patterns
-  const flexMap = {
-    '8-12': '8AM–12PM',
-    '12-4': '12PM–4PM',
-    '4-8': '4PM–8PM'
-  };
-  
-  if (flexMap[value]) {
-    return flexMap[value];
-  }
-  
-  // Otherwise, format as 24-hour time slot (for prompt slots)
-  const match = /^(\d{1,2})-(\d{1,2})$/.exec(value.trim());
-  if (!match) return value;
-
-  const [, startStr, endStr] = match;
-  const start = Number(startStr);
-  const end = Number(endStr);
-  if (Number.isNaN(start) || Number.isNaN(end)) return value;
-
-  const fmt = (h) => {
-    const normalized = ((h % 24) + 24) % 24;
-    const suffix = normalized >= 12 ? 'PM' : 'AM';
-    const hour12 = normalized % 12 === 0 ? 12 : normalized % 12;
-    return `${hour12}${suffix}`;
-  };
-
-  return `${fmt(start)}–${fmt(end)}`;
-};
-
-
-const formatTimeSlot = (value, type) => {
-  if (!value) return 'Not provided';
-
-  const pretty = formatHourRange(value);
-  if (pretty) return pretty;
-
-  return value;
-};
-
-const summarizeSchedule = (details) => {
-  const dropoff = details.dropoffDate
-    ? `${formatDate(details.dropoffDate)} (${formatTimeSlot(
-        details.dropoffTimeslotValue,
-        details.dropoffTimeslotType
-      )})`
-    : 'Not provided';
-
-  const pickup = details.pickupDate
-    ? `${formatDate(details.pickupDate)} (${formatTimeSlot(
-        details.pickupTimeslotValue,
-        details.pickupTimeslotType
-      )})`
-    : 'Not provided';
-
-  const extraDays =
-    details.extraDays && Number(details.extraDays) > 0
-      ? Number(details.extraDays)
-      : 0;
-
-  return {
-    dropoff,
-    pickup,
-    extraDays,
-    extraLabel:
-      extraDays > 0 ? `${extraDays} extra day${extraDays > 1 ? 's' : ''}` : ''
-  };
-};
-
-const summarizeSelfSchedule = (details) => {
-  const pickup = details.pickupDate
-    ? formatDate(details.pickupDate)
-    : 'Not provided';
-
-  const returnDate = details.returnDate
-    ? formatDate(details.returnDate)
-    : 'Not provided';
-
-  const extraDays =
-    details.extraDays && Number(details.extraDays) > 0
-      ? Number(details.extraDays)
-      : 0;
-
-  return {
-    pickup,
-    returnDate,
-    extraDays,
-    extraLabel:
-      extraDays > 0 ? `${extraDays} extra day${extraDays > 1 ? 's' : ''}` : ''
-  };
-};
-
-
 const decodeItems = (rawItems) => {
   if (!rawItems) return [];
   try {
@@ -250,17 +149,84 @@ const decodeItems = (rawItems) => {
   }
 };
 
-const formatPhoneNumber = (value) => {
-  if (!value) return null;
-  const digits = String(value).replace(/\D/g, '');
-  let d = digits;
-  if (d.length === 11 && d.startsWith('1')) {
-    d = d.slice(1);
-  }
-  if (d.length === 10) {
-    return `(${d.slice(0, 3)}) ${d.slice(3, 6)}-${d.slice(6)}`;
+// Map a stored order (lib/orders) into the normalized orderDetails shape the builders use.
+// customerDetails: Checkout's customer_details (what the customer typed at Stripe wins for email).
+const orderDetailsFromOrder = (order, customerDetails = {}) => {
+  const isSelfService = order.flow === 'self_service';
+  const pricing = order.pricing || {};
+  const schedule = order.schedule || {};
+  const location = order.location || {};
+  const customer = order.customer || {};
+  const qtyOf = (sku) => {
+    const it = (order.items || []).find((i) => i.sku === sku);
+    return it ? Number(it.qty) : null;
+  };
+
+  return {
+    flow: order.flow,
+    orderId: order.id,
+    customerName: customer.name || customerDetails.name || 'Not provided',
+    customerEmail: customerDetails.email || customer.email || 'Not provided',
+    customerPhone: customer.phone || customerDetails.phone || null,
+
+    // schedule
+    dropoffDate: isSelfService ? null : schedule.dropoff_date || null,
+    dropoffTimeslotValue: isSelfService ? null : schedule.dropoff_timeslot_value || null,
+    dropoffTimeslotType: isSelfService ? null : schedule.dropoff_timeslot_type || null,
+    pickupDate: schedule.pickup_date || null,
+    pickupTimeslotValue: schedule.pickup_timeslot_value || null,
+    pickupTimeslotType: schedule.pickup_timeslot_type || null,
+    returnDate: schedule.return_date || null,
+    extraDays: pricing.extra_days || null,
+
+    // address (full-service only)
+    street: location.street || null,
+    address2: location.address2 || null,
+    city: location.city || null,
+    state: location.state || null,
+    zip: location.zip || null,
+    locationNotes: location.notes || null,
+    deliveryZone: isSelfService ? null : pricing.delivery_zone?.name || null,
+
+    // self-service chair counts (for email copy)
+    selfQtyDark: isSelfService ? qtyOf('chair_dark') : null,
+    selfQtyLight: isSelfService ? qtyOf('chair_light') : null,
+
+    // financials
+    subtotalNumber: centsToNumber(pricing.subtotal_cents),
+    bundleDiscountNumber: centsToNumber(pricing.bundle_cents),
+    bundleLabel: (pricing.bundles || []).map((b) => b.label).join(', ') || null,
+    deliveryFeeNumber: isSelfService ? null : centsToNumber(pricing.delivery_cents),
+    congestionFeeNumber: isSelfService ? null : centsToNumber(pricing.congestion_cents),
+    rushFeeNumber: centsToNumber(pricing.rush_cents),
+    taxNumber: centsToNumber(pricing.tax_cents),
+    dropoffTimeslotFeeNumber: isSelfService ? null : centsToNumber(pricing.dropoff_timeslot_cents),
+    pickupTimeslotFeeNumber: isSelfService ? null : centsToNumber(pricing.pickup_timeslot_cents),
+    extendedFeeNumber: centsToNumber(pricing.extended_cents),
+    minOrderFeeNumber: centsToNumber(pricing.min_order_cents),
+    discountNumber: centsToNumber(pricing.discount_cents),
+    promoCode: pricing.promo_code || null,
+    totalNumber: centsToNumber(pricing.total_cents) ?? 0,
+
+    items: (order.items || []).map((it) => ({
+      name: it.note ? `${it.name || 'Item'} (${it.note})` : it.name || 'Item',
+      qty: it.qty || 0,
+      unit: centsToNumber(it.unit_cents),
+      total: centsToNumber(it.total_cents)
+    })),
+
+    // customer "manage your booking" link (lib/manage-links)
+    manageUrl: safeManageUrl(order)
+  };
+};
+
+const safeManageUrl = (order) => {
+  try {
+    return manageBookingUrl(order);
+  } catch (e) {
+    console.warn('Could not build manage-booking link:', e?.message || String(e));
+    return null;
   }
-  return value;
 };
 
 // Retrieve Stripe Checkout line items and map them into our {name, qty, unit, total} shape.
@@ -291,400 +257,6 @@ const getSessionLineItems = async (sessionId) => {
   }
 };
 
-const buildItemsHtml = (items) => {
-  if (!items || !items.length) return '';
-
-  return `
-    <h3 style="margin:24px 0 8px;font-size:15px;">Items</h3>
-    <table width="100%" cellspacing="0" cellpadding="4" style="border-collapse:collapse;font-size:14px;">
-      <thead>
-        <tr>
-          <th align="left">Item</th>
-          <th align="right">Qty</th>
-          <th align="right">Unit</th>
-          <th align="right">Total</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${items
-          .map(
-            (item) => `
-          <tr>
-            <td>${item.name}</td>
-            <td align="right">${item.qty}</td>
-            <td align="right">${formatMoney(item.unit)}</td>
-            <td align="right">${formatMoney(item.total)}</td>
-          </tr>`
-          )
-          .join('')}
-      </tbody>
-    </table>`;
-};
-
-const buildOrderSummaryRows = (details) => {
-  const rows = [];
-
-  // Subtotal always shown
-  rows.push(`
-    <tr>
-      <td style="padding:2px 8px 2px 0;">Subtotal:</td>
-      <td style="padding:2px 0;" align="right">${formatMoney(
-        details.subtotalNumber
-      )}</td>
-    </tr>
-  `);
-
-  const addRowIfPositive = (label, value) => {
-    if (!value || value <= 0) return;
-    rows.push(`
-      <tr>
-        <td style="padding:2px 8px 2px 0;">${label}:</td>
-        <td style="padding:2px 0;" align="right">${formatMoney(value)}</td>
-      </tr>
-    `);
-  };
-
-  addRowIfPositive('Delivery fee', details.deliveryFeeNumber);
-  addRowIfPositive('Rush fee', details.rushFeeNumber);
-  addRowIfPositive('Delivery time slot fee', details.dropoffTimeslotFeeNumber);
-  addRowIfPositive('Pickup time slot fee', details.pickupTimeslotFeeNumber);
-  addRowIfPositive('Extended rental fee', details.extendedFeeNumber);
-  addRowIfPositive('Minimum surcharge', details.minOrderFeeNumber);
-  addRowIfPositive('Tax', details.taxNumber);
-
-  rows.push(`
-    <tr>
-      <td style="padding:8px 8px 2px 0;font-weight:bold;border-top:1px solid #ddd;">Total:</td>
-      <td style="padding:8px 0 2px;font-weight:bold;border-top:1px solid #ddd;" align="right">${formatMoney(
-        details.totalNumber
-      )}</td>
-    </tr>
-  `);
-
-  return rows.join('');
-};
-
-// ==== Email builders ========================================================
-
-const buildOwnerEmailHtml = (details, approveUrl, declineUrl) => {
-  const schedule = summarizeSchedule(details);
-  const items = details.items || [];
-
-  const itemsHtml = buildItemsHtml(items);
-
-  const addressLines = [
-    details.street,
-    details.address2,
-    details.city && details.state
-      ? `${details.city}, ${details.state} ${details.zip || ''}`.trim()
-      : null,
-    !details.city && !details.state && details.zip ? details.zip : null
-  ].filter(Boolean);
-
-  const addressHtml =
-    addressLines.length > 0
-      ? addressLines.join('<br />')
-      : 'Not provided';
-
-  const formattedPhone = formatPhoneNumber(details.customerPhone);
-  const phoneHtml = details.customerPhone
-    ? `<a href="tel:${details.customerPhone}">${formattedPhone}</a>`
-    : 'Not provided';
-
-  return `
-  <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;font-size:14px;color:#111;line-height:1.6;">
-    <p>Hi Jonah,</p>
-
-    <p><strong>New Order Requires Manual Approval</strong></p>
-
-    <h3 style="margin:16px 0 4px;font-size:15px;">Customer</h3>
-    <p style="margin:0;">
-      <strong>Name:</strong> ${details.customerName || 'Not provided'}<br />
-      <strong>Email:</strong> ${details.customerEmail || 'Not provided'}<br />
-      <strong>Phone:</strong> ${phoneHtml}
-    </p>
-
-    <h3 style="margin:16px 0 4px;font-size:15px;">Schedule</h3>
-    <p style="margin:0;">
-      <strong>Delivery:</strong> ${schedule.dropoff}<br />
-      <strong>Pickup:</strong> ${schedule.pickup}${
-        schedule.extraLabel
-          ? `<br /><strong>Extra Days:</strong> ${schedule.extraLabel}`
-          : ''
-      }
-    </p>
-
-    <h3 style="margin:16px 0 4px;font-size:15px;">Delivery Address</h3>
-    <p style="margin:0;">
-      ${addressHtml}<br />
-      <strong>Location Notes:</strong> ${
-        details.locationNotes || 'None provided'
-      }
-    </p>
-
-    ${itemsHtml}
-
-    <h3 style="margin:24px 0 8px;font-size:15px;">Order Summary</h3>
-    <table cellspacing="0" cellpadding="0" style="font-size:14px;">
-      <tbody>
-        ${buildOrderSummaryRows(details)}
-      </tbody>
-    </table>
-
-    <h3 style="margin:24px 0 8px;font-size:15px;">Action Required</h3>
-    <p style="margin:0 0 12px;">Capture or cancel the payment:</p>
-
-    <p>
-      <a href="${approveUrl}"
-         style="display:inline-block;margin-right:12px;padding:10px 18px;background:#16a34a;color:#fff;text-decoration:none;border-radius:4px;font-weight:600;">
-        ✅ APPROVE ORDER
-      </a>
-      <a href="${declineUrl}"
-         style="display:inline-block;padding:10px 18px;background:#dc2626;color:#fff;text-decoration:none;border-radius:4px;font-weight:600;">
-        ✖ DECLINE ORDER
-      </a>
-    </p>
-
-    <p style="margin-top:16px;font-size:12px;color:#555;">
-      Note: These links expire in 24 hours. The customer's payment will remain
-      on hold until you approve or decline.
-    </p>
-  </div>
-  `;
-};
-
-const buildCustomerEmailHtml = (details) => {
-  const schedule = summarizeSchedule(details);
-  const items = details.items || [];
-  const itemsHtml = buildItemsHtml(items);
-
-  const addressLines = [
-    details.street,
-    details.address2,
-    details.city && details.state
-      ? `${details.city}, ${details.state} ${details.zip || ''}`.trim()
-      : null,
-    !details.city && !details.state && details.zip ? details.zip : null
-  ].filter(Boolean);
-
-  const addressHtml =
-    addressLines.length > 0
-      ? addressLines.join('<br />')
-      : 'Not provided';
-
-  const formattedPhone = formatPhoneNumber(details.customerPhone);
-
-  return `
-  <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;font-size:14px;color:#111;line-height:1.6;">
-
-<p>Hi ${details.customerName || 'there'},</p>
-
-<p>
-	Thank you for submitting your rental request with Kraus’ Tables & Chairs. We’ve received your details and are reviewing availability, delivery logistics, and access requirements for your location.
-</p>
-
-<p>
-	We typically confirm full-service requests within <strong>2 business hours</strong>. If we need to clarify any <strong>access or logistics details</strong>, we’ll contact you before proceeding.
-</p>
-
-<p>
-  <strong>Important policy reminder:</strong> Cancellations must be made 7–30 days in advance, depending on order size.
-</p>
-
-<p>
-	Need to make changes? Just reply to this email and we’ll take care of it.
-</p>
-
-
-    <p style="margin-top:16px;">
-      <a href="https://kazoo-earthworm-tgxd.squarespace.com/terms-conditions">View our Rental Policies</a>
-    </p>
-
-    <p style="margin-top:24px;">– Kraus’ Tables &amp; Chairs</p>
-
-    <h3 style="margin:16px 0 4px;font-size:15px;">Schedule</h3>
-    <p style="margin:0;">
-      <strong>Delivery:</strong> ${schedule.dropoff}<br />
-      <strong>Pickup:</strong> ${schedule.pickup}${
-        schedule.extraLabel
-          ? `<br /><strong>Extra Days:</strong> ${schedule.extraLabel}`
-          : ''
-      }
-    </p>
-
-    <h3 style="margin:16px 0 4px;font-size:15px;">Contact Info</h3>
-    <p style="margin:0;">
-      <strong>Name:</strong> ${details.customerName || 'Not provided'}<br />
-      <strong>Email:</strong> ${details.customerEmail || 'Not provided'}<br />
-      <strong>Phone:</strong> ${
-        formattedPhone || 'Not provided'
-      }
-    </p>
-
-    <h3 style="margin:16px 0 4px;font-size:15px;">Delivery Address</h3>
-    <p style="margin:0;">
-      ${addressHtml}<br />
-      <strong>Location Notes:</strong> ${
-        details.locationNotes || 'None provided'
-      }
-    </p>
-
-    ${itemsHtml}
-
-    <h3 style="margin:24px 0 8px;font-size:15px;">Order Summary</h3>
-    <table cellspacing="0" cellpadding="0" style="font-size:14px;">
-      <tbody>
-        ${buildOrderSummaryRows(details)}
-      </tbody>
-    </table>
-
-  </div>
-  `;
-};
-
-const buildSelfOwnerEmailHtml = (details, approveUrl, declineUrl) => {
-  const schedule = summarizeSelfSchedule(details);
-  const items = details.items || [];
-  const itemsHtml = buildItemsHtml(items);
-
-  const chairLines = [];
-  if (details.selfQtyDark) chairLines.push(`${details.selfQtyDark} × dark chairs`);
-  if (details.selfQtyLight) chairLines.push(`${details.selfQtyLight} × light chairs`);
-
-  const chairsHtml =
-    chairLines.length > 0
-      ? `<p style="margin:0 0 12px;"><strong>Chairs:</strong> ${chairLines.join(
-          ' & '
-        )}</p>`
-      : '';
-
-  return `
-  <div style="font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;font-size:15px;color:#432F28;line-height:1.5;">
-    <h2 style="margin:0 0 16px;font-size:20px;">New Self-Service Order – Needs Review</h2>
-
-    <p style="margin:0 0 12px;">
-      A new <strong>self-service chair rental</strong> order was submitted on the website.
-      Review the details below and capture or cancel the payment using the links at the bottom.
-    </p>
-
-    <h3 style="margin:24px 0 8px;font-size:15px;">Pickup &amp; Return</h3>
-    <p style="margin:0 0 4px;"><strong>Pickup:</strong> ${schedule.pickup}</p>
-    <p style="margin:0 0 4px;"><strong>Return:</strong> ${schedule.returnDate}</p>
-    ${
-      schedule.extraLabel
-        ? `<p style="margin:0 0 4px;"><strong>Extended rental:</strong> ${schedule.extraLabel}</p>`
-        : ''
-    }
-
-    <h3 style="margin:24px 0 8px;font-size:15px;">Contact Info</h3>
-    <p style="margin:0;">
-      <strong>Name:</strong> ${details.customerName || 'Not provided'}<br/>
-      <strong>Email:</strong> ${details.customerEmail || 'Not provided'}<br/>
-      <strong>Phone:</strong> ${
-        details.customerPhone
-          ? `<a href="tel:${details.customerPhone}" style="color:#432F28;text-decoration:underline;">${details.customerPhone}</a>`
-          : 'Not provided'
-      }
-    </p>
-
-
-    <h3 style="margin:24px 0 8px;font-size:15px;">Order Details</h3>
-    ${chairsHtml}
-    ${itemsHtml}
-
-    <h3 style="margin:24px 0 8px;font-size:15px;">Order Summary</h3>
-    <table cellspacing="0" cellpadding="0" style="font-size:14px;">
-      <tbody>
-        ${buildOrderSummaryRows(details)}
-      </tbody>
-    </table>
-
-    <h3 style="margin:24px 0 8px;font-size:15px;">Action Required</h3>
-    <p style="margin:0 0 12px;">Capture or cancel the payment:</p>
-
-    <p style="margin:0 0 4px;">
-      <a href="${approveUrl}"
-         style="display:inline-block;margin-right:12px;padding:10px 16px;border-radius:4px;background:#2f855a;color:#fff;text-decoration:none;">
-        Approve &amp; Capture
-      </a>
-      <a href="${declineUrl}"
-         style="display:inline-block;padding:10px 16px;border-radius:4px;background:#c53030;color:#fff;text-decoration:none;">
-        Decline &amp; Release Hold
-      </a>
-    </p>
-
-    <p style="margin-top:24px;">– Kraus’ Tables &amp; Chairs</p>
-  </div>
-  `;
-};
-
-const buildSelfCustomerEmailHtml = (details) => {
-  const schedule = summarizeSelfSchedule(details);
-  const items = details.items || [];
-  const itemsHtml = buildItemsHtml(items);
-
-  return `
-  <div style="font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;font-size:15px;color:#432F28;line-height:1.5;">
-
-<p>Hi ${details.customerName || 'there'},</p>
-
-<p>
-  Thank you for submitting your request for <strong>self-service chair rentals</strong> with Kraus’ Tables &amp; Chairs.
-</p>
-
-<p>
-  <strong>Your card has not been charged—this is an authorization only.</strong>  
-  We’ll call you within 2 hours to review your request and finalize your pickup plan:
-</p>
-
-<ul>
-  <li><strong>Self-pickup</strong> at our Brooklyn location (24-hour lockbox access)</li>
-  <li><strong>Uber or rideshare pickup</strong> — we’ll pack your order for your driver</li>
-</ul>
-
-<p>
-  Once your request is approved and all details are confirmed, we will capture payment.  
-</p>
-
-<p>
-  Need to make changes? Simply reply to this email.
-</p>
-
-    <p style="margin-top:16px;">
-      <a href="https://kazoo-earthworm-tgxd.squarespace.com/terms-conditions">View our Rental Policies</a>
-    </p>
-
-    <p style="margin-top:24px;">– Kraus’ Tables &amp; Chairs</p>
-
-    <h3 style="margin:24px 0 8px;font-size:15px;">Pickup &amp; Return</h3>
-    <p style="margin:0 0 4px;"><strong>Pickup:</strong> ${schedule.pickup}</p>
-    <p style="margin:0 0 4px;"><strong>Return:</strong> ${schedule.returnDate}</p>
-    ${
-      schedule.extraLabel
-        ? `<p style="margin:0 0 4px;"><strong>Extended rental:</strong> ${schedule.extraLabel}</p>`
-        : ''
-    }
-    <h3 style="margin:24px 0 8px;font-size:15px;">Contact Info</h3>
-    <p style="margin:0;">
-      <strong>Name:</strong> ${details.customerName || 'Not provided'}<br/>
-      <strong>Email:</strong> ${details.customerEmail || 'Not provided'}<br/>
-      <strong>Phone:</strong> ${details.customerPhone || 'Not provided'}
-    </p>
-
-    <h3 style="margin:24px 0 8px;font-size:15px;">Order Summary</h3>
-    <table cellspacing="0" cellpadding="0" style="font-size:14px;">
-      <tbody>
-        ${buildOrderSummaryRows(details)}
-      </tbody>
-    </table>
-
-    ${itemsHtml}
-
-  </div>
-  `;
-};
-
-
 // ==== SMS builder (short!) ==================================================
 
 const buildOwnerSms = (details) => {
@@ -720,6 +292,7 @@ const buildSelfOwnerSms = (details) => {
 // ==== Main handler ==========================================================
 
 exports.handler = async (event, context) => {
+  connectStore(event);
   // Netlify normalizes headers to lowercase, but be defensive.
   const sig =
     event.headers['stripe-signature'] ||
@@ -760,10 +333,14 @@ exports.handler = async (event, context) => {
   //  - checkout.session.completed (request received: owner + customer)
   //  - invoice.paid (full-service autopay remainder / invoices)
   //  - payment_intent.succeeded (self-service capture after approval)
+  //  - invoice.payment_failed (balance autopay declined: customer pay link, owner text, at-risk)
+  //  - payment_intent.payment_failed (deposit charge declined: owner text, at-risk)
   if (
     stripeEvent.type !== 'checkout.session.completed' &&
     stripeEvent.type !== 'invoice.paid' &&
-    stripeEvent.type !== 'payment_intent.succeeded'
+    stripeEvent.type !== 'payment_intent.succeeded' &&
+    stripeEvent.type !== 'invoice.payment_failed' &&
+    stripeEvent.type !== 'payment_intent.payment_failed'
   ) {
     return { statusCode: 200, body: JSON.stringify({ received: true }) };
   }
@@ -874,12 +451,184 @@ if (!shouldProcess) {
   return { statusCode: 200, body: JSON.stringify({ received: true, deduped: true }) };
 }
 
+  // ---------------------------------------------------------------------
+  // INVOICE PAYMENT FAILED (balance autopay declined)
+  // send-balance-invoices retries on schedule until drop-off morning.
+  // ---------------------------------------------------------------------
+  if (stripeEvent.type === 'invoice.payment_failed') {
+    const invoice = stripeEvent.data.object;
+    const failedOrder = await getOrder(invoice.metadata?.order_id);
+    if (!failedOrder && !isBalanceInvoice(invoice)) {
+      console.log('invoice.payment_failed: not a stored-order balance invoice; ignoring', { invoice_id: invoice.id });
+      return { statusCode: 200, body: JSON.stringify({ received: true }) };
+    }
+
+    let declineMessage = null;
+    try {
+      if (invoice.payment_intent) {
+        const piId = typeof invoice.payment_intent === 'string' ? invoice.payment_intent : invoice.payment_intent.id;
+        const pi = await stripe.paymentIntents.retrieve(piId);
+        declineMessage = pi.last_payment_error?.message || null;
+      }
+    } catch (e) {
+      console.warn('invoice.payment_failed: could not load payment intent:', e?.message || String(e));
+    }
+
+    // Balance invoices are retried by the hourly job; order-change invoices (lib/modify-order) are not
+    const isBalance = isBalanceInvoice(invoice);
+    const amountCents = Number(invoice.amount_remaining ?? invoice.amount_due ?? 0);
+    const dropoffDate = invoice.metadata?.dropoff_date || null;
+    const orderId = failedOrder?.id || invoice.metadata?.order_id || null;
+    let customerNotified = false;
+
+    try {
+      const order = failedOrder
+        ? await markPaymentAtRisk(failedOrder.id, {
+            kind: isBalance ? 'balance' : 'adjustment',
+            invoice_id: invoice.id,
+            payment_intent_id: typeof invoice.payment_intent === 'string' ? invoice.payment_intent : null,
+            amount_cents: amountCents,
+            hosted_invoice_url: invoice.hosted_invoice_url,
+            error: declineMessage
+          })
+        : null;
+
+      if (!order || customerNoticeDue(order)) {
+        customerNotified = await sendPayLinkEmail({
+          to: order?.customer?.email || invoice.customer_email,
+          customerName: order?.customer?.name || invoice.customer_name,
+          amountCents,
+          hostedInvoiceUrl: invoice.hosted_invoice_url,
+          dropoffDate
+        });
+        if (customerNotified && order) await noteCustomerNotified(order.id);
+      }
+    } catch (e) {
+      console.error('invoice.payment_failed: failed to flag order / notify customer:', e?.message || String(e));
+      await sendFailureAlert({ where: 'invoice.payment_failed', error: e, stripeEvent, extra: { order_id: orderId } });
+    }
+
+    await sendOwnerAlert({
+      subject: `${isBalance ? 'Balance' : 'Order change'} payment FAILED — order ${orderId || invoice.id}`,
+      sms: `${failedOrder?.customer?.name || invoice.customer_name || 'Customer'} $${centsToNumber(amountCents).toFixed(2)} declined${declineMessage ? ` (${declineMessage})` : ''}. Drop-off ${dropoffDate || '?'}. ${customerNotified ? 'Pay link emailed. ' : ''}${isBalance ? 'Retrying until drop-off morning.' : 'Not retried automatically.'}`,
+      details: {
+        order_id: orderId,
+        invoice_id: invoice.id,
+        amount_cents: amountCents,
+        attempt_count: invoice.attempt_count,
+        decline: declineMessage,
+        dropoff_date: dropoffDate,
+        customer_notified: customerNotified,
+        hosted_invoice_url: invoice.hosted_invoice_url || null
+      }
+    });
+
+    return { statusCode: 200, body: JSON.stringify({ received: true }) };
+  }
+
+  // ---------------------------------------------------------------------
+  // PAYMENT INTENT FAILED (deposit / full charge declined at approval)
+  // Invoice charges are handled above via invoice.payment_failed.
+  // ---------------------------------------------------------------------
+  if (stripeEvent.type === 'payment_intent.payment_failed') {
+    const pi = stripeEvent.data.object;
+    if (pi.invoice) {
+      return { statusCode: 200, body: JSON.stringify({ received: true }) };
+    }
+    // Security deposits (approveOrder) and late fees (overdue-returns) record the failure and
+    // text the owner themselves
+    if ([DEPOSIT_KIND, LATE_FEE_KIND].includes(pi.metadata?.kraus_kind)) {
+      console.log('payment_intent.payment_failed: handled where it was charged', { pi_id: pi.id, kind: pi.metadata.kraus_kind });
+      return { statusCode: 200, body: JSON.stringify({ received: true }) };
+    }
+
+    const failedOrder = await getOrder(pi.metadata?.order_id);
+    if (!failedOrder) {
+      console.log('payment_intent.payment_failed: no stored order; ignoring', { pi_id: pi.id });
+      return { statusCode: 200, body: JSON.stringify({ received: true }) };
+    }
+
+    const declineMessage = pi.last_payment_error?.message || null;
+    try {
+      await markPaymentAtRisk(failedOrder.id, {
+        kind: 'deposit',
+        payment_intent_id: pi.id,
+        amount_cents: pi.amount,
+        error: declineMessage
+      });
+    } catch (e) {
+      console.error('payment_intent.payment_failed: failed to flag order:', failedOrder.id, e?.message || String(e));
+    }
+
+    await sendOwnerAlert({
+      subject: `Deposit payment FAILED — order ${failedOrder.id}`,
+      sms: `${failedOrder.customer?.name || 'Customer'} $${centsToNumber(pi.amount).toFixed(2)} declined${declineMessage ? ` (${declineMessage})` : ''}. Contact the customer before delivery.`,
+      details: {
+        order_id: failedOrder.id,
+        payment_intent_id: pi.id,
+        amount_cents: pi.amount,
+        decline: declineMessage,
+        status: failedOrder.status
+      }
+    });
+
+    return { statusCode: 200, body: JSON.stringify({ received: true }) };
+  }
+
   // ---------------------------------------------------------------------
   // INVOICE PAID (customer + owner email)
   // ---------------------------------------------------------------------
   if (stripeEvent.type === 'invoice.paid') {
     const invoice = stripeEvent.data.object;
 
+    // Balance invoice for a stored order (metadata.order_id set by checkout-approve), or the
+    // invoice for a whole order sent from a quote request (lib/quote-conversion): the order is
+    // paid in full. An order change's adjustment invoice (lib/modify-order) is only recorded.
+    const invoiceOrder = await getOrder(invoice.metadata?.order_id);
+    const isQuoteInvoice = invoice.metadata?.kraus_kind === QUOTE_INVOICE_KIND;
+    const isAdjustment = invoice.metadata?.kraus_kind === ADJUSTMENT_KIND;
+    if (invoiceOrder && (isQuoteInvoice || isBalanceInvoice(invoice))) {
+      try {
+        await transitionOrder(invoiceOrder.id, 'paid_in_full', {
+          actor: 'stripe-webhook',
+          stripe: isQuoteInvoice
+            ? { event_id: stripeEvent.id, quote_invoice_id: invoice.id, payment_intent_id: invoice.payment_intent }
+            : { event_id: stripeEvent.id, balance_invoice_id: invoice.id },
+          patch: isQuoteInvoice
+            ? {
+                paid_in_full_at: new Date().toISOString(),
+                payment: { paid_now_cents: Number(invoice.amount_paid || 0), balance_cents: 0 },
+                stripe: { payment_intent_id: invoice.payment_intent || null }
+              }
+            : { paid_in_full_at: new Date().toISOString() }
+        });
+      } catch (e) {
+        if (e.code === 'INVALID_TRANSITION') {
+          console.warn('invoice.paid: order not awaiting balance:', invoiceOrder.id, e.message);
+        } else {
+          console.error('invoice.paid: failed to update stored order:', invoiceOrder.id, e.message);
+        }
+      }
+      try {
+        await resolvePaymentIssue(invoiceOrder.id);
+      } catch (e) {
+        console.error('invoice.paid: failed to clear at-risk flag:', invoiceOrder.id, e.message);
+      }
+      if (isQuoteInvoice) {
+        await trackQuoteRequest(invoiceOrder, 'paid', { note: `Invoice ${invoice.number || invoice.id} paid` });
+      }
+    } else if (invoiceOrder && isAdjustment) {
+      try {
+        await recordAdjustmentPayment(invoice);
+        // a declined adjustment flagged the order; a pending balance is still its own problem
+        if (invoiceOrder.payment_issue?.invoice_id === invoice.id) await resolvePaymentIssue(invoiceOrder.id);
+      } catch (e) {
+        console.error('invoice.paid: failed to record adjustment payment:', invoiceOrder.id, e.message);
+      }
+    } else if (invoiceOrder) {
+      console.warn('invoice.paid: not a balance, quote or adjustment invoice; order left as is:', invoiceOrder.id, invoice.id);
+    }
+
     // Resolve customer email/name as best we can.
     let customerEmail = invoice.customer_email || null;
     let customerName = invoice.customer_name || null;
@@ -908,28 +657,15 @@ if ((Number(invoice.total ?? invoice.amount_due ?? 0) === 0) && (Number(invoice.
   return { statusCode: 200, body: JSON.stringify({ received: true }) };
 }
 
-    const subject = `✅ Invoice paid${invoice.number ? ` (${invoice.number})` : ''}`;
-
-    const html = `
-      <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;font-size:14px;color:#111;line-height:1.6;">
-        <p>Payment received.</p>
-        <p style="margin:0;">
-          <strong>Customer:</strong> ${customerName || 'Unknown'}<br/>
-          <strong>Email:</strong> ${customerEmail || 'Unknown'}<br/>
-          <strong>Invoice:</strong> ${invoice.number || invoice.id}<br/>
-          <strong>Amount paid:</strong> ${formatMoney(amountPaid)}<br/>
-          <strong>Remaining balance: $0.00 (paid in full)</strong>
-        </p>
-        ${
-          hostedUrl
-            ? `<p style="margin-top:16px;"><a href="${hostedUrl}">View invoice</a>${
-                pdfUrl ? ` • <a href="${pdfUrl}">Download PDF</a>` : ''
-              }</p>`
-            : ''
-        }
-        <p style="margin-top:24px;">– Kraus’ Tables &amp; Chairs</p>
-      </div>
-    `;
+    const receipt = {
+      number: invoice.number,
+      id: invoice.id,
+      customerName,
+      customerEmail,
+      amountPaid,
+      hostedUrl,
+      pdfUrl
+    };
 
     const resendEnabled = !!resend && !!FROM_EMAIL;
     if (!resendEnabled) {
@@ -942,8 +678,7 @@ if ((Number(invoice.total ?? invoice.amount_due ?? 0) === 0) && (Number(invoice.
       await resend.emails.send({
         from: FROM_EMAIL,
         to: OWNER_EMAIL,
-        subject,
-        html
+        ...buildInvoicePaidEmail(receipt, { audience: 'owner' })
       });
       console.log('invoice.paid email sent to owner');
     } catch (e) {
@@ -956,8 +691,7 @@ if ((Number(invoice.total ?? invoice.amount_due ?? 0) === 0) && (Number(invoice.
         await resend.emails.send({
           from: FROM_EMAIL,
           to: customerEmail,
-          subject: '✅ Payment received – Kraus’ Tables & Chairs',
-          html
+          ...buildInvoicePaidEmail(receipt, { audience: 'customer' })
         });
         console.log('invoice.paid email sent to customer');
       } catch (e) {
@@ -1005,7 +739,8 @@ if ((Number(invoice.total ?? invoice.amount_due ?? 0) === 0) && (Number(invoice.
     const customerEmailForPi =
       customerDetailsForPi.email || md.customer_email || md.email || sessionForPi.customer_email || null;
 
-    const orderDetailsForPi = {
+    const orderForPi = await orderForSession(sessionForPi);
+    const orderDetailsForPi = orderForPi ? orderDetailsFromOrder(orderForPi, customerDetailsForPi) : {
       flow: 'self_service',
       customerName: md.customer_name || md.name || customerDetailsForPi.name || 'Not provided',
       customerEmail: customerEmailForPi || 'Not provided',
@@ -1022,6 +757,7 @@ if ((Number(invoice.total ?? invoice.amount_due ?? 0) === 0) && (Number(invoice.
 
       // financials
       subtotalNumber: centsToNumber(md.chairs_subtotal_cents),
+      bundleDiscountNumber: centsToNumber(md.bundle_cents),
       deliveryFeeNumber: null,
       rushFeeNumber: centsToNumber(md.rush_cents),
       taxNumber: centsToNumber(md.tax_cents),
@@ -1029,50 +765,13 @@ if ((Number(invoice.total ?? invoice.amount_due ?? 0) === 0) && (Number(invoice.
       pickupTimeslotFeeNumber: null,
       extendedFeeNumber: centsToNumber(md.ext_fee_cents),
       minOrderFeeNumber: centsToNumber(md.min_cents),
+      discountNumber: centsToNumber(md.discount_cents),
+      promoCode: md.promo_code || null,
       totalNumber: centsToNumber(md.total_cents) ?? centsToNumber(sessionForPi.amount_total) ?? 0,
 
       items: await getSessionLineItems(sessionForPi.id)
     };
 
-    const schedule = summarizeSelfSchedule(orderDetailsForPi);
-    const itemsHtml = buildItemsHtml(orderDetailsForPi.items || []);
-
-    const approvedCustomerSubject = '✅ Your self-service request is approved – Kraus’ Tables & Chairs';
-    const approvedCustomerHtml = `
-      <div style="font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;font-size:15px;color:#432F28;line-height:1.5;">
-        <h2 style="margin:0 0 16px;font-size:20px;">Request Approved</h2>
-        <p>Hi ${orderDetailsForPi.customerName || 'there'},</p>
-        <p>
-          Good news — your <strong>self-service chair rental</strong> request has been approved and your payment has been captured.
-        </p>
-
-        <h3 style="margin:24px 0 8px;font-size:15px;">Pickup &amp; Return</h3>
-        <p style="margin:0 0 4px;"><strong>Pickup:</strong> ${schedule.pickup}</p>
-        <p style="margin:0 0 4px;"><strong>Return:</strong> ${schedule.returnDate}</p>
-        ${schedule.extraLabel ? `<p style="margin:0 0 4px;"><strong>Extended rental:</strong> ${schedule.extraLabel}</p>` : ''}
-
-        ${itemsHtml}
-
-        <h3 style="margin:24px 0 8px;font-size:15px;">Order Summary</h3>
-        <table cellspacing="0" cellpadding="0" style="font-size:14px;">
-          <tbody>
-            ${buildOrderSummaryRows(orderDetailsForPi)}
-          </tbody>
-        </table>
-
-        <p style="margin-top:16px;">
-          We’ll follow up shortly with pickup instructions (lockbox details / driver handoff) if needed.
-          If you have any questions or need to adjust your pickup plan, reply to this email.
-        </p>
-
-        <p style="margin-top:16px;">
-          <a href="https://kazoo-earthworm-tgxd.squarespace.com/terms-conditions">View our Rental Policies</a>
-        </p>
-
-        <p style="margin-top:24px;">– Kraus’ Tables &amp; Chairs</p>
-      </div>
-    `;
-
     const resendEnabled = !!resend && !!FROM_EMAIL;
     if (resendEnabled) {
       // Owner heads-up (optional, but useful)
@@ -1080,15 +779,7 @@ if ((Number(invoice.total ?? invoice.amount_due ?? 0) === 0) && (Number(invoice.
         await resend.emails.send({
           from: FROM_EMAIL,
           to: OWNER_EMAIL,
-          subject: '✅ Self-service payment captured',
-          html: `<div style="font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;font-size:14px;line-height:1.6;">
-            <p>Self-service order payment captured.</p>
-            <p style="margin:0;"><strong>Customer:</strong> ${orderDetailsForPi.customerName || 'Unknown'}<br/>
-            <strong>Pickup:</strong> ${schedule.pickup}<br/>
-            <strong>Return:</strong> ${schedule.returnDate}<br/>
-            <strong>Total:</strong> ${formatMoney(orderDetailsForPi.totalNumber)}</p>
-            ${itemsHtml}
-          </div>`
+          ...buildSelfCapturedOwnerEmail(orderDetailsForPi)
         });
       } catch (e) {
         console.error('payment_intent.succeeded: failed sending owner captured email:', e?.message || String(e));
@@ -1099,8 +790,7 @@ if ((Number(invoice.total ?? invoice.amount_due ?? 0) === 0) && (Number(invoice.
           await resend.emails.send({
             from: FROM_EMAIL,
             to: customerEmailForPi,
-            subject: approvedCustomerSubject,
-            html: approvedCustomerHtml
+            ...buildSelfApprovedEmail(orderDetailsForPi)
           });
           console.log('payment_intent.succeeded: approved email sent to self-service customer');
         } catch (e) {
@@ -1168,6 +858,11 @@ try {
   console.log('Customer details:', customerDetails);
   console.log('Raw metadata:', metadata);
 
+// The stored order (lib/orders) is the source of truth; the metadata mapping below is the
+// fallback for sessions created before orders were persisted.
+const order = await orderForSession(session);
+if (!order) console.warn('No stored order for session; falling back to metadata', session.id);
+
 // ---- Map metadata into a normalized orderDetails object ------------------
 
 // Determine flow: full-service vs self-service
@@ -1179,27 +874,34 @@ const isSelfService = flow === 'self_service';
 // Money values
 let subtotalNumber,
   deliveryFeeNumber,
+  congestionFeeNumber,
   rushFeeNumber,
   taxNumber,
   dropoffTimeslotFeeNumber,
   pickupTimeslotFeeNumber,
   extendedFeeNumber,
-  minOrderFeeNumber;
+  minOrderFeeNumber,
+  discountNumber,
+  bundleDiscountNumber;
 
 if (isSelfService) {
   // Self-service chairs
   subtotalNumber = centsToNumber(metadata.chairs_subtotal_cents);
   deliveryFeeNumber = null; // no delivery line
+  congestionFeeNumber = null;
   rushFeeNumber = centsToNumber(metadata.rush_cents);
   taxNumber = centsToNumber(metadata.tax_cents);
   dropoffTimeslotFeeNumber = null;
   pickupTimeslotFeeNumber = null;
   extendedFeeNumber = centsToNumber(metadata.ext_fee_cents);
   minOrderFeeNumber = centsToNumber(metadata.min_cents);
+  discountNumber = centsToNumber(metadata.discount_cents);
+  bundleDiscountNumber = centsToNumber(metadata.bundle_cents);
 } else {
   // Full-service delivery
   subtotalNumber = centsToNumber(metadata.products_subtotal_cents);
   deliveryFeeNumber = centsToNumber(metadata.delivery_cents);
+  congestionFeeNumber = centsToNumber(metadata.congestion_cents);
   rushFeeNumber = centsToNumber(metadata.rush_cents);
   taxNumber = centsToNumber(metadata.tax_cents);
   dropoffTimeslotFeeNumber = centsToNumber(
@@ -1210,6 +912,8 @@ if (isSelfService) {
   );
   extendedFeeNumber = centsToNumber(metadata.extended_cents);
   minOrderFeeNumber = centsToNumber(metadata.min_order_cents);
+  discountNumber = centsToNumber(metadata.discount_cents);
+  bundleDiscountNumber = centsToNumber(metadata.bundle_cents);
 }
 
 const totalNumber =
@@ -1221,11 +925,11 @@ let items = decodeItems(metadata.items);
 
 // Self-service sessions don't embed an items JSON list in metadata.
 // Pull line items directly from Stripe so the "request received" email includes the chair lines.
-if ((!items || items.length === 0) && isSelfService) {
+if (!order && (!items || items.length === 0) && isSelfService) {
   items = await getSessionLineItems(session.id);
 }
 
-const orderDetails = {
+const orderDetails = order ? orderDetailsFromOrder(order, customerDetails) : {
   flow,
   customerName:
     metadata.customer_name || metadata.name || customerDetails.name || 'Not provided',
@@ -1260,6 +964,7 @@ const orderDetails = {
   state: metadata.state || null,
   zip: metadata.zip || null,
   locationNotes: metadata.location_notes || null,
+  deliveryZone: metadata.delivery_zone || null,
 
   // self-service chair counts (for email copy)
   selfQtyDark: metadata.qty_dark ? Number(metadata.qty_dark) : null,
@@ -1267,13 +972,17 @@ const orderDetails = {
 
   // financials
   subtotalNumber,
+  bundleDiscountNumber,
   deliveryFeeNumber,
+  congestionFeeNumber,
   rushFeeNumber,
   taxNumber,
   dropoffTimeslotFeeNumber,
   pickupTimeslotFeeNumber,
   extendedFeeNumber,
   minOrderFeeNumber,
+  discountNumber,
+  promoCode: metadata.promo_code || null,
   totalNumber,
 
   items
@@ -1336,8 +1045,42 @@ const orderDetails = {
     console.error('Failed to ensure customer/payment method:', e.message);
   }
 
+  // Record the submitted request + Stripe ids on the stored order
+  if (order) {
+    try {
+      const stripeIds = {
+        checkout_session_id: session.id,
+        setup_intent_id: setupIntentId,
+        payment_intent_id: session.payment_intent || null,
+        customer_id: customerId,
+        payment_method_id: paymentMethodId
+      };
+      await transitionOrder(order.id, 'requested', {
+        actor: 'stripe-webhook',
+        stripe: { event_id: stripeEvent.id, ...stripeIds },
+        patch: {
+          submitted_at: new Date().toISOString(),
+          customer: {
+            ...order.customer,
+            email: order.customer?.email || customerDetails.email || '',
+            phone: order.customer?.phone || customerDetails.phone || ''
+          },
+          stripe: stripeIds
+        }
+      });
+    } catch (e) {
+      if (e.code === 'INVALID_TRANSITION') {
+        console.warn('Order already past checkout; not re-requesting:', order.id, e.message);
+      } else {
+        console.error('Failed to update stored order:', order.id, e.message);
+      }
+    }
+    await trackQuoteRequest(order, 'submitted', { note: `Checkout completed for order ${order.id}` });
+  }
+
   const tokenPayload = {
     // Primary identifiers (checkout-approve relies on these)
+    orderId: order?.id || metadata.order_id || null,
     setupIntentId,
     sessionId: session.id,
 
@@ -1362,16 +1105,19 @@ const orderDetails = {
     orderDetails: {
       total: orderDetails.totalNumber,
       total_cents: metadata.total_cents || '',
-      dropoff_date: metadata.dropoff_date || '',
+      dropoff_date: orderDetails.dropoffDate || metadata.dropoff_date || '',
       flow: flow || metadata.flow || (metadata.chairs_subtotal_cents ? 'self_service' : 'full_service'),
       payment_intent_id: session.payment_intent || null
     }
   };
 
-  const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: '24h' });
+  // Separate single-use tokens per action (lib/action-tokens): a forwarded approve link
+  // cannot decline, and neither works again once the order has been handled.
+  const approveToken = await issueActionToken('approve', tokenPayload, { secret: JWT_SECRET, expiresIn: '24h' });
+  const declineToken = await issueActionToken('decline', tokenPayload, { secret: JWT_SECRET, expiresIn: '24h' });
 
-  const approveUrl = `${SITE_URL}/.netlify/functions/checkout-approve?token=${token}`;
-  const declineUrl = `${SITE_URL}/.netlify/functions/checkout-decline?token=${token}`;
+  const approveUrl = `${SITE_URL}/.netlify/functions/checkout-approve?token=${approveToken}`;
+  const declineUrl = `${SITE_URL}/.netlify/functions/checkout-decline?token=${declineToken}`;
 
   console.log('Order total:', formatMoney(orderDetails.totalNumber));
   console.log('Approve URL:', approveUrl);
@@ -1421,21 +1167,13 @@ const orderDetails = {
   if (resendEnabled) {
     const isSelfServiceFlow = orderDetails.flow === 'self_service';
 
-    const ownerSubject = isSelfServiceFlow
-      ? '🙋‍♀️ New Pickup Order'
-      : '🚚 New Delivery Order';
-    
-    const ownerHtml = isSelfServiceFlow
-      ? buildSelfOwnerEmailHtml(orderDetails, approveUrl, declineUrl)
-      : buildOwnerEmailHtml(orderDetails, approveUrl, declineUrl);
-    
-    const customerSubject = isSelfServiceFlow
-      ? 'Chair Rental Request Received – Pending Approval'
-      : 'Event Rental Request Received – Pending Approval';
-    
-    const customerHtml = isSelfServiceFlow
-      ? buildSelfCustomerEmailHtml(orderDetails)
-      : buildCustomerEmailHtml(orderDetails);    
+    const ownerMessage = isSelfServiceFlow
+      ? buildSelfOwnerEmail(orderDetails, approveUrl, declineUrl)
+      : buildOwnerEmail(orderDetails, approveUrl, declineUrl);
+
+    const customerMessage = isSelfServiceFlow
+      ? buildSelfCustomerEmail(orderDetails)
+      : buildCustomerEmail(orderDetails);
 
     console.log('Resend from email:', FROM_EMAIL);
     console.log('Owner email:', OWNER_EMAIL);
@@ -1445,8 +1183,7 @@ const orderDetails = {
       await resend.emails.send({
         from: FROM_EMAIL,
         to: OWNER_EMAIL,
-        subject: ownerSubject,
-        html: ownerHtml
+        ...ownerMessage
       });
       console.log('Email notification sent to owner');
     } catch (err) {
@@ -1457,8 +1194,7 @@ const orderDetails = {
       await resend.emails.send({
         from: FROM_EMAIL,
         to: orderDetails.customerEmail,
-        subject: customerSubject,
-        html: customerHtml
+        ...customerMessage
       });
       console.log('Email notification sent to customer');
     } catch (err) {
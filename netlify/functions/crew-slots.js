@@ -0,0 +1,45 @@
+// netlify/functions/crew-slots.js
+// GET ?date=YYYY-MM-DD
+// Which full-service drop-off / pickup slots the crew can still take on a date (lib/crew-capacity),
+// so the storefront can grey out full ones:
+// { date, day: { capacity, booked, open }, prompt: [{ value, label, capacity, booked, open }], flex: [...] }
+
+const { parseNYDate } = require('../lib/ny-dates');
+const { slotsForDate } = require('../lib/crew-capacity');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+
+  const date = String(event.queryStringParameters?.date || '').trim();
+  if (!parseNYDate(date)) {
+    return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Invalid or missing date' }) };
+  }
+
+  try {
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', ...cors },
+      body: JSON.stringify(await slotsForDate(date))
+    };
+  } catch (err) {
+    console.error('crew-slots error:', err);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json', ...cors },
+      body: JSON.stringify({ error: err?.message || 'Internal error' })
+    };
+  }
+};
@@ -0,0 +1,90 @@
+// netlify/functions/manage-booking.js
+// Customer "manage your booking" link (signed token from lib/manage-links, emailed by checkout-webhook).
+//
+// GET  ?token=...  -> booking summary + what cancelling now would refund (lib/cancellation)
+// POST token=...   -> cancel: void the balance invoice, refund per policy or release the card hold,
+//                     text the owner; HTML result page for the form, JSON for API callers
+
+const { verifyManageToken } = require('../lib/manage-links');
+const { cancelOrder, previewCancellation } = require('../lib/cancellation');
+const { connectStore } = require('../lib/store');
+const {
+  money,
+  readToken,
+  wantsHtml,
+  htmlResponse,
+  managePage,
+  resultPage
+} = require('../lib/action-pages');
+
+const POST_URL = '/.netlify/functions/manage-booking';
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...cors },
+    body: JSON.stringify(body)
+  };
+}
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+
+  const html = wantsHtml(event);
+  const fail = (statusCode, error, title = 'Booking not cancelled') => html
+    ? htmlResponse(statusCode, resultPage({ ok: false, title, message: error }))
+    : json(statusCode, { error });
+
+  try {
+    const token = readToken(event);
+    if (!token) return fail(400, 'Token is required', 'Link not valid');
+
+    const verified = verifyManageToken(token);
+    if (!verified.ok) return fail(verified.statusCode, verified.error, 'Link not valid');
+
+    if (event.httpMethod === 'GET') {
+      const found = await previewCancellation(verified.orderId);
+      if (!found) return fail(404, 'We could not find this booking. Please reply to your confirmation email.', 'Booking not found');
+      return htmlResponse(200, managePage({ token, postUrl: POST_URL, order: found.order, quote: found.quote }));
+    }
+
+    const result = await cancelOrder({ orderId: verified.orderId, actor: 'customer' });
+    const body = result.body;
+
+    if (!html) return json(result.statusCode, body);
+
+    // Refused (already cancelled, rental started, ...) or failed before anything changed
+    if (!body.quote) return fail(result.statusCode, body.error);
+
+    const q = body.quote;
+    return htmlResponse(result.statusCode, resultPage({
+      ok: body.ok,
+      title: 'Booking cancelled',
+      message: body.error || (q.charged
+        ? (body.refunded_cents > 0
+            ? 'Your booking is cancelled. Your refund is on its way and usually appears within 5–10 business days.'
+            : 'Your booking is cancelled. Under our cancellation policy no refund is due.')
+        : 'Your booking is cancelled and the hold on your card has been released.'),
+      rows: [
+        ['Order', body.order_id],
+        ...(q.charged ? [['Refunded', money(body.refunded_cents)]] : []),
+        ...(body.balance_invoice ? [['Remaining balance', 'Cancelled — will not be charged']] : [])
+      ]
+    }));
+  } catch (err) {
+    console.error('manage-booking error:', err);
+    return fail(500, 'Something went wrong. Please try again or reply to your confirmation email.');
+  }
+};
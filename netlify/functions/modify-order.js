@@ -0,0 +1,67 @@
+// netlify/functions/modify-order.js
+// Change an approved order's items / dates / address and settle the price difference
+// (see lib/modify-order):
+//   POST { order_id, items?, schedule?, location?, dry_run?, notify_customer? }
+//        with Authorization: Bearer <ADMIN_TOKEN>
+//   POST { token, items?, schedule?, location?, dry_run? }
+//        token: the customer's manage-booking link token (lib/manage-links)
+// dry_run: true returns the repriced order and what would happen to the payments.
+
+const { getOrder } = require('../lib/orders');
+const { isAdminRequest } = require('../lib/admin-auth');
+const { verifyManageToken } = require('../lib/manage-links');
+const { modifyOrder } = require('../lib/modify-order');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...cors },
+    body: JSON.stringify(body)
+  };
+}
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return json(400, { error: 'Invalid JSON' });
+  }
+
+  const admin = isAdminRequest(event);
+  let orderId = String(body.order_id || '').trim();
+  if (!admin) {
+    const verified = verifyManageToken(body.token);
+    if (!verified.ok) return json(verified.statusCode, { error: verified.error });
+    orderId = verified.orderId;
+  }
+
+  try {
+    const result = await modifyOrder({
+      orderId,
+      changes: { items: body.items, schedule: body.schedule, location: body.location },
+      actor: admin ? 'admin' : 'customer',
+      dryRun: body.dry_run === true,
+      notifyCustomer: admin ? body.notify_customer !== false : true
+    });
+    return json(result.statusCode, admin ? { ...result.body, order: await getOrder(orderId) } : result.body);
+  } catch (err) {
+    console.error('modify-order error:', err);
+    return json(500, { error: admin ? err?.message || 'Internal error' : 'Something went wrong. Please reply to your confirmation email.' });
+  }
+};
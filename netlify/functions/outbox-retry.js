@@ -0,0 +1,62 @@
+// netlify/functions/outbox-retry.js
+// Scheduled function (every 10 minutes, see netlify.toml): retries outbox messages whose last
+// delivery attempt failed and whose backoff has passed (lib/outbox). Each message is attempted on
+// its own; after MAX_ATTEMPTS a message is marked failed and the owner is alerted.
+//
+// Response / log line is a run report: { ok, due, sent: [...], retrying: [...], failed: [...] }
+const { dueMessages, deliverMessage } = require('../lib/outbox');
+const { sendOwnerAlert } = require('../lib/owner-alerts');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+};
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors };
+
+  try {
+    const report = { due: 0, sent: [], retrying: [], failed: [] };
+
+    for (const message of await dueMessages()) {
+      report.due += 1;
+      try {
+        const result = await deliverMessage(message.id);
+        if (result?.status === 'sent') report.sent.push(message.id);
+        else if (result?.status === 'failed') report.failed.push({ id: message.id, error: result.last_error });
+        else report.retrying.push({ id: message.id, attempts: result?.attempts, next_attempt_at: result?.next_attempt_at });
+      } catch (err) {
+        console.error('[ALERT] Outbox retry crashed:', message.id, err?.message || err);
+        report.failed.push({ id: message.id, error: err?.message || String(err) });
+      }
+    }
+
+    console.log('[outbox-retry] report', JSON.stringify({
+      due: report.due,
+      sent: report.sent.length,
+      retrying: report.retrying.length,
+      failed: report.failed.length
+    }));
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', ...cors },
+      body: JSON.stringify({ ok: true, ...report })
+    };
+  } catch (err) {
+    console.error('outbox-retry error:', err);
+    await sendOwnerAlert({
+      subject: 'Outbox retry job crashed',
+      sms: err?.message || String(err),
+      details: { where: 'outbox-retry', message: err?.message || String(err) }
+    });
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ ok: false, error: err.message })
+    };
+  }
+};
@@ -0,0 +1,70 @@
+// netlify/functions/overdue-returns.js
+// Scheduled function (daily, see netlify.toml): finds self-service rentals past their return date
+// that have not been checked in, texts the customer and charges late fees (lib/late-returns).
+//
+// Response / log line is a run report:
+// { ok, checked, texted: [...], charged: [{ order_id, days, amount_cents }], failed: [...], escalated: [...] }
+const { listOrders } = require('../lib/orders');
+const { nyTodayYMD } = require('../lib/ny-dates');
+const { sendOwnerAlert } = require('../lib/owner-alerts');
+const { isOverdue, handleOverdue } = require('../lib/late-returns');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+};
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors };
+
+  try {
+    const today = nyTodayYMD();
+    const report = { checked: 0, texted: [], charged: [], failed: [], escalated: [] };
+
+    const overdue = await listOrders((o) => isOverdue(o, today));
+    for (const order of overdue) {
+      report.checked += 1;
+      try {
+        const result = await handleOverdue(order, today);
+        if (result.texted) report.texted.push(order.id);
+        if (result.fee?.status === 'charged') {
+          report.charged.push({ order_id: order.id, days: result.fee.days, amount_cents: result.fee.amount_cents });
+        }
+        if (result.fee?.status === 'failed') report.failed.push({ order_id: order.id, error: result.fee.error });
+        if (result.escalated) report.escalated.push(order.id);
+      } catch (err) {
+        console.error('[ALERT] Overdue return handling failed:', order.id, err?.message || err);
+        report.failed.push({ order_id: order.id, error: err?.message || String(err) });
+      }
+    }
+
+    console.log('[overdue-returns] report', JSON.stringify({
+      checked: report.checked,
+      texted: report.texted.length,
+      charged: report.charged.length,
+      failed: report.failed.length,
+      escalated: report.escalated.length
+    }));
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', ...cors },
+      body: JSON.stringify({ ok: true, ...report })
+    };
+  } catch (err) {
+    console.error('overdue-returns error:', err);
+    await sendOwnerAlert({
+      subject: 'Overdue returns job crashed',
+      sms: err?.message || String(err),
+      details: { where: 'overdue-returns', message: err?.message || String(err) }
+    });
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ ok: false, error: err.message })
+    };
+  }
+};
@@ -0,0 +1,94 @@
+// netlify/functions/quote-preview.js
+// POST the same body as checkout-full / checkout-self and get back the server-authoritative
+// breakdown (no Stripe session is created), so the cart can show exactly what will be charged.
+//
+// Response:
+// - ok: false + errors[] when checkout would reject the order (past dates, missing ZIP, ...)
+// - warnings[]: non-blocking notes (e.g. minimum order surcharge applied)
+// - items[], lines[] (itemized fees) and *_cents totals from lib/pricing
+// - security_deposit_cents: refundable damage deposit placed on the card at approval (not in total)
+// - promo_code (+ customer.email for first-order / per-customer codes): discount_cents, a
+//   'discount' line, and errors[] explaining why a code was rejected
+// - payment: the deposit/balance split checkout-approve applies if approved today
+
+const { priceOrder, paymentSplit } = require('../lib/pricing');
+const { resolvePromo } = require('../lib/promo-codes');
+const { connectStore } = require('../lib/store');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors };
+  }
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: 'Method Not Allowed' };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+  }
+
+  try {
+    const {
+      flow,
+      items = [],
+      schedule = {},
+      location = {},
+      pickup_date,
+      return_date,
+      customer = {},
+      promo_code
+    } = body || {};
+
+    const { promo, error: promoError } = await resolvePromo({ code: promo_code, email: customer?.email });
+
+    // checkout-full requires flow=full_service; checkout-self sends no flow.
+    const quote = priceOrder({
+      flow: flow === 'full_service' ? 'full_service' : 'self_service',
+      items,
+      schedule,
+      location,
+      pickup_date,
+      return_date
+    }, { promo });
+    const promoProblem = promoError || quote.promo_error;
+    if (promoProblem) {
+      quote.errors.push(promoProblem);
+      quote.warnings = quote.warnings.filter((w) => w !== promoProblem);
+    }
+
+    const split = paymentSplit(quote);
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', ...cors },
+      body: JSON.stringify({
+        ok: quote.errors.length === 0,
+        ...quote,
+        payment: {
+          ...split,
+          // self-service: authorization at checkout, captured on approval
+          // full-service: card saved at checkout, charged on approval; balance the day before drop-off
+          charged_at: quote.flow === 'self_service' ? 'approval (authorized at checkout)' : 'approval',
+          balance_due: split.balance_cents > 0 ? 'day before drop-off' : null
+        }
+      })
+    };
+  } catch (err) {
+    console.error('quote-preview error:', err);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json', ...cors },
+      body: JSON.stringify({ error: err?.message || 'Internal error' })
+    };
+  }
+};
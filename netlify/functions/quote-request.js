@@ -1,4 +1,8 @@
 // netlify/functions/quote-request.js
+import { lookupSku, priceOrder } from "../lib/pricing.js";
+import { quoteRequestIdFor, buildQuoteRequest, createQuoteRequest } from "../lib/quote-requests.js";
+import { enqueueAndDeliver, messagesForQuoteRequest, deliverySummary } from "../lib/outbox.js";
+import { buildQuoteRequestOwnerEmail, buildQuoteRequestCustomerEmail } from "../lib/quote-request-emails.js";
 
 const headers = {
   "Access-Control-Allow-Origin": "*",
@@ -24,52 +28,11 @@ const fmtMoneyOrDash = (v) => {
   return s || "—";
 };
 
-// --- Policies / Signature (CUSTOMER ONLY) ---
-const POLICIES_URL = "https://kraustables.com/terms-conditions";
-const SIG_ADDRESS = "956 Hancock Street, #1L\nBrooklyn, NY 11233";
-const SIG_PHONE = "(718) 218-4057";
-
-// EDIT THIS MAP to match your catalog unit prices.
-const SKU_PRICE_MAP = {
-  "antique-work-bench": 400,
-  "ASH-NYC-steel-table": 400,
-  dark: 10,
-  "end-leaves": 50,
-  "folding-table": 100,
-  "industrial-bar": 400,
-  "industrial-cocktail-table": 50,
-  "industrial-garment-rack": 100,
-  light: 10,
-  "MCM-etched-tulip-table": 250,
-  "table-chair-set": 160,
-  "vintage-drafting-table": 100,
-  // SELF-SERVICE
-  chair_dark: 10,
-  chair_light: 10,
-};
-
-const SKU_NAME_MAP = {
-  "antique-work-bench": "Antique Work Bench",
-  "ASH-NYC-steel-table": "ASH NYC Standard Steel Table",
-  dark: "Vintage Folding Chairs — Dark",
-  "end-leaves": "End Leaves (pair)",
-  "folding-table": "Folding Farm Table",
-  "industrial-bar": "Industrial Serving Bar",
-  "industrial-cocktail-table": "Industrial Cocktail Table",
-  "industrial-garment-rack": "Industrial Garment Rack",
-  light: "Vintage Folding Chairs — Light",
-  "MCM-etched-tulip-table": "MCM Etched Tulip Table",
-  "table-chair-set": "Table + 6 Chairs",
-  "vintage-drafting-table": "Vintage Drafting Table",
-  // SELF-SERVICE
-  chair_dark: "Vintage Folding Chairs — Dark",
-  chair_light: "Vintage Folding Chairs — Light",
-};
-
 const titleizeSku = (skuRaw) => {
   const sku = safe(skuRaw).trim();
   if (!sku) return "";
-  if (SKU_NAME_MAP[sku]) return SKU_NAME_MAP[sku];
+  const known = lookupSku(sku);
+  if (known) return known.name;
 
   const words = sku.replace(/[_-]+/g, " ").split(" ").filter(Boolean);
   return words
@@ -149,6 +112,8 @@ const getAddress = (p) => {
   };
 };
 
+// Items as the customer picked them, priced from the catalog (used when the server quote has
+// errors; otherwise itemsFromQuote). Client-sent prices are never rendered.
 const normalizeItems = (p) => {
   const items = Array.isArray(p?.items) ? p.items : [];
   return items
@@ -156,195 +121,135 @@ const normalizeItems = (p) => {
       const sku = safe(it.sku || it.id || "").trim();
       const qty = Number(it.qty ?? it.quantity ?? 1) || 1;
 
-      const name =
-        safe(it.name || it.title || it.productName).trim() || titleizeSku(sku) || sku || "Item";
-
-      const unitFromPayload = it.unitPrice ?? it.unit_price ?? it.price;
-      const lineFromPayload = it.lineTotal ?? it.line_total ?? it.total;
-
-      const unitPrice =
-        unitFromPayload !== undefined && unitFromPayload !== null && unitFromPayload !== ""
-          ? Number(unitFromPayload)
-          : sku && SKU_PRICE_MAP[sku] !== undefined
-            ? Number(SKU_PRICE_MAP[sku])
-            : NaN;
-
-      const lineTotal =
-        lineFromPayload !== undefined && lineFromPayload !== null && lineFromPayload !== ""
-          ? Number(lineFromPayload)
-          : Number.isFinite(unitPrice)
-            ? unitPrice * qty
-            : NaN;
+      // Catalog prices are in cents (shared pricing engine); emails render dollars.
+      const catalog = lookupSku(sku);
+      const name = catalog ? catalog.name : titleizeSku(sku) || sku || "Item";
+      const unitPrice = catalog ? catalog.unit / 100 : NaN;
+      const lineTotal = Number.isFinite(unitPrice) ? unitPrice * qty : NaN;
 
       return { sku, qty, name, unitPrice, lineTotal };
     })
     .filter((it) => it.qty > 0);
 };
 
-const buildSummaryRows = (pricing) => {
-  const rows = [];
-  const add = (label, val, opts = {}) => {
-    const n = Number(val);
-    if (!Number.isFinite(n) || Math.abs(n) < 0.000001) return;
-    rows.push({ label, value: n, ...opts });
+// Shape the request body the way checkout-self / checkout-full expect it for the pricing engine.
+const toPricingInput = (p, isSelfFlow) => {
+  const s = p?.schedule || {};
+  const items = (Array.isArray(p?.items) ? p.items : []).map((it) => ({
+    sku: safe(it.sku || it.id || "").trim(),
+    qty: Number(it.qty ?? it.quantity ?? 1) || 0,
+  }));
+  if (isSelfFlow) {
+    return {
+      flow: "self_service",
+      items,
+      pickup_date: p?.pickup_date || p?.pickupDate || "",
+      return_date: p?.return_date || p?.returnDate || "",
+    };
+  }
+  return {
+    flow: "full_service",
+    items,
+    schedule: {
+      dropoff_date: s.dropoff_date || s.dropoffDate || "",
+      dropoff_timeslot_type: s.dropoff_timeslot_type || s.dropoffTimeslotType || "",
+      dropoff_timeslot_value: s.dropoff_timeslot_value || s.dropoffTimeslotValue || "",
+      pickup_date: s.pickup_date || s.pickupDate || "",
+      pickup_timeslot_type: s.pickup_timeslot_type || s.pickupTimeslotType || "",
+      pickup_timeslot_value: s.pickup_timeslot_value || s.pickupTimeslotValue || "",
+    },
+    location: p?.location || p?.address || {},
   };
-
-  add("Items subtotal", pricing?.items ?? pricing?.itemsSubtotal ?? pricing?.chairsSubtotal);
-  add("Delivery fee (30%)", pricing?.delivery);
-  add("Rush fee (≤2 days)", pricing?.rush);
-  add("Congestion fee", pricing?.congestion);
-  add("Delivery time slot fee", pricing?.dropFee);
-  add("Pickup time slot fee", pricing?.pickFee);
-  add("Extended rental fee", pricing?.extended ?? pricing?.extend);
-  add("Minimum surcharge", pricing?.minFee);
-
-  const tax = Number(pricing?.tax);
-  if (Number.isFinite(tax) && Math.abs(tax) >= 0.000001) rows.push({ label: "Sales tax", value: tax });
-
-  const total = Number(pricing?.total);
-  if (Number.isFinite(total)) rows.push({ label: "Total", value: total, isTotal: true });
-
-  return rows;
 };
 
-const escapeHtml = (s) =>
-  safe(s)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
-
-const htmlTableItems = (items) => {
-  const rows = items
-    .map((it) => {
-      const unit = Number.isFinite(it.unitPrice) ? fmtMoney(it.unitPrice) : "—";
-      const line = Number.isFinite(it.lineTotal) ? fmtMoney(it.lineTotal) : "—";
-      return `
-        <tr>
-          <td style="padding:8px 0; border-bottom:1px solid #eee;">
-            ${escapeHtml(it.name)}
-          </td>
-          <td style="padding:8px 0; border-bottom:1px solid #eee; text-align:right; white-space:nowrap;">
-            ${it.qty}
-          </td>
-          <td style="padding:8px 0; border-bottom:1px solid #eee; text-align:right; white-space:nowrap;">
-            ${unit}
-          </td>
-          <td style="padding:8px 0; border-bottom:1px solid #eee; text-align:right; white-space:nowrap;">
-            ${line}
-          </td>
-        </tr>
-      `;
-    })
-    .join("");
-
-  return `
-    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse; font-size:14px;">
-      <thead>
-        <tr>
-          <th align="left" style="padding:6px 0; border-bottom:2px solid #ddd;">Item</th>
-          <th align="right" style="padding:6px 0; border-bottom:2px solid #ddd; white-space:nowrap;">Qty</th>
-          <th align="right" style="padding:6px 0; border-bottom:2px solid #ddd; white-space:nowrap;">Unit</th>
-          <th align="right" style="padding:6px 0; border-bottom:2px solid #ddd; white-space:nowrap;">Total</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${rows}
-      </tbody>
-    </table>
-  `;
+// Server quote (cents) -> dollar fields named like the `pricing` / `totals` object the browser
+// sends, so the two can be compared field by field.
+const pricingFromQuote = (q) => {
+  const d = (c) => Number(c || 0) / 100;
+  return {
+    items: d(q.subtotal_cents),
+    delivery: d(q.delivery_cents),
+    rush: d(q.rush_cents),
+    congestion: d(q.congestion_cents),
+    dropFee: d(q.dropoff_timeslot_cents),
+    pickFee: d(q.pickup_timeslot_cents),
+    extended: d(q.extended_cents),
+    minFee: d(q.min_order_cents),
+    discount: d(q.discount_cents),
+    bundle: d(q.bundle_cents),
+    tax: d(q.tax_cents),
+    total: d(q.total_cents),
+  };
 };
 
-const htmlTableSummary = (rows) => {
-  if (!rows.length) return "";
-
-  const body = rows
-    .map((r) => {
-      const isTotal = !!r.isTotal;
-      return `
-        <tr>
-          <td style="padding:8px 0; border-bottom:1px solid #eee; ${isTotal ? "font-weight:700;" : ""}">
-            ${escapeHtml(r.label)}
-          </td>
-          <td style="padding:8px 0; border-bottom:1px solid #eee; text-align:right; white-space:nowrap; ${isTotal ? "font-weight:700;" : ""}">
-            ${fmtMoneyOrDash(r.value)}
-          </td>
-        </tr>
-      `;
-    })
-    .join("");
-
-  return `
-    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse; font-size:14px;">
-      <tbody>
-        ${body}
-      </tbody>
-    </table>
-  `;
+// Server quote items -> the rows the item tables render (dollars)
+const itemsFromQuote = (q) =>
+  q.items.map((it) => ({
+    sku: it.sku,
+    qty: it.qty,
+    name: it.note ? `${it.name} (${it.note})` : it.name,
+    unitPrice: it.unit_cents / 100,
+    lineTotal: it.total_cents / 100,
+  }));
+
+// Items subtotal, every fee / credit / tax line the engine produced, total
+const summaryRowsFromQuote = (q) => [
+  { label: "Items subtotal", value: q.subtotal_cents / 100 },
+  ...q.lines.map((line) => ({ label: line.label, value: line.amount_cents / 100 })),
+  { label: "Total", value: q.total_cents / 100, isTotal: true },
+];
+
+const CLIENT_PRICING_FIELDS = {
+  items: ["items", "itemsSubtotal", "chairsSubtotal", "subtotal"],
+  delivery: ["delivery"],
+  rush: ["rush"],
+  congestion: ["congestion"],
+  dropFee: ["dropFee"],
+  pickFee: ["pickFee"],
+  extended: ["extended", "extend"],
+  minFee: ["minFee"],
+  discount: ["discount"],
+  tax: ["tax"],
+  total: ["total"],
 };
 
-const textItems = (items) =>
-  items
-    .map((it) => {
-      const unitOk = Number.isFinite(it.unitPrice);
-      const lineOk = Number.isFinite(it.lineTotal);
-      const unitTxt = unitOk ? ` — ${fmtMoney(it.unitPrice)} ea` : "";
-      const lineTxt = lineOk ? ` — ${fmtMoney(it.lineTotal)}` : "";
-      return `- ${it.name} (x${it.qty})${unitTxt}${lineTxt}`;
-    })
-    .join("\n");
-
-const textSummary = (rows) =>
-  rows.map((r) => `- ${r.label}: ${fmtMoneyOrDash(r.value)}`).join("\n");
-
-async function sendResend({ apiKey, from, to, subject, text, html }) {
-  const r = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      from,
-      to: Array.isArray(to) ? to : [to],
-      subject,
-      text,
-      html,
-    }),
-  });
-
-  const data = await r.json().catch(() => ({}));
-  if (!r.ok) {
-    const msg = data?.message || data?.error || `Resend error (${r.status})`;
-    throw new Error(msg);
+const given = (v) => v !== undefined && v !== null && v !== "" && Number.isFinite(Number(v));
+const differs = (a, b) => Math.abs(Math.round(Number(a) * 100) - Math.round(Number(b) * 100)) > 1;
+
+// Where the amounts the browser showed differ from the server quote:
+// [{ field, client, server }] in dollars (field: "total", "tax", "item dark unit", ...)
+const findDiscrepancies = (p, q) => {
+  const out = [];
+  const client = p?.pricing || p?.totals || {};
+  const server = pricingFromQuote(q);
+  for (const [field, keys] of Object.entries(CLIENT_PRICING_FIELDS)) {
+    const key = keys.find((k) => given(client[k]));
+    if (key && differs(client[key], server[field])) {
+      out.push({ field, client: Number(client[key]), server: server[field] });
+    }
   }
-  return data;
-}
-
-async function sendTwilioSms({ accountSid, authToken, from, to, body }) {
-  if (!accountSid || !authToken || !from || !to || !body) return;
-  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
-  const auth = btoa(`${accountSid}:${authToken}`);
-
-  const params = new URLSearchParams();
-  params.set("From", from);
-  params.set("To", to);
-  params.set("Body", body);
-
-  const r = await fetch(url, {
-    method: "POST",
-    headers: {
-      Authorization: `Basic ${auth}`,
-      "Content-Type": "application/x-www-form-urlencoded",
-    },
-    body: params.toString(),
-  });
 
-  if (!r.ok) {
-    const t = await r.text().catch(() => "");
-    throw new Error(`Twilio SMS error (${r.status}): ${t.slice(0, 200)}`);
+  for (const it of Array.isArray(p?.items) ? p.items : []) {
+    const sku = safe(it.sku || it.id || "").trim();
+    const priced = q.items.find((x) => x.sku === sku);
+    const unit = it.unitPrice ?? it.unit_price ?? it.price;
+    const line = it.lineTotal ?? it.line_total ?? it.total;
+    if (!priced) {
+      if (given(unit) || given(line)) out.push({ field: `item ${sku}`, client: Number(given(line) ? line : unit), server: null });
+      continue;
+    }
+    if (given(unit) && differs(unit, priced.unit_cents / 100)) {
+      out.push({ field: `item ${sku} unit`, client: Number(unit), server: priced.unit_cents / 100 });
+    }
+    if (given(line) && differs(line, priced.total_cents / 100)) {
+      out.push({ field: `item ${sku} total`, client: Number(line), server: priced.total_cents / 100 });
+    }
   }
-}
+  return out;
+};
+
+const describeDiscrepancy = (d) =>
+  `${d.field}: browser showed ${fmtMoneyOrDash(d.client)}, server ${d.server === null ? "could not price it" : fmtMoneyOrDash(d.server)}`;
 
 export default async (req) => {
   if (req.method === "OPTIONS") return json(200, { ok: true });
@@ -374,12 +279,18 @@ export default async (req) => {
 
   if (!isEmail(customerEmail)) return json(400, { ok: false, error: "Missing/invalid customer email" });
 
-  const items = normalizeItems(p);
-  if (!items.length) return json(400, { ok: false, error: "Missing items" });
+  if (!normalizeItems(p).length) return json(400, { ok: false, error: "Missing items" });
+
+  // The id is the server's: derived from client_order_token, so a double-submit maps to the same
+  // request (any requestId in the body is ignored)
+  const clientToken = safe(p?.client_order_token).trim();
+  const requestId = quoteRequestIdFor(clientToken);
 
-  const requestId =
-    (p?.requestId && String(p.requestId)) ||
-    `KR-${Date.now()}-${Math.random().toString(16).slice(2, 8).toUpperCase()}`;
+  // Double-submit (same client_order_token): answer with the stored request and send nothing again
+  const answerDuplicate = async (existing) => {
+    const delivery = deliverySummary(await messagesForQuoteRequest(existing.id));
+    return json(200, { ok: true, requestId: existing.id, duplicate: true, delivery });
+  };
 
   const flow = safe(p?.flow || p?.flowType || "request");
   const createdAt = new Date().toISOString();
@@ -393,288 +304,149 @@ export default async (req) => {
 
   const schedule = getSchedule(p);
   const addr = getAddress(p);
-  const pricing = p?.pricing || p?.totals || {};
-  const summaryRows = buildSummaryRows(pricing);
-
-  const ownerSubject = isSelfFlow
-    ? `NEW CHAIR RENTAL REQUEST — ${requestId}`
-    : `NEW EVENT RENTAL REQUEST — ${requestId}`;
-
-  // OWNER EMAIL (NO policies link, NO signature)
-  const ownerText =
-    `Request ID: ${requestId}\n` +
-    `Flow: ${flow}\n` +
-    `Created: ${createdAt}\n` +
-    (p?.client_order_token ? `Client token: ${safe(p.client_order_token)}\n` : "") +
-    `\nCustomer:\n` +
-    `- Name: ${customerName || "(not provided)"}\n` +
-    `- Email: ${customerEmail}\n` +
-    (customer.phone ? `- Phone: ${safe(customer.phone)}\n` : "") +
-    `\nSchedule:\n` +
-    (isSelfFlow
-      ? (schedule.selfPickupDate ? `- Pickup: ${schedule.selfPickupDate}\n` : "") +
-        (schedule.selfReturnDate ? `- Return: ${schedule.selfReturnDate}\n` : "")
-      : (schedule.dropDate
-          ? `- Delivery: ${schedule.dropDate}${schedule.dropWindow ? " (" + schedule.dropWindow + ")" : ""}\n`
-          : "") +
-        (schedule.pickDate
-          ? `- Pickup:   ${schedule.pickDate}${schedule.pickWindow ? " (" + schedule.pickWindow + ")" : ""}\n`
-          : "")) +
-    (addr.line1 || addr.city || addr.zip
-      ? `\nAddress:\n` +
-        (addr.line1 ? `- ${addr.line1}\n` : "") +
-        (addr.line2 ? `- ${addr.line2}\n` : "") +
-        `- ${addr.city}${addr.state ? ", " + addr.state : ""} ${addr.zip}\n` +
-        (addr.notes ? `- Notes: ${addr.notes}\n` : "")
-      : "") +
-    `\nItems:\n${textItems(items)}\n` +
-    (summaryRows.length ? `\nOrder Summary:\n${textSummary(summaryRows)}\n` : "");
-
-  const ownerHtml = `
-    <div style="font-family:Arial,Helvetica,sans-serif; color:#111; line-height:1.4;">
-      <h2 style="margin:0 0 10px;">New Request (manual)</h2>
-      <p style="margin:0 0 14px;">
-        <strong>Request ID:</strong> ${escapeHtml(requestId)}<br>
-        <strong>Flow:</strong> ${escapeHtml(flow)}<br>
-        <strong>Created:</strong> ${escapeHtml(createdAt)}
-        ${p?.client_order_token ? `<br><strong>Client token:</strong> ${escapeHtml(p.client_order_token)}` : ""}
-      </p>
-
-      <h3 style="margin:18px 0 8px;">Contact Info</h3>
-      <p style="margin:0 0 14px;">
-        <strong>Name:</strong> ${escapeHtml(customerName || "(not provided)")}<br>
-        <strong>Email:</strong> ${escapeHtml(customerEmail)}
-        ${customer.phone ? `<br><strong>Phone:</strong> ${escapeHtml(customer.phone)}` : ""}
-      </p>
-
-      <h3 style="margin:18px 0 8px;">Schedule</h3>
-      <p style="margin:0 0 14px;">
-        ${isSelfFlow && schedule.selfPickupDate ? `<strong>Pickup:</strong> ${escapeHtml(schedule.selfPickupDate)}<br>` : ""}
-        ${isSelfFlow && schedule.selfReturnDate ? `<strong>Return:</strong> ${escapeHtml(schedule.selfReturnDate)}` : ""}
-        ${
-          !isSelfFlow && schedule.dropDate
-            ? `<strong>Delivery:</strong> ${escapeHtml(schedule.dropDate)}${
-                schedule.dropWindow ? " (" + escapeHtml(schedule.dropWindow) + ")" : ""
-              }<br>`
-            : ""
-        }
-        ${
-          !isSelfFlow && schedule.pickDate
-            ? `<strong>Pickup:</strong> ${escapeHtml(schedule.pickDate)}${
-                schedule.pickWindow ? " (" + escapeHtml(schedule.pickWindow) + ")" : ""
-              }`
-            : ""
-        }
-      </p>
-
-      ${
-        addr.line1 || addr.city || addr.zip
-          ? `
-        <h3 style="margin:18px 0 8px;">Address</h3>
-        <p style="margin:0 0 14px;">
-          ${escapeHtml(addr.line1)}${addr.line2 ? `<br>${escapeHtml(addr.line2)}` : ""}<br>
-          ${escapeHtml(addr.city)}${addr.state ? ", " + escapeHtml(addr.state) : ""} ${escapeHtml(addr.zip)}
-          ${addr.notes ? `<br><strong>Notes:</strong> ${escapeHtml(addr.notes)}` : ""}
-        </p>
-      `
-          : ""
-      }
-
-      <h3 style="margin:18px 0 8px;">Items</h3>
-      ${htmlTableItems(items)}
-
-      ${
-        summaryRows.length
-          ? `
-        <h3 style="margin:18px 0 8px;">Order Summary</h3>
-        ${htmlTableSummary(summaryRows)}
-      `
-          : ""
-      }
-    </div>
-  `;
-
-  const customerSubject = isSelfFlow
-    ? "Chair Rental Request Received – Pending Approval"
-    : "Event Rental Request Received – Pending Approval";
-
-  const customerText =
-    `Hi${customerName ? " " + customerName : ""},\n\n` +
-    `We received your request and it is pending approval.\n` +
-    `We’ll review availability and follow up shortly.\n` +
-    `If approved, we’ll email you an invoice to complete booking.\n\n` +
-    `Request ID: ${requestId}\n\n` +
-    (isSelfFlow
-      ? (schedule.selfPickupDate ? `Pickup: ${schedule.selfPickupDate}\n` : "") +
-        (schedule.selfReturnDate ? `Return: ${schedule.selfReturnDate}\n\n` : "\n")
-      : (schedule.dropDate
-          ? `Delivery: ${schedule.dropDate}${schedule.dropWindow ? " (" + schedule.dropWindow + ")" : ""}\n`
-          : "") +
-        (schedule.pickDate
-          ? `Pickup:   ${schedule.pickDate}${schedule.pickWindow ? " (" + schedule.pickWindow + ")" : ""}\n\n`
-          : "\n")) +
-    `Items:\n${textItems(items)}\n` +
-    (summaryRows.length ? `\nOrder Summary:\n${textSummary(summaryRows)}\n` : "") +
-    `\nView our Rental Policies:\n${POLICIES_URL}\n` +
-    `\nThanks,\nKraus' Tables & Chairs\n${SIG_ADDRESS}\n${SIG_PHONE}\nkraustables.com\n`;
-
-  const customerHtml = `
-    <div style="font-family:Arial,Helvetica,sans-serif; color:#111; line-height:1.4;">
-      <p style="margin:0 0 12px;">Hi${customerName ? " " + escapeHtml(customerName) : ""},</p>
-
-      <p style="margin:0 0 12px;">
-        We received your request and it is pending approval.<br>
-        We’ll review availability and follow up shortly.<br>
-        <strong>If approved, we’ll email you an invoice to complete booking.</strong>
-      </p>
-
-      <p style="margin:0 0 14px;"><strong>Request ID:</strong> ${escapeHtml(requestId)}</p>
-
-      <h3 style="margin:18px 0 8px;">Contact Info</h3>
-      <p style="margin:0 0 14px;">
-        <strong>Name:</strong> ${escapeHtml(customerName || "(not provided)")}<br>
-        <strong>Email:</strong> ${escapeHtml(customerEmail)}${customer.phone ? `<br><strong>Phone:</strong> ${escapeHtml(customer.phone)}` : ""}
-      </p>
-
-      ${
-        addr.line1 || addr.city || addr.zip
-          ? `
-        <h3 style="margin:18px 0 8px;">Delivery Address</h3>
-        <p style="margin:0 0 14px;">
-          ${escapeHtml(addr.line1)}${addr.line2 ? `<br>${escapeHtml(addr.line2)}` : ""}<br>
-          ${escapeHtml(addr.city)}${addr.state ? ", " + escapeHtml(addr.state) : ""} ${escapeHtml(addr.zip)}
-          ${addr.notes ? `<br><strong>Notes:</strong> ${escapeHtml(addr.notes)}` : ""}
-        </p>
-      `
-          : ""
-      }
-
-      <h3 style="margin:18px 0 8px;">Schedule</h3>
-      <p style="margin:0 0 14px;">
-        ${isSelfFlow && schedule.selfPickupDate ? `<strong>Pickup:</strong> ${escapeHtml(schedule.selfPickupDate)}<br>` : ""}
-        ${isSelfFlow && schedule.selfReturnDate ? `<strong>Return:</strong> ${escapeHtml(schedule.selfReturnDate)}` : ""}
-        ${
-          !isSelfFlow && schedule.dropDate
-            ? `<strong>Delivery:</strong> ${escapeHtml(schedule.dropDate)}${
-                schedule.dropWindow ? " (" + escapeHtml(schedule.dropWindow) + ")" : ""
-              }<br>`
-            : ""
-        }
-        ${
-          !isSelfFlow && schedule.pickDate
-            ? `<strong>Pickup:</strong> ${escapeHtml(schedule.pickDate)}${
-                schedule.pickWindow ? " (" + escapeHtml(schedule.pickWindow) + ")" : ""
-              }`
-            : ""
-        }
-      </p>
-
-      <h3 style="margin:18px 0 8px;">Items</h3>
-      ${htmlTableItems(items)}
-
-      ${
-        summaryRows.length
-          ? `
-        <h3 style="margin:18px 0 8px;">Order Summary</h3>
-        ${htmlTableSummary(summaryRows)}
-      `
-          : ""
-      }
-
-      <p style="margin:18px 0 0;">
-        <a href="${escapeHtml(POLICIES_URL)}">View our Rental Policies</a>
-      </p>
-
-      <div style="margin-top:24px;font-size:13px;line-height:1.45;color:#888;">
-  <strong style="color:#666;">Kraus’ Tables &amp; Chairs</strong><br>
-  956 Hancock Street, #1L<br>
-  Brooklyn, NY 11233<br>
-  <a href="tel:+17182184057">(718) 218-4057</a><br>
-  <a href="https://kraustables.com">kraustables.com</a>
-</div>
-    </div>
-  `;
+  // Every amount in the emails comes from the shared engine (same rules as checkout-self /
+  // checkout-full). What the browser sent is only compared against it and flagged to the owner.
+  const pricingInput = toPricingInput(p, isSelfFlow);
+  const serverQuote = priceOrder(pricingInput);
+  const priced = serverQuote.errors.length === 0;
+  const items = priced ? itemsFromQuote(serverQuote) : normalizeItems(p);
+  const summaryRows = priced ? summaryRowsFromQuote(serverQuote) : [];
+  const discrepancies = priced ? findDiscrepancies(p, serverQuote) : [];
+  if (discrepancies.length) {
+    console.warn("[quote-request] client pricing differs from server quote:", requestId, JSON.stringify(discrepancies));
+  }
 
+  // Store the request before anything is sent: it is what the owner converts into a checkout or
+  // invoice (admin-quote-request) and what a double-submit is matched against.
   try {
-    await sendResend({
-      apiKey: RESEND_API_KEY,
-      from: FROM_EMAIL,
-      to: OWNER_EMAIL,
-      subject: ownerSubject,
-      text: ownerText,
-      html: ownerHtml,
-    });
-
-    // SMS owner notification (uses same env vars as checkout-webhook)
-    try {
-      const smsEnabled =
-        !!OWNER_PHONE &&
-        !!TWILIO_PHONE_NUMBER &&
-        !!TWILIO_ACCOUNT_SID &&
-        !!TWILIO_AUTH_TOKEN;
-
-      if (smsEnabled) {
-        const totalLine = pricing?.total ? `Total: ${fmtMoney(pricing.total)}` : "";
-        const nameLine = customerName ? `Customer: ${customerName}` : "";
-        const idLine = `Request: ${requestId}`;
-
-        const deliveryLine = schedule.dropDate
-          ? `Delivery: ${schedule.dropDate}${schedule.dropWindow ? ` (${schedule.dropWindow})` : ""}`
-          : "";
-        const pickupLine = schedule.pickDate
-          ? `Pickup: ${schedule.pickDate}${schedule.pickWindow ? ` (${schedule.pickWindow})` : ""}`
-          : "";
-
-        const selfPickupLine = schedule.selfPickupDate
-          ? `Pickup: ${schedule.selfPickupDate}`
-          : "";
-        const selfReturnLine = schedule.selfReturnDate
-          ? `Return: ${schedule.selfReturnDate}`
-          : "";
-
-        const header = isSelfFlow
-          ? `🙋‍♀️ NEW CHAIR RENTAL REQUEST`
-          : `🚚 NEW EVENT RENTAL REQUEST`;
-
-        const body = [
-          `${header} — ${requestId}`,
-          nameLine,
-          idLine,
-          isSelfFlow ? selfPickupLine : deliveryLine,
-          isSelfFlow ? selfReturnLine : pickupLine,
-          totalLine,
-        ]
-          .filter(Boolean)
-          .join("\n")
-          .slice(0, 1500);
-
-        await sendTwilioSms({
-          accountSid: TWILIO_ACCOUNT_SID,
-          authToken: TWILIO_AUTH_TOKEN,
-          from: TWILIO_PHONE_NUMBER,
-          to: OWNER_PHONE,
-          body,
-        });
-      } else {
-        console.log("Twilio not configured; skipping SMS");
-      }
-    } catch (smsErr) {
-      console.error("Failed to send owner SMS:", smsErr?.message || smsErr);
-      // Best-effort: do not fail the request if SMS fails
+    const { request: stored, created } = await createQuoteRequest(
+      buildQuoteRequest({
+        id: requestId,
+        flow: pricingInput.flow,
+        client_order_token: clientToken,
+        customer: { name: customerName, email: customerEmail, phone: customer.phone },
+        input: pricingInput,
+        total_cents: priced ? serverQuote.total_cents : null,
+        pricing_errors: serverQuote.errors,
+        client_discrepancies: discrepancies,
+      })
+    );
+    // Lost the insert to a concurrent submit with the same token: that one sends the notifications
+    if (!created) {
+      if (clientToken) return await answerDuplicate(stored);
+      throw new Error(`Quote request id already in use: ${requestId}`);
     }
+  } catch (err) {
+    console.error("quote-request store error:", err);
+    return json(500, { ok: false, requestId, error: "Failed to save request" });
+  }
+
+  // Owner-only: anything the customer did not get a server price for, or saw a different price for
+  const priceCheck = priced
+    ? discrepancies.length
+      ? [
+          "The request form showed different amounts; the customer was only sent the amounts below.",
+          ...discrepancies.map(describeDiscrepancy),
+        ]
+      : []
+    : [`Could not price this request: ${serverQuote.errors.join("; ")}`, "The customer was sent no amounts."];
+
+  // Emails: lib/quote-request-emails (shared layout and plain-text part: lib/email-templates)
+  const emailRequest = {
+    requestId,
+    flow,
+    createdAt,
+    clientToken,
+    isSelfFlow,
+    customer: { name: customerName, email: customerEmail, phone: safe(customer.phone) },
+    schedule,
+    address: addr,
+    items,
+    summaryRows,
+    priceCheck,
+  };
+  const ownerEmail = buildQuoteRequestOwnerEmail(emailRequest);
+  const customerEmailMessage = buildQuoteRequestCustomerEmail(emailRequest);
+
+  // SMS owner notification (uses same env vars as checkout-webhook)
+  const smsEnabled = !!OWNER_PHONE && !!TWILIO_PHONE_NUMBER && !!TWILIO_ACCOUNT_SID && !!TWILIO_AUTH_TOKEN;
+  let smsBody = "";
+  if (smsEnabled) {
+    const totalLine = priced ? `Total: ${fmtMoney(serverQuote.total_cents / 100)}` : "";
+    const nameLine = customerName ? `Customer: ${customerName}` : "";
+    const idLine = `Request: ${requestId}`;
+
+    const deliveryLine = schedule.dropDate
+      ? `Delivery: ${schedule.dropDate}${schedule.dropWindow ? ` (${schedule.dropWindow})` : ""}`
+      : "";
+    const pickupLine = schedule.pickDate
+      ? `Pickup: ${schedule.pickDate}${schedule.pickWindow ? ` (${schedule.pickWindow})` : ""}`
+      : "";
+
+    const selfPickupLine = schedule.selfPickupDate
+      ? `Pickup: ${schedule.selfPickupDate}`
+      : "";
+    const selfReturnLine = schedule.selfReturnDate
+      ? `Return: ${schedule.selfReturnDate}`
+      : "";
+
+    const header = isSelfFlow
+      ? `🙋‍♀️ NEW CHAIR RENTAL REQUEST`
+      : `🚚 NEW EVENT RENTAL REQUEST`;
+
+    smsBody = [
+      `${header} — ${requestId}`,
+      nameLine,
+      idLine,
+      isSelfFlow ? selfPickupLine : deliveryLine,
+      isSelfFlow ? selfReturnLine : pickupLine,
+      totalLine,
+      priceCheck.length ? "⚠️ Check pricing (see email)" : "",
+    ]
+      .filter(Boolean)
+      .join("\n")
+      .slice(0, 1500);
+  } else {
+    console.log("Twilio not configured; skipping SMS");
+  }
 
-    await sendResend({
-      apiKey: RESEND_API_KEY,
-      from: FROM_EMAIL,
+  // Each message is queued and sent on its own (lib/outbox); one that fails is retried by the
+  // outbox-retry job without re-sending the others.
+  const ref = { quote_request_id: requestId };
+  const messages = [
+    {
+      id: `${requestId}:owner_email`,
+      kind: "email",
+      ref,
+      label: "owner_email",
+      to: OWNER_EMAIL,
+      payload: { from: FROM_EMAIL, ...ownerEmail },
+    },
+    ...(smsEnabled
+      ? [{
+          id: `${requestId}:owner_sms`,
+          kind: "sms",
+          ref,
+          label: "owner_sms",
+          to: OWNER_PHONE,
+          payload: { from: TWILIO_PHONE_NUMBER, body: smsBody },
+        }]
+      : []),
+    {
+      id: `${requestId}:customer_email`,
+      kind: "email",
+      ref,
+      label: "customer_email",
       to: customerEmail,
-      subject: customerSubject,
-      text: customerText,
-      html: customerHtml,
-    });
+      payload: { from: FROM_EMAIL, ...customerEmailMessage },
+    },
+  ];
 
-    return json(200, { ok: true, requestId });
+  try {
+    const delivery = deliverySummary(await enqueueAndDeliver(messages));
+    return json(200, { ok: true, requestId, delivery });
   } catch (err) {
     console.error("quote-request error:", err);
-    return json(500, { ok: false, requestId, error: "Failed to send email" });
+    return json(500, { ok: false, requestId, error: "Failed to queue notifications" });
   }
 };
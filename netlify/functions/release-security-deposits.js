@@ -0,0 +1,113 @@
+// netlify/functions/release-security-deposits.js
+// Scheduled function (daily, see netlify.toml): releases security deposits whose release date
+// has come (lib/security-deposits) — cancels the card hold or refunds the deposit charge —
+// unless the owner flagged damage. Flagged deposits on a card hold that is about to lapse are
+// texted to the owner once, so the claim is filed before the hold is gone.
+//
+// Response / log line is a run report:
+// { ok, checked, released: [...], flagged: [...], expiring: [...], not_due, failed: [{ order_id, error }] }
+const { listOrders, updateOrder } = require('../lib/orders');
+const { formatWhen } = require('../lib/order-status');
+const { sendOwnerAlert } = require('../lib/owner-alerts');
+const { AUTH_WINDOW_DAYS, WARN_HOURS } = require('../lib/auth-holds');
+const { connectStore } = require('../lib/store');
+const {
+  OPEN_DEPOSIT_STATUSES,
+  depositIsDue,
+  releaseSecurityDeposit
+} = require('../lib/security-deposits');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+};
+
+function centsToDollars(cents) {
+  const n = Number(cents || 0);
+  return (n / 100).toFixed(2);
+}
+
+exports.handler = async (event) => {
+  connectStore(event);
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors };
+
+  try {
+    const now = new Date();
+    const report = { checked: 0, released: [], flagged: [], expiring: [], not_due: 0, failed: [] };
+
+    const orders = await listOrders((o) => OPEN_DEPOSIT_STATUSES.includes(o.security_deposit?.status));
+    for (const order of orders) {
+      const deposit = order.security_deposit;
+      report.checked += 1;
+
+      if (deposit.damage_flagged) {
+        report.flagged.push(order.id);
+
+        const expiresAt = new Date(Date.parse(deposit.placed_at) + AUTH_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const hoursLeft = (expiresAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+        if (deposit.status === 'held' && hoursLeft <= WARN_HOURS && !deposit.expiry_warned_at) {
+          await sendOwnerAlert({
+            subject: `Damage deposit hold expiring — order ${order.id}`,
+            sms: `${order.customer?.name || 'Customer'} $${centsToDollars(deposit.amount_cents)} deposit hold lapses ~${formatWhen(expiresAt.toISOString())}. File the damage claim before then.`,
+            details: { order_id: order.id, deposit }
+          });
+          await updateOrder(order.id, (current) => ({
+            ...current,
+            security_deposit: { ...current.security_deposit, expiry_warned_at: now.toISOString() }
+          }));
+          report.expiring.push(order.id);
+        }
+        continue;
+      }
+
+      if (!depositIsDue(deposit)) {
+        report.not_due += 1;
+        continue;
+      }
+
+      try {
+        await releaseSecurityDeposit(order.id, { actor: 'release-security-deposits' });
+        report.released.push({ order_id: order.id, amount_cents: deposit.amount_cents, mode: deposit.mode });
+      } catch (err) {
+        console.error('[ALERT] Failed to release security deposit:', order.id, err?.message || err);
+        report.failed.push({ order_id: order.id, error: err?.message || String(err) });
+      }
+    }
+
+    if (report.failed.length) {
+      await sendOwnerAlert({
+        subject: `Security deposit release FAILED for ${report.failed.length} order(s)`,
+        sms: report.failed.map((f) => `${f.order_id}: ${f.error}`).join('; '),
+        details: { failed: report.failed }
+      });
+    }
+
+    console.log('[release-security-deposits] report', JSON.stringify({
+      checked: report.checked,
+      released: report.released.length,
+      flagged: report.flagged.length,
+      expiring: report.expiring.length,
+      not_due: report.not_due,
+      failed: report.failed.length
+    }));
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', ...cors },
+      body: JSON.stringify({ ok: true, ...report })
+    };
+  } catch (err) {
+    console.error('release-security-deposits error:', err);
+    await sendOwnerAlert({
+      subject: 'Security deposit release job crashed',
+      sms: err?.message || String(err),
+      details: { where: 'release-security-deposits', message: err?.message || String(err) }
+    });
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ ok: false, error: err.message })
+    };
+  }
+};
@@ -1,6 +1,24 @@
 // netlify/functions/send-balance-invoices.js
-// Scheduled function: finalizes + sends draft invoices when their scheduled send time is reached.
+// Scheduled function (hourly, see netlify.toml): finalizes + charges remaining-balance draft
+// invoices once their scheduled time is reached. The invoice contract (metadata keys, when an
+// invoice is due) lives in lib/balance-invoices and is shared with checkout-approve.
+//
+// Also retries balance invoices whose charge failed (still 'open') until drop-off morning, then
+// escalates to the owner (see balanceRetryDecision). Customer/owner notices for each failed
+// charge come from checkout-webhook's invoice.payment_failed handler.
+//
+// Response / log line is a run report:
+// { ok, checked, ignored, scheduled: [...], sent: [...], skipped: [{ invoice_id, reason }], failed: [...],
+//   retried: [...], escalated: [...] }
+// failed[].stage: 'finalize' | 'charge' | 'status' (charged, but the order was not moved to
+// paid_in_full; the invoice is also listed under sent / retried as paid).
 const Stripe = require('stripe');
+const { getOrder } = require('../lib/orders');
+const { transitionOrder } = require('../lib/order-status');
+const { isBalanceInvoice, balanceSendTs, balanceRetryDecision } = require('../lib/balance-invoices');
+const { sendOwnerAlert } = require('../lib/owner-alerts');
+const { markPaymentAtRisk, noteEscalated } = require('../lib/payment-failures');
+const { connectStore } = require('../lib/store');
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
 
@@ -10,57 +28,241 @@ const cors = {
   'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
 };
 
+function centsToDollars(cents) {
+  const n = Number(cents || 0);
+  return (n / 100).toFixed(2);
+}
+
+// Drafts from before the shared contract: created with metadata.flow + automatically_finalizes_at,
+// so Stripe finalizes and charges them itself.
+function isLegacyBalanceDraft(inv) {
+  const md = inv.metadata || {};
+  return md.flow === 'full_service' && Boolean(md.checkout_session_id);
+}
+
+const FAILURE_SUBJECTS = {
+  finalize: 'Balance invoice failed to finalize',
+  charge: 'Balance invoice failed to charge',
+  status: 'Balance invoice paid, but the order status was not updated'
+};
+
+async function alertFailure(entry) {
+  await sendOwnerAlert({
+    subject: FAILURE_SUBJECTS[entry.stage] || FAILURE_SUBJECTS.charge,
+    sms: `Order ${entry.order_id || '?'} · invoice ${entry.invoice_id} · $${centsToDollars(entry.amount_cents)}: ${entry.error}`,
+    details: entry
+  });
+}
+
+// Card declines also arrive as invoice.payment_failed, which notifies customer + owner.
+function isCardDecline(err) {
+  return err?.type === 'StripeCardError' || err?.rawType === 'card_error';
+}
+
+async function paginate(params, fn) {
+  let starting_after = null;
+  // Paginate through invoices (small businesses: this is fine)
+  while (true) {
+    const page = await stripe.invoices.list({
+      ...params,
+      limit: 100,
+      ...(starting_after ? { starting_after } : {})
+    });
+
+    if (!page.data || page.data.length === 0) break;
+    for (const inv of page.data) await fn(inv);
+
+    if (!page.has_more) break;
+    starting_after = page.data[page.data.length - 1].id;
+  }
+}
+
+// Move the order of a paid balance invoice to paid_in_full. Returns null, or the error message
+// when the update failed (the invoice stays paid; invoice.paid may have moved the order first).
+async function markOrderPaid(order, paid) {
+  try {
+    await transitionOrder(order.id, 'paid_in_full', {
+      actor: 'balance-job',
+      stripe: { balance_invoice_id: paid.id, payment_intent_id: paid.payment_intent },
+      patch: { paid_in_full_at: new Date().toISOString() }
+    });
+    return null;
+  } catch (err) {
+    return err.code === 'INVALID_TRANSITION' ? null : (err?.message || String(err));
+  }
+}
+
+// Finalize + charge one due invoice. Returns { sent } or { failed } report entries (both when the
+// charge went through but the order status update failed).
+async function chargeBalanceInvoice(inv, order) {
+  const base = {
+    invoice_id: inv.id,
+    order_id: order?.id || inv.metadata?.order_id || null,
+    amount_cents: inv.amount_due
+  };
+
+  let finalized;
+  try {
+    finalized = await stripe.invoices.finalizeInvoice(inv.id, { auto_advance: false });
+  } catch (err) {
+    return { failed: { ...base, stage: 'finalize', error: err?.message || String(err) } };
+  }
+
+  let paid;
+  try {
+    paid = finalized.collection_method === 'send_invoice'
+      ? await stripe.invoices.sendInvoice(finalized.id)
+      : await stripe.invoices.pay(finalized.id);
+  } catch (err) {
+    return {
+      failed: {
+        ...base,
+        stage: 'charge',
+        error: err?.message || String(err),
+        card_declined: isCardDecline(err),
+        decline_code: err?.raw?.decline_code || err?.decline_code || null,
+        hosted_invoice_url: finalized.hosted_invoice_url || null
+      }
+    };
+  }
+
+  const sent = { ...base, status: paid.status, hosted_invoice_url: paid.hosted_invoice_url || null };
+  const statusError = order && paid.status === 'paid' ? await markOrderPaid(order, paid) : null;
+  return statusError ? { sent, failed: { ...base, stage: 'status', error: statusError } } : { sent };
+}
+
 exports.handler = async (event) => {
+  connectStore(event);
   if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors };
 
   try {
     const now = Math.floor(Date.now() / 1000);
-    let sentCount = 0;
-    let checked = 0;
-    let starting_after = null;
+    const report = {
+      checked: 0, ignored: 0, scheduled: [], sent: [], skipped: [], failed: [], retried: [], escalated: []
+    };
+
+    // 1) Drafts due for their first charge
+    await paginate({ status: 'draft' }, async (inv) => {
+      if (inv.status !== 'draft') return; // defensive
+      report.checked += 1;
+
+      if (!isBalanceInvoice(inv)) {
+        if (isLegacyBalanceDraft(inv)) {
+          report.skipped.push({ invoice_id: inv.id, reason: 'legacy draft (Stripe auto-finalizes it)' });
+        } else {
+          report.ignored += 1;
+        }
+        return;
+      }
+
+      const md = inv.metadata || {};
+      const sendTs = balanceSendTs(inv);
+      if (!sendTs) {
+        report.skipped.push({ invoice_id: inv.id, order_id: md.order_id || null, reason: 'missing or invalid kraus_send_ts' });
+        return;
+      }
+
+      // Orders that were cancelled, refunded or already paid keep their draft unsent
+      const order = await getOrder(md.order_id);
+      if (order && order.status !== 'balance_scheduled') {
+        report.skipped.push({ invoice_id: inv.id, order_id: order.id, reason: `order is ${order.status}` });
+        return;
+      }
 
-    // Paginate through draft invoices (small businesses: this is fine)
-    while (true) {
-      const page = await stripe.invoices.list({
-        status: 'draft',
-        limit: 100,
-        ...(starting_after ? { starting_after } : {})
-      });
+      if (sendTs > now) {
+        report.scheduled.push({
+          invoice_id: inv.id,
+          order_id: order?.id || md.order_id || null,
+          send_at: new Date(sendTs * 1000).toISOString()
+        });
+        return;
+      }
 
-      if (!page.data || page.data.length === 0) break;
+      const outcome = await chargeBalanceInvoice(inv, order);
+      if (outcome.sent) report.sent.push(outcome.sent);
+      if (outcome.failed) {
+        report.failed.push(outcome.failed);
+        if (!outcome.failed.card_declined) await alertFailure(outcome.failed);
+      }
+    });
 
-      for (const inv of page.data) {
-        if (inv.status !== 'draft') continue; // defensive
-        checked += 1;
+    // 2) Balance invoices whose charge failed: retry until drop-off morning, then escalate
+    await paginate({ status: 'open', collection_method: 'charge_automatically' }, async (inv) => {
+      if (!isBalanceInvoice(inv)) return;
+      report.checked += 1;
 
-        const md = inv.metadata || {};
-        if (md.kraus_flow !== 'full_service') continue;
+      const md = inv.metadata || {};
+      const order = await getOrder(md.order_id);
+      if (order && order.status !== 'balance_scheduled') {
+        report.skipped.push({ invoice_id: inv.id, order_id: order.id, reason: `order is ${order.status}` });
+        return;
+      }
 
-        const sendTs = Number(md.kraus_send_ts || 0);
-        if (!Number.isFinite(sendTs) || sendTs <= 0) continue;
+      const decision = balanceRetryDecision(inv);
+      const entry = { invoice_id: inv.id, order_id: order?.id || md.order_id || null, amount_cents: inv.amount_due };
 
-        if (sendTs > now) {
-          console.log(`Skipping ${inv.id} — scheduled for ${sendTs} (now=${now})`);
-          continue;
+      if (decision === 'retry') {
+        // Record the attempt first so an overlapping run does not charge twice
+        await stripe.invoices.update(inv.id, { metadata: { kraus_last_attempt_ts: String(now) } });
+        let paid = null;
+        try {
+          paid = await stripe.invoices.pay(inv.id);
+          report.retried.push({ ...entry, status: paid.status });
+        } catch (err) {
+          report.retried.push({ ...entry, status: 'failed', error: err?.message || String(err) });
+          if (!isCardDecline(err)) await alertFailure({ ...entry, stage: 'charge', error: err?.message || String(err) });
         }
 
-        // finalize + send
-        const finalized = await stripe.invoices.finalizeInvoice(inv.id);
-        await stripe.invoices.sendInvoice(finalized.id);
-        sentCount += 1;
+        const statusError = paid && order && paid.status === 'paid' ? await markOrderPaid(order, paid) : null;
+        if (statusError) {
+          const failed = { ...entry, stage: 'status', error: statusError };
+          report.failed.push(failed);
+          await alertFailure(failed);
+        }
+      } else if (decision === 'escalate') {
+        await stripe.invoices.update(inv.id, { metadata: { kraus_escalated: '1' } });
+        if (order) {
+          await markPaymentAtRisk(order.id, {
+            kind: 'balance',
+            invoice_id: inv.id,
+            amount_cents: inv.amount_due,
+            hosted_invoice_url: inv.hosted_invoice_url,
+            error: 'Unpaid on drop-off morning'
+          });
+          await noteEscalated(order.id);
+        }
+        report.escalated.push(entry);
+        await sendOwnerAlert({
+          subject: `UNPAID balance on drop-off day — order ${entry.order_id || inv.id}`,
+          sms: `${order?.customer?.name || inv.customer_name || 'Customer'} owes $${centsToDollars(inv.amount_due)} for drop-off ${md.dropoff_date || '?'}. Autopay retries failed; collect before delivery. ${inv.hosted_invoice_url || ''}`,
+          details: { ...entry, dropoff_date: md.dropoff_date, hosted_invoice_url: inv.hosted_invoice_url || null }
+        });
       }
+    });
 
-      if (!page.has_more) break;
-      starting_after = page.data[page.data.length - 1].id;
-    }
+    console.log('[send-balance-invoices] report', JSON.stringify({
+      checked: report.checked,
+      ignored: report.ignored,
+      scheduled: report.scheduled.length,
+      sent: report.sent.length,
+      skipped: report.skipped.length,
+      failed: report.failed.length,
+      retried: report.retried.length,
+      escalated: report.escalated.length
+    }));
 
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json', ...cors },
-      body: JSON.stringify({ ok: true, checked, sent: sentCount })
+      body: JSON.stringify({ ok: report.failed.length === 0, ...report })
     };
   } catch (err) {
     console.error('send-balance-invoices error:', err);
+    await sendOwnerAlert({
+      subject: 'Balance invoice job crashed',
+      sms: err?.message || String(err),
+      details: { where: 'send-balance-invoices', message: err?.message || String(err) }
+    });
     return {
       statusCode: 500,
       headers: cors,
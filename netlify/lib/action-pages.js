@@ -0,0 +1,225 @@
+// netlify/lib/action-pages.js
+// HTML pages for the emailed links: the owner's approve/decline links and the customer's
+// "manage your booking" link.
+//
+// GET only renders a confirmation page (link prefetchers and mail scanners follow GETs);
+// the money-moving action runs on the page's POST button, which shows a result page.
+
+const { getOrder, orderDates } = require('./orders');
+const { approvalPreview } = require('./approve-order');
+const { escapeHtml } = require('./email-templates');
+
+const LABELS = {
+  approve: { verb: 'Approve', past: 'approved', button: 'Approve and charge', color: '#1a7f37' },
+  decline: { verb: 'Decline', past: 'declined', button: 'Decline request', color: '#b42318' }
+};
+
+function money(cents) {
+  const n = Number(cents || 0);
+  return `$${(n / 100).toFixed(2)}`;
+}
+
+// Token from ?token=, a JSON body { token } or the confirmation form (x-www-form-urlencoded).
+function readToken(event) {
+  const qsToken = event.queryStringParameters?.token;
+  if (qsToken) return qsToken;
+  if (!event.body) return null;
+
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+  try {
+    return JSON.parse(raw).token || null;
+  } catch {
+    return new URLSearchParams(raw).get('token');
+  }
+}
+
+// Form posts from the confirmation page (and browsers) get HTML; API callers keep getting JSON.
+function wantsHtml(event) {
+  const h = event.headers || {};
+  const contentType = String(h['content-type'] || h['Content-Type'] || '');
+  const accept = String(h.accept || h.Accept || '');
+  return event.httpMethod === 'GET' ||
+    contentType.includes('application/x-www-form-urlencoded') ||
+    accept.includes('text/html');
+}
+
+function htmlResponse(statusCode, html) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex, nofollow',
+      // the token is in the URL
+      'Referrer-Policy': 'no-referrer'
+    },
+    body: html
+  };
+}
+
+function layout(title, inner) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;background:#f6f6f4;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;font-size:15px;color:#111;line-height:1.5;">
+  <div style="max-width:560px;margin:32px auto;padding:24px;background:#fff;border:1px solid #e3e3e0;border-radius:8px;">
+    ${inner}
+    <p style="margin-top:28px;color:#777;font-size:13px;">– Kraus’ Tables &amp; Chairs</p>
+  </div>
+</body>
+</html>`;
+}
+
+function rowsTable(rows) {
+  return `<table style="width:100%;border-collapse:collapse;margin:12px 0;">
+    ${rows.map(([label, value, strong]) => `
+      <tr>
+        <td style="padding:6px 0;border-bottom:1px solid #eee;color:#555;">${escapeHtml(label)}</td>
+        <td style="padding:6px 0;border-bottom:1px solid #eee;text-align:right;${strong ? 'font-weight:700;' : ''}">${escapeHtml(value)}</td>
+      </tr>`).join('')}
+  </table>`;
+}
+
+// Order summary + amounts for the confirmation page. Falls back to the token claims for
+// sessions created before orders were stored.
+async function actionSummary(claims) {
+  const order = await getOrder(claims.orderId);
+  const preview = approvalPreview(order, claims);
+  const { start_date, end_date } = order ? orderDates(order) : { start_date: claims.orderDetails?.dropoff_date || '', end_date: '' };
+  const isSelf = preview.flow === 'self_service';
+
+  return {
+    order_id: order?.id || claims.orderId || '',
+    status: order?.status || '',
+    customer_name: order?.customer?.name || claims.customerName || '',
+    customer_email: order?.customer?.email || claims.customerEmail || '',
+    flow_label: isSelf ? 'Self-service pickup' : 'Full-service delivery',
+    start_label: isSelf ? 'Pickup' : 'Drop-off',
+    end_label: isSelf ? 'Return' : 'Pickup',
+    start_date,
+    end_date,
+    items: order?.items || [],
+    ...preview
+  };
+}
+
+function confirmPage({ action, token, postUrl, summary }) {
+  const l = LABELS[action];
+  const s = summary;
+
+  const detailRows = [
+    ['Order', s.order_id || '—'],
+    ['Customer', [s.customer_name, s.customer_email].filter(Boolean).join(' · ') || '—'],
+    ['Service', s.flow_label],
+    [s.start_label, s.start_date || '—'],
+    ...(s.end_date ? [[s.end_label, s.end_date]] : []),
+    ...s.items.map((it) => [`${it.qty} × ${it.name || it.sku}`, money(it.total_cents)]),
+    ['Order total', money(s.total_cents), true]
+  ];
+
+  const paymentRows = action === 'approve'
+    ? [
+        [s.balance_cents > 0 ? 'Deposit charged now' : 'Charged now', money(s.paid_now_cents), true],
+        ...(s.balance_cents > 0
+          ? [[`Balance auto-charged${s.balance_due ? ` on ${s.balance_due}` : ' before drop-off'}`, money(s.balance_cents)]]
+          : [['Remaining balance', '$0.00 (paid in full)']])
+      ]
+    : [['Charged', '$0.00 — the card hold / saved card is released']];
+
+  return layout(`${l.verb} order ${s.order_id}`, `
+    <h1 style="font-size:20px;margin:0 0 4px;">${escapeHtml(l.verb)} this request?</h1>
+    <p style="margin:0;color:#555;">Nothing happens until you press the button below.</p>
+    ${rowsTable(detailRows)}
+    ${rowsTable(paymentRows)}
+    <form method="POST" action="${escapeHtml(postUrl)}" style="margin-top:20px;">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <button type="submit" style="font:inherit;font-weight:600;padding:12px 20px;border:0;border-radius:6px;background:${l.color};color:#fff;cursor:pointer;">
+        ${escapeHtml(l.button)}
+      </button>
+    </form>
+  `);
+}
+
+// Customer page: booking summary, what cancelling now would refund, and the cancel button.
+// quote: lib/cancellation cancellationQuote()
+function managePage({ token, postUrl, order, quote }) {
+  const isSelf = order.flow === 'self_service';
+  const { start_date, end_date } = orderDates(order);
+  const paid = quote.paid_cents;
+
+  const detailRows = [
+    ['Order', order.id],
+    ['Status', String(order.status || '').replace(/_/g, ' ')],
+    ['Service', isSelf ? 'Self-service pickup' : 'Full-service delivery'],
+    [isSelf ? 'Pickup' : 'Drop-off', start_date || '—'],
+    ...(end_date ? [[isSelf ? 'Return' : 'Pickup', end_date]] : []),
+    ...(order.items || []).map((it) => [`${it.qty} × ${it.name || it.sku}`, money(it.total_cents)]),
+    ['Order total', money(order.pricing?.total_cents), true]
+  ];
+
+  if (!quote.cancellable) {
+    return layout(`Your booking ${order.id}`, `
+      <h1 style="font-size:20px;margin:0 0 4px;">Your booking</h1>
+      ${rowsTable(detailRows)}
+      <p style="margin:0;color:#555;">${escapeHtml(quote.reason)}</p>
+    `);
+  }
+
+  const termsRows = quote.charged
+    ? [
+        ['Paid so far', money(paid)],
+        [`Refund (${quote.refund_pct}%)`, money(quote.refund_cents), true],
+        ...(quote.kept_cents > 0 ? [['Cancellation fee (kept)', money(quote.kept_cents)]] : []),
+        ...(order.status === 'balance_scheduled' ? [['Remaining balance', 'Cancelled — will not be charged']] : [])
+      ]
+    : [['Charged', '$0.00 — your card hold is released']];
+
+  const noticeNote = quote.charged
+    ? (quote.refund_pct === 100
+        ? `You are cancelling ${quote.days_before} day(s) ahead, within our ${quote.notice_days}-day notice for an order this size, so everything you paid is refunded.`
+        : `Orders this size need ${quote.notice_days} days’ notice for a refund; you are cancelling ${quote.days_before} day(s) ahead.`)
+    : 'Your request has not been approved yet, so nothing has been charged.';
+
+  return layout(`Your booking ${order.id}`, `
+    <h1 style="font-size:20px;margin:0 0 4px;">Your booking</h1>
+    ${rowsTable(detailRows)}
+    <h2 style="font-size:16px;margin:20px 0 4px;">Cancel this booking?</h2>
+    <p style="margin:0;color:#555;">${escapeHtml(noticeNote)}</p>
+    ${rowsTable(termsRows)}
+    <form method="POST" action="${escapeHtml(postUrl)}" style="margin-top:20px;">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <button type="submit" style="font:inherit;font-weight:600;padding:12px 20px;border:0;border-radius:6px;background:#b42318;color:#fff;cursor:pointer;">
+        Cancel my booking
+      </button>
+    </form>
+    <p style="margin-top:12px;color:#777;font-size:13px;">Need a change instead? Just reply to your confirmation email.</p>
+  `);
+}
+
+// ok: success or not; rows: [[label, value]] shown under the message
+function resultPage({ ok, title, message, rows = [] }) {
+  return layout(title, `
+    <h1 style="font-size:20px;margin:0 0 8px;color:${ok ? '#1a7f37' : '#b42318'};">${escapeHtml(title)}</h1>
+    <p style="margin:0;">${escapeHtml(message)}</p>
+    ${rows.length ? rowsTable(rows) : ''}
+  `);
+}
+
+module.exports = {
+  LABELS,
+  money,
+  readToken,
+  wantsHtml,
+  htmlResponse,
+  actionSummary,
+  confirmPage,
+  managePage,
+  resultPage
+};
@@ -0,0 +1,161 @@
+// netlify/lib/action-tokens.js
+// Single-use, action-scoped approve/decline link tokens.
+//
+// Each token is a JWT carrying `action` ('approve' | 'decline') and a `jti`. The jti ledger
+// (collection 'action_tokens') is what makes a link single-use and revocable:
+// - issued:   emailed/texted to the owner
+// - claimed:  a request is running the action right now (blocks a double click)
+// - consumed: the action succeeded; sibling tokens for the same order are revoked
+// - revoked:  sibling consumed, order handled from the admin dashboard, or revoked by hand
+//
+// Tokens minted before the ledger existed have no jti/action; they are accepted as-is until
+// they expire (24h) and still go through the order state machine.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const { openCollection } = require('./store');
+const { formatWhen } = require('./order-status');
+
+const ACTIONS = ['approve', 'decline'];
+const PAST_TENSE = { approve: 'approved', decline: 'declined' };
+
+const ledger = () => openCollection('action_tokens');
+
+function tokenError(statusCode, error, extra = {}) {
+  return { ok: false, statusCode, error, ...extra };
+}
+
+// payload: approve/decline claims built by checkout-webhook (orderId, sessionId, ...)
+async function issueActionToken(action, payload, { secret, expiresIn = '24h' } = {}) {
+  if (!ACTIONS.includes(action)) throw new Error(`Unknown token action: ${action}`);
+
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ ...payload, action }, secret, { expiresIn, jwtid: jti });
+  const { exp, iat } = jwt.decode(token);
+
+  await ledger().put(jti, {
+    id: jti,
+    action,
+    order_id: payload.orderId || null,
+    session_id: payload.sessionId || null,
+    status: 'issued',
+    issued_at: new Date(iat * 1000).toISOString(),
+    expires_at: new Date(exp * 1000).toISOString()
+  });
+  return token;
+}
+
+// Returns { ok: true, claims } or { ok: false, statusCode, error }
+function verifyActionToken(token, action, secret) {
+  let claims;
+  try {
+    claims = jwt.verify(token, secret);
+  } catch {
+    return tokenError(401, 'Invalid or expired token');
+  }
+  if (claims.action && claims.action !== action) {
+    return tokenError(403, `This link can only be used to ${claims.action} the order`);
+  }
+  return { ok: true, claims };
+}
+
+function describeEntry(entry) {
+  if (entry.status === 'revoked' && entry.superseded_by) {
+    const when = formatWhen(entry.revoked_at);
+    return `Order already ${PAST_TENSE[entry.superseded_by]}${when ? ` on ${when}` : ''}`;
+  }
+  if (entry.status === 'revoked') {
+    const when = formatWhen(entry.revoked_at);
+    return `This link was revoked${when ? ` on ${when}` : ''}${entry.revoke_reason ? ` (${entry.revoke_reason})` : ''}`;
+  }
+  if (entry.status === 'claimed') {
+    return `This order is being ${PAST_TENSE[entry.action]} right now`;
+  }
+  const when = formatWhen(entry.consumed_at);
+  return `Order already ${PAST_TENSE[entry.action]}${when ? ` on ${when}` : ''}`;
+}
+
+// Read-only check (used by the GET confirmation page): { ok: true } while the link is still usable.
+async function checkActionToken(claims) {
+  if (!claims.jti) return { ok: true };
+  const entry = await ledger().get(claims.jti);
+  if (!entry) return tokenError(401, 'Unknown token');
+  if (entry.status === 'issued') return { ok: true };
+  return tokenError(entry.status === 'revoked' ? 410 : 409, describeEntry(entry), {
+    token_status: entry.status
+  });
+}
+
+// Mark the token in-flight. Returns { ok: true } or { ok: false, statusCode, error, token_status }.
+async function claimActionToken(claims) {
+  if (!claims.jti) {
+    console.warn('[action-tokens] legacy token without jti; relying on order status only');
+    return { ok: true };
+  }
+
+  let claimed = false;
+  const entry = await ledger().update(claims.jti, (current) => {
+    claimed = current?.status === 'issued'; // set on every run: the store may retry fn after a conflict
+    if (!claimed) return null;
+    return { ...current, status: 'claimed', claimed_at: new Date().toISOString() };
+  });
+
+  if (claimed) return { ok: true };
+  if (!entry) return tokenError(401, 'Unknown token');
+  return tokenError(entry.status === 'revoked' ? 410 : 409, describeEntry(entry), {
+    token_status: entry.status
+  });
+}
+
+// After the action ran: consume on success (and revoke the sibling links), else reopen the token
+// so the owner can retry from the same link.
+async function settleActionToken(claims, succeeded) {
+  if (!claims.jti) return;
+  const now = new Date().toISOString();
+
+  await ledger().update(claims.jti, (current) => {
+    if (!current || current.status !== 'claimed') return null;
+    return succeeded
+      ? { ...current, status: 'consumed', consumed_at: now }
+      : { ...current, status: 'issued', claimed_at: null };
+  });
+
+  if (succeeded) {
+    await revokeActionTokens(
+      { orderId: claims.orderId, sessionId: claims.sessionId },
+      { reason: `order ${PAST_TENSE[claims.action]}`, supersededBy: claims.action }
+    );
+  }
+}
+
+// Revoke every outstanding link for an order (by order id and/or Checkout Session id).
+// supersededBy: the action that was carried out, so a later click reads "already approved on ..."
+async function revokeActionTokens({ orderId, sessionId }, { reason = 'revoked', supersededBy = null } = {}) {
+  if (!orderId && !sessionId) return [];
+  const open = await ledger().list((e) =>
+    e.status === 'issued' &&
+    ((orderId && e.order_id === orderId) || (sessionId && e.session_id === sessionId))
+  );
+
+  const now = new Date().toISOString();
+  const revoked = [];
+  for (const e of open) {
+    const updated = await ledger().update(e.id, (current) =>
+      current && current.status === 'issued'
+        ? { ...current, status: 'revoked', revoked_at: now, revoke_reason: reason, superseded_by: supersededBy }
+        : null
+    );
+    if (updated && updated.status === 'revoked') revoked.push(updated.id);
+  }
+  return revoked;
+}
+
+module.exports = {
+  issueActionToken,
+  verifyActionToken,
+  checkActionToken,
+  claimActionToken,
+  settleActionToken,
+  revokeActionTokens
+};
@@ -0,0 +1,24 @@
+// netlify/lib/admin-auth.js
+// Owner/admin API auth: `Authorization: Bearer <ADMIN_TOKEN>`.
+// With ADMIN_TOKEN unset every admin request is refused.
+
+const crypto = require('crypto');
+
+function bearerToken(event) {
+  const h = event.headers || {};
+  const raw = String(h.authorization || h.Authorization || '');
+  const m = /^Bearer\s+(.+)$/i.exec(raw.trim());
+  return m ? m[1].trim() : '';
+}
+
+function isAdminRequest(event) {
+  const expected = process.env.ADMIN_TOKEN || '';
+  const given = bearerToken(event);
+  if (!expected || !given) return false;
+  // Compare digests so the lengths always match (timingSafeEqual requires it)
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { isAdminRequest };
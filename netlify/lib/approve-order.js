@@ -0,0 +1,574 @@
+// netlify/lib/approve-order.js
+// Approve an order (shared by checkout-approve and the admin dashboard):
+// - SELF SERVICE: capture the existing PaymentIntent from Checkout (authorization -> capture on approval),
+//   or charge the card Checkout saved when there is no live hold (see lib/auth-holds)
+// - FULL SERVICE: charge deposit/full now via SetupIntent + optional autopay invoice for remaining balance
+// - both: place the refundable security deposit for high-value pieces (lib/security-deposits)
+// Full-service orders are refused (409, crew_conflicts) when their drop-off or pickup slot has filled
+// up since checkout (lib/crew-capacity), unless ignoreCapacity is set (admin dashboard override).
+// Any order whose inventory hold lapsed before approval is refused (409, stock_conflicts) when its
+// units were taken since (lib/inventory checkReservationStock), unless ignoreStock is set.
+//
+// approveOrder() returns { statusCode, body } with a plain-object body; callers add headers.
+
+const Stripe = require('stripe');
+
+const { nyTodayYMD, parseNYDate, compareYMD, dayDiffNY, addDaysYMD } = require('./ny-dates');
+const { paymentSplit, discountShare } = require('./pricing');
+const { checkReservationStock, commitReservation, describeConflicts } = require('./inventory');
+const { getOrder } = require('./orders');
+const { createBalanceInvoice } = require('./balance-invoices');
+const { holdHasSavedCard } = require('./auth-holds');
+const { placeSecurityDeposit } = require('./security-deposits');
+const { checkCrewCapacity, describeCrewConflicts } = require('./crew-capacity');
+const { canTransition, describeStatus, transitionOrderThrough } = require('./order-status');
+const { trackQuoteRequest } = require('./quote-requests');
+const { html, paragraph, renderEmail } = require('./email-templates');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
+
+let twilioClient = null;
+let resendClient = null;
+
+function getTwilioClient() {
+  if (!twilioClient && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+    const twilio = require('twilio');
+    twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return twilioClient;
+}
+
+function getResendClient() {
+  if (!resendClient && process.env.RESEND_API_KEY) {
+    const { Resend } = require('resend');
+    resendClient = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resendClient;
+}
+
+function centsToDollars(cents) {
+  const n = Number(cents || 0);
+  return (n / 100).toFixed(2);
+}
+
+function buildApprovedEmail({ customerName, paidNowCents, balanceCents, dropoffDateStr, securityDeposit }) {
+  const paidNowStr = `$${centsToDollars(paidNowCents)}`;
+  const balanceStr = `$${centsToDollars(balanceCents)}`;
+
+  const balanceLine = balanceCents > 0
+    ? html`${paragraph(html`<strong>Remaining balance:</strong> ${balanceStr}${dropoffDateStr ? ` (for drop-off ${dropoffDateStr})` : ''}`)}
+       ${paragraph('We will automatically charge the remaining balance the day before your delivery.')}`
+    : paragraph(html`<strong>Remaining balance:</strong> $0.00 (paid in full)`);
+
+  const depositLine = securityDeposit && securityDeposit.status !== 'failed'
+    ? paragraph(html`<strong>Refundable security deposit:</strong> $${centsToDollars(securityDeposit.amount_cents)} ${securityDeposit.mode === 'hold'
+        ? 'is on hold on your card (not charged)'
+        : 'was charged to your card and will be refunded'} and released by ${securityDeposit.release_on} unless we find damage.`)
+    : '';
+
+  return renderEmail({
+    subject: 'Your event rental request is approved',
+    body: html`
+      ${paragraph(`Hi ${customerName || 'there'},`)}
+      ${paragraph('Your request has been approved.')}
+      ${paragraph(html`<strong>${balanceCents > 0 ? 'Deposit charged:' : 'Payment charged:'}</strong> ${paidNowStr}`)}
+      ${balanceLine}
+      ${depositLine}
+      ${paragraph('If you have any questions, just reply to this email.')}
+    `
+  });
+}
+
+async function sendEmailApproved({ to, ...details }) {
+  const resend = getResendClient();
+  const from = process.env.FROM_EMAIL;
+  if (!resend || !from || !to) return;
+
+  await resend.emails.send({ from, to, ...buildApprovedEmail(details) });
+}
+
+// Turn the checkout-time inventory hold into a committed reservation (best-effort; money already moved).
+async function commitInventory(sessionId) {
+  try {
+    const res = await commitReservation(sessionId);
+    if (!res) console.warn('[inventory] no hold recorded for session; nothing to commit:', sessionId);
+  } catch (err) {
+    console.error('[ALERT] Failed to commit inventory reservation:', err?.message || err);
+  }
+}
+
+// Move the order through its approval statuses and store the payment split (best-effort; money
+// already moved). steps: e.g. ['approved', 'deposit_paid', 'balance_scheduled']
+async function recordApproval(order, steps, actor, { paid_now_cents, balance_cents, stripe: stripeIds }) {
+  if (!order) return;
+  try {
+    await transitionOrderThrough(order.id, steps, {
+      actor,
+      stripe: stripeIds,
+      patch: {
+        approved_at: new Date().toISOString(),
+        payment: { paid_now_cents, balance_cents },
+        stripe: stripeIds
+      }
+    });
+  } catch (err) {
+    console.error('[ALERT] Failed to record approval on order:', order.id, err?.message || err);
+  }
+  await trackQuoteRequest(order, 'paid', { actor, note: `Order ${order.id} approved and charged` });
+}
+
+function depositSmsLine(deposit) {
+  if (!deposit) return '';
+  if (deposit.status === 'failed') return `Security deposit FAILED ($${centsToDollars(deposit.amount_cents)})`;
+  return `Security deposit $${centsToDollars(deposit.amount_cents)} ${deposit.mode === 'hold' ? 'on hold' : 'charged'} until ${deposit.release_on}`;
+}
+
+async function sendOwnerSms({ body }) {
+  const client = getTwilioClient();
+  if (!client) return;
+  const to = process.env.OWNER_SMS_TO;
+  const from = process.env.TWILIO_FROM_NUMBER;
+  if (!to || !from) return;
+  await client.messages.create({ to, from, body });
+}
+
+// What approving would charge, without touching Stripe (for the confirmation page).
+// Mirrors the split approveOrder() applies; the authoritative numbers come from approveOrder().
+function approvalPreview(order, claims = {}) {
+  const flow = claims.orderDetails?.flow || order?.flow || 'full_service';
+  const totalCents = Number(order?.pricing?.total_cents || claims.orderDetails?.total_cents || 0);
+
+  if (flow === 'self_service') {
+    return { flow, total_cents: totalCents, paid_now_cents: totalCents, balance_cents: 0, balance_due: null };
+  }
+
+  const dropoffDateStr = String(order?.schedule?.dropoff_date || claims.orderDetails?.dropoff_date || '');
+  const split = paymentSplit({
+    flow,
+    total_cents: totalCents,
+    rush_cents: order?.pricing?.rush_cents,
+    days_until_start: dayDiffNY(parseNYDate(nyTodayYMD()), parseNYDate(dropoffDateStr))
+  });
+  return {
+    flow,
+    total_cents: totalCents,
+    paid_now_cents: split.paid_now_cents,
+    balance_cents: split.balance_cents,
+    balance_due: split.balance_cents > 0 ? addDaysYMD(dropoffDateStr, -1) : null
+  };
+}
+
+// sessionId: Checkout Session to approve
+// claims: approve-token payload (orderId, customer*, orderDetails, setupIntentId, ...); {} for admin
+// actor: recorded in the order's status_history
+// ignoreCapacity: approve even if the crew is fully booked for the order's slots
+// ignoreStock: approve even if the lapsed inventory hold's units were taken since (overbooks)
+async function approveOrder({ sessionId, claims = {}, actor = 'owner', ignoreCapacity = false, ignoreStock = false }) {
+  // Always retrieve the session; we use it to determine flow + amounts safely
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  const md = session.metadata || {};
+
+  // Stored order (lib/orders); null for sessions created before orders were persisted
+  const order = await getOrder(claims.orderId || md.order_id);
+
+  // Refuse before any money moves: double-approvals, approving a declined order, etc.
+  if (order && !canTransition(order.status, 'approved')) {
+    return { statusCode: 409, body: { error: describeStatus(order), status: order.status } };
+  }
+
+  if (order && order.flow === 'full_service' && !ignoreCapacity) {
+    const crew = await checkCrewCapacity(order.schedule, { excludeOrderId: order.id });
+    if (!crew.ok) {
+      return {
+        statusCode: 409,
+        body: {
+          error: `${describeCrewConflicts(crew.conflicts)}. Reschedule with the customer, or approve from the admin dashboard to override.`,
+          crew_conflicts: crew.conflicts
+        }
+      };
+    }
+  }
+
+  if (!ignoreStock) {
+    const stock = await checkReservationStock(sessionId);
+    if (!stock.ok) {
+      return {
+        statusCode: 409,
+        body: {
+          error: `The inventory hold expired before approval and the stock was booked since: ${describeConflicts(stock.conflicts)}. Adjust the order with the customer, or approve from the admin dashboard to override.`,
+          stock_conflicts: stock.conflicts
+        }
+      };
+    }
+  }
+
+  const customerName = claims.customerName || order?.customer?.name || '';
+  const customerEmail = claims.customerEmail || order?.customer?.email || '';
+  const customerPhone = claims.customerPhone || order?.customer?.phone || '';
+
+  // Flow: token wins, else checkout metadata, else the stored order, else default
+  const flow = claims.orderDetails?.flow || md.flow || order?.flow || 'full_service';
+
+  // Total cents:
+  // - prefer metadata.total_cents
+  // - else the stored order's total
+  // - else token orderDetails.total_cents
+  // - else Stripe session.amount_total
+  const totalCents = Number(
+    md.total_cents ||
+    order?.pricing?.total_cents ||
+    claims.orderDetails?.total_cents ||
+    session.amount_total ||
+    0
+  );
+
+  if (!Number.isFinite(totalCents) || totalCents <= 0) {
+    return { statusCode: 400, body: { error: 'Missing or invalid total_cents' } };
+  }
+
+  // --- Minimal money sanity checks (prevents rare drift between token/metadata and Stripe) ---
+  const sessionAmountCents = Number(session.amount_total || 0);
+  const mdTotalCents = md.total_cents ? Number(md.total_cents) : null;
+  const tokenTotalCents = claims.orderDetails?.total_cents ? Number(claims.orderDetails.total_cents) : null;
+
+  const mismatch = (a, b) =>
+    Number.isFinite(a) && Number.isFinite(b) && a > 0 && b > 0 && a !== b;
+
+  if (mismatch(mdTotalCents, sessionAmountCents)) {
+    console.error('[ALERT] total_cents mismatch (metadata vs session.amount_total):', {
+      mdTotalCents,
+      sessionAmountCents,
+      sessionId
+    });
+    return {
+      statusCode: 409,
+      body: { error: 'Amount mismatch (metadata vs Stripe session). Please refresh and try again.' }
+    };
+  }
+
+  if (mismatch(tokenTotalCents, sessionAmountCents)) {
+    console.error('[ALERT] total_cents mismatch (token vs session.amount_total):', {
+      tokenTotalCents,
+      sessionAmountCents,
+      sessionId
+    });
+    return {
+      statusCode: 409,
+      body: { error: 'Amount mismatch (token vs Stripe session). Please refresh and try again.' }
+    };
+  }
+
+  // -----------------------------
+  // SELF SERVICE: capture the hold, or charge the saved card (see lib/auth-holds)
+  // -----------------------------
+  if (flow === 'self_service') {
+    const paymentIntentId =
+      claims.paymentIntentId ||
+      session.payment_intent ||
+      null;
+    const setupIntentId = claims.setupIntentId || session.setup_intent || order?.stripe?.setup_intent_id || null;
+
+    let chargedIntentId = paymentIntentId;
+    let chargedAmountCents = null;
+    let savedCardReason = null;
+    let savedCard = null;
+    let depositCard = null;
+
+    if (!paymentIntentId) {
+      // Pickup was beyond the hold window: Checkout only saved the card
+      if (!setupIntentId) {
+        return { statusCode: 400, body: { error: 'Missing paymentIntentId for self_service approval' } };
+      }
+      const si = await stripe.setupIntents.retrieve(setupIntentId);
+      savedCard = {
+        customerId: si.customer || claims.customerId || order?.stripe?.customer_id || session.customer,
+        paymentMethodId: si.payment_method || order?.stripe?.payment_method_id
+      };
+      savedCardReason = 'pickup beyond hold window';
+    } else {
+      const pi = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+      if (sessionAmountCents && pi?.amount && pi.amount !== sessionAmountCents) {
+        console.error('[ALERT] amount mismatch (PI vs session.amount_total):', {
+          piAmount: pi.amount,
+          sessionAmountCents,
+          paymentIntentId,
+          sessionId
+        });
+        return {
+          statusCode: 409,
+          body: { error: 'Amount mismatch (Stripe). Please refresh and try again.' }
+        };
+      }
+
+
+      // If the intent was authorized (manual capture), capture it now.
+      // If it's already succeeded, just treat as approved/paid.
+      // If the hold lapsed (Stripe cancels it), charge the card it saved instead.
+      if (pi.status === 'requires_capture') {
+        await stripe.paymentIntents.capture(paymentIntentId, {}, { idempotencyKey: `capture_${sessionId}` });
+        chargedAmountCents = pi.amount;
+        depositCard = { customerId: pi.customer, paymentMethodId: pi.payment_method };
+      } else if (pi.status === 'succeeded') {
+        chargedAmountCents = pi.amount;
+        depositCard = { customerId: pi.customer, paymentMethodId: pi.payment_method };
+      } else if (pi.status === 'canceled' && holdHasSavedCard(pi)) {
+        savedCard = { customerId: pi.customer, paymentMethodId: pi.payment_method, amountCents: pi.amount };
+        savedCardReason = `hold ${paymentIntentId} lapsed`;
+      } else {
+        return { statusCode: 409, body: { error: `PaymentIntent not capturable (status: ${pi.status})` } };
+      }
+    }
+
+    if (savedCard) {
+      if (!savedCard.customerId || !savedCard.paymentMethodId) {
+        return { statusCode: 409, body: { error: 'Missing customer or saved card for self_service approval' } };
+      }
+      const charged = await stripe.paymentIntents.create({
+        amount: savedCard.amountCents || totalCents,
+        currency: 'usd',
+        customer: savedCard.customerId,
+        payment_method: savedCard.paymentMethodId,
+        off_session: true,
+        confirm: true,
+        description: 'Chair rental payment (self-service pickup)',
+        metadata: {
+          flow: 'self_service',
+          order_id: order?.id || md.order_id || '',
+          checkout_session_id: sessionId,
+          charged_because: savedCardReason
+        }
+      }, { idempotencyKey: `pi_${sessionId}_self` });
+      console.log('[approve] self-service charged saved card:', savedCardReason, charged.id);
+      chargedIntentId = charged.id;
+      chargedAmountCents = charged.amount;
+      depositCard = savedCard;
+    }
+
+    // Use PI amount if present; fall back to totalCents
+    const paidNowCents = Number(chargedAmountCents || totalCents);
+
+    await commitInventory(sessionId);
+    await recordApproval(order, ['approved', 'paid_in_full'], actor, {
+      paid_now_cents: paidNowCents,
+      balance_cents: 0,
+      stripe: {
+        checkout_session_id: sessionId,
+        payment_intent_id: chargedIntentId,
+        ...(savedCard ? { customer_id: savedCard.customerId, payment_method_id: savedCard.paymentMethodId } : {})
+      }
+    });
+    const securityDeposit = await placeSecurityDeposit({ order, sessionId, ...depositCard });
+
+    // Email + optional owner SMS (non-blocking; do not fail approval if notifications fail)
+    try {
+      await sendEmailApproved({
+        to: customerEmail,
+        customerName,
+        paidNowCents,
+        balanceCents: 0,
+        dropoffDateStr: '',
+        securityDeposit
+      });
+    } catch (err) {
+      console.error('[ALERT] Failed to send approval email:', err?.message || err);
+    }
+
+    if (process.env.OWNER_SMS_TO) {
+      const ownerBody = [
+        "Approved SELF-SERVE order:",
+        customerName || customerEmail || 'Unknown customer',
+        `Paid now: $${centsToDollars(paidNowCents)}`,
+        `PI: ${chargedIntentId}`,
+        savedCard ? `Saved card charged (${savedCardReason})` : '',
+        depositSmsLine(securityDeposit)
+      ].filter(Boolean).join(' | ');
+      try {
+        await sendOwnerSms({ body: ownerBody });
+      } catch (err) {
+        console.error('[ALERT] Failed to send owner SMS:', err?.message || err);
+      }
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        ok: true,
+        flow: 'self_service',
+        payment_intent_id: chargedIntentId,
+        paid_now_cents: paidNowCents,
+        remaining_balance_cents: 0,
+        security_deposit: securityDeposit
+      }
+    };
+  }
+
+  // -----------------------------
+  // FULL SERVICE: SetupIntent -> charge now + optional autopay invoice
+  // -----------------------------
+  const setupIntentId = claims.setupIntentId || md.setup_intent_id || session.setup_intent || order?.stripe?.setup_intent_id || null;
+  if (!setupIntentId) {
+    return { statusCode: 400, body: { error: 'Missing setupIntentId (not present in token or session)' } };
+  }
+
+  const dropoffDateStr = String(md.dropoff_date || order?.schedule?.dropoff_date || claims.orderDetails?.dropoff_date || '');
+  const pickupDateStr  = String(md.pickup_date  || order?.schedule?.pickup_date  || claims.orderDetails?.pickup_date  || '');
+
+  const todayNY = parseNYDate(nyTodayYMD());
+  const dropoffNY = parseNYDate(dropoffDateStr);
+  const pickupNY  = parseNYDate(pickupDateStr);
+
+  if (!dropoffNY) {
+    return { statusCode: 400, body: { error: 'Cannot approve: missing or invalid dropoff date' } };
+  }
+  if (compareYMD(dropoffNY, todayNY) < 0) {
+    return { statusCode: 400, body: { error: 'Cannot approve: dropoff date is in the past (NY time)' } };
+  }
+  if (pickupNY && compareYMD(pickupNY, dropoffNY) < 0) {
+    return { statusCode: 400, body: { error: 'Cannot approve: pickup date is before dropoff date' } };
+  }
+
+  const daysUntilDropoff = dayDiffNY(todayNY, dropoffNY);
+
+
+  // Payment policy (shared with quote-preview; see lib/pricing paymentSplit)
+  // - Rush OR same/next day => full pay now
+  // - Else => 30% deposit now, remainder auto-charged day before drop-off
+  const split = paymentSplit({
+    flow: 'full_service',
+    total_cents: totalCents,
+    rush_cents: md.rush_cents,
+    days_until_start: daysUntilDropoff
+  });
+  const payInFullNow = split.pay_in_full_now;
+  const paidNowCents = split.paid_now_cents;
+  const balanceCents = split.balance_cents;
+
+  // Retrieve setup intent to find saved payment method + customer. Setup-mode Checkout does not
+  // create a Customer; checkout-webhook does and keeps it on the order (the admin passes no claims).
+  const si = await stripe.setupIntents.retrieve(setupIntentId);
+  const customerId = si.customer || claims.customerId || order?.stripe?.customer_id || session.customer;
+  const paymentMethodId = si.payment_method || order?.stripe?.payment_method_id;
+
+  if (!customerId || !paymentMethodId) {
+    return { statusCode: 409, body: { error: 'Missing customer or payment method on SetupIntent' } };
+  }
+
+  // Ensure PM attached + default for invoices
+  try {
+    await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+  } catch {
+    // ignore if already attached
+  }
+  await stripe.customers.update(customerId, {
+    invoice_settings: { default_payment_method: paymentMethodId }
+  });
+
+  // Promo discount: each payment shows its share (Stripe has no line items on a PaymentIntent)
+  const discountCents = Number(order?.pricing?.discount_cents ?? md.discount_cents ?? 0) || 0;
+  const promoCode = order?.pricing?.promo_code || md.promo_code || '';
+  const promoLabel = (order?.pricing?.lines || []).find((l) => l.code === 'discount')?.label || `Promo ${promoCode}`;
+  const balanceDiscountCents = discountShare({ discount_cents: discountCents, total_cents: totalCents, part_cents: balanceCents });
+  const paidNowDiscountCents = discountCents - balanceDiscountCents;
+
+  // Charge now (deposit or full)
+  const chargeDescription = (payInFullNow
+    ? 'Rental payment (paid in full)'
+    : '30% deposit for rental request') +
+    (paidNowDiscountCents > 0 ? ` (includes ${promoLabel}: -$${centsToDollars(paidNowDiscountCents)})` : '');
+
+  const pi = await stripe.paymentIntents.create({
+    amount: paidNowCents,
+    currency: 'usd',
+    customer: customerId,
+    payment_method: paymentMethodId,
+    off_session: true,
+    confirm: true,
+    description: chargeDescription,
+    metadata: {
+      flow: 'full_service',
+      order_id: order?.id || md.order_id || '',
+      checkout_session_id: sessionId,
+      setup_intent_id: setupIntentId,
+      dropoff_date: dropoffDateStr,
+      ...(paidNowDiscountCents > 0 ? { promo_code: promoCode, discount_cents: String(paidNowDiscountCents) } : {})
+    }
+  }, { idempotencyKey: `pi_${sessionId}_${payInFullNow ? 'full' : 'deposit'}` });
+
+  // Schedule remaining balance: draft invoice charged by send-balance-invoices (see lib/balance-invoices)
+  let scheduledInvoiceId = null;
+  if (balanceCents > 0) {
+    const inv = await createBalanceInvoice({
+      customerId,
+      amountCents: balanceCents,
+      orderId: order?.id || md.order_id || '',
+      sessionId,
+      setupIntentId,
+      dropoffDateStr,
+      discount: balanceDiscountCents > 0 ? { label: promoLabel, cents: balanceDiscountCents } : null
+    });
+    scheduledInvoiceId = inv.id;
+  }
+
+  await commitInventory(sessionId);
+  const approvalSteps = balanceCents > 0
+    ? ['approved', 'deposit_paid', 'balance_scheduled']
+    : ['approved', 'paid_in_full'];
+  await recordApproval(order, approvalSteps, actor, {
+    paid_now_cents: paidNowCents,
+    balance_cents: balanceCents,
+    stripe: {
+      checkout_session_id: sessionId,
+      customer_id: customerId,
+      payment_method_id: paymentMethodId,
+      deposit_payment_intent_id: pi.id,
+      balance_invoice_id: scheduledInvoiceId
+    }
+  });
+  const securityDeposit = await placeSecurityDeposit({ order, customerId, paymentMethodId, sessionId });
+
+  // Email + optional owner SMS (non-blocking; do not fail approval if notifications fail)
+  try {
+    await sendEmailApproved({
+      to: customerEmail,
+      customerName,
+      paidNowCents,
+      balanceCents,
+      dropoffDateStr,
+      securityDeposit
+    });
+  } catch (err) {
+    console.error('[ALERT] Failed to send approval email:', err?.message || err);
+  }
+
+  if (process.env.OWNER_SMS_TO) {
+    const ownerBody = [
+      "Approved FULL-SERVICE order:",
+      customerName || customerEmail || 'Unknown customer',
+      `Paid now: $${centsToDollars(paidNowCents)}`,
+      balanceCents > 0 ? `Remaining: $${centsToDollars(balanceCents)} (invoice ${scheduledInvoiceId || 'scheduled'})` : 'Paid in full',
+      dropoffDateStr ? `Drop-off: ${dropoffDateStr}` : '',
+      depositSmsLine(securityDeposit)
+    ].filter(Boolean).join(' | ');
+    try {
+      await sendOwnerSms({ body: ownerBody });
+    } catch (err) {
+      console.error('[ALERT] Failed to send owner SMS:', err?.message || err);
+    }
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      ok: true,
+      flow: 'full_service',
+      payment_intent_id: pi.id,
+      paid_now_cents: paidNowCents,
+      remaining_balance_cents: balanceCents,
+      scheduled_invoice_id: scheduledInvoiceId,
+      security_deposit: securityDeposit
+    }
+  };
+}
+
+module.exports = { approveOrder, approvalPreview, buildApprovedEmail };
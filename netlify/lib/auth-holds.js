@@ -0,0 +1,46 @@
+// netlify/lib/auth-holds.js
+// Self-service card holds (manual-capture PaymentIntents placed by checkout-self).
+//
+// Card networks drop an uncaptured authorization after about AUTH_WINDOW_DAYS; Stripe then
+// cancels the PaymentIntent and approving can no longer capture it. So:
+// - checkout-self only places a hold when the pickup is within HOLD_MAX_LEAD_DAYS. Later pickups
+//   save the card instead (Checkout setup mode, like full-service) and approval charges it.
+// - holds also save the card (setup_future_usage), so a hold that lapsed before approval is
+//   replaced by an off-session charge of the saved card (approveOrder).
+// - auth-hold-watchdog warns the owner WARN_HOURS before a hold on a pending request lapses.
+
+const { nyTodayYMD, parseNYDate, dayDiffNY } = require('./ny-dates');
+
+const AUTH_WINDOW_DAYS = 7;
+const HOLD_MAX_LEAD_DAYS = 5;
+const WARN_HOURS = 48;
+
+// 'hold' (authorize now, capture on approval) or 'saved_card' (save card, charge on approval)
+function selfServicePaymentMode(pickupDateStr) {
+  const days = dayDiffNY(parseNYDate(nyTodayYMD()), parseNYDate(pickupDateStr));
+  return days !== null && days > HOLD_MAX_LEAD_DAYS ? 'saved_card' : 'hold';
+}
+
+// When Stripe will give up on an uncaptured PaymentIntent (estimate; networks vary by a few hours)
+function holdExpiresAt(pi) {
+  return new Date((Number(pi.created) + AUTH_WINDOW_DAYS * 24 * 60 * 60) * 1000);
+}
+
+function hoursLeftOnHold(pi, now = new Date()) {
+  return (holdExpiresAt(pi).getTime() - now.getTime()) / (60 * 60 * 1000);
+}
+
+// The hold's card is saved on a customer and can be charged off-session once the hold lapses
+function holdHasSavedCard(pi) {
+  return Boolean(pi?.customer && pi?.payment_method && pi?.setup_future_usage === 'off_session');
+}
+
+module.exports = {
+  AUTH_WINDOW_DAYS,
+  HOLD_MAX_LEAD_DAYS,
+  WARN_HOURS,
+  selfServicePaymentMode,
+  holdExpiresAt,
+  hoursLeftOnHold,
+  holdHasSavedCard
+};
@@ -0,0 +1,220 @@
+// netlify/lib/balance-invoices.js
+// Scheduled remaining-balance invoices (full-service deposits). Shared contract between
+// checkout-approve (creates the draft) and send-balance-invoices (hourly job that charges it).
+//
+// Contract — a draft invoice is picked up by the job when ALL of these hold:
+// - status 'draft', collection_method 'charge_automatically', auto_advance false
+//   (Stripe must not finalize it on its own; the job owns finalize + charge)
+// - metadata.kraus_flow     === 'full_service'
+// - metadata.kraus_kind     === 'balance'
+// - metadata.kraus_send_ts  unix seconds; the job charges on its first run at/after this time
+//                           (10:00 NY the day before drop-off, or now + AUTOPAY_TEST_MINUTES)
+// - metadata.order_id       stored order (lib/orders); the job skips orders that are no longer
+//                           'balance_scheduled' (cancelled, refunded, already paid)
+// Informational metadata: checkout_session_id, setup_intent_id, dropoff_date, autopay_scheduled_for,
+// kraus_revision (set when lib/modify-order replaced an earlier balance invoice).
+//
+// Failed charges leave the invoice 'open'. The job retries it (balanceRetryDecision) every
+// RETRY_EVERY_HOURS outside NY quiet hours until RETRY_CUTOFF_HOUR_NY on drop-off morning, then
+// escalates to the owner once. Retry bookkeeping lives on the invoice metadata:
+// - kraus_last_attempt_ts  unix seconds of the last charge attempt by the job
+// - kraus_escalated        '1' once the drop-off-morning escalation went out
+//
+// The invoice line item is attached with `invoice: <id>`: since API 2022-08-01 a new invoice
+// no longer pulls in pending invoice items, which is how we used to end up with $0 invoices.
+// With a promo code the balance is shown before the discount, plus a negative line for the
+// balance's share of it (lib/pricing discountShare); the invoice total is the balance either way.
+
+const Stripe = require('stripe');
+
+const { addDaysYMD, parseNYDate } = require('./ny-dates');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
+
+const BALANCE_FLOW = 'full_service';
+const BALANCE_KIND = 'balance';
+const CHARGE_HOUR_NY = 10;
+
+// Retries: every failed attempt texts the owner, so none overnight.
+const RETRY_EVERY_HOURS = 3;
+const QUIET_HOURS_NY = { start: 21, end: 8 };
+const RETRY_CUTOFF_HOUR_NY = 8;
+
+// Returns offset minutes for America/New_York at a given UTC Date.
+// Example: -300 for EST, -240 for EDT.
+function nyOffsetMinutes(atDateUtc) {
+  try {
+    const fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/New_York',
+      timeZoneName: 'shortOffset',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false
+    });
+    const parts = fmt.formatToParts(atDateUtc);
+    const tz = parts.find(p => p.type === 'timeZoneName')?.value || '';
+    // tz looks like "GMT-5" or "GMT-04:00"
+    const m = /GMT([+-])(\d{1,2})(?::(\d{2}))?/.exec(tz);
+    if (!m) return -300; // safe default (EST)
+    const sign = m[1] === '-' ? -1 : 1;
+    const hh = Number(m[2] || 0);
+    const mm = Number(m[3] || 0);
+    return sign * (hh * 60 + mm);
+  } catch {
+    return -300;
+  }
+}
+
+// Build a UTC Date for a specific local NY time on a YYYY-MM-DD day.
+function nyLocalToUtc(yyyyMmDd, hour24 = 10, minute = 0) {
+  const base = new Date(`${yyyyMmDd}T${String(hour24).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00Z`);
+  const offsetMin = nyOffsetMinutes(base);
+  return new Date(base.getTime() - offsetMin * 60 * 1000);
+}
+
+function testMinutes() {
+  const n = parseInt(process.env.AUTOPAY_TEST_MINUTES || '', 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// When the balance for a drop-off gets charged: { sendAt: Date, label, description }
+function balanceChargeTime(dropoffDateStr) {
+  const minutes = testMinutes();
+  if (minutes) {
+    return {
+      sendAt: new Date(Date.now() + minutes * 60 * 1000),
+      label: `TEST:+${minutes}min`,
+      description: `Remaining balance (TEST auto-charge in ${minutes} min)`
+    };
+  }
+
+  if (!parseNYDate(dropoffDateStr)) {
+    throw new Error('Missing dropoff_date for scheduling remaining balance');
+  }
+  const dayBefore = addDaysYMD(dropoffDateStr, -1);
+  return {
+    sendAt: nyLocalToUtc(dayBefore, CHARGE_HOUR_NY, 0),
+    label: dayBefore,
+    description: 'Remaining balance (auto-charged day before drop-off)'
+  };
+}
+
+// Create the draft balance invoice (idempotent per Checkout Session, and per revision when an
+// order modification replaces it). discount: { label, cents } promo share of the balance, or null.
+// Returns the invoice.
+async function createBalanceInvoice({ customerId, amountCents, orderId, sessionId, setupIntentId, dropoffDateStr, revision = 0, discount = null }) {
+  const { sendAt, label, description } = balanceChargeTime(dropoffDateStr);
+  const keySuffix = revision ? `_r${revision}` : '';
+
+  const metadata = {
+    kraus_flow: BALANCE_FLOW,
+    kraus_kind: BALANCE_KIND,
+    kraus_send_ts: String(Math.floor(sendAt.getTime() / 1000)),
+    order_id: orderId || '',
+    checkout_session_id: sessionId,
+    setup_intent_id: setupIntentId || '',
+    dropoff_date: dropoffDateStr,
+    autopay_scheduled_for: label,
+    ...(revision ? { kraus_revision: String(revision) } : {})
+  };
+
+  const inv = await stripe.invoices.create({
+    customer: customerId,
+    collection_method: 'charge_automatically',
+    auto_advance: false,
+    pending_invoice_items_behavior: 'exclude',
+    description,
+    metadata
+  }, { idempotencyKey: `invoice_${sessionId}${keySuffix}` });
+
+  const discountCents = Math.max(0, Number(discount?.cents) || 0);
+  const itemMetadata = {
+    kraus_flow: BALANCE_FLOW,
+    kraus_kind: BALANCE_KIND,
+    order_id: orderId || '',
+    checkout_session_id: sessionId,
+    dropoff_date: dropoffDateStr
+  };
+
+  await stripe.invoiceItems.create({
+    customer: customerId,
+    invoice: inv.id,
+    currency: 'usd',
+    amount: amountCents + discountCents,
+    description,
+    metadata: itemMetadata
+  }, { idempotencyKey: `invitem_${sessionId}${keySuffix}` });
+
+  if (discountCents > 0) {
+    await stripe.invoiceItems.create({
+      customer: customerId,
+      invoice: inv.id,
+      currency: 'usd',
+      amount: -discountCents,
+      description: discount.label || 'Promo discount',
+      metadata: itemMetadata
+    }, { idempotencyKey: `invitem_discount_${sessionId}${keySuffix}` });
+  }
+
+  return inv;
+}
+
+function isBalanceInvoice(inv) {
+  const md = (inv && inv.metadata) || {};
+  return md.kraus_flow === BALANCE_FLOW && md.kraus_kind === BALANCE_KIND;
+}
+
+// Unix seconds the invoice is due to be charged, or null if missing/invalid
+function balanceSendTs(inv) {
+  const ts = Number(inv?.metadata?.kraus_send_ts || 0);
+  return Number.isFinite(ts) && ts > 0 ? ts : null;
+}
+
+function nyHour(date) {
+  const h = new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', hour: '2-digit', hourCycle: 'h23' })
+    .format(date);
+  return Number(h);
+}
+
+// Drop-off morning: after this the balance is escalated to the owner instead of retried.
+function retryCutoff(inv) {
+  const dropoff = inv?.metadata?.dropoff_date;
+  return parseNYDate(dropoff) ? nyLocalToUtc(dropoff, RETRY_CUTOFF_HOUR_NY, 0) : null;
+}
+
+// What the job should do with an unpaid (open) balance invoice right now:
+// 'retry' | 'wait' | 'escalate' | 'none'
+function balanceRetryDecision(inv, now = new Date()) {
+  if (!isBalanceInvoice(inv) || inv.status !== 'open') return 'none';
+  const md = inv.metadata || {};
+
+  const cutoff = retryCutoff(inv);
+  if (cutoff && now.getTime() >= cutoff.getTime()) {
+    return md.kraus_escalated === '1' ? 'none' : 'escalate';
+  }
+
+  const lastTs = Number(md.kraus_last_attempt_ts || inv.status_transitions?.finalized_at || 0);
+  if (lastTs && now.getTime() / 1000 - lastTs < RETRY_EVERY_HOURS * 60 * 60) return 'wait';
+
+  const hour = nyHour(now);
+  if (hour >= QUIET_HOURS_NY.start || hour < QUIET_HOURS_NY.end) return 'wait';
+
+  return 'retry';
+}
+
+module.exports = {
+  BALANCE_FLOW,
+  BALANCE_KIND,
+  RETRY_EVERY_HOURS,
+  nyLocalToUtc,
+  retryCutoff,
+  balanceRetryDecision,
+  balanceChargeTime,
+  createBalanceInvoice,
+  isBalanceInvoice,
+  balanceSendTs
+};
@@ -0,0 +1,244 @@
+// netlify/lib/cancellation.js
+// Customer cancellations (manage-booking): the policy that decides the refund, and cancelOrder()
+// which carries it out.
+//
+// Policy ("cancellations must be made 7–30 days in advance, depending on order size"):
+// - notice is counted in NY calendar days before drop-off (full-service) or pickup (self-service)
+// - with at least the notice for the order's size, everything paid is refunded
+// - later than that, LATE_REFUND_PCT of what was paid is refunded
+// - the unpaid balance is never charged after a cancellation (its invoice is voided)
+// - a security deposit placed at approval is released in full (lib/security-deposits)
+// - requests the owner has not approved yet cancel for free (the card hold is released)
+// - from the start date on, customers cannot cancel online
+//
+// cancelOrder() returns { statusCode, body } with a plain-object body; callers add headers.
+
+const Stripe = require('stripe');
+
+const { getOrder, orderDates } = require('./orders');
+const { nyTodayYMD, parseNYDate, dayDiffNY } = require('./ny-dates');
+const { releaseReservation } = require('./inventory');
+const { canTransition, describeStatus, transitionOrder } = require('./order-status');
+const { revokeActionTokens } = require('./action-tokens');
+const { orderPayments, voidBalanceInvoice, issueRefunds, sendRefundEmail } = require('./refund-order');
+const { sendOwnerAlert } = require('./owner-alerts');
+const { OPEN_DEPOSIT_STATUSES, releaseSecurityDeposit } = require('./security-deposits');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
+
+// Notice needed for a full refund, by order total (first tier whose max covers the total)
+const NOTICE_TIERS = [
+  { max_total_cents: 100000, notice_days: 7 },
+  { max_total_cents: 250000, notice_days: 14 },
+  { max_total_cents: Infinity, notice_days: 30 }
+];
+const LATE_REFUND_PCT = 0;
+
+// Statuses a customer may cancel from (before the rental starts)
+const CUSTOMER_CANCELLABLE = ['requested', 'approved', 'deposit_paid', 'balance_scheduled', 'paid_in_full'];
+
+function centsToDollars(cents) {
+  const n = Number(cents || 0);
+  return (n / 100).toFixed(2);
+}
+
+function noticeDaysFor(totalCents) {
+  const total = Number(totalCents || 0);
+  return NOTICE_TIERS.find((t) => total <= t.max_total_cents).notice_days;
+}
+
+// What cancelling right now would do, before any money moves:
+// { cancellable, reason, start_date, days_before, notice_days, refund_pct, charged, paid_cents,
+//   refund_cents, kept_cents }
+// paidCents: what Stripe still holds for the order (see refund-order orderPayments)
+function cancellationQuote(order, paidCents = 0) {
+  const { start_date } = orderDates(order);
+  const daysBefore = dayDiffNY(parseNYDate(nyTodayYMD()), parseNYDate(start_date));
+  const noticeDays = noticeDaysFor(order.pricing?.total_cents);
+  const charged = order.status !== 'requested';
+  const base = {
+    start_date,
+    days_before: daysBefore,
+    notice_days: noticeDays,
+    charged,
+    paid_cents: charged ? Number(paidCents || 0) : 0
+  };
+
+  if (!CUSTOMER_CANCELLABLE.includes(order.status) || !canTransition(order.status, 'cancelled')) {
+    return { ...base, cancellable: false, reason: describeStatus(order), refund_pct: 0, refund_cents: 0, kept_cents: 0 };
+  }
+  if (daysBefore === null || daysBefore <= 0) {
+    return {
+      ...base,
+      cancellable: false,
+      reason: 'Your rental has already started, so it can’t be cancelled online. Please reply to your confirmation email.',
+      refund_pct: 0,
+      refund_cents: 0,
+      kept_cents: 0
+    };
+  }
+
+  const refundPct = !charged || daysBefore >= noticeDays ? 100 : LATE_REFUND_PCT;
+  const refundCents = Math.round(base.paid_cents * refundPct / 100);
+  return {
+    ...base,
+    cancellable: true,
+    reason: null,
+    refund_pct: refundPct,
+    refund_cents: refundCents,
+    kept_cents: base.paid_cents - refundCents
+  };
+}
+
+// Nothing charged yet: drop the card hold / saved card (best-effort, like decline)
+async function releaseUnchargedPayment(order) {
+  const ids = order.stripe || {};
+  try {
+    if (ids.payment_intent_id) {
+      const pi = await stripe.paymentIntents.retrieve(ids.payment_intent_id);
+      if (pi.status === 'requires_capture') {
+        await stripe.paymentIntents.cancel(pi.id, { cancellation_reason: 'requested_by_customer' });
+      }
+    }
+    if (ids.payment_method_id) {
+      await stripe.paymentMethods.detach(ids.payment_method_id);
+    }
+  } catch (err) {
+    console.error('[ALERT] Failed to release card for cancelled request:', order.id, err?.message || err);
+  }
+}
+
+async function loadQuote(order) {
+  if (order.status === 'requested') return { quote: cancellationQuote(order, 0), payments: [], balanceInvoice: null };
+  const { payments, balanceInvoice } = await orderPayments(order);
+  const paidCents = payments.reduce((n, p) => n + p.refundable_cents, 0);
+  return { quote: cancellationQuote(order, paidCents), payments, balanceInvoice };
+}
+
+// Quote for the manage page. null if the order does not exist.
+async function previewCancellation(orderId) {
+  const order = await getOrder(orderId);
+  if (!order) return null;
+  const { quote } = await loadQuote(order);
+  return { order, quote };
+}
+
+// orderId: stored order; actor: recorded in the status history and order.refunds
+async function cancelOrder({ orderId, actor = 'customer' }) {
+  const order = await getOrder(orderId);
+  if (!order) return { statusCode: 404, body: { error: 'Order not found' } };
+
+  const { quote, payments, balanceInvoice } = await loadQuote(order);
+  if (!quote.cancellable) {
+    return { statusCode: 409, body: { error: quote.reason, status: order.status } };
+  }
+
+  const reason = `Cancelled by customer ${quote.days_before} day(s) before ${quote.start_date} (${quote.refund_pct}% refund)`;
+
+  // The balance must never be charged once the booking is cancelled
+  let voided = null;
+  try {
+    voided = await voidBalanceInvoice(balanceInvoice);
+  } catch (err) {
+    console.error('[ALERT] Failed to void balance invoice on cancel:', order.id, err?.message || err);
+    return { statusCode: 502, body: { error: 'We could not cancel your booking right now. Please try again or reply to your confirmation email.' } };
+  }
+
+  let refund = { stripeRefunds: [], refundedCents: 0, failure: null };
+  if (quote.charged && quote.refund_cents > 0) {
+    refund = await issueRefunds(order, payments, quote.refund_cents, { reason, actor, voided, refundKey: 'cancel' });
+  } else if (!quote.charged) {
+    await releaseUnchargedPayment(order);
+  }
+
+  try {
+    await transitionOrder(order.id, 'cancelled', {
+      actor,
+      note: reason,
+      stripe: {
+        refund_ids: refund.stripeRefunds.map((r) => r.refund_id).join(','),
+        balance_invoice_id: voided?.invoice_id || null
+      },
+      patch: { cancelled_at: new Date().toISOString(), cancellation: { ...quote, refunded_cents: refund.refundedCents } }
+    });
+  } catch (err) {
+    console.error('[ALERT] Failed to record cancellation on order:', order.id, err?.message || err);
+  }
+
+  // The owner's approve/decline links must not act on a cancelled request
+  if (order.status === 'requested') {
+    await revokeActionTokens(
+      { orderId: order.id, sessionId: order.stripe?.checkout_session_id },
+      { reason: 'cancelled by customer' }
+    );
+  }
+
+  // (orders invoiced from a quote request hold their stock under the invoice id)
+  const reservationId = order.stripe?.checkout_session_id || order.stripe?.quote_invoice_id;
+  if (reservationId) {
+    try {
+      await releaseReservation(reservationId);
+    } catch (err) {
+      console.error('[ALERT] Failed to release inventory reservation:', err?.message || err);
+    }
+  }
+
+  if (OPEN_DEPOSIT_STATUSES.includes(order.security_deposit?.status)) {
+    try {
+      await releaseSecurityDeposit(order.id, { actor, reason: 'booking cancelled' });
+    } catch (err) {
+      console.error('[ALERT] Failed to release security deposit:', order.id, err?.message || err);
+    }
+  }
+
+  await sendOwnerAlert({
+    subject: `Order ${order.id} CANCELLED by customer${refund.failure ? ' — REFUND FAILED' : ''}`,
+    sms: [
+      `${order.customer?.name || 'Customer'} cancelled ${order.flow === 'self_service' ? 'pickup' : 'drop-off'} ${quote.start_date} (${quote.days_before}d notice).`,
+      quote.charged ? `Refunded $${centsToDollars(refund.refundedCents)} of $${centsToDollars(quote.paid_cents)}.` : 'Was not yet approved; hold released.',
+      voided ? 'Balance invoice cancelled.' : '',
+      refund.failure ? `Refund error: ${refund.failure}` : ''
+    ].filter(Boolean).join(' '),
+    details: { order_id: order.id, quote, refunds: refund.stripeRefunds, balance_invoice: voided, refund_error: refund.failure }
+  });
+
+  let emailSent = false;
+  if (quote.charged && refund.refundedCents > 0) {
+    try {
+      emailSent = await sendRefundEmail({
+        to: order.customer?.email,
+        customerName: order.customer?.name,
+        orderId: order.id,
+        amountCents: refund.refundedCents,
+        cardLast4: payments.find((p) => p.card_last4)?.card_last4 || null,
+        balanceCancelled: Boolean(voided),
+        reason: 'Booking cancelled'
+      });
+    } catch (err) {
+      console.error('[ALERT] Failed to send cancellation refund email:', err?.message || err);
+    }
+  }
+
+  return {
+    statusCode: refund.failure ? 502 : 200,
+    body: {
+      ok: !refund.failure,
+      order_id: order.id,
+      status: 'cancelled',
+      quote,
+      refunded_cents: refund.refundedCents,
+      balance_invoice: voided,
+      emailSent,
+      ...(refund.failure ? { error: 'Your booking is cancelled, but the refund did not go through yet. We have been notified and will process it manually.' } : {})
+    }
+  };
+}
+
+module.exports = {
+  NOTICE_TIERS,
+  LATE_REFUND_PCT,
+  noticeDaysFor,
+  cancellationQuote,
+  previewCancellation,
+  cancelOrder
+};
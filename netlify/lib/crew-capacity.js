@@ -0,0 +1,146 @@
+// netlify/lib/crew-capacity.js
+// Delivery crew capacity, loaded from netlify/config/crew-capacity.json (EDIT THAT FILE when the
+// crew grows or shrinks):
+//   max_stops_per_day                      drop-offs + pickups the crew can run in one day
+//   windows.prompt / windows.flex          stops per time slot: { default, "<slot value>": n }
+//                                          (prompt slots are keyed by their start hour, e.g. "7-8")
+//
+// Every full-service order is two stops: its drop-off (dropoff_date + slot) and its pickup
+// (pickup_date + slot). Booked stops come from orders that are requested or further along, plus
+// orders still in checkout while their Checkout Session can complete (CHECKOUT_SESSION_TTL_HOURS);
+// an abandoned checkout frees its slots when the session expires.
+//
+// checkout-full checks capacity when the Checkout Session is created, approveOrder checks again
+// before charging (the admin dashboard can override), and lib/modify-order on a schedule change.
+// The crew-slots function lists what is still open for a date.
+
+const config = require('../config/crew-capacity.json');
+const { listOrders } = require('./orders');
+const { PROMPT_FEE, FLEX_FEE } = require('./pricing');
+const { CHECKOUT_SESSION_TTL_HOURS } = require('./inventory');
+
+// Statuses with stops still on the calendar
+const SCHEDULED_STATUSES = ['requested', 'approved', 'deposit_paid', 'balance_scheduled', 'paid_in_full', 'delivered'];
+
+function hourOf(value) {
+  const h = parseInt(String(value || '').split('-')[0], 10);
+  return Number.isFinite(h) ? h : null;
+}
+
+// Prompt slots match on their start hour ("7-8" and "7-8am" are the same slot)
+function slotKey(type, value) {
+  return type === 'prompt' ? `prompt:${hourOf(value)}` : `flex:${String(value || '')}`;
+}
+
+function windowCapacity(type, value) {
+  const windows = (config.windows && config.windows[type]) || {};
+  const own = type === 'prompt'
+    ? Object.keys(windows).find((k) => k !== 'default' && hourOf(k) === hourOf(value))
+    : (Object.prototype.hasOwnProperty.call(windows, value) ? value : null);
+  const n = own !== null && own !== undefined ? windows[own] : windows.default;
+  return Number.isFinite(Number(n)) ? Number(n) : Infinity;
+}
+
+function dayCapacity() {
+  const n = Number(config.max_stops_per_day);
+  return Number.isFinite(n) ? n : Infinity;
+}
+
+// A full-service schedule's stops: [{ kind, date, type, value }]
+function stopsFor(schedule = {}) {
+  return [
+    { kind: 'dropoff', date: schedule.dropoff_date, type: schedule.dropoff_timeslot_type || 'flex', value: schedule.dropoff_timeslot_value || '' },
+    { kind: 'pickup', date: schedule.pickup_date, type: schedule.pickup_timeslot_type || 'flex', value: schedule.pickup_timeslot_value || '' }
+  ].filter((s) => s.date);
+}
+
+function isScheduled(order, now = Date.now()) {
+  if (order.flow !== 'full_service') return false;
+  if (SCHEDULED_STATUSES.includes(order.status)) return true;
+  return order.status === 'checkout' && Date.parse(order.created_at) > now - CHECKOUT_SESSION_TTL_HOURS * 60 * 60 * 1000;
+}
+
+// Booked stops on the given dates (YYYY-MM-DD), from every other scheduled order
+async function bookedStops(dates, { excludeOrderId } = {}) {
+  const wanted = new Set(dates);
+  const orders = await listOrders((o) => o.id !== excludeOrderId && isScheduled(o));
+  return orders.flatMap((o) => stopsFor(o.schedule).filter((s) => wanted.has(s.date)).map((s) => ({ ...s, order_id: o.id })));
+}
+
+function slotLabel(type, value) {
+  if (type === 'prompt') {
+    const h = hourOf(value);
+    const fmt = (x) => {
+      const n = ((x % 24) + 24) % 24;
+      return `${n % 12 === 0 ? 12 : n % 12}${n >= 12 ? 'PM' : 'AM'}`;
+    };
+    return h === null ? String(value) : `${fmt(h)}–${fmt(h + 1)}`;
+  }
+  return { '8-12': '8AM–12PM', '12-4': '12PM–4PM', '4-8': '4PM–8PM' }[value] || String(value);
+}
+
+// Can the crew take this schedule? { ok, conflicts: [{ kind, date, type, value, limit: 'slot' | 'day', capacity, booked }] }
+async function checkCrewCapacity(schedule, { excludeOrderId } = {}) {
+  const stops = stopsFor(schedule);
+  const booked = await bookedStops(stops.map((s) => s.date), { excludeOrderId });
+  const conflicts = [];
+
+  stops.forEach((stop, i) => {
+    // the order's own earlier stop (same-day drop-off and pickup) counts too
+    const mine = stops.slice(0, i);
+    const sameDay = [...booked, ...mine].filter((s) => s.date === stop.date);
+    const sameSlot = sameDay.filter((s) => slotKey(s.type, s.value) === slotKey(stop.type, stop.value));
+
+    const slotCap = windowCapacity(stop.type, stop.value);
+    if (sameSlot.length >= slotCap) {
+      conflicts.push({ kind: stop.kind, date: stop.date, type: stop.type, value: stop.value, limit: 'slot', capacity: slotCap, booked: sameSlot.length });
+    } else if (sameDay.length >= dayCapacity()) {
+      conflicts.push({ kind: stop.kind, date: stop.date, type: stop.type, value: stop.value, limit: 'day', capacity: dayCapacity(), booked: sameDay.length });
+    }
+  });
+
+  return { ok: conflicts.length === 0, conflicts };
+}
+
+function describeCrewConflicts(conflicts) {
+  return conflicts
+    .map((c) => c.limit === 'slot'
+      ? `The ${slotLabel(c.type, c.value)} ${c.kind === 'dropoff' ? 'delivery' : 'pickup'} slot on ${c.date} is fully booked`
+      : `We are fully booked for deliveries and pickups on ${c.date}`)
+    .join('; ');
+}
+
+// Open prompt / flex slots for one date:
+// { date, day: { capacity, booked, open }, prompt: [{ value, label, capacity, booked, open }], flex: [...] }
+async function slotsForDate(date) {
+  const booked = await bookedStops([date]);
+  const dayCap = dayCapacity();
+  const dayFull = booked.length >= dayCap;
+
+  const slot = (type, value) => {
+    const capacity = windowCapacity(type, value);
+    const count = booked.filter((s) => slotKey(s.type, s.value) === slotKey(type, value)).length;
+    return {
+      value,
+      label: slotLabel(type, value),
+      capacity: Number.isFinite(capacity) ? capacity : null,
+      booked: count,
+      open: !dayFull && count < capacity
+    };
+  };
+
+  return {
+    date,
+    day: { capacity: Number.isFinite(dayCap) ? dayCap : null, booked: booked.length, open: !dayFull },
+    prompt: Object.keys(PROMPT_FEE).map(Number).sort((a, b) => ((a + 18) % 24) - ((b + 18) % 24))
+      .map((h) => slot('prompt', `${h}-${h + 1}`)),
+    flex: Object.keys(FLEX_FEE).map((value) => slot('flex', value))
+  };
+}
+
+module.exports = {
+  SCHEDULED_STATUSES,
+  checkCrewCapacity,
+  describeCrewConflicts,
+  slotsForDate
+};
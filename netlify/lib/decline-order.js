@@ -0,0 +1,186 @@
+// netlify/lib/decline-order.js
+// Decline an order (shared by checkout-decline and the admin dashboard): expire the Checkout
+// Session, cancel any self-service card hold, detach the saved card, release the inventory hold
+// and email the customer.
+//
+// declineOrder() returns { statusCode, body } with a plain-object body; callers add headers.
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { releaseReservation } = require('./inventory');
+const { orderForSession } = require('./orders');
+const { canTransition, describeStatus, transitionOrder } = require('./order-status');
+const { html, paragraph, renderEmail } = require('./email-templates');
+
+let resendClient = null;
+function getResendClient() {
+  if (!resendClient && process.env.RESEND_API_KEY) {
+    const { Resend } = require('resend');
+    resendClient = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resendClient;
+}
+
+function buildDeclinedEmail({ customerName }) {
+  return renderEmail({
+    subject: 'Order Request Declined',
+    body: html`
+      ${paragraph(`Hi ${customerName || 'there'},`)}
+      ${paragraph('Thank you for your order request.')}
+      ${paragraph(`Unfortunately, we’re unable to proceed with this request at this time.
+        No charge was made, and your card details were not retained.`)}
+      ${paragraph(`If you have any questions or would like to explore alternative options,
+        feel free to reply to this email.`)}
+    `,
+  });
+}
+
+// claims: decline-token payload (customerEmail/email, customerName/name); {} for admin
+// actor: recorded in the order's status_history
+async function declineOrder({ sessionId, claims = {}, actor = 'owner' }) {
+  // Retrieve Checkout Session (authoritative source for email/name)
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+
+  const sessionEmail =
+    session.customer_details?.email ||
+    session.customer_email ||
+    '';
+
+  const sessionName =
+    session.customer_details?.name ||
+    '';
+
+  // Stored order (lib/orders); null for sessions created before orders were persisted
+  const order = await orderForSession(session);
+
+  // Refuse before touching Stripe: an approved (charged) order cannot be declined
+  if (order && !canTransition(order.status, 'declined')) {
+    return {
+      statusCode: 409,
+      body: { success: false, error: describeStatus(order), status: order.status },
+    };
+  }
+
+  const customerEmail =
+    claims.customerEmail ||
+    claims.email ||
+    sessionEmail ||
+    order?.customer?.email ||
+    '';
+
+  const customerName =
+    claims.customerName ||
+    claims.name ||
+    sessionName ||
+    order?.customer?.name ||
+    '';
+
+  // Expire Checkout Session (best-effort)
+  let expired = null;
+  try {
+    expired = await stripe.checkout.sessions.expire(sessionId);
+  } catch (_) {
+    // Session may already be complete; this is fine
+  }
+
+  // Detach saved payment method (best-effort)
+  try {
+    if (session.setup_intent) {
+      const si = await stripe.setupIntents.retrieve(session.setup_intent);
+      if (si?.payment_method) {
+        await stripe.paymentMethods.detach(si.payment_method);
+      }
+    }
+  } catch (_) {}
+
+  // Self-service: release the card hold and the card it saved (best-effort)
+  try {
+    if (session.payment_intent) {
+      const pi = await stripe.paymentIntents.retrieve(session.payment_intent);
+      if (pi?.status === 'requires_capture') {
+        await stripe.paymentIntents.cancel(pi.id, { cancellation_reason: 'abandoned' });
+      }
+      if (pi?.customer && pi?.payment_method) {
+        await stripe.paymentMethods.detach(pi.payment_method);
+      }
+    }
+  } catch (err) {
+    console.error('[ALERT] Failed to release self-service card hold:', err?.message || err);
+  }
+
+  if (order) {
+    try {
+      await transitionOrder(order.id, 'declined', {
+        actor,
+        stripe: { checkout_session_id: sessionId, setup_intent_id: session.setup_intent },
+        patch: { declined_at: new Date().toISOString() },
+      });
+    } catch (err) {
+      console.error('[ALERT] Failed to record decline on order:', order.id, err?.message || err);
+    }
+  }
+
+  // Release the inventory hold (best-effort)
+  try {
+    await releaseReservation(sessionId);
+  } catch (err) {
+    console.error('[ALERT] Failed to release inventory reservation:', err?.message || err);
+  }
+
+  // -------- Email (clean, normalized, production-ready) --------
+
+  const resend = getResendClient();
+
+  const fromEmail =
+    (process.env.FROM_EMAIL || '').trim() ||
+    "Kraus' Tables & Chairs <orders@kraustables.com>";
+
+  const replyToEmail =
+    (process.env.REPLY_TO_EMAIL || '').trim() ||
+    'orders@kraustables.com';
+
+  // Always BCC internal inbox for records
+  const internalBcc = 'orders@kraustables.com';
+
+  let emailSent = false;
+  let emailError = null;
+
+  if (!process.env.RESEND_API_KEY) {
+    emailError = 'RESEND_API_KEY missing';
+  } else if (!customerEmail) {
+    emailError = 'Customer email missing';
+  } else if (!resend) {
+    emailError = 'Resend client not initialized';
+  } else {
+    try {
+      const result = await resend.emails.send({
+      from: fromEmail,
+      to: customerEmail,
+      bcc: internalBcc,
+      reply_to: replyToEmail,
+      ...buildDeclinedEmail({ customerName }),
+    });
+      if (result?.id || result?.data?.id) {
+        emailSent = true;
+      } else {
+        emailError = 'Resend did not return an email id';
+      }
+    } catch (err) {
+      emailError = err?.message || String(err || 'Resend send failed');
+    }
+
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      message: 'Checkout Session expired (declined)',
+      sessionId,
+      sessionStatus: expired?.status || session.status,
+      emailSent,
+      emailError,
+    },
+  };
+}
+
+module.exports = { declineOrder, buildDeclinedEmail };
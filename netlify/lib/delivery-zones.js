@@ -0,0 +1,81 @@
+// netlify/lib/delivery-zones.js
+// Full-service delivery zones, loaded from netlify/config/delivery-zones.json (EDIT THAT FILE to
+// change where we deliver and what it costs). lib/pricing prices delivery through here.
+//
+// zones: { [id]: {
+//   name,                       shown to the customer and on owner emails
+//   serviceable,                false = out of area (orders rejected)
+//   zips?, zip_prefixes?,       a ZIP matches an exact `zips` entry first, then the longest prefix
+//   delivery: { rate, flat_cents?, min_cents? }   fee = flat_cents + rate x items subtotal, >= min_cents
+//   congestion_cents?,          flat surcharge (e.g. Manhattan)
+//   min_order_cents?            order minimum (default: FULL_SERVICE.MIN_ORDER)
+// } }
+// ZIPs no zone matches are out of area (rejected with outOfAreaMessage). The shipped config lists
+// the five boroughs, Westchester and Nassau County, each priced like the original flat rules
+// (30% delivery, $300 minimum, $75 congestion on the listed Manhattan ZIPs).
+
+const config = require('../config/delivery-zones.json');
+
+function normalizeZip(zip) {
+  // Supports "10001" and "10001-1234"
+  return String(zip || '').trim().slice(0, 5);
+}
+
+function zoneEntries() {
+  return Object.entries((config && config.zones) || {});
+}
+
+// The zone for a ZIP ({ id, name, serviceable, delivery, congestion_cents, min_order_cents }),
+// or null when no zone covers it.
+function zoneForZip(zip) {
+  const z = normalizeZip(zip);
+  if (!/^\d{5}$/.test(z)) return null;
+
+  let match = zoneEntries().find(([, zone]) => (zone.zips || []).includes(z));
+  if (!match) {
+    let best = 0;
+    for (const entry of zoneEntries()) {
+      for (const prefix of entry[1].zip_prefixes || []) {
+        if (z.startsWith(prefix) && prefix.length > best) {
+          best = prefix.length;
+          match = entry;
+        }
+      }
+    }
+  }
+  if (!match) return null;
+
+  const [id, zone] = match;
+  return {
+    id,
+    name: zone.name || id,
+    serviceable: zone.serviceable !== false,
+    delivery: zone.delivery || {},
+    congestion_cents: Number(zone.congestion_cents || 0),
+    min_order_cents: zone.min_order_cents === undefined ? null : Number(zone.min_order_cents)
+  };
+}
+
+// Delivery fee for a zone and items subtotal (cents)
+function deliveryFeeCents(zone, subtotalC) {
+  const rule = (zone && zone.delivery) || {};
+  const fee = Number(rule.flat_cents || 0) + Math.round(subtotalC * Number(rule.rate || 0));
+  return Math.max(fee, Number(rule.min_cents || 0));
+}
+
+// Customer-facing reason a ZIP cannot be delivered to (null if it can)
+function outOfAreaMessage(zip) {
+  const z = normalizeZip(zip);
+  const zone = zoneForZip(z);
+  if (zone && zone.serviceable) return null;
+  return zone
+    ? `Sorry, we are not currently delivering to ${zone.name} (ZIP ${z}). Contact us and we'll see what we can do.`
+    : `Sorry, ZIP ${z} is outside our delivery area. Contact us and we'll see what we can do.`;
+}
+
+module.exports = {
+  normalizeZip,
+  zoneForZip,
+  deliveryFeeCents,
+  outOfAreaMessage
+};
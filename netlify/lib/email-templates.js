@@ -0,0 +1,290 @@
+// netlify/lib/email-templates.js
+// Shared layout for every transactional email. Brand settings (name, font, colors, signature and
+// the rental policies link) are loaded from netlify/config/email-brand.json (EDIT THAT FILE to
+// restyle every email at once).
+//
+// A template builds its body from the pieces below and returns renderEmail(...):
+//   renderEmail({ subject, audience, preheader, body }) -> { subject, html, text }
+//   audience 'customer': the policies link and the signature are added under the body
+//   audience 'owner':    body only (internal notifications)
+// text is generated from the same HTML, so every message has a plain-text part that matches it.
+//
+// Escaping: build markup with the html`...` tag. Interpolated values are escaped unless they are
+// already html (a piece, another html`...`, raw()); arrays are joined. Pieces escape plain text the
+// same way, and every href goes through safeUrl, so a customer name like <a href=…> or a
+// javascript: link in Stripe metadata is rendered as text / dropped, never as markup.
+// scripts/preview-emails.js renders every template with fixture orders for review; the test suite
+// (npm test) renders them with hostile input.
+
+const brand = require('../config/email-brand.json');
+
+const { colors } = brand;
+
+function escapeHtml(input) {
+  const s = String(input ?? '');
+  return s
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+class SafeHtml {
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+// Trusted markup (never customer data)
+function raw(markup) {
+  return new SafeHtml(String(markup ?? ''));
+}
+
+// Escaped unless already html; null / undefined / false render nothing
+function toHtml(value) {
+  if (value instanceof SafeHtml) return value.html;
+  if (Array.isArray(value)) return value.map(toHtml).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return raw(strings.reduce((out, s, i) => out + s + (i < values.length ? toHtml(values[i]) : ''), ''));
+}
+
+// The URL when it is an absolute http(s), mailto: or tel: URL, else '' (javascript:, data:,
+// relative and malformed links are dropped)
+function safeUrl(url) {
+  const s = String(url ?? '').trim();
+  if (!s) return '';
+  let parsed;
+  try {
+    parsed = new URL(s);
+  } catch {
+    return '';
+  }
+  return ['https:', 'http:', 'mailto:', 'tel:'].includes(parsed.protocol) ? parsed.href : '';
+}
+
+// tel: link for a phone number as typed ('' when it has no digits)
+function telUrl(phone) {
+  const digits = String(phone ?? '').replace(/[^\d+]/g, '');
+  return /\d/.test(digits) ? `tel:${digits}` : '';
+}
+
+// 12345 -> "$123.45"; negative amounts (credits) -> "−$5.00"
+function formatCents(cents) {
+  const n = Number(cents || 0);
+  const abs = (Math.abs(n) / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${n < 0 ? '−' : ''}$${abs}`;
+}
+
+// ---- Pieces ---------------------------------------------------------------
+
+function heading(text) {
+  return html`<h2 style="margin:0 0 16px;font-size:20px;">${text}</h2>`;
+}
+
+function section(title) {
+  return html`<h3 style="margin:24px 0 8px;font-size:15px;">${title}</h3>`;
+}
+
+// content: plain text or html
+function paragraph(content, { tone } = {}) {
+  const color = tone === 'muted' ? `color:${colors.muted};font-size:12px;` : tone === 'warning' ? `color:${colors.warning};` : '';
+  return html`<p style="margin:0 0 12px;${raw(color)}">${content}</p>`;
+}
+
+// Link, or just the label when the URL is not safe
+function link(label, url) {
+  const href = safeUrl(url);
+  return href ? html`<a href="${href}">${label}</a>` : html`${label}`;
+}
+
+// rows: [[label, value]] with values as plain text or html (rows with an empty value are skipped)
+function fields(rows) {
+  const lines = rows
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([label, value], i) => html`${i ? raw('<br />') : ''}<strong>${label}:</strong> ${value}`);
+  return lines.length ? html`<p style="margin:0 0 12px;">${lines}</p>` : '';
+}
+
+// color: a key of brand.colors ('button', 'approve', 'decline'). Nothing when the URL is not safe.
+function button(label, url, color = 'button') {
+  const href = safeUrl(url);
+  if (!href) return '';
+  return html`<a data-button href="${href}" style="display:inline-block;margin:0 12px 8px 0;padding:10px 18px;background:${colors[color] || colors.button};color:#fff;text-decoration:none;border-radius:4px;font-weight:600;">${label}</a>`;
+}
+
+function buttons(...list) {
+  return html`<p style="margin:16px 0 12px;">${list}</p>`;
+}
+
+// items: [{ name, qty, unit, total }] with unit / total already formatted
+function itemsTable(items) {
+  if (!items || !items.length) return '';
+  const cell = raw(`padding:6px 0;border-bottom:1px solid ${colors.rule};`);
+  return html`
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;font-size:14px;">
+      <thead>
+        <tr>
+          <th align="left" style="${cell}">Item</th>
+          <th align="right" style="${cell}">Qty</th>
+          <th align="right" style="${cell}">Unit</th>
+          <th align="right" style="${cell}">Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${items.map((it) => html`
+        <tr>
+          <td style="${cell}">${it.name}</td>
+          <td align="right" style="${cell}">${it.qty}</td>
+          <td align="right" style="${cell}white-space:nowrap;">${it.unit}</td>
+          <td align="right" style="${cell}white-space:nowrap;">${it.total}</td>
+        </tr>`)}
+      </tbody>
+    </table>`;
+}
+
+// rows: [{ label, value, isTotal }] with value already formatted
+function summaryTable(rows) {
+  if (!rows || !rows.length) return '';
+  return html`
+    <table role="presentation" cellspacing="0" cellpadding="0" style="border-collapse:collapse;font-size:14px;min-width:260px;">
+      <tbody>
+        ${rows.map((r) => {
+          const style = raw(r.isTotal
+            ? `padding:8px 0 2px;font-weight:bold;border-top:1px solid ${colors.rule};`
+            : 'padding:2px 0;');
+          return html`
+        <tr>
+          <td style="${style}padding-right:16px;">${r.label}</td>
+          <td align="right" style="${style}white-space:nowrap;">${r.value}</td>
+        </tr>`;
+        })}
+      </tbody>
+    </table>`;
+}
+
+// ---- Layout ---------------------------------------------------------------
+
+function customerFooter() {
+  return `
+    <p style="margin:24px 0 0;"><a href="${escapeHtml(brand.policies_url)}" style="color:${colors.text};">View our Rental Policies</a></p>
+    <p style="margin:24px 0 0;font-size:13px;line-height:1.45;color:${colors.muted};">
+      <strong>${escapeHtml(brand.name)}</strong><br />
+      ${brand.address_lines.map(escapeHtml).join('<br />')}<br />
+      <a href="tel:${escapeHtml(brand.phone_e164)}" style="color:${colors.muted};">${escapeHtml(brand.phone)}</a><br />
+      <a href="${escapeHtml(brand.website_url)}" style="color:${colors.muted};">${escapeHtml(brand.website_url.replace(/^https?:\/\//, ''))}</a>
+    </p>`;
+}
+
+// body: html (a plain string is escaped like any other value)
+function layout(body, { subject = '', audience = 'customer', preheader = '' } = {}) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:${colors.background};">
+  ${preheader ? `<div data-preheader style="display:none;max-height:0;overflow:hidden;">${escapeHtml(preheader)}</div>` : ''}
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background:${colors.background};">
+    <tr>
+      <td align="center" style="padding:24px 12px;">
+        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:640px;background:#fff;border-radius:6px;">
+          <tr>
+            <td style="padding:24px;font-family:${brand.font_family};font-size:14px;color:${colors.text};line-height:1.6;">
+              ${toHtml(body)}
+              ${audience === 'customer' ? customerFooter() : ''}
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+// ---- Plain text -----------------------------------------------------------
+
+function decodeEntities(s) {
+  return s
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (m, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// "Label (https://…)"; just the label for phone / email links and when the label is the URL
+function linkText(href, labelHtml) {
+  const label = labelHtml.replace(/<[^>]+>/g, '').trim();
+  if (/^(tel|mailto):/i.test(href)) return label;
+  const bare = href.replace(/^https?:\/\//i, '').replace(/\/$/, '');
+  if (!label || label === href || label === bare) return href;
+  return `${label} (${href})`;
+}
+
+// Plain-text alternative of an email built with layout(): paragraphs, line breaks, list items and
+// table rows are kept, links are spelled out (buttons on a line of their own).
+function htmlToText(html) {
+  const s = String(html || '')
+    .replace(/<head[\s\S]*?<\/head>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<div data-preheader[\s\S]*?<\/div>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<a\b([^>]*?)href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (m, attrs, href, label) =>
+      (/data-button/.test(attrs) ? `\n${linkText(href, label)}\n` : linkText(href, label)))
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<\/(td|th)>/gi, '\t')
+    .replace(/<\/(tr|li)>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|table|ul|ol)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(s)
+    .split('\n')
+    .map((line) => line.split('\t').map((c) => c.replace(/ +/g, ' ').trim()).filter(Boolean).join('  '))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+// body: html`...`. Returns what resend.emails.send needs besides from / to.
+function renderEmail({ subject, audience = 'customer', preheader = '', body }) {
+  const html = layout(body, { subject, audience, preheader });
+  return { subject, html, text: htmlToText(html) };
+}
+
+module.exports = {
+  brand,
+  escapeHtml,
+  raw,
+  html,
+  safeUrl,
+  telUrl,
+  formatCents,
+  heading,
+  section,
+  paragraph,
+  link,
+  fields,
+  button,
+  buttons,
+  itemsTable,
+  summaryTable,
+  layout,
+  htmlToText,
+  renderEmail
+};
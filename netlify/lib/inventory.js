@@ -0,0 +1,225 @@
+// netlify/lib/inventory.js
+// Inventory (units owned per SKU) + reservation ledger.
+//
+// A reservation covers every calendar day from its start date to its end date, inclusive
+// (full-service: dropoff -> pickup; self-service: pickup -> return).
+// Lifecycle:
+// - held:      placed when a Checkout Session is created (expires after HOLD_TTL_HOURS)
+// - committed: checkout-approve succeeded
+// - released:  checkout-decline (or the hold expired)
+// An expired hold stops counting, so approval re-checks its stock first (checkReservationStock).
+// An order modification (lib/modify-order) moves items/dates in place and keeps the status.
+
+const { PRICE_MAP } = require('./pricing');
+const { parseNYDate, compareYMD, dayDiffNY, addDaysYMD } = require('./ny-dates');
+const { openCollection } = require('./store');
+
+// Units we own, keyed by PRICE_MAP sku. EDIT THIS MAP when stock changes.
+const STOCK = {
+  'table-chair-set': 8,
+  'dark': 150,
+  'light': 150,
+  'folding-table': 8,
+  'end-leaves': 8,
+  'industrial-bar': 2,
+  'industrial-cocktail-table': 6,
+  'ASH-NYC-steel-table': 1,
+  'MCM-etched-tulip-table': 1,
+  'antique-work-bench': 1,
+  'vintage-drafting-table': 2,
+  'industrial-garment-rack': 4
+};
+
+// Self-service chairs come out of the same pool as the full-service chairs.
+const SKU_ALIASES = {
+  chair_dark: 'dark',
+  chair_light: 'light'
+};
+
+// Checkout Sessions expire after 24h (Stripe's default; checkout-full/-self do not set expires_at)
+// and approve/decline links after another 24h.
+const CHECKOUT_SESSION_TTL_HOURS = 24;
+const HOLD_TTL_HOURS = 48;
+
+// Longest range the availability endpoint will scan.
+const MAX_RANGE_DAYS = 120;
+
+const reservations = () => openCollection('reservations');
+
+function stockKey(sku) {
+  const s = String(sku || '').trim();
+  return SKU_ALIASES[s] || s;
+}
+
+function stockFor(sku) {
+  const key = stockKey(sku);
+  return Object.prototype.hasOwnProperty.call(STOCK, key) ? STOCK[key] : null;
+}
+
+function eachDay(startYmd, endYmd) {
+  const days = dayDiffNY(parseNYDate(startYmd), parseNYDate(endYmd));
+  if (!Number.isFinite(days) || days < 0) return [];
+  const out = [];
+  for (let i = 0; i <= days; i++) out.push(addDaysYMD(startYmd, i));
+  return out;
+}
+
+function overlaps(res, startYmd, endYmd) {
+  return compareYMD(parseNYDate(res.start_date), parseNYDate(endYmd)) <= 0 &&
+    compareYMD(parseNYDate(res.end_date), parseNYDate(startYmd)) >= 0;
+}
+
+function isActive(res, now = Date.now()) {
+  if (res.status === 'committed') return true;
+  if (res.status === 'held') return !res.expires_at || Date.parse(res.expires_at) > now;
+  return false;
+}
+
+// Sum of reserved units per stock key per day, for active reservations overlapping the range.
+async function reservedByDay(startYmd, endYmd, { excludeId } = {}) {
+  const active = await reservations().list((r) =>
+    r.id !== excludeId && isActive(r) && overlaps(r, startYmd, endYmd)
+  );
+
+  const byDay = {};
+  for (const day of eachDay(startYmd, endYmd)) byDay[day] = {};
+
+  for (const r of active) {
+    for (const day of eachDay(r.start_date, r.end_date)) {
+      if (!byDay[day]) continue;
+      for (const it of r.items || []) {
+        const key = stockKey(it.sku);
+        byDay[day][key] = (byDay[day][key] || 0) + (Number(it.qty) || 0);
+      }
+    }
+  }
+  return byDay;
+}
+
+// items: [{ sku, qty }]; returns { ok, conflicts: [{ sku, name, date, requested, available }] }
+async function checkAvailability(items, startYmd, endYmd, opts = {}) {
+  const requested = {};
+  for (const it of items || []) {
+    const key = stockKey(it.sku);
+    if (stockFor(key) === null) continue; // untracked SKU
+    requested[key] = (requested[key] || 0) + (Number(it.qty) || 0);
+  }
+
+  const byDay = await reservedByDay(startYmd, endYmd, opts);
+  const conflicts = [];
+
+  for (const [key, qty] of Object.entries(requested)) {
+    if (qty <= 0) continue;
+    // report the tightest day per SKU
+    let worst = null;
+    for (const [day, reserved] of Object.entries(byDay)) {
+      const available = Math.max(0, STOCK[key] - (reserved[key] || 0));
+      if (available < qty && (!worst || available < worst.available)) {
+        worst = { sku: key, name: PRICE_MAP[key]?.name || key, date: day, requested: qty, available };
+      }
+    }
+    if (worst) conflicts.push(worst);
+  }
+
+  return { ok: conflicts.length === 0, conflicts };
+}
+
+function describeConflicts(conflicts) {
+  return conflicts
+    .map((c) => `Only ${c.available} × ${c.name} available on ${c.date} (requested ${c.requested})`)
+    .join('; ');
+}
+
+// Lowest available count per SKU across the whole range (what the storefront can still sell).
+async function availabilityForRange(startYmd, endYmd, skus) {
+  const byDay = await reservedByDay(startYmd, endYmd);
+  const wanted = skus && skus.length ? skus : [...Object.keys(STOCK), ...Object.keys(SKU_ALIASES)];
+
+  const out = {};
+  for (const sku of wanted) {
+    const key = stockKey(sku);
+    const stock = stockFor(key);
+    if (stock === null) continue;
+
+    let available = stock;
+    for (const reserved of Object.values(byDay)) {
+      available = Math.min(available, Math.max(0, stock - (reserved[key] || 0)));
+    }
+    out[sku] = { name: PRICE_MAP[key]?.name || key, stock, available };
+  }
+  return out;
+}
+
+// Place (or refresh) a hold keyed by Checkout Session id.
+async function holdReservation(id, { flow, items, start_date, end_date }) {
+  const now = new Date();
+  return reservations().put(id, {
+    id,
+    flow,
+    items: (items || []).map((it) => ({ sku: it.sku, qty: Number(it.qty) || 0 })),
+    start_date,
+    end_date,
+    status: 'held',
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + HOLD_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  });
+}
+
+// Stock check before committing: a hold that expired (or was released) stopped counting, so another
+// checkout may have taken its units. Returns { ok, conflicts, lapsed }; ok for a live hold, a
+// committed reservation or an unknown id.
+async function checkReservationStock(id) {
+  const res = await reservations().get(id);
+  if (!res || res.status === 'committed' || isActive(res)) return { ok: true, conflicts: [], lapsed: false };
+  const check = await checkAvailability(res.items, res.start_date, res.end_date, { excludeId: id });
+  return { ...check, lapsed: true };
+}
+
+// Returns the committed reservation, or null if no hold was recorded for this id.
+async function commitReservation(id) {
+  const res = await reservations().update(id, (current) => {
+    if (!current || current.status === 'committed') return current;
+    return { ...current, status: 'committed', committed_at: new Date().toISOString(), expires_at: null };
+  });
+  return res && res.status === 'committed' ? res : null;
+}
+
+// New items/dates for an existing reservation (held or committed).
+// Returns the updated reservation, or null if there is no live one for this id.
+async function updateReservation(id, { items, start_date, end_date }) {
+  const res = await reservations().update(id, (current) => {
+    if (!current || current.status === 'released') return null;
+    return {
+      ...current,
+      items: (items || []).map((it) => ({ sku: it.sku, qty: Number(it.qty) || 0 })),
+      start_date,
+      end_date,
+      updated_at: new Date().toISOString()
+    };
+  });
+  return res && res.status !== 'released' ? res : null;
+}
+
+async function releaseReservation(id) {
+  return reservations().update(id, (current) => {
+    if (!current || current.status === 'released') return current;
+    return { ...current, status: 'released', released_at: new Date().toISOString() };
+  });
+}
+
+module.exports = {
+  STOCK,
+  SKU_ALIASES,
+  CHECKOUT_SESSION_TTL_HOURS,
+  HOLD_TTL_HOURS,
+  MAX_RANGE_DAYS,
+  stockFor,
+  checkAvailability,
+  describeConflicts,
+  availabilityForRange,
+  holdReservation,
+  checkReservationStock,
+  commitReservation,
+  updateReservation,
+  releaseReservation
+};
@@ -0,0 +1,260 @@
+// netlify/lib/late-returns.js
+// Self-service returns: the owner's return check-in (admin-return-checkin) and late returns
+// (overdue-returns, daily).
+//
+// A self-service rental is overdue once its return_date (NY) has passed and it has not been
+// checked in. The daily job then:
+// - texts the customer (at most once per NY day) that the chairs are late
+// - after SELF_SERVICE.LATE_GRACE_DAYS, charges the saved card a late fee for every late day
+//   not charged yet (lib/pricing selfServiceLateFee: one extended-rental day per day, plus tax),
+//   up to SELF_SERVICE.LATE_FEE_MAX_DAYS; past that it texts the owner once and stops
+// Check-in moves the order to 'returned' and records counts; days late after the last job run
+// are not charged automatically (the owner sees them in the check-in result).
+//
+// order.late_return: { days_late, charged_days, customer_notified_on, owner_escalated_at, last_error }
+// order.late_fees:   [{ at, from_day, to_day, days, per_day_cents, amount_cents, payment_intent_id,
+//                       status: 'charged' | 'failed', error }]
+// order.return_checkin: { at, actor, counts, expected, missing, days_late, late_fees_cents, note }
+//
+// checkInReturn() returns { statusCode, body } with a plain-object body; callers add headers.
+
+const Stripe = require('stripe');
+
+const { getOrder, updateOrder } = require('./orders');
+const { SELF_SERVICE, selfServiceLateFee } = require('./pricing');
+const { nyTodayYMD, parseNYDate, dayDiffNY } = require('./ny-dates');
+const { canTransition, describeStatus, transitionOrderThrough } = require('./order-status');
+const { savedCardFor } = require('./modify-order');
+const { sendOwnerAlert } = require('./owner-alerts');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
+
+const LATE_FEE_KIND = 'late_fee';
+
+// Self-service statuses where the chairs may be out with the customer
+const OUT_STATUSES = ['paid_in_full', 'delivered'];
+
+let twilioClient = null;
+function getTwilioClient() {
+  if (!twilioClient && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+    const twilio = require('twilio');
+    twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return twilioClient;
+}
+
+function centsToDollars(cents) {
+  const n = Number(cents || 0);
+  return (n / 100).toFixed(2);
+}
+
+// "917-555-1212" / "(917) 555 1212" / "+19175551212" -> "+19175551212"; null if not a US number
+function toE164(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+async function sendCustomerSms(order, body) {
+  const client = getTwilioClient();
+  const from = process.env.TWILIO_FROM_NUMBER;
+  const to = toE164(order.customer?.phone);
+  if (!client || !from || !to) return false;
+  await client.messages.create({ to, from, body });
+  return true;
+}
+
+// Whole NY days since the return date (0 or less: not late)
+function daysLate(order, today = nyTodayYMD()) {
+  const days = dayDiffNY(parseNYDate(order.schedule?.return_date), parseNYDate(today));
+  return Number.isFinite(days) ? days : 0;
+}
+
+function isOverdue(order, today = nyTodayYMD()) {
+  return order.flow === 'self_service' && OUT_STATUSES.includes(order.status) && daysLate(order, today) > 0;
+}
+
+// Late days the fee covers so far (grace days are free, the rest is capped)
+function chargeableDays(days) {
+  return Math.min(Math.max(0, days - SELF_SERVICE.LATE_GRACE_DAYS), SELF_SERVICE.LATE_FEE_MAX_DAYS);
+}
+
+function chargedDays(order) {
+  return (order.late_fees || []).filter((f) => f.status === 'charged').reduce((n, f) => n + f.days, 0);
+}
+
+function lateFeesCents(order) {
+  return (order.late_fees || []).filter((f) => f.status === 'charged').reduce((n, f) => n + f.amount_cents, 0);
+}
+
+// Charge the late days not charged yet. Returns the order.late_fees entry (null if nothing due).
+async function chargeLateFee(order, days) {
+  const already = chargedDays(order);
+  const upTo = chargeableDays(days);
+  if (upTo <= already) return null;
+
+  const fee = selfServiceLateFee({ subtotal_cents: order.pricing?.subtotal_cents, days: upTo - already });
+  if (fee.total_cents <= 0) return null;
+
+  const entry = {
+    at: new Date().toISOString(),
+    from_day: already + 1,
+    to_day: upTo,
+    days: fee.days,
+    per_day_cents: fee.per_day_cents,
+    amount_cents: fee.total_cents,
+    payment_intent_id: null,
+    status: 'charged'
+  };
+
+  try {
+    const { customerId, paymentMethodId } = await savedCardFor(order);
+    if (!customerId || !paymentMethodId) throw new Error('No saved card on file');
+
+    const pi = await stripe.paymentIntents.create({
+      amount: fee.total_cents,
+      currency: 'usd',
+      customer: customerId,
+      payment_method: paymentMethodId,
+      off_session: true,
+      confirm: true,
+      description: `Late return fee (${fee.days} day${fee.days === 1 ? '' : 's'})`,
+      metadata: {
+        kraus_kind: LATE_FEE_KIND,
+        flow: 'self_service',
+        order_id: order.id,
+        return_date: order.schedule?.return_date || '',
+        late_days: `${entry.from_day}-${entry.to_day}`
+      }
+    }, { idempotencyKey: `latefee_${order.id}_${entry.from_day}_${entry.to_day}` });
+    entry.payment_intent_id = pi.id;
+  } catch (err) {
+    entry.status = 'failed';
+    entry.error = err?.message || String(err);
+    console.error('[ALERT] Late fee charge failed:', order.id, entry.error);
+  }
+
+  await updateOrder(order.id, (current) => ({
+    ...current,
+    late_fees: [...(current.late_fees || []), entry]
+  }));
+  return entry;
+}
+
+// One overdue order, one job run. Returns { order_id, days_late, texted, fee, escalated }
+async function handleOverdue(order, today = nyTodayYMD()) {
+  const days = daysLate(order, today);
+  const result = { order_id: order.id, days_late: days, texted: false, fee: null, escalated: false };
+
+  result.fee = await chargeLateFee(order, days);
+
+  const prev = order.late_return || {};
+  if (prev.customer_notified_on !== today) {
+    const returnBy = order.schedule?.return_date;
+    const feeNote = result.fee?.status === 'charged'
+      ? ` A late fee of $${centsToDollars(result.fee.amount_cents)} was charged to your card.`
+      : days <= SELF_SERVICE.LATE_GRACE_DAYS
+        ? ' Late fees apply from tomorrow.'
+        : '';
+    try {
+      result.texted = await sendCustomerSms(order,
+        `Kraus’ Tables & Chairs: your chair rental (order ${order.id}) was due back ${returnBy}. Please return it as soon as possible.${feeNote} Questions? Reply to your confirmation email.`);
+    } catch (err) {
+      console.error('[ALERT] Failed to text customer about late return:', order.id, err?.message || err);
+    }
+  }
+
+  // Past the automatic cap (or no card to charge): the owner takes it from here, once
+  const stuck = days - SELF_SERVICE.LATE_GRACE_DAYS > SELF_SERVICE.LATE_FEE_MAX_DAYS || result.fee?.status === 'failed';
+  if (stuck && !prev.owner_escalated_at) {
+    await sendOwnerAlert({
+      subject: `Chairs overdue — order ${order.id}`,
+      sms: [
+        `${order.customer?.name || 'Customer'} ${days}d late (due ${order.schedule?.return_date}).`,
+        `Late fees charged: $${centsToDollars(lateFeesCents(order) + (result.fee?.status === 'charged' ? result.fee.amount_cents : 0))}.`,
+        result.fee?.status === 'failed' ? `Late fee failed: ${result.fee.error}.` : 'Automatic late fees have stopped.',
+        order.customer?.phone ? `Phone ${order.customer.phone}.` : ''
+      ].filter(Boolean).join(' '),
+      details: { order_id: order.id, days_late: days, customer: order.customer, late_fees: [...(order.late_fees || []), ...(result.fee ? [result.fee] : [])] }
+    });
+    result.escalated = true;
+  }
+
+  await updateOrder(order.id, (current) => ({
+    ...current,
+    late_return: {
+      ...current.late_return,
+      days_late: days,
+      charged_days: chargedDays(current),
+      ...(result.texted ? { customer_notified_on: today } : {}),
+      ...(result.escalated ? { owner_escalated_at: new Date().toISOString() } : {}),
+      last_error: result.fee?.error || null
+    }
+  }));
+  return result;
+}
+
+// counts: { [sku]: units returned } (omitted SKUs count as fully returned)
+async function checkInReturn({ orderId, counts = {}, note = '', actor = 'admin' }) {
+  const order = await getOrder(orderId);
+  if (!order) return { statusCode: 404, body: { error: 'Order not found' } };
+  if (order.flow !== 'self_service') {
+    return { statusCode: 400, body: { error: 'Return check-in is for self-service rentals' } };
+  }
+  if (!OUT_STATUSES.includes(order.status)) {
+    return { statusCode: 409, body: { error: describeStatus(order), status: order.status } };
+  }
+
+  const expected = {};
+  for (const it of order.items || []) expected[it.sku] = (expected[it.sku] || 0) + Number(it.qty || 0);
+
+  const returned = {};
+  for (const [sku, qty] of Object.entries(expected)) {
+    const given = counts?.[sku];
+    const n = given === undefined || given === null || given === '' ? qty : Number(given);
+    if (!Number.isInteger(n) || n < 0) {
+      return { statusCode: 400, body: { error: `counts.${sku} must be a whole number of units` } };
+    }
+    returned[sku] = n;
+  }
+  const missing = Object.entries(expected)
+    .filter(([sku, qty]) => returned[sku] < qty)
+    .map(([sku, qty]) => ({ sku, expected: qty, returned: returned[sku], missing: qty - returned[sku] }));
+
+  const days = Math.max(0, daysLate(order));
+  const checkin = {
+    at: new Date().toISOString(),
+    actor,
+    counts: returned,
+    expected,
+    missing,
+    days_late: days,
+    late_fees_cents: lateFeesCents(order),
+    uncharged_late_days: Math.max(0, chargeableDays(days) - chargedDays(order)),
+    note: String(note || '').slice(0, 500)
+  };
+
+  const steps = order.status === 'paid_in_full' ? ['delivered', 'returned'] : ['returned'];
+  if (!steps.every((to, i) => canTransition(i ? steps[i - 1] : order.status, to))) {
+    return { statusCode: 409, body: { error: describeStatus(order), status: order.status } };
+  }
+  await transitionOrderThrough(order.id, steps, {
+    actor,
+    note: missing.length
+      ? `Returned with ${missing.reduce((n, m) => n + m.missing, 0)} unit(s) missing`
+      : `Returned${days > 0 ? ` ${days} day(s) late` : ''}`,
+    patch: { return_checkin: checkin, returned_at: checkin.at }
+  });
+
+  return { statusCode: 200, body: { ok: true, order_id: order.id, status: 'returned', checkin } };
+}
+
+module.exports = {
+  LATE_FEE_KIND,
+  OUT_STATUSES,
+  daysLate,
+  isOverdue,
+  handleOverdue,
+  checkInReturn
+};
@@ -0,0 +1,53 @@
+// netlify/lib/manage-links.js
+// Signed "manage your booking" links for customers (manage-booking function).
+//
+// Unlike the owner's approve/decline links these are reusable: the customer can open the page
+// as often as they like, and cancelling twice is stopped by the order state machine.
+// They are signed with a key derived from JWT_SECRET so a customer link can never pass
+// lib/action-tokens verification (which still accepts legacy tokens without an action).
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const { orderDates } = require('./orders');
+const { nyLocalToUtc } = require('./balance-invoices');
+const { addDaysYMD, parseNYDate } = require('./ny-dates');
+
+const PURPOSE = 'manage';
+const FALLBACK_TTL_DAYS = 90;
+
+function manageSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error('JWT_SECRET not configured');
+  return crypto.createHmac('sha256', secret).update('kraus-manage-link').digest('hex');
+}
+
+// Link stays valid until the day after the rental ends (NY), so it still shows the outcome.
+function manageLinkExpiry(order) {
+  const { end_date, start_date } = orderDates(order);
+  const last = end_date || start_date;
+  if (parseNYDate(last)) return Math.floor(nyLocalToUtc(addDaysYMD(last, 1), 23, 59).getTime() / 1000);
+  return Math.floor(Date.now() / 1000) + FALLBACK_TTL_DAYS * 24 * 60 * 60;
+}
+
+function manageBookingUrl(order, siteUrl = process.env.SITE_URL) {
+  if (!order?.id || !siteUrl) return null;
+  const token = jwt.sign(
+    { purpose: PURPOSE, orderId: order.id, exp: manageLinkExpiry(order) },
+    manageSecret()
+  );
+  return `${String(siteUrl).replace(/\/$/, '')}/.netlify/functions/manage-booking?token=${encodeURIComponent(token)}`;
+}
+
+// Returns { ok: true, orderId } or { ok: false, statusCode, error }
+function verifyManageToken(token) {
+  try {
+    const claims = jwt.verify(String(token || ''), manageSecret());
+    if (claims.purpose !== PURPOSE || !claims.orderId) throw new Error('wrong purpose');
+    return { ok: true, orderId: claims.orderId };
+  } catch {
+    return { ok: false, statusCode: 401, error: 'This link is invalid or has expired. Reply to your confirmation email and we’ll help.' };
+  }
+}
+
+module.exports = { manageBookingUrl, verifyManageToken };
@@ -0,0 +1,479 @@
+// netlify/lib/modify-order.js
+// Change an approved order's items, dates or delivery address (modify-order function).
+//
+// The new cart is repriced with the same engine as checkout-full / checkout-self (lib/pricing)
+// and compared with what Stripe already holds for the order (lib/refund-order orderPayments):
+// - a scheduled (draft/open) balance invoice is replaced by one for the new remainder, due the
+//   day before the new drop-off (lib/balance-invoices, kraus_revision)
+// - a paid-up order that now costs more gets a one-off invoice for the difference, charged to the
+//   card on file (or emailed by Stripe when there is none): metadata.kraus_kind 'adjustment'
+// - an order that now costs less than was paid is partly refunded (issueRefunds)
+// Then the order record, the inventory reservation and the customer (revised summary) are updated.
+// Every change is appended to order.modifications.
+//
+// Repricing uses today's date only when the schedule changes, so an items-only change does not
+// pick up a rush fee the original booking did not have.
+//
+// modifyOrder() returns { statusCode, body } with a plain-object body; callers add headers.
+
+const Stripe = require('stripe');
+
+const { getOrder, buildOrder, updateOrder, orderDates } = require('./orders');
+const { priceOrder, discountShare } = require('./pricing');
+const { checkCrewCapacity, describeCrewConflicts } = require('./crew-capacity');
+const { nyTodayYMD, parseNYDate, dayDiffNY } = require('./ny-dates');
+const { checkAvailability, describeConflicts, updateReservation } = require('./inventory');
+const { createBalanceInvoice } = require('./balance-invoices');
+const { describeStatus, transitionOrder, canTransition } = require('./order-status');
+const { orderPayments, voidBalanceInvoice, issueRefunds } = require('./refund-order');
+const { resolvePaymentIssue } = require('./payment-failures');
+const { noticeDaysFor } = require('./cancellation');
+const { sendOwnerAlert } = require('./owner-alerts');
+const { html, paragraph, fields, link, renderEmail } = require('./email-templates');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
+
+// Paid (at least in part) and not yet out the door
+const MODIFIABLE_STATUSES = ['deposit_paid', 'balance_scheduled', 'paid_in_full'];
+
+// Stripe emails an invoice for the difference when there is no card to charge
+const ADJUSTMENT_DAYS_UNTIL_DUE = 3;
+
+const ADJUSTMENT_KIND = 'adjustment';
+
+let resendClient = null;
+function getResendClient() {
+  if (!resendClient && process.env.RESEND_API_KEY) {
+    const { Resend } = require('resend');
+    resendClient = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resendClient;
+}
+
+function centsToDollars(cents) {
+  const n = Number(cents || 0);
+  return (n / 100).toFixed(2);
+}
+
+function nyDateOf(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? undefined : d.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Pricing input for the changed order: anything not given keeps its current value.
+// changes: { items?: [{ sku, qty }], schedule?: {...}, location?: {...} }
+function pricingInput(order, { items, schedule = {}, location = {} }) {
+  const nextItems = (Array.isArray(items) ? items : order.items || [])
+    .map((it) => ({ sku: it?.sku, qty: Number(it?.qty) || 0 }));
+  const nextSchedule = { ...order.schedule, ...schedule };
+  return order.flow === 'full_service'
+    ? { flow: 'full_service', items: nextItems, schedule: nextSchedule, location: { ...order.location, ...location } }
+    : { flow: 'self_service', items: nextItems, pickup_date: nextSchedule.pickup_date, return_date: nextSchedule.return_date };
+}
+
+// The card the order was paid with: { customerId, paymentMethodId } (either may be null).
+// Also used by lib/late-returns to charge late fees.
+async function savedCardFor(order) {
+  const ids = order.stripe || {};
+  if (ids.customer_id) return { customerId: ids.customer_id, paymentMethodId: ids.payment_method_id || null };
+  if (ids.payment_intent_id) {
+    const pi = await stripe.paymentIntents.retrieve(ids.payment_intent_id);
+    return { customerId: pi.customer || null, paymentMethodId: pi.payment_method || null };
+  }
+  return { customerId: null, paymentMethodId: null };
+}
+
+// One-off invoice for the difference: charged to the saved card now, or emailed by Stripe.
+// Returns { invoice_id, status, hosted_invoice_url, error }; a declined card leaves it 'open'
+// (checkout-webhook invoice.payment_failed then flags the order and emails a pay link).
+async function chargeDifference(order, amountCents, revision) {
+  const { customerId, paymentMethodId } = await savedCardFor(order);
+  if (!customerId) throw new Error('No Stripe customer on file for this order');
+
+  const description = `Order ${order.id} change #${revision}`;
+  const metadata = {
+    kraus_flow: order.flow,
+    kraus_kind: ADJUSTMENT_KIND,
+    kraus_revision: String(revision),
+    order_id: order.id
+  };
+
+  const inv = await stripe.invoices.create({
+    customer: customerId,
+    auto_advance: false,
+    pending_invoice_items_behavior: 'exclude',
+    description,
+    metadata,
+    ...(paymentMethodId
+      ? { collection_method: 'charge_automatically', default_payment_method: paymentMethodId }
+      : { collection_method: 'send_invoice', days_until_due: ADJUSTMENT_DAYS_UNTIL_DUE })
+  }, { idempotencyKey: `adjust_${order.id}_r${revision}` });
+
+  await stripe.invoiceItems.create({
+    customer: customerId,
+    invoice: inv.id,
+    currency: 'usd',
+    amount: amountCents,
+    description,
+    metadata
+  }, { idempotencyKey: `adjustitem_${order.id}_r${revision}` });
+
+  const finalized = await stripe.invoices.finalizeInvoice(inv.id);
+  if (!paymentMethodId) {
+    const sent = await stripe.invoices.sendInvoice(inv.id);
+    return { invoice_id: inv.id, status: sent.status, hosted_invoice_url: sent.hosted_invoice_url || null, error: null };
+  }
+
+  try {
+    const paid = await stripe.invoices.pay(inv.id);
+    return { invoice_id: inv.id, status: paid.status, hosted_invoice_url: paid.hosted_invoice_url || null, error: null };
+  } catch (err) {
+    console.error('[ALERT] Order change charge declined:', order.id, inv.id, err?.message || err);
+    return { invoice_id: inv.id, status: 'open', hosted_invoice_url: finalized.hosted_invoice_url || null, error: err?.message || String(err) };
+  }
+}
+
+// What applying the change would do, before any money moves. Returns { error, statusCode } or
+// { order, next, plan, payments, balanceInvoice } where next is the repriced order fields and
+// plan: { from_total_cents, to_total_cents, paid_cents, pending_balance_cents, action,
+//         balance_cents, charge_cents, refund_cents, warnings }
+// action: 'replace_balance' | 'settle_balance' | 'charge_difference' | 'refund' | 'none'
+async function planModification(order, changes, { actor }) {
+  if (!MODIFIABLE_STATUSES.includes(order.status)) {
+    return { statusCode: 409, error: `${describeStatus(order)}; it can no longer be changed online` };
+  }
+
+  const input = pricingInput(order, changes);
+  const scheduleChanged = order.flow === 'full_service'
+    ? !sameJson(input.schedule, order.schedule)
+    : input.pickup_date !== order.schedule?.pickup_date || input.return_date !== order.schedule?.return_date;
+
+  // Keep the order's promo on the terms it was booked with (dates and usage limits are not re-checked)
+  const promo = order.pricing?.promo || null;
+  const quote = priceOrder(input, scheduleChanged ? { promo } : { today: nyDateOf(order.created_at), promo });
+  if (quote.errors.length) return { statusCode: 400, error: quote.errors[0] };
+
+  const rebuilt = buildOrder({
+    id: order.id,
+    flow: order.flow,
+    customer: order.customer,
+    location: input.location,
+    schedule: input.schedule,
+    quote
+  });
+  const next = { items: rebuilt.items, pricing: rebuilt.pricing, schedule: rebuilt.schedule, location: rebuilt.location };
+
+  if (sameJson(next.items, order.items) && sameJson(next.schedule, order.schedule) && sameJson(next.location, order.location)) {
+    return { statusCode: 400, error: 'Nothing to change' };
+  }
+
+  if (order.flow === 'full_service' && scheduleChanged) {
+    const crew = await checkCrewCapacity(next.schedule, { excludeOrderId: order.id });
+    if (!crew.ok) return { statusCode: 409, error: describeCrewConflicts(crew.conflicts) };
+  }
+
+  // Customers change their own booking only while a cancellation would still be fully refunded
+  const { start_date } = orderDates(order);
+  const daysBefore = dayDiffNY(parseNYDate(nyTodayYMD()), parseNYDate(start_date));
+  if (actor === 'customer' && (daysBefore === null || daysBefore < noticeDaysFor(order.pricing?.total_cents))) {
+    return {
+      statusCode: 409,
+      error: 'Changes this close to your date need a quick check from us. Please reply to your confirmation email.'
+    };
+  }
+
+  const { start_date: nextStart, end_date: nextEnd } = orderDates({ flow: order.flow, schedule: next.schedule });
+  const availability = await checkAvailability(next.items, nextStart, nextEnd, {
+    excludeId: order.stripe?.checkout_session_id
+  });
+  if (!availability.ok) {
+    return { statusCode: 409, error: describeConflicts(availability.conflicts), conflicts: availability.conflicts };
+  }
+
+  const { payments, balanceInvoice } = await orderPayments(order);
+  const paidCents = payments.reduce((n, p) => n + p.refundable_cents, 0);
+  const pending = balanceInvoice && ['draft', 'open'].includes(balanceInvoice.status) ? balanceInvoice : null;
+  const due = next.pricing.total_cents - paidCents;
+
+  let action = 'none';
+  if (pending) action = due > 0 ? 'replace_balance' : due < 0 ? 'refund' : 'settle_balance';
+  else if (due > 0) action = 'charge_difference';
+  else if (due < 0) action = 'refund';
+
+  return {
+    order,
+    next,
+    payments,
+    balanceInvoice: pending,
+    plan: {
+      from_total_cents: Number(order.pricing?.total_cents || 0),
+      to_total_cents: next.pricing.total_cents,
+      paid_cents: paidCents,
+      pending_balance_cents: pending ? Number(pending.amount_due || 0) : 0,
+      action,
+      balance_cents: action === 'replace_balance' ? due : 0,
+      charge_cents: action === 'charge_difference' ? due : 0,
+      refund_cents: due < 0 ? -due : 0,
+      warnings: quote.warnings
+    }
+  };
+}
+
+function itemsHtml(items) {
+  return (items || [])
+    .map((it, i) => html`${i ? html`<br/>` : ''}${it.name || it.sku} × ${it.qty} — $${centsToDollars(it.total_cents)}`);
+}
+
+function buildRevisedSummaryEmail({ order, next, plan, outcome }) {
+  const { start_date, end_date } = orderDates({ flow: order.flow, schedule: next.schedule });
+  const isFull = order.flow === 'full_service';
+  const loc = next.location || {};
+
+  let paymentLine = '';
+  if (outcome.refundedCents > 0) {
+    paymentLine = html`<strong>Refunded:</strong> $${centsToDollars(outcome.refundedCents)} to your original payment method (5–10 business days)`;
+  } else if (outcome.balance) {
+    paymentLine = html`<strong>Remaining balance:</strong> $${centsToDollars(plan.balance_cents)}, charged automatically the day before drop-off`;
+  } else if (outcome.adjustment?.status === 'paid') {
+    paymentLine = html`<strong>Charged for the change:</strong> $${centsToDollars(plan.charge_cents)} to your card on file`;
+  } else if (outcome.adjustment) {
+    paymentLine = html`<strong>Due for the change:</strong> $${centsToDollars(plan.charge_cents)}${outcome.adjustment.hosted_invoice_url ? html` — ${link('pay here', outcome.adjustment.hosted_invoice_url)}` : ''}`;
+  }
+
+  return renderEmail({
+    subject: '✏️ Your rental was updated – Kraus’ Tables & Chairs',
+    body: html`
+      ${paragraph(`Hi ${order.customer?.name || 'there'},`)}
+      ${paragraph('Your rental has been updated. Here is the revised summary.')}
+      ${fields([
+        ['Order', order.id],
+        [isFull ? 'Drop-off' : 'Pickup', start_date],
+        [isFull ? 'Pickup' : 'Return', end_date],
+        ['Address', isFull ? [loc.street, loc.address2, loc.city, loc.state, loc.zip].filter(Boolean).join(', ') : '']
+      ])}
+      ${paragraph(itemsHtml(next.items))}
+      ${paragraph(html`
+        <strong>New total:</strong> $${centsToDollars(plan.to_total_cents)} (was $${centsToDollars(plan.from_total_cents)})<br/>
+        <strong>Paid so far:</strong> $${centsToDollars(plan.paid_cents - outcome.refundedCents + (outcome.adjustment?.status === 'paid' ? plan.charge_cents : 0))}
+        ${paymentLine ? html`<br/>${paymentLine}` : ''}
+      `)}
+      ${paragraph('If anything looks wrong, just reply to this email.')}
+    `
+  });
+}
+
+async function sendRevisedSummaryEmail({ order, next, plan, outcome }) {
+  const resend = getResendClient();
+  const from = process.env.FROM_EMAIL;
+  const to = order.customer?.email;
+  if (!resend || !from || !to) return false;
+
+  await resend.emails.send({ from, to, ...buildRevisedSummaryEmail({ order, next, plan, outcome }) });
+  return true;
+}
+
+// orderId: stored order
+// changes: { items?: [{ sku, qty }], schedule?: {...}, location?: {...} } (omitted parts stay as-is)
+// actor: 'admin' | 'customer' (customers only while outside the cancellation notice window)
+// The repriced order's promo share of a new balance invoice (lib/balance-invoices), or null
+function balanceDiscount(next, balanceCents) {
+  const pricing = next.pricing || {};
+  const cents = discountShare({ discount_cents: pricing.discount_cents, total_cents: pricing.total_cents, part_cents: balanceCents });
+  if (cents <= 0) return null;
+  const label = (pricing.lines || []).find((l) => l.code === 'discount')?.label || `Promo ${pricing.promo_code}`;
+  return { label, cents };
+}
+
+// invoice.paid for an adjustment invoice (checkout-webhook): mark its modification paid. The
+// order keeps its status; a balance still scheduled is charged as usual.
+async function recordAdjustmentPayment(invoice) {
+  return updateOrder(invoice.metadata?.order_id, (current) => ({
+    ...current,
+    modifications: (current.modifications || []).map((m) => (m.adjustment_invoice_id === invoice.id
+      ? {
+          ...m,
+          adjustment_status: 'paid',
+          adjustment_paid_at: m.adjustment_paid_at || new Date().toISOString(),
+          adjustment_payment_intent_id: invoice.payment_intent || null
+        }
+      : m))
+  }));
+}
+
+// dryRun: return the plan without changing anything
+async function modifyOrder({ orderId, changes = {}, actor = 'admin', dryRun = false, notifyCustomer = true }) {
+  const order = await getOrder(orderId);
+  if (!order) return { statusCode: 404, body: { error: 'Order not found' } };
+
+  const planned = await planModification(order, changes, { actor });
+  if (planned.error) {
+    return {
+      statusCode: planned.statusCode,
+      body: { error: planned.error, status: order.status, ...(planned.conflicts ? { conflicts: planned.conflicts } : {}) }
+    };
+  }
+  const { next, plan, payments, balanceInvoice } = planned;
+  if (dryRun) return { statusCode: 200, body: { ok: true, dry_run: true, order_id: order.id, plan, next } };
+
+  const revision = (order.modifications || []).length + 1;
+  const reason = `Order change #${revision}: $${centsToDollars(plan.from_total_cents)} → $${centsToDollars(plan.to_total_cents)}`;
+
+  // The old balance must not be charged for the old amount or date
+  let voided = null;
+  try {
+    voided = await voidBalanceInvoice(balanceInvoice);
+  } catch (err) {
+    console.error('[ALERT] Failed to void balance invoice on order change:', order.id, err?.message || err);
+    return { statusCode: 502, body: { error: `Could not cancel the scheduled balance invoice: ${err?.message || err}` } };
+  }
+
+  const outcome = { balance: null, adjustment: null, refundedCents: 0, refunds: [], error: null };
+  try {
+    if (plan.action === 'replace_balance') {
+      const { customerId } = await savedCardFor(order);
+      const inv = await createBalanceInvoice({
+        customerId: customerId || balanceInvoice.customer,
+        amountCents: plan.balance_cents,
+        orderId: order.id,
+        sessionId: order.stripe?.checkout_session_id,
+        setupIntentId: balanceInvoice.metadata?.setup_intent_id || '',
+        dropoffDateStr: next.schedule.dropoff_date,
+        revision,
+        discount: balanceDiscount(next, plan.balance_cents)
+      });
+      outcome.balance = { invoice_id: inv.id, amount_cents: plan.balance_cents };
+    } else if (plan.action === 'charge_difference') {
+      outcome.adjustment = await chargeDifference(order, plan.charge_cents, revision);
+    } else if (plan.action === 'refund') {
+      const refund = await issueRefunds(order, payments, plan.refund_cents, {
+        reason,
+        actor,
+        voided,
+        refundKey: `change_${revision}`
+      });
+      outcome.refundedCents = refund.refundedCents;
+      outcome.refunds = refund.stripeRefunds;
+      outcome.error = refund.failure;
+    }
+  } catch (err) {
+    outcome.error = err?.message || String(err);
+    console.error('[ALERT] Order change payment step failed:', order.id, outcome.error);
+  }
+
+  const entry = {
+    at: new Date().toISOString(),
+    actor,
+    revision,
+    action: plan.action,
+    from: { items: order.items, schedule: order.schedule, location: order.location, total_cents: plan.from_total_cents },
+    to_total_cents: plan.to_total_cents,
+    paid_cents: plan.paid_cents,
+    voided_balance: voided,
+    balance_invoice_id: outcome.balance?.invoice_id || null,
+    adjustment_invoice_id: outcome.adjustment?.invoice_id || null,
+    adjustment_status: outcome.adjustment?.status || null,
+    refunded_cents: outcome.refundedCents,
+    ...(outcome.error ? { error: outcome.error } : {})
+  };
+
+  const balanceCents = outcome.balance ? plan.balance_cents : 0;
+  const patch = {
+    ...next,
+    payment: { ...order.payment, balance_cents: balanceCents },
+    stripe: { balance_invoice_id: outcome.balance?.invoice_id || (voided ? null : order.stripe?.balance_invoice_id || null) }
+  };
+  const settled = order.status === 'balance_scheduled' && voided && !outcome.balance && !outcome.error;
+
+  try {
+    if (settled && canTransition(order.status, 'paid_in_full')) {
+      await transitionOrder(order.id, 'paid_in_full', {
+        actor,
+        note: reason,
+        stripe: { balance_invoice_id: voided.invoice_id },
+        patch: { ...patch, modifications: [...(order.modifications || []), entry] }
+      });
+    } else {
+      await updateOrder(order.id, (current) => ({
+        ...current,
+        ...patch,
+        stripe: { ...current.stripe, ...patch.stripe },
+        modifications: [...(current.modifications || []), entry]
+      }));
+    }
+  } catch (err) {
+    console.error('[ALERT] Failed to record order change:', order.id, err?.message || err);
+  }
+
+  // A declined balance that was just replaced is no longer the problem to chase
+  if (voided && order.at_risk && order.payment_issue?.invoice_id === voided.invoice_id) {
+    try {
+      await resolvePaymentIssue(order.id);
+    } catch (err) {
+      console.error('[ALERT] Failed to clear at-risk flag after order change:', order.id, err?.message || err);
+    }
+  }
+
+  if (order.stripe?.checkout_session_id) {
+    try {
+      const { start_date, end_date } = orderDates({ flow: order.flow, schedule: next.schedule });
+      const res = await updateReservation(order.stripe.checkout_session_id, { items: next.items, start_date, end_date });
+      if (!res) console.warn('[inventory] no live reservation to update for order change:', order.id);
+    } catch (err) {
+      console.error('[ALERT] Failed to update inventory reservation:', err?.message || err);
+    }
+  }
+
+  if (actor === 'customer' || outcome.error || outcome.adjustment?.error) {
+    await sendOwnerAlert({
+      subject: `Order ${order.id} CHANGED by ${actor}${outcome.error || outcome.adjustment?.error ? ' — PAYMENT STEP FAILED' : ''}`,
+      sms: [
+        `${order.customer?.name || 'Customer'}: order ${order.id} now $${centsToDollars(plan.to_total_cents)} (was $${centsToDollars(plan.from_total_cents)}).`,
+        outcome.balance ? `Balance $${centsToDollars(plan.balance_cents)} rescheduled.` : '',
+        outcome.adjustment ? `Difference $${centsToDollars(plan.charge_cents)}: ${outcome.adjustment.status}.` : '',
+        outcome.refundedCents ? `Refunded $${centsToDollars(outcome.refundedCents)}.` : '',
+        outcome.error ? `Error: ${outcome.error}` : ''
+      ].filter(Boolean).join(' '),
+      details: { order_id: order.id, plan, outcome }
+    });
+  }
+
+  let emailSent = false;
+  if (notifyCustomer && !outcome.error) {
+    try {
+      emailSent = await sendRevisedSummaryEmail({ order, next, plan, outcome });
+    } catch (err) {
+      console.error('[ALERT] Failed to send revised order email:', err?.message || err);
+    }
+  }
+
+  return {
+    statusCode: outcome.error ? 502 : 200,
+    body: {
+      ok: !outcome.error,
+      order_id: order.id,
+      revision,
+      plan,
+      balance_invoice: outcome.balance,
+      voided_balance: voided,
+      adjustment: outcome.adjustment,
+      refunded_cents: outcome.refundedCents,
+      refunds: outcome.refunds,
+      emailSent,
+      ...(outcome.error ? { error: `Order updated, but the payment step failed: ${outcome.error}` } : {})
+    }
+  };
+}
+
+module.exports = {
+  ADJUSTMENT_KIND,
+  MODIFIABLE_STATUSES,
+  recordAdjustmentPayment,
+  savedCardFor,
+  planModification,
+  modifyOrder,
+  buildRevisedSummaryEmail
+};
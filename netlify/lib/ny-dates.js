@@ -0,0 +1,35 @@
+// netlify/lib/ny-dates.js
+// KRAUS: NY date helpers (server-authoritative calendar days in America/New_York)
+
+function nyTodayYMD() {
+  // Returns YYYY-MM-DD for "today" in America/New_York
+  return new Date().toLocaleDateString("en-CA", { timeZone: "America/New_York" });
+}
+function parseNYDate(ymd) {
+  if (!/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(String(ymd || "").trim())) return null;
+  const [y, m, d] = String(ymd).trim().split("-").map(Number);
+  return { y, m, d };
+}
+function compareYMD(a, b) {
+  if (!a || !b) return null;
+  if (a.y !== b.y) return a.y < b.y ? -1 : 1;
+  if (a.m !== b.m) return a.m < b.m ? -1 : 1;
+  if (a.d !== b.d) return a.d < b.d ? -1 : 1;
+  return 0;
+}
+function dayDiffNY(a, b) {
+  // Whole calendar-day difference between two {y,m,d} dates
+  if (!a || !b) return null;
+  const da = Date.UTC(a.y, a.m - 1, a.d);
+  const db = Date.UTC(b.y, b.m - 1, b.d);
+  return Math.round((db - da) / 86400000);
+}
+
+function addDaysYMD(ymd, days) {
+  // "2025-06-01" + 2 -> "2025-06-03" (calendar arithmetic, no time zone involved)
+  const p = parseNYDate(ymd);
+  if (!p) return null;
+  return new Date(Date.UTC(p.y, p.m - 1, p.d + days)).toISOString().slice(0, 10);
+}
+
+module.exports = { nyTodayYMD, parseNYDate, compareYMD, dayDiffNY, addDaysYMD };
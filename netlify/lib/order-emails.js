@@ -0,0 +1,488 @@
+// netlify/lib/order-emails.js
+// Emails about a Checkout order, sent by checkout-webhook. They are built from its orderDetails
+// (see orderDetailsFromOrder there; amounts in dollars, e.g. details.totalNumber):
+// - full-service / self-service: the owner's approve-or-decline request and the customer's
+//   "request received"
+// - self-service capture: the customer's approval and the owner's heads-up
+// - invoice.paid: the receipt (owner and customer)
+// Every builder returns { subject, html, text } in the shared layout (lib/email-templates).
+// Everything in details comes from the customer's form via Stripe metadata: it is only ever
+// interpolated through html`...` / the pieces, and links go through link() / button().
+
+const {
+  html,
+  telUrl,
+  heading,
+  section,
+  paragraph,
+  link,
+  fields,
+  button,
+  buttons,
+  itemsTable,
+  summaryTable,
+  renderEmail
+} = require('./email-templates');
+
+const asNumberOrNull = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isNaN(n) ? null : n;
+};
+
+const formatMoney = (amount) => {
+  const n = asNumberOrNull(amount);
+  if (n === null) return '$0.00';
+  return `$${n.toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })}`;
+};
+
+// Add weekday name (Monday, Tuesday, etc.)
+const formatDate = (isoDate) => {
+  if (!isoDate) return 'Not provided';
+  const d = new Date(isoDate + 'T00:00:00');
+  if (Number.isNaN(d.getTime())) return isoDate;
+  return d.toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+// Convert "23-24" -> "11PM–12AM", "12-4" -> "12PM–4PM" etc.
+const formatHourRange = (value) => {
+  if (!value) return null;
+
+  // Special handling for known flex slot patterns
+  const flexMap = {
+    '8-12': '8AM–12PM',
+    '12-4': '12PM–4PM',
+    '4-8': '4PM–8PM'
+  };
+
+  if (flexMap[value]) {
+    return flexMap[value];
+  }
+
+  // Otherwise, format as 24-hour time slot (for prompt slots)
+  const match = /^(\d{1,2})-(\d{1,2})$/.exec(value.trim());
+  if (!match) return value;
+
+  const [, startStr, endStr] = match;
+  const start = Number(startStr);
+  const end = Number(endStr);
+  if (Number.isNaN(start) || Number.isNaN(end)) return value;
+
+  const fmt = (h) => {
+    const normalized = ((h % 24) + 24) % 24;
+    const suffix = normalized >= 12 ? 'PM' : 'AM';
+    const hour12 = normalized % 12 === 0 ? 12 : normalized % 12;
+    return `${hour12}${suffix}`;
+  };
+
+  return `${fmt(start)}–${fmt(end)}`;
+};
+
+const formatTimeSlot = (value) => {
+  if (!value) return 'Not provided';
+
+  const pretty = formatHourRange(value);
+  if (pretty) return pretty;
+
+  return value;
+};
+
+const summarizeSchedule = (details) => {
+  const dropoff = details.dropoffDate
+    ? `${formatDate(details.dropoffDate)} (${formatTimeSlot(details.dropoffTimeslotValue)})`
+    : 'Not provided';
+
+  const pickup = details.pickupDate
+    ? `${formatDate(details.pickupDate)} (${formatTimeSlot(details.pickupTimeslotValue)})`
+    : 'Not provided';
+
+  const extraDays =
+    details.extraDays && Number(details.extraDays) > 0
+      ? Number(details.extraDays)
+      : 0;
+
+  return {
+    dropoff,
+    pickup,
+    extraDays,
+    extraLabel:
+      extraDays > 0 ? `${extraDays} extra day${extraDays > 1 ? 's' : ''}` : ''
+  };
+};
+
+const summarizeSelfSchedule = (details) => {
+  const pickup = details.pickupDate
+    ? formatDate(details.pickupDate)
+    : 'Not provided';
+
+  const returnDate = details.returnDate
+    ? formatDate(details.returnDate)
+    : 'Not provided';
+
+  const extraDays =
+    details.extraDays && Number(details.extraDays) > 0
+      ? Number(details.extraDays)
+      : 0;
+
+  return {
+    pickup,
+    returnDate,
+    extraDays,
+    extraLabel:
+      extraDays > 0 ? `${extraDays} extra day${extraDays > 1 ? 's' : ''}` : ''
+  };
+};
+
+const formatPhoneNumber = (value) => {
+  if (!value) return null;
+  const digits = String(value).replace(/\D/g, '');
+  let d = digits;
+  if (d.length === 11 && d.startsWith('1')) {
+    d = d.slice(1);
+  }
+  if (d.length === 10) {
+    return `(${d.slice(0, 3)}) ${d.slice(3, 6)}-${d.slice(6)}`;
+  }
+  return value;
+};
+
+// ==== Shared sections =======================================================
+
+const itemsSection = (items) =>
+  items && items.length
+    ? html`${section('Items')}${itemsTable(
+        items.map((item) => ({
+          name: item.name,
+          qty: item.qty,
+          unit: formatMoney(item.unit),
+          total: formatMoney(item.total)
+        }))
+      )}`
+    : '';
+
+const summaryRows = (details) => {
+  const rows = [{ label: 'Subtotal', value: formatMoney(details.subtotalNumber) }];
+
+  const addRowIfPositive = (label, value) => {
+    if (!value || value <= 0) return;
+    rows.push({ label, value: formatMoney(value) });
+  };
+
+  // Credits (bundles, promo codes) are shown as negative amounts
+  const addCreditRow = (label, value) => {
+    if (!value || value <= 0) return;
+    rows.push({ label, value: `−${formatMoney(value)}` });
+  };
+
+  addCreditRow(
+    details.bundleLabel ? `Bundle discount (${details.bundleLabel})` : 'Bundle discount',
+    details.bundleDiscountNumber
+  );
+
+  addRowIfPositive('Delivery fee', details.deliveryFeeNumber);
+  addRowIfPositive('Congestion surcharge', details.congestionFeeNumber);
+  addRowIfPositive('Rush fee', details.rushFeeNumber);
+  addRowIfPositive('Delivery time slot fee', details.dropoffTimeslotFeeNumber);
+  addRowIfPositive('Pickup time slot fee', details.pickupTimeslotFeeNumber);
+  addRowIfPositive('Extended rental fee', details.extendedFeeNumber);
+  addRowIfPositive('Minimum surcharge', details.minOrderFeeNumber);
+  addCreditRow(
+    details.promoCode ? `Discount (${details.promoCode})` : 'Discount',
+    details.discountNumber
+  );
+  addRowIfPositive('Tax', details.taxNumber);
+
+  rows.push({ label: 'Total', value: formatMoney(details.totalNumber), isTotal: true });
+  return rows;
+};
+
+const orderSummarySection = (details) => html`${section('Order Summary')}${summaryTable(summaryRows(details))}`;
+
+const manageLinkHtml = (details) =>
+  details.manageUrl
+    ? paragraph(html`Need to cancel? ${link('Manage your booking', details.manageUrl)} — you’ll see any refund before confirming.`)
+    : '';
+
+// Phone as a tel: link (owner emails)
+const phoneLinkHtml = (phone, label = phone) =>
+  phone ? link(label, telUrl(phone)) : 'Not provided';
+
+const addressHtml = (details) => {
+  const addressLines = [
+    details.street,
+    details.address2,
+    details.city && details.state
+      ? `${details.city}, ${details.state} ${details.zip || ''}`.trim()
+      : null,
+    !details.city && !details.state && details.zip ? details.zip : null
+  ].filter(Boolean);
+
+  return addressLines.length > 0
+    ? addressLines.map((line, i) => html`${i ? html`<br />` : ''}${line}`)
+    : 'Not provided';
+};
+
+const fullScheduleSection = (details) => {
+  const schedule = summarizeSchedule(details);
+  return html`${section('Schedule')}${fields([
+    ['Delivery', schedule.dropoff],
+    ['Pickup', schedule.pickup],
+    ['Extra Days', schedule.extraLabel]
+  ])}`;
+};
+
+const selfScheduleSection = (details) => {
+  const schedule = summarizeSelfSchedule(details);
+  return html`${section('Pickup & Return')}${fields([
+    ['Pickup', schedule.pickup],
+    ['Return', schedule.returnDate],
+    ['Extended rental', schedule.extraLabel]
+  ])}`;
+};
+
+const approveDeclineSection = (approveUrl, declineUrl, { approveLabel, declineLabel }) =>
+  html`${section('Action Required')}
+  ${paragraph('Capture or cancel the payment:')}
+  ${buttons(button(approveLabel, approveUrl, 'approve'), button(declineLabel, declineUrl, 'decline'))}`;
+
+// ==== Full service ==========================================================
+
+const buildOwnerEmail = (details, approveUrl, declineUrl) => {
+  const formattedPhone = formatPhoneNumber(details.customerPhone);
+
+  return renderEmail({
+    subject: '🚚 New Delivery Order',
+    audience: 'owner',
+    body: html`
+      ${heading('New Order Requires Manual Approval')}
+
+      ${section('Customer')}
+      ${fields([
+        ['Name', details.customerName || 'Not provided'],
+        ['Email', details.customerEmail || 'Not provided'],
+        ['Phone', phoneLinkHtml(details.customerPhone, formattedPhone)]
+      ])}
+
+      ${fullScheduleSection(details)}
+
+      ${section('Delivery Address')}
+      ${paragraph(addressHtml(details))}
+      ${fields([
+        ['Delivery Zone', details.deliveryZone || 'Unknown'],
+        ['Location Notes', details.locationNotes || 'None provided']
+      ])}
+
+      ${itemsSection(details.items)}
+      ${orderSummarySection(details)}
+
+      ${approveDeclineSection(approveUrl, declineUrl, { approveLabel: '✅ APPROVE ORDER', declineLabel: '✖ DECLINE ORDER' })}
+
+      ${paragraph(
+        `Note: Each link opens a confirmation page; nothing is charged or declined until you
+        confirm there. Links work once and expire in 24 hours. The customer's payment will
+        remain on hold until you approve or decline.`,
+        { tone: 'muted' }
+      )}
+    `
+  });
+};
+
+const buildCustomerEmail = (details) => {
+  const formattedPhone = formatPhoneNumber(details.customerPhone);
+
+  return renderEmail({
+    subject: 'Event Rental Request Received – Pending Approval',
+    preheader: 'We’ve received your rental request and are reviewing it.',
+    body: html`
+      ${paragraph(`Hi ${details.customerName || 'there'},`)}
+
+      ${paragraph(html`Thank you for submitting your rental request with Kraus’ Tables &amp; Chairs. We’ve received
+        your details and are reviewing availability, delivery logistics, and access requirements for your location.`)}
+
+      ${paragraph(html`We typically confirm full-service requests within <strong>2 business hours</strong>. If we need
+        to clarify any <strong>access or logistics details</strong>, we’ll contact you before proceeding.`)}
+
+      ${paragraph(html`<strong>Important policy reminder:</strong> Cancellations must be made 7–30 days in advance, depending on order size.`)}
+
+      ${paragraph('Need to make changes? Just reply to this email and we’ll take care of it.')}
+
+      ${manageLinkHtml(details)}
+
+      ${fullScheduleSection(details)}
+
+      ${section('Contact Info')}
+      ${fields([
+        ['Name', details.customerName || 'Not provided'],
+        ['Email', details.customerEmail || 'Not provided'],
+        ['Phone', formattedPhone || 'Not provided']
+      ])}
+
+      ${section('Delivery Address')}
+      ${paragraph(addressHtml(details))}
+      ${fields([['Location Notes', details.locationNotes || 'None provided']])}
+
+      ${itemsSection(details.items)}
+      ${orderSummarySection(details)}
+    `
+  });
+};
+
+// ==== Self service ==========================================================
+
+const buildSelfOwnerEmail = (details, approveUrl, declineUrl) => {
+  const chairLines = [];
+  if (details.selfQtyDark) chairLines.push(`${details.selfQtyDark} × dark chairs`);
+  if (details.selfQtyLight) chairLines.push(`${details.selfQtyLight} × light chairs`);
+
+  return renderEmail({
+    subject: '🙋‍♀️ New Pickup Order',
+    audience: 'owner',
+    body: html`
+      ${heading('New Self-Service Order – Needs Review')}
+
+      ${paragraph(html`A new <strong>self-service chair rental</strong> order was submitted on the website.
+        Review the details below and capture or cancel the payment using the links at the bottom.`)}
+
+      ${selfScheduleSection(details)}
+
+      ${section('Contact Info')}
+      ${fields([
+        ['Name', details.customerName || 'Not provided'],
+        ['Email', details.customerEmail || 'Not provided'],
+        ['Phone', phoneLinkHtml(details.customerPhone)]
+      ])}
+
+      ${section('Order Details')}
+      ${chairLines.length ? fields([['Chairs', chairLines.join(' & ')]]) : ''}
+      ${itemsSection(details.items)}
+
+      ${orderSummarySection(details)}
+
+      ${approveDeclineSection(approveUrl, declineUrl, { approveLabel: 'Approve & Capture', declineLabel: 'Decline & Release Hold' })}
+    `
+  });
+};
+
+const buildSelfCustomerEmail = (details) =>
+  renderEmail({
+    subject: 'Chair Rental Request Received – Pending Approval',
+    preheader: 'Your card has not been charged — this is an authorization only.',
+    body: html`
+      ${paragraph(`Hi ${details.customerName || 'there'},`)}
+
+      ${paragraph(html`Thank you for submitting your request for <strong>self-service chair rentals</strong> with Kraus’ Tables &amp; Chairs.`)}
+
+      ${paragraph(html`<strong>Your card has not been charged—this is an authorization only.</strong>
+        We’ll call you within 2 hours to review your request and finalize your pickup plan:`)}
+
+      <ul style="margin:0 0 12px;padding-left:20px;">
+        <li><strong>Self-pickup</strong> at our Brooklyn location (24-hour lockbox access)</li>
+        <li><strong>Uber or rideshare pickup</strong> — we’ll pack your order for your driver</li>
+      </ul>
+
+      ${paragraph('Once your request is approved and all details are confirmed, we will capture payment.')}
+
+      ${paragraph('Need to make changes? Simply reply to this email.')}
+
+      ${manageLinkHtml(details)}
+
+      ${selfScheduleSection(details)}
+
+      ${section('Contact Info')}
+      ${fields([
+        ['Name', details.customerName || 'Not provided'],
+        ['Email', details.customerEmail || 'Not provided'],
+        ['Phone', details.customerPhone || 'Not provided']
+      ])}
+
+      ${orderSummarySection(details)}
+      ${itemsSection(details.items)}
+    `
+  });
+
+// Customer: self-service request approved and the card hold captured
+const buildSelfApprovedEmail = (details) =>
+  renderEmail({
+    subject: '✅ Your self-service request is approved – Kraus’ Tables & Chairs',
+    body: html`
+      ${heading('Request Approved')}
+      ${paragraph(`Hi ${details.customerName || 'there'},`)}
+      ${paragraph(html`Good news — your <strong>self-service chair rental</strong> request has been approved and your payment has been captured.`)}
+
+      ${selfScheduleSection(details)}
+      ${itemsSection(details.items)}
+      ${orderSummarySection(details)}
+
+      ${paragraph(`We’ll follow up shortly with pickup instructions (lockbox details / driver handoff) if needed.
+        If you have any questions or need to adjust your pickup plan, reply to this email.`)}
+
+      ${manageLinkHtml(details)}
+    `
+  });
+
+// Owner heads-up for the same capture
+const buildSelfCapturedOwnerEmail = (details) => {
+  const schedule = summarizeSelfSchedule(details);
+  return renderEmail({
+    subject: '✅ Self-service payment captured',
+    audience: 'owner',
+    body: html`
+      ${paragraph('Self-service order payment captured.')}
+      ${fields([
+        ['Customer', details.customerName || 'Unknown'],
+        ['Pickup', schedule.pickup],
+        ['Return', schedule.returnDate],
+        ['Total', formatMoney(details.totalNumber)]
+      ])}
+      ${itemsSection(details.items)}
+    `
+  });
+};
+
+// ==== Invoices ==============================================================
+
+// invoice: { number, id, customerName, customerEmail, amountPaid (dollars), hostedUrl, pdfUrl }
+// audience: 'owner' | 'customer'
+const buildInvoicePaidEmail = (invoice, { audience = 'customer' } = {}) =>
+  renderEmail({
+    subject: audience === 'owner'
+      ? `✅ Invoice paid${invoice.number ? ` (${invoice.number})` : ''}`
+      : '✅ Payment received – Kraus’ Tables & Chairs',
+    audience,
+    body: html`
+      ${paragraph('Payment received.')}
+      ${fields([
+        ['Customer', invoice.customerName || 'Unknown'],
+        ['Email', invoice.customerEmail || 'Unknown'],
+        ['Invoice', invoice.number || invoice.id],
+        ['Amount paid', formatMoney(invoice.amountPaid)]
+      ])}
+      ${paragraph(html`<strong>Remaining balance: $0.00 (paid in full)</strong>`)}
+      ${invoice.hostedUrl
+        ? paragraph(html`${link('View invoice', invoice.hostedUrl)}${
+            invoice.pdfUrl ? html` • ${link('Download PDF', invoice.pdfUrl)}` : ''
+          }`)
+        : ''}
+    `
+  });
+
+module.exports = {
+  formatMoney,
+  summarizeSchedule,
+  summarizeSelfSchedule,
+  buildOwnerEmail,
+  buildCustomerEmail,
+  buildSelfOwnerEmail,
+  buildSelfCustomerEmail,
+  buildSelfApprovedEmail,
+  buildSelfCapturedOwnerEmail,
+  buildInvoicePaidEmail
+};
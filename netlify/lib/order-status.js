@@ -0,0 +1,136 @@
+// netlify/lib/order-status.js
+// Order lifecycle. Every status change goes through transitionOrder(), which rejects moves the
+// TRANSITIONS table does not allow (double-approving, approving a declined order, ...) and
+// appends an audit entry to order.status_history: { from, to, at, actor, stripe, note }.
+//
+// Happy path: checkout -> requested -> approved -> deposit_paid -> balance_scheduled
+//             -> paid_in_full -> delivered -> returned
+// (self-service and pay-in-full orders go approved -> paid_in_full)
+// Exits: declined (from requested); cancelled / refunded from the open states.
+
+const { getOrder, updateOrder } = require('./orders');
+
+const ORDER_STATUSES = [
+  'checkout',          // Checkout Session created, customer has not submitted it yet
+  'requested',         // Session completed; waiting on the owner
+  'approved',          // Owner approved (payment follows immediately)
+  'deposit_paid',      // Full-service deposit charged
+  'balance_scheduled', // Remaining-balance invoice scheduled
+  'paid_in_full',
+  'delivered',         // Delivered / picked up by the customer
+  'returned',
+  'declined',
+  'cancelled',
+  'refunded'
+];
+
+const TRANSITIONS = {
+  checkout: ['requested', 'cancelled'],
+  requested: ['approved', 'declined', 'cancelled'],
+  approved: ['deposit_paid', 'paid_in_full', 'cancelled'],
+  deposit_paid: ['balance_scheduled', 'paid_in_full', 'cancelled', 'refunded'],
+  balance_scheduled: ['paid_in_full', 'cancelled', 'refunded'],
+  paid_in_full: ['delivered', 'cancelled', 'refunded'],
+  delivered: ['returned', 'refunded'],
+  returned: ['refunded'],
+  declined: [],
+  cancelled: [],
+  refunded: []
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Most recent history entry that moved the order into `status`.
+function lastEntryFor(order, status) {
+  const history = order.status_history || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].to === status) return history[i];
+  }
+  return null;
+}
+
+function formatWhen(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '';
+  return d.toLocaleString('en-US', {
+    timeZone: 'America/New_York',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+}
+
+// "Order KO-… is already approved (Jun 1, 2025, 10:14 AM)" — used for 409 responses.
+function describeStatus(order) {
+  const entry = lastEntryFor(order, order.status);
+  const when = entry ? formatWhen(entry.at) : '';
+  return `Order ${order.id} is already ${order.status.replace(/_/g, ' ')}${when ? ` (${when})` : ''}`;
+}
+
+function assertTransition(order, to) {
+  if (!ORDER_STATUSES.includes(to)) throw new Error(`Unknown order status: ${to}`);
+  if (canTransition(order.status, to)) return;
+
+  const err = new Error(
+    order.status === 'checkout'
+      ? `Order ${order.id} has not been submitted yet`
+      : describeStatus(order)
+  );
+  err.code = 'INVALID_TRANSITION';
+  err.statusCode = 409;
+  err.order = order;
+  throw err;
+}
+
+function historyEntry(from, to, { actor = 'system', stripe = {}, note = '' } = {}) {
+  return {
+    from,
+    to,
+    at: new Date().toISOString(),
+    actor,
+    stripe: Object.fromEntries(Object.entries(stripe).filter(([, v]) => v)),
+    ...(note ? { note } : {})
+  };
+}
+
+// Move an order to `to` (validated against TRANSITIONS inside the same read-modify-write).
+// opts: { actor, stripe: { ...object ids }, note, patch: { ...fields to set in the same write } }
+async function transitionOrder(orderId, to, opts = {}) {
+  const updated = await updateOrder(orderId, (order) => {
+    assertTransition(order, to);
+    const { patch = {} } = opts;
+    const entry = historyEntry(order.status, to, opts);
+    console.log('[order-status]', order.id, `${order.status} -> ${to}`, 'by', entry.actor);
+    return {
+      ...order,
+      ...patch,
+      stripe: { ...order.stripe, ...(patch.stripe || {}) },
+      status: to,
+      status_history: [...(order.status_history || []), entry]
+    };
+  });
+  if (!updated) throw new Error(`Order not found: ${orderId}`);
+  return updated;
+}
+
+// Walk several transitions in order (e.g. approved -> deposit_paid -> balance_scheduled).
+async function transitionOrderThrough(orderId, steps, opts = {}) {
+  let order = null;
+  for (const to of steps) {
+    order = await transitionOrder(orderId, to, opts);
+  }
+  return order || getOrder(orderId);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  assertTransition,
+  describeStatus,
+  formatWhen,
+  historyEntry,
+  transitionOrder,
+  transitionOrderThrough
+};
@@ -0,0 +1,146 @@
+// netlify/lib/orders.js
+// Order records (the source of truth for items, schedule, address and pricing).
+// Stripe metadata only carries `order_id` plus a few scalar fallbacks, because metadata
+// values are capped at 500 chars and long item lists used to get truncated.
+
+const { openCollection } = require('./store');
+
+const orders = () => openCollection('orders');
+
+// Deterministic id from the checkout params hash: an identical retry maps to the same
+// order (and the same Stripe idempotency key), a different cart gets a new one.
+function orderIdFromHash(hexHash) {
+  return `KO-${String(hexHash).slice(0, 10).toUpperCase()}`;
+}
+
+// quote: result of lib/pricing priceSelfService / priceFullService
+function buildOrder({ id, flow, client_order_token, customer = {}, location = {}, schedule = {}, quote, utm = {} }) {
+  const now = new Date().toISOString();
+  const { items = [], lines = [], errors, warnings, ...totals } = quote || {};
+
+  return {
+    id,
+    flow,
+    status: 'checkout',
+    status_history: [{ from: null, to: 'checkout', at: now, actor: 'customer', stripe: {} }],
+    created_at: now,
+    updated_at: now,
+    client_order_token: String(client_order_token || ''),
+
+    customer: {
+      name: String(customer.name || ''),
+      email: String(customer.email || ''),
+      phone: String(customer.phone || '')
+    },
+
+    location: flow === 'full_service'
+      ? {
+          street: String(location.street || ''),
+          address2: String(location.address2 || ''),
+          city: String(location.city || ''),
+          state: String(location.state || ''),
+          zip: String(location.zip || ''),
+          notes: String(location.notes || '')
+        }
+      : null,
+
+    schedule: flow === 'full_service'
+      ? {
+          dropoff_date: totals.dropoff_date || '',
+          dropoff_timeslot_type: schedule.dropoff_timeslot_type || '',
+          dropoff_timeslot_value: schedule.dropoff_timeslot_value || '',
+          pickup_date: totals.pickup_date || '',
+          pickup_timeslot_type: schedule.pickup_timeslot_type || '',
+          pickup_timeslot_value: schedule.pickup_timeslot_value || ''
+        }
+      : {
+          pickup_date: totals.pickup_date || '',
+          return_date: totals.return_date || ''
+        },
+
+    items,
+    pricing: {
+      subtotal_cents: totals.subtotal_cents,
+      bundle_cents: totals.bundle_cents || 0,
+      bundles: totals.bundles || [],
+      delivery_cents: totals.delivery_cents,
+      congestion_cents: totals.congestion_cents,
+      rush_cents: totals.rush_cents,
+      dropoff_timeslot_cents: totals.dropoff_timeslot_cents,
+      pickup_timeslot_cents: totals.pickup_timeslot_cents,
+      extended_cents: totals.extended_cents,
+      min_order_cents: totals.min_order_cents,
+      discount_cents: totals.discount_cents || 0,
+      promo_code: totals.promo_code || '',
+      promo: totals.promo || null,
+      tax_cents: totals.tax_cents,
+      total_cents: totals.total_cents,
+      security_deposit_cents: totals.security_deposit_cents || 0,
+      extra_days: totals.extra_days,
+      extended_charged_days: totals.extended_charged_days,
+      delivery_zone: totals.delivery_zone || null,
+      lines
+    },
+
+    stripe: {},
+    utm
+  };
+}
+
+// Insert a new order; an existing order with the same id (an identical retry) is kept as-is.
+async function createOrder(order) {
+  return orders().update(order.id, (current) => (current ? null : order));
+}
+
+async function getOrder(id) {
+  if (!id) return null;
+  return orders().get(String(id));
+}
+
+// patch: object merged shallowly (nested `stripe` is merged too), or fn(order) -> next order
+async function updateOrder(id, patch) {
+  return orders().update(String(id), (current) => {
+    if (!current) return null;
+    const next = typeof patch === 'function'
+      ? patch(current)
+      : { ...current, ...patch, stripe: { ...current.stripe, ...(patch.stripe || {}) } };
+    if (!next) return null;
+    return { ...next, updated_at: new Date().toISOString() };
+  });
+}
+
+async function listOrders(predicate) {
+  return orders().list(predicate);
+}
+
+async function findOrderBySessionId(sessionId) {
+  if (!sessionId) return null;
+  const found = await orders().list((o) => o.stripe && o.stripe.checkout_session_id === sessionId);
+  return found[0] || null;
+}
+
+// Rental window as { start_date, end_date } (full-service: dropoff -> pickup; self-service: pickup -> return)
+function orderDates(order) {
+  const sch = (order && order.schedule) || {};
+  return order && order.flow === 'full_service'
+    ? { start_date: sch.dropoff_date || '', end_date: sch.pickup_date || '' }
+    : { start_date: sch.pickup_date || '', end_date: sch.return_date || '' };
+}
+
+// Resolve the order for a Checkout Session: metadata.order_id first, then session id lookup.
+async function orderForSession(session) {
+  const md = (session && session.metadata) || {};
+  return (await getOrder(md.order_id)) || (await findOrderBySessionId(session && session.id));
+}
+
+module.exports = {
+  orderIdFromHash,
+  buildOrder,
+  createOrder,
+  getOrder,
+  updateOrder,
+  listOrders,
+  findOrderBySessionId,
+  orderForSession,
+  orderDates
+};
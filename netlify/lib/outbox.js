@@ -0,0 +1,231 @@
+// netlify/lib/outbox.js
+// Outbox for messages that must not get lost (quote-request's owner email, customer email and owner
+// SMS). Each message is stored before it is sent and is delivered on its own, so one failing
+// (a Resend outage after the owner email went out, Twilio down) never blocks or repeats the others.
+// A message that fails is retried by the outbox-retry job (see netlify.toml) with backoff; after
+// MAX_ATTEMPTS it is marked 'failed' and the owner is alerted once.
+//
+// A delivery attempt first claims the message ('sending' with lease_until), so the retry job and
+// enqueueAndDeliver never send it at the same time; a lease left by a crashed attempt expires after
+// LEASE_MINUTES and the message is due again. A new message's first retry is only due after the
+// first backoff. Emails carry the message id as Resend's Idempotency-Key.
+//
+// message: { id, kind: 'email' | 'sms', ref: { quote_request_id }, label, to,
+//            payload: { from, subject, text, html } (email) | { from, body } (sms),
+//            status: 'pending' | 'sending' | 'sent' | 'failed', attempts, last_error, next_attempt_at,
+//            lease_until, provider_id, sent_at, created_at, updated_at }
+// Ids are deterministic (e.g. "KR-…:customer_email"), so queueing the same message twice is a no-op.
+
+const { openCollection } = require('./store');
+const { sendOwnerAlert } = require('./owner-alerts');
+
+const outbox = () => openCollection('outbox');
+
+// Minutes to wait before each retry (attempt 2, 3, ...); the last entry repeats
+const RETRY_MINUTES = [5, 15, 60, 180, 720];
+const MAX_ATTEMPTS = 6;
+const LEASE_MINUTES = 5;
+
+async function sendResend({ from, to, subject, text, html }, { idempotencyKey } = {}) {
+  const apiKey = process.env.RESEND_API_KEY;
+  if (!apiKey) throw new Error('Missing RESEND_API_KEY');
+  const r = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+    },
+    body: JSON.stringify({ from, to: Array.isArray(to) ? to : [to], subject, text, html })
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    throw new Error(data?.message || data?.error || `Resend error (${r.status})`);
+  }
+  return data;
+}
+
+async function sendTwilioSms({ from, to, body }) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!accountSid || !authToken) throw new Error('Twilio not configured');
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+
+  const params = new URLSearchParams();
+  params.set('From', from);
+  params.set('To', to);
+  params.set('Body', body);
+
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: params.toString()
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    throw new Error(`Twilio SMS error (${r.status}): ${String(data?.message || '').slice(0, 200)}`);
+  }
+  return data;
+}
+
+function nextAttemptAt(attempts, now = Date.now()) {
+  const minutes = RETRY_MINUTES[Math.min(attempts - 1, RETRY_MINUTES.length - 1)];
+  return new Date(now + minutes * 60 * 1000).toISOString();
+}
+
+// Pending, or left 'sending' by an attempt whose lease ran out
+function isClaimable(message, now = Date.now()) {
+  if (!message) return false;
+  if (message.status === 'pending') return true;
+  return message.status === 'sending' && Date.parse(message.lease_until || 0) <= now;
+}
+
+// Store a message (kept as-is if one with the same id exists). Returns the stored message.
+// The caller delivers it right away; the retry job only picks it up once the first backoff passed.
+async function enqueueMessage({ id, kind, ref = {}, label = '', to, payload }) {
+  const now = new Date().toISOString();
+  return outbox().update(id, (current) => current ? null : {
+    id,
+    kind,
+    ref,
+    label,
+    to,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    last_error: null,
+    next_attempt_at: nextAttemptAt(1),
+    lease_until: null,
+    provider_id: null,
+    sent_at: null,
+    created_at: now,
+    updated_at: now
+  });
+}
+
+// One delivery attempt for a pending message. Returns the updated message (unchanged when it is
+// sent, failed or being sent by another attempt).
+async function deliverMessage(id) {
+  let claimed = false;
+  const message = await outbox().update(id, (current) => {
+    claimed = isClaimable(current); // set on every run: the store may retry fn after a conflict
+    if (!claimed) return null;
+    return {
+      ...current,
+      status: 'sending',
+      lease_until: new Date(Date.now() + LEASE_MINUTES * 60 * 1000).toISOString(),
+      updated_at: new Date().toISOString()
+    };
+  });
+  if (!claimed) return message;
+
+  let result = null;
+  let error = null;
+  try {
+    result = message.kind === 'sms'
+      ? await sendTwilioSms({ ...message.payload, to: message.to })
+      : await sendResend({ ...message.payload, to: message.to }, { idempotencyKey: message.id });
+  } catch (err) {
+    error = err?.message || String(err);
+  }
+
+  const attempts = (message.attempts || 0) + 1;
+  const now = new Date().toISOString();
+  const gaveUp = Boolean(error) && attempts >= MAX_ATTEMPTS;
+  const updated = await outbox().update(id, (current) => ({
+    ...current,
+    attempts,
+    status: error ? (gaveUp ? 'failed' : 'pending') : 'sent',
+    last_error: error,
+    next_attempt_at: error && !gaveUp ? nextAttemptAt(attempts) : null,
+    lease_until: null,
+    provider_id: result?.id || result?.sid || current.provider_id || null,
+    sent_at: error ? current.sent_at : now,
+    updated_at: now
+  }));
+
+  if (error) {
+    console.error('[ALERT] Outbox delivery failed:', id, `attempt ${attempts}/${MAX_ATTEMPTS}:`, error);
+  }
+  if (gaveUp) {
+    await sendOwnerAlert({
+      subject: `Message not delivered — ${message.label || message.id}`,
+      sms: `Gave up on ${message.kind} to ${message.to} after ${attempts} attempts: ${error}`,
+      details: { message_id: message.id, ref: message.ref, to: message.to, attempts, last_error: error }
+    });
+  }
+  return updated;
+}
+
+// Queue several messages, then try each once on its own. Returns the messages after the attempt.
+async function enqueueAndDeliver(messages) {
+  const queued = [];
+  for (const m of messages) queued.push(await enqueueMessage(m));
+  const out = [];
+  for (const m of queued) {
+    try {
+      out.push(await deliverMessage(m.id));
+    } catch (err) {
+      console.error('[ALERT] Outbox delivery crashed:', m.id, err?.message || err);
+      out.push(await outbox().get(m.id));
+    }
+  }
+  return out;
+}
+
+// Owner-triggered retry: failed messages get a fresh set of attempts, then every unsent one is
+// tried now. Returns the messages after the attempt.
+async function retryNow(messages) {
+  const out = [];
+  for (const m of messages) {
+    if (m.status === 'sent') {
+      out.push(m);
+      continue;
+    }
+    if (m.status === 'failed') {
+      await outbox().update(m.id, (current) => ({ ...current, status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() }));
+    }
+    out.push(await deliverMessage(m.id));
+  }
+  return out;
+}
+
+async function listMessages(predicate) {
+  return outbox().list(predicate);
+}
+
+// Messages about one quote request, oldest first
+async function messagesForQuoteRequest(requestId) {
+  const messages = await listMessages((m) => m.ref?.quote_request_id === requestId);
+  return messages.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+// { [label]: status } for a set of messages, e.g. { owner_email: 'sent', customer_email: 'pending' }
+function deliverySummary(messages) {
+  return Object.fromEntries(messages.map((m) => [m.label || m.id, m.status]));
+}
+
+// Pending messages whose next attempt is due, and messages whose sending lease expired
+async function dueMessages(now = Date.now()) {
+  return listMessages((m) =>
+    (m.status === 'pending' && Date.parse(m.next_attempt_at || 0) <= now) ||
+    (m.status === 'sending' && isClaimable(m, now)));
+}
+
+module.exports = {
+  RETRY_MINUTES,
+  MAX_ATTEMPTS,
+  enqueueMessage,
+  deliverMessage,
+  enqueueAndDeliver,
+  retryNow,
+  listMessages,
+  messagesForQuoteRequest,
+  deliverySummary,
+  dueMessages
+};
@@ -0,0 +1,73 @@
+// netlify/lib/owner-alerts.js
+// Best-effort owner alerts (email via Resend to OWNER_EMAIL, SMS via Twilio to OWNER_PHONE),
+// same shape as checkout-webhook's sendFailureAlert. Console logs stay the source of truth;
+// an alert that fails to send is logged and swallowed.
+
+const { html, paragraph, fields, renderEmail } = require('./email-templates');
+
+function getResendClient() {
+  if (!process.env.RESEND_API_KEY) return null;
+  const { Resend } = require('resend');
+  return new Resend(process.env.RESEND_API_KEY);
+}
+
+function getTwilioClient() {
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) return null;
+  const twilio = require('twilio');
+  return twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+}
+
+// Owner alert email: one line per details key (objects as JSON). Also used by checkout-webhook.
+function buildOwnerAlertEmail(subject, details = {}) {
+  const rows = Object.entries(details || {}).map(([key, value]) =>
+    [key, value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '')]);
+  return renderEmail({
+    subject,
+    audience: 'owner',
+    preheader: rows.length ? `${rows[0][0]}: ${rows[0][1]}` : '',
+    body: html`
+      ${paragraph(subject.replace(/^\[KRAUS\]\s*/, ''))}
+      ${fields(rows)}
+    `
+  });
+}
+
+// subject: short headline (prefixed with [KRAUS]); sms: one-line text for the phone;
+// details: object dumped into the email body
+async function sendOwnerAlert({ subject, sms, details = {} }) {
+  const ownerEmail = process.env.OWNER_EMAIL;
+  const ownerPhone = process.env.OWNER_PHONE || process.env.OWNER_SMS_TO;
+  const fromEmail = process.env.FROM_EMAIL || ownerEmail;
+  const fromPhone = process.env.TWILIO_PHONE_NUMBER || process.env.TWILIO_FROM_NUMBER;
+  const fullSubject = `[KRAUS] ${subject}`;
+
+  console.error('[ALERT]', subject, details);
+
+  const resend = getResendClient();
+  if (resend && ownerEmail && fromEmail) {
+    try {
+      await resend.emails.send({
+        from: fromEmail,
+        to: ownerEmail,
+        ...buildOwnerAlertEmail(fullSubject, details)
+      });
+    } catch (e) {
+      console.error('[ALERT] Failed to send owner alert email:', e?.message || e);
+    }
+  }
+
+  const tw = getTwilioClient();
+  if (tw && ownerPhone && fromPhone) {
+    try {
+      await tw.messages.create({
+        from: fromPhone,
+        to: ownerPhone,
+        body: `${fullSubject}\n${String(sms || '').slice(0, 220)}`.trim()
+      });
+    } catch (e) {
+      console.error('[ALERT] Failed to send owner alert SMS:', e?.message || e);
+    }
+  }
+}
+
+module.exports = { buildOwnerAlertEmail, sendOwnerAlert };
@@ -0,0 +1,117 @@
+// netlify/lib/payment-failures.js
+// Failed off-session charges (balance autopay, deposits): flag the order at-risk, tell the
+// customer where to pay, escalate to the owner. Used by checkout-webhook
+// (invoice.payment_failed / payment_intent.payment_failed) and send-balance-invoices (retries).
+//
+// order.at_risk = true while a payment problem is open; order.payment_issue keeps the details:
+// { kind, invoice_id, payment_intent_id, amount_cents, hosted_invoice_url, failures,
+//   first_failed_at, last_failed_at, last_error, customer_notified_on, escalated_at, resolved_at }
+
+const { nyTodayYMD } = require('./ny-dates');
+const { updateOrder } = require('./orders');
+const { html, paragraph, button, buttons, renderEmail } = require('./email-templates');
+
+let resendClient = null;
+function getResendClient() {
+  if (!resendClient && process.env.RESEND_API_KEY) {
+    const { Resend } = require('resend');
+    resendClient = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resendClient;
+}
+
+function centsToDollars(cents) {
+  const n = Number(cents || 0);
+  return (n / 100).toFixed(2);
+}
+
+// failure: { kind: 'balance' | 'deposit' | 'adjustment', invoice_id, payment_intent_id, amount_cents,
+//            hosted_invoice_url, error }
+// Returns the updated order (null if the order does not exist).
+async function markPaymentAtRisk(orderId, failure) {
+  const now = new Date().toISOString();
+  return updateOrder(orderId, (order) => {
+    const prev = order.payment_issue && !order.payment_issue.resolved_at ? order.payment_issue : {};
+    return {
+      ...order,
+      at_risk: true,
+      payment_issue: {
+        ...prev,
+        kind: failure.kind,
+        invoice_id: failure.invoice_id || prev.invoice_id || null,
+        payment_intent_id: failure.payment_intent_id || prev.payment_intent_id || null,
+        amount_cents: failure.amount_cents ?? prev.amount_cents ?? null,
+        hosted_invoice_url: failure.hosted_invoice_url || prev.hosted_invoice_url || null,
+        failures: (prev.failures || 0) + 1,
+        first_failed_at: prev.first_failed_at || now,
+        last_failed_at: now,
+        last_error: failure.error || null,
+        resolved_at: null
+      }
+    };
+  });
+}
+
+// Clear the flag once the money arrives (invoice.paid).
+async function resolvePaymentIssue(orderId) {
+  return updateOrder(orderId, (order) => {
+    if (!order.at_risk) return null;
+    return {
+      ...order,
+      at_risk: false,
+      payment_issue: { ...order.payment_issue, resolved_at: new Date().toISOString() }
+    };
+  });
+}
+
+// One customer notice per NY day, however many retries fail that day.
+function customerNoticeDue(order) {
+  return Boolean(order?.payment_issue) && order.payment_issue.customer_notified_on !== nyTodayYMD();
+}
+
+async function noteCustomerNotified(orderId) {
+  return updateOrder(orderId, (order) => ({
+    ...order,
+    payment_issue: { ...order.payment_issue, customer_notified_on: nyTodayYMD() }
+  }));
+}
+
+async function noteEscalated(orderId) {
+  return updateOrder(orderId, (order) => ({
+    ...order,
+    payment_issue: { ...order.payment_issue, escalated_at: new Date().toISOString() }
+  }));
+}
+
+function buildPayLinkEmail({ customerName, amountCents, hostedInvoiceUrl, dropoffDate }) {
+  return renderEmail({
+    subject: 'Action needed: your rental balance payment did not go through',
+    body: html`
+      ${paragraph(`Hi ${customerName || 'there'},`)}
+      ${paragraph(html`We tried to charge the remaining balance of <strong>$${centsToDollars(amountCents)}</strong>
+        for your rental${dropoffDate ? ` (drop-off ${dropoffDate})` : ''}, but the payment was declined.`)}
+      ${paragraph('Please pay securely here so we can keep your delivery on schedule:')}
+      ${buttons(button('Pay remaining balance', hostedInvoiceUrl))}
+      ${paragraph('We will also retry your card on file automatically. If you have any questions, just reply to this email.')}
+    `
+  });
+}
+
+async function sendPayLinkEmail({ to, ...details }) {
+  const resend = getResendClient();
+  const from = process.env.FROM_EMAIL;
+  if (!resend || !from || !to || !details.hostedInvoiceUrl) return false;
+
+  await resend.emails.send({ from, to, ...buildPayLinkEmail(details) });
+  return true;
+}
+
+module.exports = {
+  markPaymentAtRisk,
+  resolvePaymentIssue,
+  customerNoticeDue,
+  noteCustomerNotified,
+  noteEscalated,
+  sendPayLinkEmail,
+  buildPayLinkEmail
+};
@@ -0,0 +1,566 @@
+// netlify/lib/pricing.js
+// Shared pricing engine (all amounts in cents).
+// checkout-self, checkout-full and quote-request price orders through here, so a
+// price change happens once and the emailed quote matches what Stripe charges.
+
+const { nyTodayYMD, parseNYDate, compareYMD, dayDiffNY } = require('./ny-dates');
+const { normalizeZip, zoneForZip, deliveryFeeCents, outOfAreaMessage } = require('./delivery-zones');
+
+// ---- Catalog (prices in cents) ----
+
+// Full-service (delivery) products
+const PRICE_MAP = {
+  'table-chair-set': { name: 'Table + 6 Chairs', unit: 16000 },
+  'dark': { name: 'Vintage Folding Chairs — Dark', unit: 1000 },
+  'light': { name: 'Vintage Folding Chairs — Light', unit: 1000 },
+  'folding-table': { name: 'Folding Farm Table', unit: 10000 },
+  'end-leaves': { name: 'End Leaves (pair)', unit: 5000 },
+  'industrial-bar': { name: 'Industrial Serving Bar', unit: 40000 },
+  'industrial-cocktail-table': { name: 'Industrial Cocktail Table', unit: 5000 },
+  'ASH-NYC-steel-table': { name: 'ASH NYC Standard Steel Table', unit: 40000 },
+  'MCM-etched-tulip-table': { name: 'MCM Etched Tulip Table', unit: 25000 },
+  'antique-work-bench': { name: 'Antique Work Bench', unit: 40000 },
+  'vintage-drafting-table': { name: 'Vintage Drafting Table', unit: 10000 },
+  'industrial-garment-rack': { name: 'Industrial Garment Rack', unit: 10000 }
+};
+
+// Self-service (pickup) products
+const SELF_PRICE_MAP = {
+  chair_dark:  { name: 'Vintage Folding Chairs — Dark',  unit: 1000 },
+  chair_light: { name: 'Vintage Folding Chairs — Light', unit: 1000 }
+};
+
+// Refundable security (damage) deposit per unit, in cents, for high-value pieces. Not part of
+// the rental total: placed on the customer's card at approval and released after the rental
+// (lib/security-deposits). EDIT THIS MAP to change which pieces carry a deposit.
+const SECURITY_DEPOSITS = {
+  'industrial-bar': 20000,
+  'ASH-NYC-steel-table': 20000,
+  'antique-work-bench': 20000
+};
+
+// Pricing rules on top of the catalog. EDIT THESE to change volume pricing, weekly rates and bundles.
+const PRICING_RULES = {
+  // Quantity breaks per SKU (unit price in cents): the highest tier the cart reaches prices every
+  // unit of that SKU
+  QUANTITY_BREAKS: {
+    'dark':  [{ min_qty: 50, unit: 900 }, { min_qty: 100, unit: 800 }],
+    'light': [{ min_qty: 50, unit: 900 }, { min_qty: 100, unit: 800 }]
+  },
+
+  // Weekly rate: of every 7 extra days, at most this many are charged as extended days
+  // (null = every extra day is charged)
+  EXTENDED_DAYS_PER_WEEK: 3,
+
+  // Bundles: every complete set in the cart takes discount_cents off the items.
+  // requires: [{ skus, qty }] = qty units from any of skus; flows? limits the bundle to those flows
+  BUNDLES: [
+    {
+      code: 'table_chairs',
+      label: 'Table + chairs bundle',
+      flows: ['full_service'],
+      requires: [{ skus: ['folding-table'], qty: 1 }, { skus: ['dark', 'light'], qty: 8 }],
+      discount_cents: 2000
+    }
+  ]
+};
+
+// ---- Business settings ----
+const TAX_RATE = 0.08875;      // 8.875%
+
+const SELF_SERVICE = {
+  EXT_RATE: 0.15,              // 15% per extra day
+  RUSH_FEE: 2500,              // $25 flat (pickup today)
+  MIN_ORDER: 5000,             // $50 before tax
+  MAX_QTY: 25,                 // chairs per order
+  LATE_GRACE_DAYS: 1,          // late days before a late fee is charged
+  LATE_FEE_MAX_DAYS: 14        // late days charged automatically; after that the owner takes over
+};
+
+// Delivery fee, congestion surcharge and minimum order are per delivery zone
+// (netlify/config/delivery-zones.json, lib/delivery-zones)
+const FULL_SERVICE = {
+  EXTENDED_RATE: 0.15,         // 15% per extra day
+  MIN_ORDER: 30000,            // $300 minimum order (zones without their own minimum)
+  RUSH_WINDOW_DAYS: 2,         // drop-off within 2 days
+  RUSH_RATE: 0.10,             // 10% of items...
+  RUSH_MIN_FEE: 10000,         // ...or $100, whichever is more
+  DEPOSIT_RATE: 0.30           // charged at approval; remainder auto-charged day before drop-off
+};
+
+// Time slot fees - base fee for 1-hour prompt time slot
+const TIMESLOT_BASE_FEE = {
+  prompt: 10000,  // $100 for 1-hour prompt time slot
+  flex: 0         // $0 for flexible time slot
+};
+
+// Time slot fees for 1-hour prompt time slots (in cents)
+const PROMPT_FEE = {
+  6: 7500,   // 6-7am: $75
+  7: 5000,   // 7-8am: $50
+  8: 2500,   // 8-9am: $25
+  9: 0, 10: 0, 11: 0, 12: 0, 13: 0, 14: 0, 15: 0, 16: 0, 17: 0, 18: 0, 19: 0, 20: 0,
+  21: 2500,  // 9-10pm: $25
+  22: 5000,  // 10-11pm: $50
+  23: 5000,  // 11pm-12am: $50
+  0: 7500    // 12-1am: $75
+};
+
+// Time slot fees for 4-hour flex time slots (in cents)
+const FLEX_FEE = {
+  '8-12': 0,     // Morning: $0
+  '12-4': 5000,  // Afternoon: $50
+  '4-8': 0       // Evening: $0
+};
+
+// ---- Helpers ----
+
+// Catalog entry for any SKU (either flow), or null if unknown.
+function lookupSku(sku) {
+  const key = String(sku || '').trim();
+  const entry = PRICE_MAP[key] || SELF_PRICE_MAP[key];
+  if (!entry) return null;
+  return { sku: key, name: entry.name, unit: entry.unit, flow: PRICE_MAP[key] ? 'full_service' : 'self_service' };
+}
+
+// Security deposit for a cart: { total_cents, lines: [{ sku, name, qty, unit_cents, total_cents }] }
+function securityDepositFor(items) {
+  const lines = [];
+  for (const it of Array.isArray(items) ? items : []) {
+    const unit = SECURITY_DEPOSITS[it && it.sku] || 0;
+    const qty = Math.max(0, Number(it && it.qty) || 0);
+    if (unit > 0 && qty > 0) {
+      lines.push({ sku: it.sku, name: lookupSku(it.sku)?.name || it.sku, qty, unit_cents: unit, total_cents: unit * qty });
+    }
+  }
+  return { total_cents: lines.reduce((sum, l) => sum + l.total_cents, 0), lines };
+}
+
+function parseHourStart(range) {
+  // "6-7" -> 6, "21-22" -> 21, "0-1" -> 0
+  const h = parseInt(String(range).split('-')[0], 10);
+  return Number.isFinite(h) ? h : null;
+}
+
+function timeslotFee(type, value) {
+  if (type === 'prompt') {
+    const h = parseHourStart(value);
+    return h !== null ? (PROMPT_FEE[h] || 0) : 0;
+  }
+  if (type === 'flex') return FLEX_FEE[value] || 0;
+  return 0;
+}
+
+// Quote item for a catalog entry, at its quantity-break price when the qty reaches one.
+// note / list_unit_cents are only set for volume-priced items (shown next to the item name).
+function quoteItem(sku, entry, qty) {
+  const tier = (PRICING_RULES.QUANTITY_BREAKS[sku] || [])
+    .filter((t) => qty >= t.min_qty && t.unit < entry.unit)
+    .sort((a, b) => b.min_qty - a.min_qty)[0];
+  const unit = tier ? tier.unit : entry.unit;
+  return {
+    sku,
+    name: entry.name,
+    qty,
+    unit_cents: unit,
+    total_cents: unit * qty,
+    ...(tier ? { list_unit_cents: entry.unit, note: `${tier.min_qty}+ volume price` } : {})
+  };
+}
+
+// Extra days actually charged under the weekly rate
+function chargedExtraDays(extraDays) {
+  const perWeek = PRICING_RULES.EXTENDED_DAYS_PER_WEEK;
+  if (perWeek === null || perWeek === undefined) return extraDays;
+  return Math.floor(extraDays / 7) * Math.min(perWeek, 7) + Math.min(extraDays % 7, perWeek);
+}
+
+function extendedLabel(extraDays, chargedDays) {
+  return chargedDays < extraDays
+    ? `Extended rental (${extraDays} days, weekly rate: ${chargedDays} charged)`
+    : `Extended rental (${extraDays} days)`;
+}
+
+// Bundles the cart completes: [{ code, label, count, amount_cents }]
+function bundlesFor(flow, items) {
+  const qtyOf = (skus) => items.filter((it) => skus.includes(it.sku)).reduce((n, it) => n + it.qty, 0);
+  const out = [];
+  for (const bundle of PRICING_RULES.BUNDLES) {
+    if (Array.isArray(bundle.flows) && !bundle.flows.includes(flow)) continue;
+    const count = Math.min(...bundle.requires.map((r) => Math.floor(qtyOf(r.skus) / r.qty)));
+    if (count > 0 && bundle.discount_cents > 0) {
+      out.push({
+        code: bundle.code,
+        label: count > 1 ? `${bundle.label} (×${count})` : bundle.label,
+        count,
+        amount_cents: count * bundle.discount_cents
+      });
+    }
+  }
+  return out;
+}
+
+function pushLine(lines, code, label, amountCents) {
+  if (amountCents > 0) lines.push({ code, label, amount_cents: amountCents });
+}
+
+function minimumWarning(minOrderC, minC) {
+  return `Orders under $${minOrderC / 100} include a $${(minC / 100).toFixed(2)} minimum order surcharge`;
+}
+
+// Discount for a promo code (a lib/promo-codes definition, already checked for dates and usage
+// limits) on a priced cart. Percent and fixed discounts apply to the items subtotal — only the
+// promo's SKUs when it lists any — never to fees, and never take the order below zero.
+// returns { cents, error } (error: why the promo does not apply to this cart; cents is then 0)
+function applyPromo(promo, { flow, items, subtotalC, preTaxC }) {
+  if (!promo) return { cents: 0, error: null };
+  const code = promo.code;
+  if (Array.isArray(promo.flows) && !promo.flows.includes(flow)) {
+    return { cents: 0, error: `Promo code ${code} is not valid for ${flow === 'full_service' ? 'delivery' : 'pickup'} orders` };
+  }
+  const eligibleC = items
+    .filter((it) => !Array.isArray(promo.skus) || promo.skus.includes(it.sku))
+    .reduce((sum, it) => sum + it.total_cents, 0);
+  if (eligibleC <= 0) {
+    return { cents: 0, error: `Promo code ${code} does not apply to the items in your order` };
+  }
+  if (promo.min_order_cents && subtotalC < promo.min_order_cents) {
+    return { cents: 0, error: `Promo code ${code} requires an order of at least $${(promo.min_order_cents / 100).toFixed(2)}` };
+  }
+  const offC = promo.type === 'percent'
+    ? Math.round(eligibleC * Number(promo.percent_off || 0) / 100)
+    : Math.min(Number(promo.amount_off_cents || 0), eligibleC);
+  return { cents: Math.max(0, Math.min(offC, preTaxC)), error: null };
+}
+
+function promoLabel(promo) {
+  return promo.type === 'percent' ? `Promo ${promo.code} (${promo.percent_off}% off)` : `Promo ${promo.code}`;
+}
+
+// Discount line (negative amount) and the quote fields every flow returns
+function promoFields(promo, discountC, lines) {
+  if (discountC > 0) lines.push({ code: 'discount', label: promoLabel(promo), amount_cents: -discountC });
+  return {
+    discount_cents: discountC,
+    promo_code: discountC > 0 ? promo.code : '',
+    promo: discountC > 0 ? promo : null
+  };
+}
+
+function resolveToday(opts) {
+  return parseNYDate((opts && opts.today) || nyTodayYMD());
+}
+
+// ---- Self-service (chairs, customer pickup) ----
+// input: { items: [{ sku, qty }], pickup_date, return_date }
+// opts: { today?, promo? } (promo: lib/promo-codes definition; the discount is taken before tax)
+function priceSelfService(input = {}, opts = {}) {
+  const { items = [], pickup_date, return_date } = input;
+  const errors = [];
+
+  // --- sanitize items & quantities ---
+  let qtyDark = 0, qtyLight = 0;
+  for (const it of Array.isArray(items) ? items : []) {
+    const q = Number(it && it.qty) || 0;
+    if (it && it.sku === 'chair_dark')  qtyDark  = Math.max(0, q);
+    if (it && it.sku === 'chair_light') qtyLight = Math.max(0, q);
+  }
+  if (qtyDark + qtyLight <= 0) errors.push('Please select at least 1 chair.');
+
+  // cap to the business rule (MAX_QTY chairs per order)
+  const clampedDark  = Math.min(qtyDark,  SELF_SERVICE.MAX_QTY);
+  const clampedLight = Math.min(qtyLight, Math.max(0, SELF_SERVICE.MAX_QTY - clampedDark));
+
+  const quoteItems = [];
+  if (clampedDark > 0) quoteItems.push(quoteItem('chair_dark', SELF_PRICE_MAP.chair_dark, clampedDark));
+  if (clampedLight > 0) quoteItems.push(quoteItem('chair_light', SELF_PRICE_MAP.chair_light, clampedLight));
+  const subtotalC = quoteItems.reduce((sum, it) => sum + it.total_cents, 0);
+  const bundles = bundlesFor('self_service', quoteItems);
+  const bundleC = Math.min(subtotalC, bundles.reduce((sum, b) => sum + b.amount_cents, 0));
+
+  // --- dates (NY calendar days; server-authoritative) ---
+  const todayNY = resolveToday(opts);
+  const pickupNY = parseNYDate(pickup_date);
+  const returnNY = parseNYDate(return_date);
+
+  if (!pickupNY || !returnNY) {
+    errors.push('Invalid or missing rental dates');
+  } else if (compareYMD(pickupNY, todayNY) < 0) {
+    errors.push('Pickup date cannot be in the past');
+  } else if (compareYMD(returnNY, pickupNY) < 0) {
+    errors.push('Return date cannot be before pickup date');
+  }
+
+  const rentalDays = dayDiffNY(pickupNY, returnNY);
+  const extDays = Math.max(0, (Number.isFinite(rentalDays) ? rentalDays : 0) - 1);
+
+  // rush: pickup is today (America/New_York calendar day)
+  const daysUntilPickup = dayDiffNY(todayNY, pickupNY);
+  const rushC = (Number.isFinite(daysUntilPickup) && daysUntilPickup === 0) ? SELF_SERVICE.RUSH_FEE : 0;
+
+  const extChargedDays = chargedExtraDays(extDays);
+  const extFeeC = Math.round(subtotalC * SELF_SERVICE.EXT_RATE * extChargedDays);
+
+  const baseC = subtotalC - bundleC + rushC + extFeeC;
+  const minC  = Math.max(0, SELF_SERVICE.MIN_ORDER - baseC);
+
+  const warnings = [];
+  if (minC > 0) warnings.push(minimumWarning(SELF_SERVICE.MIN_ORDER, minC));
+
+  const promo = applyPromo(opts.promo, { flow: 'self_service', items: quoteItems, subtotalC, preTaxC: baseC + minC });
+  if (promo.error) warnings.push(promo.error);
+  const discountC = promo.cents;
+  const taxC  = Math.round((baseC + minC - discountC) * TAX_RATE);
+
+  const lines = [];
+  for (const b of bundles) lines.push({ code: 'bundle', label: b.label, amount_cents: -b.amount_cents });
+  pushLine(lines, 'rush', 'Same-day pickup rush', rushC);
+  pushLine(lines, 'extended', extendedLabel(extDays, extChargedDays), extFeeC);
+  pushLine(lines, 'min_order', `Minimum order surcharge (to $${SELF_SERVICE.MIN_ORDER / 100})`, minC);
+  const promoQuote = promoFields(opts.promo, discountC, lines);
+  pushLine(lines, 'tax', `Sales tax (${(TAX_RATE * 100).toFixed(3)}%)`, taxC);
+
+  return {
+    flow: 'self_service',
+    errors,
+    warnings,
+    items: quoteItems,
+    pickup_date: pickupNY ? String(pickup_date).trim() : '',
+    return_date: returnNY ? String(return_date).trim() : '',
+    rental_days: Number.isFinite(rentalDays) ? rentalDays : null,
+    extra_days: extDays,
+    extended_charged_days: extChargedDays,
+    days_until_start: Number.isFinite(daysUntilPickup) ? daysUntilPickup : null,
+
+    subtotal_cents: subtotalC,
+    bundle_cents: bundleC,
+    bundles,
+    delivery_cents: 0,
+    congestion_cents: 0,
+    rush_cents: rushC,
+    dropoff_timeslot_cents: 0,
+    pickup_timeslot_cents: 0,
+    extended_cents: extFeeC,
+    min_order_cents: minC,
+    ...promoQuote,
+    promo_error: promo.error,
+    tax_cents: taxC,
+    total_cents: baseC + minC - discountC + taxC,
+    security_deposit_cents: securityDepositFor(quoteItems).total_cents,
+
+    lines
+  };
+}
+
+// Late return of a self-service rental: each day late costs one extended-rental day
+// (EXT_RATE of the chairs subtotal), plus tax.
+// returns { per_day_cents, days, subtotal_cents, tax_cents, total_cents }
+function selfServiceLateFee({ subtotal_cents, days }) {
+  const lateDays = Math.max(0, Math.floor(Number(days) || 0));
+  const perDayC = Math.round(Math.max(0, Number(subtotal_cents) || 0) * SELF_SERVICE.EXT_RATE);
+  const subtotalC = perDayC * lateDays;
+  const taxC = Math.round(subtotalC * TAX_RATE);
+  return { per_day_cents: perDayC, days: lateDays, subtotal_cents: subtotalC, tax_cents: taxC, total_cents: subtotalC + taxC };
+}
+
+// ---- Full-service (delivery) ----
+// input: { items: [{ sku, qty }], schedule: { dropoff_date, pickup_date, *_timeslot_type, *_timeslot_value }, location: { zip, ... } }
+// opts: { today?, promo? } (as priceSelfService)
+function priceFullService(input = {}, opts = {}) {
+  const { items = [], schedule = {}, location = {} } = input;
+  const errors = [];
+
+  // --- Products subtotal ---
+  const quoteItems = [];
+  for (const item of Array.isArray(items) ? items : []) {
+    const sku = item && item.sku;
+    const qty = Math.max(0, Number(item && item.qty) || 0);
+    if (qty > 0 && PRICE_MAP[sku]) quoteItems.push(quoteItem(sku, PRICE_MAP[sku], qty));
+  }
+  if (quoteItems.length === 0) errors.push('Please select at least 1 item.');
+  const zone = zoneForZip(location.zip);
+  if (normalizeZip(location.zip).length !== 5) errors.push('Delivery ZIP code is required');
+  else if (!zone || !zone.serviceable) errors.push(outOfAreaMessage(location.zip));
+  const subtotalC = quoteItems.reduce((sum, it) => sum + it.total_cents, 0);
+
+  // --- Bundle discounts (complete sets in the cart) ---
+  const bundles = bundlesFor('full_service', quoteItems);
+  const bundleC = Math.min(subtotalC, bundles.reduce((sum, b) => sum + b.amount_cents, 0));
+
+  // --- NY date sanity checks (server-authoritative calendar days) ---
+  const todayNY = resolveToday(opts);
+  const dropoffNY = parseNYDate(schedule.dropoff_date);
+  const pickupNY  = parseNYDate(schedule.pickup_date);
+
+  if (!dropoffNY || !pickupNY) {
+    errors.push('Invalid or missing rental dates');
+  } else if (compareYMD(dropoffNY, todayNY) < 0) {
+    errors.push('Dropoff date cannot be in the past');
+  } else if (compareYMD(pickupNY, dropoffNY) < 0) {
+    errors.push('Pickup date cannot be before dropoff date');
+  }
+
+  // --- Delivery fee and congestion surcharge (delivery zone of the ZIP) ---
+  const deliveryC = zone ? deliveryFeeCents(zone, subtotalC) : 0;
+  const congestionC = zone ? zone.congestion_cents : 0;
+  const minOrderC = zone && zone.min_order_cents !== null ? zone.min_order_cents : FULL_SERVICE.MIN_ORDER;
+
+  // --- Rush fee (if drop-off is within 2 days; NY calendar days) ---
+  const daysUntilDropoff = dayDiffNY(todayNY, dropoffNY);
+  const rushC = (Number.isFinite(daysUntilDropoff) && daysUntilDropoff <= FULL_SERVICE.RUSH_WINDOW_DAYS)
+    ? Math.max(FULL_SERVICE.RUSH_MIN_FEE, Math.round(subtotalC * FULL_SERVICE.RUSH_RATE))
+    : 0;
+
+  // --- Time slot fees ---
+  const dropoffType = schedule.dropoff_timeslot_type || 'flex';
+  const dropoffValue = schedule.dropoff_timeslot_value || '';
+  const dropoffTimeslotC = (TIMESLOT_BASE_FEE[dropoffType] || 0) + timeslotFee(dropoffType, dropoffValue);
+
+  // Pickup: no prompt base fee when pickup is the same day as drop-off
+  const sameDay = compareYMD(dropoffNY, pickupNY) === 0;
+  const pickupType = schedule.pickup_timeslot_type || 'flex';
+  const pickupValue = schedule.pickup_timeslot_value || '';
+  let pickupTimeslotC = 0;
+  if (pickupType === 'prompt' && !sameDay) {
+    pickupTimeslotC += TIMESLOT_BASE_FEE[pickupType] || 0;
+  } else if (pickupType === 'flex') {
+    pickupTimeslotC += TIMESLOT_BASE_FEE[pickupType] || 0;
+  }
+  pickupTimeslotC += timeslotFee(pickupType, pickupValue);
+
+  // --- Extended rental fee (15% per extra day after first day, capped by the weekly rate) ---
+  const rentalDays = dayDiffNY(dropoffNY, pickupNY);
+  const extraDays = Math.max(0, (Number.isFinite(rentalDays) ? rentalDays : 0) - 1);
+  const extendedChargedDays = chargedExtraDays(extraDays);
+  const extendedC = Math.round(subtotalC * FULL_SERVICE.EXTENDED_RATE * extendedChargedDays);
+
+  // --- Minimum order surcharge ---
+  // Minimum includes: items (less bundles) + delivery + congestion + rush + time slot fees + extended
+  const towardMinC =
+    subtotalC -
+    bundleC +
+    deliveryC +
+    congestionC +
+    rushC +
+    dropoffTimeslotC +
+    pickupTimeslotC +
+    extendedC;
+  const minC = Math.max(0, minOrderC - towardMinC);
+
+  const warnings = [];
+  if (minC > 0) warnings.push(minimumWarning(minOrderC, minC));
+
+  // --- Promo discount (before tax) ---
+  const promo = applyPromo(opts.promo, { flow: 'full_service', items: quoteItems, subtotalC, preTaxC: towardMinC + minC });
+  if (promo.error) warnings.push(promo.error);
+  const discountC = promo.cents;
+
+  // --- Tax + total ---
+  const taxableC = towardMinC + minC - discountC;
+  const taxC = Math.round(taxableC * TAX_RATE);
+
+  const lines = [];
+  for (const b of bundles) lines.push({ code: 'bundle', label: b.label, amount_cents: -b.amount_cents });
+  pushLine(lines, 'delivery', zone ? `Delivery fee (${zone.name})` : 'Delivery fee', deliveryC);
+  pushLine(lines, 'congestion', zone ? `${zone.name} congestion surcharge` : 'Congestion surcharge', congestionC);
+  pushLine(lines, 'rush', 'Rush fee', rushC);
+  pushLine(lines, 'dropoff_timeslot', 'Delivery time slot fee', dropoffTimeslotC);
+  pushLine(lines, 'pickup_timeslot', 'Pickup time slot fee', pickupTimeslotC);
+  pushLine(lines, 'extended', extendedLabel(extraDays, extendedChargedDays), extendedC);
+  pushLine(lines, 'min_order', `Minimum order surcharge (to $${minOrderC / 100})`, minC);
+  const promoQuote = promoFields(opts.promo, discountC, lines);
+  pushLine(lines, 'tax', `Sales tax (${(TAX_RATE * 100).toFixed(3)}%)`, taxC);
+
+  return {
+    flow: 'full_service',
+    errors,
+    warnings,
+    items: quoteItems,
+    dropoff_date: dropoffNY ? String(schedule.dropoff_date).trim() : '',
+    pickup_date: pickupNY ? String(schedule.pickup_date).trim() : '',
+    rental_days: Number.isFinite(rentalDays) ? rentalDays : null,
+    extra_days: extraDays,
+    extended_charged_days: extendedChargedDays,
+    days_until_start: Number.isFinite(daysUntilDropoff) ? daysUntilDropoff : null,
+    delivery_zone: zone ? { id: zone.id, name: zone.name } : null,
+
+    subtotal_cents: subtotalC,
+    bundle_cents: bundleC,
+    bundles,
+    delivery_cents: deliveryC,
+    congestion_cents: congestionC,
+    rush_cents: rushC,
+    dropoff_timeslot_cents: dropoffTimeslotC,
+    pickup_timeslot_cents: pickupTimeslotC,
+    extended_cents: extendedC,
+    min_order_cents: minC,
+    ...promoQuote,
+    promo_error: promo.error,
+    tax_cents: taxC,
+    total_cents: taxableC + taxC,
+    security_deposit_cents: securityDepositFor(quoteItems).total_cents,
+
+    lines
+  };
+}
+
+// Price an order body for either flow (flow defaults to self_service, matching checkout-self).
+function priceOrder(input = {}, opts = {}) {
+  return input.flow === 'full_service'
+    ? priceFullService(input, opts)
+    : priceSelfService(input, opts);
+}
+
+// ---- Payment policy (applied by checkout-approve) ----
+// - SELF SERVICE: card authorized at checkout, captured in full on approval
+// - FULL SERVICE: rush OR same/next-day drop-off => full pay now,
+//   else 30% deposit now and the remainder auto-charged the day before drop-off
+function paymentSplit({ flow, total_cents, rush_cents, days_until_start }) {
+  const totalC = Math.max(0, Number(total_cents) || 0);
+  if (flow === 'self_service') {
+    return { pay_in_full_now: true, deposit_percent: 1, paid_now_cents: totalC, balance_cents: 0 };
+  }
+
+  const rushC = Number(rush_cents || 0);
+  const isRush = Number.isFinite(rushC) && rushC > 0;
+  const payInFullNow = isRush || !Number.isFinite(days_until_start) || days_until_start <= 1;
+  const depositPercent = payInFullNow ? 1.0 : FULL_SERVICE.DEPOSIT_RATE;
+  const paidNowC = Math.max(0, Math.round(totalC * depositPercent));
+
+  return {
+    pay_in_full_now: payInFullNow,
+    deposit_percent: depositPercent,
+    paid_now_cents: paidNowC,
+    balance_cents: Math.max(0, totalC - paidNowC)
+  };
+}
+
+// The part of an order's promo discount that one payment of it carries (the deposit or the
+// balance), in proportion to that payment's share of the total. Shown on the Stripe charge/invoice.
+function discountShare({ discount_cents, total_cents, part_cents }) {
+  const discountC = Math.max(0, Number(discount_cents) || 0);
+  const totalC = Math.max(0, Number(total_cents) || 0);
+  const partC = Math.min(totalC, Math.max(0, Number(part_cents) || 0));
+  return totalC > 0 ? Math.round(discountC * partC / totalC) : 0;
+}
+
+module.exports = {
+  PRICE_MAP,
+  SELF_PRICE_MAP,
+  SECURITY_DEPOSITS,
+  PRICING_RULES,
+  TAX_RATE,
+  SELF_SERVICE,
+  FULL_SERVICE,
+  PROMPT_FEE,
+  FLEX_FEE,
+  normalizeZip,
+  lookupSku,
+  securityDepositFor,
+  priceSelfService,
+  selfServiceLateFee,
+  priceFullService,
+  priceOrder,
+  paymentSplit,
+  discountShare
+};
@@ -0,0 +1,176 @@
+// netlify/lib/promo-codes.js
+// Promo codes, loaded from netlify/config/promo-codes.json (EDIT THAT FILE to run a promotion).
+// checkout-full / checkout-self (and quote-preview) look the code up here, then lib/pricing takes
+// the discount off before tax. The order keeps a copy of the promo (order.pricing.promo), so a
+// later modification reprices with the terms the customer got.
+//
+// codes: { [CODE]: {                      matched case-insensitively (keys in upper case)
+//   type: 'percent' | 'fixed',            percent_off (10 = 10%) or amount_off_cents
+//   flows?: ['self_service', 'full_service']       default: both
+//   skus?: ['chair_dark', 'chair_light']            discount only these items; default: all items
+//   min_order_cents?,                     items subtotal required
+//   starts?, ends?,                       'YYYY-MM-DD' (NY calendar days, inclusive)
+//   max_redemptions?, max_per_customer?,  total uses / uses per customer email
+//   first_order_only?,                    true = customers with no earlier order
+//   active?                               false to switch a code off without deleting it
+// } }
+// The shipped examples are switched off; set active to true (or drop it) to use one.
+//
+// Checked here (when the code is entered):  active, date window, usage limits, first order only
+// Checked by lib/pricing (against the cart): flows, SKUs, minimum order
+//
+// A redemption is an order that used the code and was not declined, cancelled or refunded; one
+// still in checkout counts while its Checkout Session can complete (CHECKOUT_SESSION_TTL_HOURS).
+// That is what max_redemptions / max_per_customer count.
+//
+// resolvePromo checks the limits up front; checkout-full / checkout-self then reservePromo just
+// before creating the order. The reservation is one conditional write to the code's ledger in the
+// promo_redemptions collection, so two checkouts racing for the last use cannot both get it. A
+// resubmit of the same checkout form (same client_order_token) does not count against itself.
+
+const config = require('../config/promo-codes.json');
+const { listOrders } = require('./orders');
+const { CHECKOUT_SESSION_TTL_HOURS } = require('./inventory');
+const { openCollection } = require('./store');
+const { nyTodayYMD, parseNYDate, compareYMD } = require('./ny-dates');
+
+const redemptions = () => openCollection('promo_redemptions');
+
+const PROMO_CODES = Object.fromEntries(
+  Object.entries((config && config.codes) || {}).map(([code, def]) => [code.trim().toUpperCase(), def])
+);
+
+// Statuses where an order no longer counts as having used its code
+const UNREDEEMED_STATUSES = ['declined', 'cancelled', 'refunded'];
+
+const CHECKOUT_SESSION_TTL_MS = CHECKOUT_SESSION_TTL_HOURS * 60 * 60 * 1000;
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// The promo definition for a code (with `code` filled in), or null if unknown.
+function findPromo(code) {
+  const key = normalizeCode(code);
+  const def = key ? PROMO_CODES[key] : null;
+  return def ? { ...def, code: key } : null;
+}
+
+function isRedeemed(order, now = Date.now()) {
+  if (order.status === 'checkout') return Date.parse(order.created_at) > now - CHECKOUT_SESSION_TTL_MS;
+  return !UNREDEEMED_STATUSES.includes(order.status);
+}
+
+// An earlier attempt at the same checkout form (its retry must not count against itself)
+function isSameAttempt(use, clientOrderToken) {
+  return Boolean(clientOrderToken) && use.client_order_token === clientOrderToken;
+}
+
+// Ledger entry for an order that used the code
+function useFor(order) {
+  return {
+    order_id: order.id,
+    email: normalizeEmail(order.customer?.email),
+    client_order_token: order.client_order_token || '',
+    reserved_at: order.created_at
+  };
+}
+
+// max_redemptions / max_per_customer against the uses that count; an error message or null
+function usageError(promo, uses, email) {
+  if (promo.max_redemptions && uses.length >= promo.max_redemptions) {
+    return `Promo code ${promo.code} has been fully redeemed`;
+  }
+  if (promo.max_per_customer && uses.filter((u) => u.email === email).length >= promo.max_per_customer) {
+    return `Promo code ${promo.code} has already been used with this email`;
+  }
+  return null;
+}
+
+// Look up a code and check everything that does not depend on the cart.
+// { code, email, clientOrderToken } -> { promo } or { error } (no code: { promo: null })
+async function resolvePromo({ code, email, clientOrderToken = '', today = nyTodayYMD() }) {
+  const key = normalizeCode(code);
+  if (!key) return { promo: null };
+
+  const promo = findPromo(key);
+  if (!promo || promo.active === false) return { error: `Promo code ${key} is not valid` };
+
+  const todayNY = parseNYDate(today);
+  if (promo.starts && compareYMD(todayNY, parseNYDate(promo.starts)) < 0) {
+    return { error: `Promo code ${key} is not active yet` };
+  }
+  if (promo.ends && compareYMD(todayNY, parseNYDate(promo.ends)) > 0) {
+    return { error: `Promo code ${key} has expired` };
+  }
+
+  const customerEmail = normalizeEmail(email);
+  const needsEmail = promo.first_order_only || promo.max_per_customer;
+  if (needsEmail && !customerEmail) {
+    return { error: `Promo code ${key} needs your email address` };
+  }
+
+  if (promo.max_redemptions || promo.max_per_customer) {
+    const uses = (await listOrders((o) => o.pricing?.promo_code === key && isRedeemed(o)))
+      .map(useFor)
+      .filter((u) => !isSameAttempt(u, clientOrderToken));
+    const error = usageError(promo, uses, customerEmail);
+    if (error) return { error };
+  }
+
+  if (promo.first_order_only) {
+    const earlier = await listOrders((o) =>
+      isRedeemed(o) && normalizeEmail(o.customer?.email) === customerEmail && !isSameAttempt(useFor(o), clientOrderToken));
+    if (earlier.length) return { error: `Promo code ${key} is for first orders only` };
+  }
+
+  return { promo };
+}
+
+// Claim one use of a resolved promo for a new order, atomically against the code's limits.
+// Call right before createOrder. { promo, orderId, email, clientOrderToken } -> { ok: true } or
+// { error }. Calling again for the same order is a no-op.
+async function reservePromo({ promo, orderId, email, clientOrderToken = '' }) {
+  if (!promo || !(promo.max_redemptions || promo.max_per_customer || promo.first_order_only)) return { ok: true };
+  const key = promo.code;
+  const customerEmail = normalizeEmail(email);
+
+  // Ledger entries stop counting once their order does; an entry without an order yet belongs to
+  // a checkout being created right now (or one that failed), and counts for the session window.
+  const now = Date.now();
+  const ordersById = new Map((await listOrders((o) => o.pricing?.promo_code === key)).map((o) => [o.id, o]));
+  const stillCounts = (use) => {
+    const order = ordersById.get(use.order_id);
+    return order ? isRedeemed(order, now) : Date.parse(use.reserved_at) > now - CHECKOUT_SESSION_TTL_MS;
+  };
+
+  let error = null;
+  await redemptions().update(key, (current) => {
+    error = null; // set on every run: the store may retry fn after a conflict
+    const known = current ? current.uses : [...ordersById.values()].map(useFor);
+    if (known.some((u) => u.order_id === orderId)) return null;
+
+    const uses = known.filter((u) => stillCounts(u) && !isSameAttempt(u, clientOrderToken));
+    error = usageError(promo, uses, customerEmail);
+    if (!error && promo.first_order_only && uses.some((u) => u.email === customerEmail)) {
+      error = `Promo code ${key} is for first orders only`;
+    }
+    if (error) return null;
+
+    const use = { order_id: orderId, email: customerEmail, client_order_token: clientOrderToken, reserved_at: new Date(now).toISOString() };
+    return { code: key, uses: [...uses, use], updated_at: new Date().toISOString() };
+  });
+  return error ? { error } : { ok: true };
+}
+
+module.exports = {
+  PROMO_CODES,
+  normalizeCode,
+  findPromo,
+  resolvePromo,
+  reservePromo
+};
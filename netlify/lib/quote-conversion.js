@@ -0,0 +1,361 @@
+// netlify/lib/quote-conversion.js
+// Turn a stored quote request (lib/quote-requests) into something the customer can pay, and email
+// them the link (admin-quote-request):
+// - 'checkout': the Checkout Session checkout-self / checkout-full would have created (self-service:
+//   card hold or saved card per lib/auth-holds; full-service: saved card). From there the order
+//   follows the normal path: checkout-webhook -> requested -> owner approves -> charged.
+// - 'invoice':  a hosted Stripe invoice for the whole total, itemized, with the schedule and address
+//   in its description. Sending it is the approval, so the order goes straight to 'approved' and the
+//   stock is committed; checkout-webhook marks it paid_in_full on invoice.paid.
+//
+// The request is repriced with today's rules and re-checked for stock (and crew, full-service)
+// first. The order carries quote_request_id and so does the Stripe metadata; the request moves
+// converted -> submitted -> paid as Stripe reports back (checkout-webhook, approveOrder).
+//
+// convertQuoteRequest() returns { statusCode, body } with a plain-object body; callers add headers.
+
+const Stripe = require('stripe');
+const crypto = require('crypto');
+
+const { priceOrder } = require('./pricing');
+const { checkAvailability, describeConflicts, holdReservation, commitReservation } = require('./inventory');
+const { orderIdFromHash, buildOrder, createOrder, getOrder, updateOrder } = require('./orders');
+const { transitionOrderThrough } = require('./order-status');
+const { selfServicePaymentMode } = require('./auth-holds');
+const { checkCrewCapacity, describeCrewConflicts } = require('./crew-capacity');
+const { nyTodayYMD, parseNYDate, dayDiffNY } = require('./ny-dates');
+const { getQuoteRequest, advanceQuoteRequest } = require('./quote-requests');
+const {
+  html, formatCents, paragraph, fields, button, buttons, summaryTable, renderEmail
+} = require('./email-templates');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
+
+const QUOTE_INVOICE_KIND = 'quote_invoice';
+const CONVERSION_MODES = ['checkout', 'invoice'];
+
+// Hosted invoices are due this many days after sending (sooner when the rental starts sooner)
+const INVOICE_DAYS_DUE = 3;
+
+let resendClient = null;
+function getResendClient() {
+  if (!resendClient && process.env.RESEND_API_KEY) {
+    const { Resend } = require('resend');
+    resendClient = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resendClient;
+}
+
+function slotText(type, value) {
+  if (!value) return '';
+  if (type === 'flex') return { '8-12': '8AM–12PM', '12-4': '12PM–4PM', '4-8': '4PM–8PM' }[value] || value;
+  const h = parseInt(String(value).split('-')[0], 10);
+  if (!Number.isFinite(h)) return value;
+  const fmt = (x) => {
+    const n = ((x % 24) + 24) % 24;
+    return `${n % 12 === 0 ? 12 : n % 12}${n >= 12 ? 'PM' : 'AM'}`;
+  };
+  return `${fmt(h)}–${fmt(h + 1)}`;
+}
+
+// Rental window for stock / invoices: { start_date, end_date }
+function quoteDates(quote) {
+  return quote.flow === 'full_service'
+    ? { start_date: quote.dropoff_date, end_date: quote.pickup_date }
+    : { start_date: quote.pickup_date, end_date: quote.return_date };
+}
+
+// "Delivery 2026-06-01 8AM–12PM · Pickup 2026-06-02 4PM–8PM · 1 Main St, Brooklyn, NY 11233"
+function scheduleSummary(order) {
+  const sch = order.schedule || {};
+  if (order.flow !== 'full_service') return `Pickup ${sch.pickup_date} · Return ${sch.return_date}`;
+  const loc = order.location || {};
+  const address = [loc.street, loc.address2, loc.city, [loc.state, loc.zip].filter(Boolean).join(' ')]
+    .filter(Boolean).join(', ');
+  return [
+    `Delivery ${sch.dropoff_date} ${slotText(sch.dropoff_timeslot_type, sch.dropoff_timeslot_value)}`.trim(),
+    `Pickup ${sch.pickup_date} ${slotText(sch.pickup_timeslot_type, sch.pickup_timeslot_value)}`.trim(),
+    address
+  ].filter(Boolean).join(' · ');
+}
+
+function siteUrl() {
+  const url = String(process.env.SITE_URL || '').trim().replace(/\/$/, '');
+  if (!url) throw new Error('SITE_URL not configured');
+  return url;
+}
+
+async function createQuoteCheckout(request, order, quote) {
+  const base = siteUrl();
+  const isSelf = order.flow === 'self_service';
+  const paymentMode = isSelf ? selfServicePaymentMode(quote.pickup_date) : null;
+  const metadata = {
+    flow: order.flow,
+    order_id: order.id,
+    quote_request_id: request.id,
+    ...(paymentMode ? { payment_mode: paymentMode } : {}),
+    promo_code: quote.promo_code,
+    discount_cents: String(quote.discount_cents),
+    bundle_cents: String(quote.bundle_cents),
+    tax_cents: String(quote.tax_cents),
+    total_cents: String(quote.total_cents),
+    name: order.customer.name.slice(0, 350),
+    phone: order.customer.phone.slice(0, 350),
+    email: order.customer.email.slice(0, 350)
+  };
+  const common = {
+    success_url: `${base}/${isSelf ? 'thank-you-self-service' : 'thank-you-full-service'}`,
+    cancel_url: `${base}/`,
+    customer_email: order.customer.email || undefined,
+    metadata
+  };
+  const idemKey = `quote_${request.id}_checkout`;
+
+  let sessionParams;
+  if (paymentMode === 'hold') {
+    sessionParams = {
+      ...common,
+      mode: 'payment',
+      customer_creation: 'always',
+      payment_intent_data: {
+        capture_method: 'manual',
+        setup_future_usage: 'off_session',
+        metadata: { flow: 'self_service', order_id: order.id, quote_request_id: request.id }
+      },
+      custom_text: {
+        submit: { message: 'Clicking Pay places an authorization only. Your card is charged once we confirm your pickup.' }
+      },
+      line_items: [
+        ...quote.items.map((it) => ({
+          price_data: {
+            currency: 'usd',
+            product_data: { name: it.note ? `${it.name} (${it.note})` : it.name },
+            unit_amount: it.unit_cents
+          },
+          quantity: it.qty
+        })),
+        ...quote.lines.filter((line) => line.amount_cents > 0).map((line) => ({
+          price_data: { currency: 'usd', product_data: { name: line.label }, unit_amount: line.amount_cents },
+          quantity: 1
+        }))
+      ]
+    };
+
+    // Stripe line items cannot be negative: credits become a one-off coupon (as in checkout-self)
+    const credits = quote.lines.filter((line) => line.amount_cents < 0);
+    if (credits.length) {
+      const coupon = await stripe.coupons.create({
+        amount_off: -credits.reduce((sum, line) => sum + line.amount_cents, 0),
+        currency: 'usd',
+        duration: 'once',
+        max_redemptions: 1,
+        name: credits.map((line) => line.label).join(' + ').slice(0, 40),
+        metadata: { order_id: order.id, quote_request_id: request.id }
+      }, { idempotencyKey: `promo_${idemKey}` });
+      sessionParams.discounts = [{ coupon: coupon.id }];
+    }
+  } else {
+    sessionParams = {
+      ...common,
+      mode: 'setup',
+      payment_method_types: ['card'],
+      custom_text: {
+        submit: { message: 'Your card details will be securely saved to reserve your booking. No charges are made until we confirm it.' }
+      }
+    };
+  }
+
+  const session = await stripe.checkout.sessions.create(sessionParams, { idempotencyKey: idemKey });
+  await updateOrder(order.id, {
+    ...(paymentMode ? { payment_mode: paymentMode } : {}),
+    stripe: { checkout_session_id: session.id }
+  });
+
+  try {
+    await holdReservation(session.id, { flow: order.flow, items: quote.items, ...quoteDates(quote) });
+  } catch (err) {
+    console.error('[ALERT] Failed to place inventory hold:', session.id, err?.message || err);
+  }
+
+  return { checkout_session_id: session.id, url: session.url };
+}
+
+async function createQuoteInvoice(request, order, quote, actor) {
+  const idemKey = `quote_${request.id}_invoice`;
+  const md = { kraus_kind: QUOTE_INVOICE_KIND, kraus_flow: order.flow, order_id: order.id, quote_request_id: request.id };
+
+  const customer = await stripe.customers.create({
+    email: order.customer.email || undefined,
+    name: order.customer.name || undefined,
+    phone: order.customer.phone || undefined,
+    metadata: md
+  }, { idempotencyKey: `${idemKey}_customer` });
+
+  const { start_date } = quoteDates(quote);
+  const daysToStart = dayDiffNY(parseNYDate(nyTodayYMD()), parseNYDate(start_date));
+  const invoice = await stripe.invoices.create({
+    customer: customer.id,
+    collection_method: 'send_invoice',
+    days_until_due: Math.max(1, Math.min(INVOICE_DAYS_DUE, (daysToStart ?? INVOICE_DAYS_DUE) - 1)),
+    auto_advance: false,
+    pending_invoice_items_behavior: 'exclude',
+    description: `${order.flow === 'full_service' ? 'Event rental' : 'Chair rental'} ${request.id}: ${scheduleSummary(order)}`.slice(0, 500),
+    metadata: md
+  }, { idempotencyKey: idemKey });
+
+  // Items at their unit price, then every fee, credit and the tax exactly as priced
+  const rows = [
+    ...quote.items.map((it) => ({
+      description: it.note ? `${it.name} (${it.note})` : it.name,
+      unit_amount: it.unit_cents,
+      quantity: it.qty
+    })),
+    ...quote.lines.map((line) => ({ description: line.label, amount: line.amount_cents }))
+  ];
+  for (const [i, row] of rows.entries()) {
+    await stripe.invoiceItems.create({
+      customer: customer.id,
+      invoice: invoice.id,
+      currency: 'usd',
+      ...row,
+      metadata: md
+    }, { idempotencyKey: `${idemKey}_item${i}` });
+  }
+
+  const finalized = await stripe.invoices.finalizeInvoice(invoice.id, { auto_advance: false });
+
+  // Sending the invoice is the owner's approval; the stock is taken until the order is cancelled
+  await updateOrder(order.id, { stripe: { customer_id: customer.id, quote_invoice_id: invoice.id } });
+  await transitionOrderThrough(order.id, ['requested', 'approved'], {
+    actor,
+    stripe: { quote_invoice_id: invoice.id },
+    note: `Invoiced from quote request ${request.id}`,
+    patch: { approved_at: new Date().toISOString() }
+  });
+  try {
+    await holdReservation(invoice.id, { flow: order.flow, items: quote.items, ...quoteDates(quote) });
+    await commitReservation(invoice.id);
+  } catch (err) {
+    console.error('[ALERT] Failed to reserve inventory for quote invoice:', invoice.id, err?.message || err);
+  }
+
+  return { invoice_id: invoice.id, url: finalized.hosted_invoice_url };
+}
+
+function buildPaymentLinkEmail({ order, request, mode, url }) {
+  const rows = [
+    ...(order.items || []).map((it) => ({ label: `${it.name} × ${it.qty}`, value: formatCents(it.total_cents) })),
+    ...(order.pricing?.lines || []).map((line) => ({ label: line.label, value: formatCents(line.amount_cents) })),
+    { label: 'Total', value: formatCents(order.pricing?.total_cents), isTotal: true }
+  ];
+
+  return renderEmail({
+    subject: `Your rental request ${request.id} is approved – Kraus’ Tables & Chairs`,
+    body: html`
+      ${paragraph(`Hi ${order.customer?.name || 'there'},`)}
+      ${paragraph(`Good news: we can do your ${order.flow === 'full_service' ? 'event rental' : 'chair rental'}.
+        ${mode === 'invoice'
+          ? 'Pay the invoice below to lock in your booking.'
+          : 'Use the link below to enter your card and complete your booking (the link is good for 24 hours).'}`)}
+      ${fields([
+        ['Request', request.id],
+        ['Schedule', scheduleSummary(order)]
+      ])}
+      ${summaryTable(rows)}
+      ${buttons(button(mode === 'invoice' ? 'Pay invoice' : 'Complete booking', url))}
+      ${paragraph('If you have any questions, just reply to this email.')}
+    `
+  });
+}
+
+async function sendPaymentLinkEmail({ order, request, mode, url }) {
+  const resend = getResendClient();
+  const from = process.env.FROM_EMAIL;
+  const to = order.customer?.email;
+  if (!resend || !from || !to) return false;
+
+  await resend.emails.send({ from, to, ...buildPaymentLinkEmail({ order, request, mode, url }) });
+  return true;
+}
+
+// mode: 'checkout' | 'invoice'
+async function convertQuoteRequest({ requestId, mode, actor = 'admin' }) {
+  if (!CONVERSION_MODES.includes(mode)) {
+    return { statusCode: 400, body: { error: 'mode must be checkout or invoice' } };
+  }
+  const request = await getQuoteRequest(requestId);
+  if (!request) return { statusCode: 404, body: { error: 'Quote request not found' } };
+  if (request.status !== 'received') {
+    return {
+      statusCode: 409,
+      body: { error: `Quote request ${request.id} is already ${request.status}`, conversion: request.conversion }
+    };
+  }
+  if (!request.customer?.email) {
+    return { statusCode: 400, body: { error: 'Quote request has no customer email' } };
+  }
+
+  const quote = priceOrder(request.input || {});
+  if (quote.errors.length) return { statusCode: 400, body: { error: quote.errors[0] } };
+
+  const { start_date, end_date } = quoteDates(quote);
+  const availability = await checkAvailability(quote.items, start_date, end_date);
+  if (!availability.ok) {
+    return {
+      statusCode: 409,
+      body: { error: describeConflicts(availability.conflicts), conflicts: availability.conflicts }
+    };
+  }
+
+  const orderId = orderIdFromHash(crypto.createHash('sha256').update(`${request.id}:${mode}`).digest('hex'));
+  const input = request.input || {};
+  if (quote.flow === 'full_service') {
+    const crew = await checkCrewCapacity(
+      { ...input.schedule, dropoff_date: quote.dropoff_date, pickup_date: quote.pickup_date },
+      { excludeOrderId: orderId }
+    );
+    if (!crew.ok) {
+      return { statusCode: 409, body: { error: describeCrewConflicts(crew.conflicts), crew_conflicts: crew.conflicts } };
+    }
+  }
+
+  await createOrder({
+    ...buildOrder({
+      id: orderId,
+      flow: quote.flow,
+      client_order_token: request.client_order_token,
+      customer: request.customer,
+      location: input.location,
+      schedule: input.schedule,
+      quote
+    }),
+    quote_request_id: request.id
+  });
+  const order = await getOrder(orderId);
+
+  const link = mode === 'invoice'
+    ? await createQuoteInvoice(request, order, quote, actor)
+    : await createQuoteCheckout(request, order, quote);
+
+  let emailed = false;
+  try {
+    emailed = await sendPaymentLinkEmail({ order, request, mode, url: link.url });
+  } catch (err) {
+    console.error('[ALERT] Failed to email quote payment link:', request.id, err?.message || err);
+  }
+
+  const conversion = { mode, order_id: order.id, ...link, total_cents: quote.total_cents, at: new Date().toISOString(), actor, emailed };
+  const updated = await advanceQuoteRequest(request.id, 'converted', {
+    actor,
+    note: `${mode === 'invoice' ? 'Invoice' : 'Checkout link'} sent for order ${order.id}`,
+    patch: { conversion }
+  });
+  return { statusCode: 200, body: { ok: true, request: updated, order_id: order.id, url: link.url, emailed } };
+}
+
+module.exports = {
+  QUOTE_INVOICE_KIND,
+  CONVERSION_MODES,
+  convertQuoteRequest,
+  buildPaymentLinkEmail
+};
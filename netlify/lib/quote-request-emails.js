@@ -0,0 +1,143 @@
+// netlify/lib/quote-request-emails.js
+// The two emails the quote-request function queues for a manual request: the owner's notification
+// (with the price check when the form's amounts did not match the server quote) and the customer's
+// "request received". Both return { subject, html, text } in the shared layout (lib/email-templates).
+//
+// request: { requestId, flow, createdAt, clientToken, isSelfFlow,
+//            customer: { name, email, phone },
+//            schedule: { dropDate, dropWindow, pickDate, pickWindow, selfPickupDate, selfReturnDate },
+//            address: { line1, line2, city, state, zip, notes },
+//            items: [{ name, qty, unitPrice, lineTotal }]   (dollars; NaN when unpriced)
+//            summaryRows: [{ label, value, isTotal }]        (dollars; [] when the request could not be priced)
+//            priceCheck: [line]                              (owner only) }
+
+const {
+  html,
+  heading,
+  section,
+  paragraph,
+  fields,
+  itemsTable,
+  summaryTable,
+  renderEmail
+} = require('./email-templates');
+
+const fmtMoneyOrDash = (v) => {
+  const n = Number(v);
+  if (v === null || v === undefined || v === '' || !Number.isFinite(n)) return '—';
+  return n.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+};
+
+const dateWithWindow = (date, window) => (date ? `${date}${window ? ` (${window})` : ''}` : '');
+
+const scheduleFields = ({ isSelfFlow, schedule }) =>
+  fields(
+    isSelfFlow
+      ? [
+          ['Pickup', schedule.selfPickupDate],
+          ['Return', schedule.selfReturnDate]
+        ]
+      : [
+          ['Delivery', dateWithWindow(schedule.dropDate, schedule.dropWindow)],
+          ['Pickup', dateWithWindow(schedule.pickDate, schedule.pickWindow)]
+        ]
+  );
+
+const addressSection = (title, address) =>
+  address.line1 || address.city || address.zip
+    ? html`${section(title)}${paragraph(html`${address.line1}${address.line2 ? html`<br />${address.line2}` : ''}<br />
+        ${address.city}${address.state ? `, ${address.state}` : ''} ${address.zip}
+        ${address.notes ? html`<br /><strong>Notes:</strong> ${address.notes}` : ''}`)}`
+    : '';
+
+const contactFields = (customer) =>
+  fields([
+    ['Name', customer.name || '(not provided)'],
+    ['Email', customer.email],
+    ['Phone', customer.phone || '']
+  ]);
+
+const itemsSection = (items) =>
+  html`${section('Items')}${itemsTable(
+    items.map((it) => ({
+      name: it.name,
+      qty: it.qty,
+      unit: fmtMoneyOrDash(it.unitPrice),
+      total: fmtMoneyOrDash(it.lineTotal)
+    }))
+  )}`;
+
+const orderSummarySection = (rows) =>
+  rows.length
+    ? html`${section('Order Summary')}${summaryTable(rows.map((r) => ({ ...r, value: fmtMoneyOrDash(r.value) })))}`
+    : '';
+
+function buildQuoteRequestOwnerEmail(request) {
+  const { requestId, flow, createdAt, clientToken, isSelfFlow, customer, address, items, summaryRows, priceCheck = [] } = request;
+
+  return renderEmail({
+    subject:
+      (isSelfFlow ? `NEW CHAIR RENTAL REQUEST — ${requestId}` : `NEW EVENT RENTAL REQUEST — ${requestId}`) +
+      (priceCheck.length ? ' — CHECK PRICING' : ''),
+    audience: 'owner',
+    body: html`
+      ${heading('New Request (manual)')}
+      ${fields([
+        ['Request ID', requestId],
+        ['Flow', flow],
+        ['Created', createdAt],
+        ['Client token', clientToken || '']
+      ])}
+
+      ${section('Contact Info')}
+      ${contactFields(customer)}
+
+      ${section('Schedule')}
+      ${scheduleFields(request)}
+
+      ${addressSection('Address', address)}
+
+      ${itemsSection(items)}
+      ${orderSummarySection(summaryRows)}
+
+      ${priceCheck.length
+        ? html`${section('Price check')}${paragraph(priceCheck.map((l, i) => html`${i ? html`<br />` : ''}${l}`), { tone: 'warning' })}`
+        : ''}
+    `
+  });
+}
+
+function buildQuoteRequestCustomerEmail(request) {
+  const { requestId, isSelfFlow, customer, address, items, summaryRows } = request;
+
+  return renderEmail({
+    subject: isSelfFlow
+      ? 'Chair Rental Request Received – Pending Approval'
+      : 'Event Rental Request Received – Pending Approval',
+    preheader: 'We received your request and it is pending approval.',
+    body: html`
+      ${paragraph(`Hi${customer.name ? ` ${customer.name}` : ''},`)}
+
+      ${paragraph(html`We received your request and it is pending approval.<br />
+        We’ll review availability and follow up shortly.<br />
+        <strong>If approved, we’ll email you a link to pay and complete your booking.</strong>`)}
+
+      ${fields([['Request ID', requestId]])}
+
+      ${section('Contact Info')}
+      ${contactFields(customer)}
+
+      ${addressSection('Delivery Address', address)}
+
+      ${section('Schedule')}
+      ${scheduleFields(request)}
+
+      ${itemsSection(items)}
+      ${summaryRows.length
+        ? orderSummarySection(summaryRows)
+        : paragraph('We’ll confirm your total when we review your request.')}
+    `
+  });
+}
+
+module.exports = { buildQuoteRequestOwnerEmail, buildQuoteRequestCustomerEmail };
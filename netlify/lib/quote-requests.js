@@ -0,0 +1,123 @@
+// netlify/lib/quote-requests.js
+// Quote requests: submissions of the manual "request a quote" form (quote-request function) that
+// the owner reviews before anything is charged. lib/quote-conversion turns one into something the
+// customer can pay; this module only stores them. A resubmit with the same client_order_token is
+// the same request: its id is derived from the token (quoteRequestIdFor), so the insert-if-absent in
+// createQuoteRequest lets exactly one submission through and quote-request answers the others with
+// the stored one, sending nothing again. The emails and SMS about a request are lib/outbox messages
+// with ref.quote_request_id.
+//
+// Lifecycle (request.status):
+//   received -> converted (payment link emailed) -> submitted (customer completed Checkout)
+//            -> paid (approved and charged, or invoice paid)
+// Every change appends { from, to, at, actor, note } to request.status_history.
+//
+// request.input is the lib/pricing input (priceOrder) rebuilt from the form, so a conversion
+// reprices with today's rules instead of trusting what the browser showed. total_cents is the server
+// quote at submission (null when it could not be priced: pricing_errors); client_discrepancies lists
+// amounts the form showed that differ from it ([{ field, client, server }], dollars).
+
+const crypto = require('crypto');
+const { openCollection } = require('./store');
+
+const quoteRequests = () => openCollection('quote_requests');
+
+const QUOTE_REQUEST_STATUSES = ['received', 'converted', 'submitted', 'paid'];
+
+// KR-<hash of the token> for a form submission with a client_order_token, else a random KR-<ms>-<hex>
+function quoteRequestIdFor(clientOrderToken) {
+  const token = String(clientOrderToken || '').trim();
+  if (token) return `KR-${crypto.createHash('sha256').update(token).digest('hex').slice(0, 20).toUpperCase()}`;
+  return `KR-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+function buildQuoteRequest({
+  id, flow, client_order_token, customer = {}, input = {}, total_cents = null, pricing_errors = [], client_discrepancies = []
+}) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    flow,
+    status: 'received',
+    status_history: [{ from: null, to: 'received', at: now, actor: 'customer' }],
+    created_at: now,
+    updated_at: now,
+    client_order_token: String(client_order_token || ''),
+    customer: {
+      name: String(customer.name || ''),
+      email: String(customer.email || ''),
+      phone: String(customer.phone || '')
+    },
+    input,
+    total_cents,
+    pricing_errors,
+    client_discrepancies,
+    conversion: null
+  };
+}
+
+// Insert a new request; an existing one with the same id is kept as-is.
+// Returns { request, created } (request: the stored one, created: false when it already existed).
+async function createQuoteRequest(request) {
+  let created = false;
+  const stored = await quoteRequests().update(request.id, (current) => {
+    created = !current; // set on every run: the store may retry fn after a conflict
+    if (!created) return null;
+    return request;
+  });
+  return { request: stored, created };
+}
+
+async function getQuoteRequest(id) {
+  if (!id) return null;
+  return quoteRequests().get(String(id));
+}
+
+async function listQuoteRequests(predicate) {
+  return quoteRequests().list(predicate);
+}
+
+// patch: object merged shallowly, or fn(request) -> next request
+async function updateQuoteRequest(id, patch) {
+  return quoteRequests().update(String(id), (current) => {
+    if (!current) return null;
+    const next = typeof patch === 'function' ? patch(current) : { ...current, ...patch };
+    if (!next) return null;
+    return { ...next, updated_at: new Date().toISOString() };
+  });
+}
+
+// Move a request forward (never back: a late 'submitted' after 'paid' is ignored).
+// Returns the request, or null if there is none.
+async function advanceQuoteRequest(id, to, { actor = 'system', note = '', patch = {} } = {}) {
+  if (!QUOTE_REQUEST_STATUSES.includes(to)) throw new Error(`Unknown quote request status: ${to}`);
+  const updated = await updateQuoteRequest(id, (request) => {
+    if (QUOTE_REQUEST_STATUSES.indexOf(request.status) >= QUOTE_REQUEST_STATUSES.indexOf(to)) return null;
+    const entry = { from: request.status, to, at: new Date().toISOString(), actor, ...(note ? { note } : {}) };
+    return { ...request, ...patch, status: to, status_history: [...(request.status_history || []), entry] };
+  });
+  return updated || getQuoteRequest(id);
+}
+
+// Best-effort tracking for orders that came from a quote request (money has already moved by the
+// time this runs; a failure only leaves the request a step behind).
+async function trackQuoteRequest(order, to, { actor = 'stripe-webhook', note = '' } = {}) {
+  if (!order?.quote_request_id) return;
+  try {
+    await advanceQuoteRequest(order.quote_request_id, to, { actor, note });
+  } catch (err) {
+    console.error('[ALERT] Failed to update quote request:', order.quote_request_id, err?.message || err);
+  }
+}
+
+module.exports = {
+  QUOTE_REQUEST_STATUSES,
+  quoteRequestIdFor,
+  buildQuoteRequest,
+  createQuoteRequest,
+  getQuoteRequest,
+  listQuoteRequests,
+  updateQuoteRequest,
+  advanceQuoteRequest,
+  trackQuoteRequest
+};
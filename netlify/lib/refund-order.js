@@ -0,0 +1,349 @@
+// netlify/lib/refund-order.js
+// Refund an order (admin-refund): full or partial, across every payment Stripe took for it —
+// the self-service capture (or saved-card charge), the full-service deposit, a paid balance
+// invoice and paid modification invoices (lib/modify-order). Newest payment is refunded first.
+//
+// A full refund (everything still refundable) ends the booking: a balance invoice that is still
+// draft (or open after a failed charge) is voided so the job never charges the rest, the order
+// moves to 'refunded' and, before the rental, its stock and security deposit are released.
+// A partial refund (e.g. goodwill) keeps the order, its status and its scheduled balance.
+// Every refund is appended to order.refunds with its reason and refund key (once per key).
+//
+// refundOrder() returns { statusCode, body } with a plain-object body; callers add headers.
+
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+const { getOrder, updateOrder } = require('./orders');
+const { releaseReservation } = require('./inventory');
+const { canTransition, describeStatus, transitionOrder } = require('./order-status');
+const { OPEN_DEPOSIT_STATUSES, releaseSecurityDeposit } = require('./security-deposits');
+const { html, paragraph, fields, renderEmail } = require('./email-templates');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
+
+// Statuses in which Stripe may hold money for the order ('refunded' can still have a remainder)
+const REFUNDABLE_STATUSES = ['deposit_paid', 'balance_scheduled', 'paid_in_full', 'delivered', 'returned', 'refunded'];
+
+let resendClient = null;
+function getResendClient() {
+  if (!resendClient && process.env.RESEND_API_KEY) {
+    const { Resend } = require('resend');
+    resendClient = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resendClient;
+}
+
+function centsToDollars(cents) {
+  const n = Number(cents || 0);
+  return (n / 100).toFixed(2);
+}
+
+function idOf(ref) {
+  return ref && typeof ref === 'object' ? ref.id : ref || null;
+}
+
+// Payments Stripe took for the order, newest first:
+// { payments: [{ kind, payment_intent_id, charged_cents, refundable_cents, card_last4 }], balanceInvoice }
+async function orderPayments(order) {
+  const ids = order.stripe || {};
+
+  let balanceInvoice = null;
+  if (ids.balance_invoice_id) {
+    try {
+      balanceInvoice = await stripe.invoices.retrieve(ids.balance_invoice_id);
+    } catch (err) {
+      // a draft deleted by an earlier refund is gone for good
+      if (err?.code !== 'resource_missing') throw err;
+    }
+  }
+
+  // Differences charged by order modifications (newest first)
+  const adjustments = [];
+  for (const m of [...(order.modifications || [])].reverse()) {
+    if (!m.adjustment_invoice_id) continue;
+    const inv = await stripe.invoices.retrieve(m.adjustment_invoice_id);
+    if (inv.status === 'paid') adjustments.push(['adjustment', idOf(inv.payment_intent)]);
+  }
+
+  const candidates = [
+    ...adjustments,
+    ['balance', balanceInvoice?.status === 'paid' ? idOf(balanceInvoice.payment_intent) : null],
+    ['payment', ids.payment_intent_id],
+    ['deposit', ids.deposit_payment_intent_id]
+  ];
+
+  const seen = new Set();
+  const payments = [];
+  for (const [kind, piId] of candidates) {
+    if (!piId || seen.has(piId)) continue;
+    seen.add(piId);
+
+    const pi = await stripe.paymentIntents.retrieve(piId, { expand: ['latest_charge'] });
+    if (pi.status !== 'succeeded') continue; // lapsed holds, failed charges
+
+    const charge = pi.latest_charge && typeof pi.latest_charge === 'object' ? pi.latest_charge : null;
+    const captured = Number(charge?.amount_captured ?? pi.amount_received ?? 0);
+    const refunded = Number(charge?.amount_refunded ?? 0);
+    payments.push({
+      kind,
+      payment_intent_id: pi.id,
+      charged_cents: captured,
+      refundable_cents: Math.max(0, captured - refunded),
+      card_last4: charge?.payment_method_details?.card?.last4 || null
+    });
+  }
+
+  return { payments, balanceInvoice };
+}
+
+// What can still be refunded (admin preview). Returns { statusCode, body }.
+async function refundPreview(orderId) {
+  const order = await getOrder(orderId);
+  if (!order) return { statusCode: 404, body: { error: 'Order not found' } };
+
+  const { payments, balanceInvoice } = await orderPayments(order);
+  return {
+    statusCode: 200,
+    body: {
+      order_id: order.id,
+      status: order.status,
+      refundable_cents: payments.reduce((n, p) => n + p.refundable_cents, 0),
+      refunded_cents: Number(order.refunded_cents || 0),
+      payments,
+      pending_balance_invoice: balanceInvoice && ['draft', 'open'].includes(balanceInvoice.status)
+        ? { id: balanceInvoice.id, status: balanceInvoice.status, amount_cents: balanceInvoice.amount_due }
+        : null
+    }
+  };
+}
+
+// Drafts are deleted (Stripe cannot void a draft); finalized unpaid invoices are voided.
+async function voidBalanceInvoice(inv) {
+  if (!inv) return null;
+  if (inv.status === 'draft') {
+    await stripe.invoices.del(inv.id);
+    return { invoice_id: inv.id, action: 'deleted_draft' };
+  }
+  if (inv.status === 'open') {
+    await stripe.invoices.voidInvoice(inv.id);
+    return { invoice_id: inv.id, action: 'voided' };
+  }
+  return null;
+}
+
+// Refund amountCents across payments (newest first) and append the entry to order.refunds.
+// refundKey: the same for a double-submitted refund (the admin dialog, a cancellation, an order
+// change revision), so Stripe returns the first refunds instead of new ones and the entry is only
+// recorded once. Records whatever went through, including a part-way failure:
+// { entry, stripeRefunds, refundedCents, failure }
+async function issueRefunds(order, payments, amountCents, { reason, actor, voided = null, refundKey }) {
+  const stripeRefunds = [];
+  let remaining = amountCents;
+  let failure = null;
+  try {
+    for (const p of payments) {
+      if (remaining <= 0) break;
+      const amount = Math.min(remaining, p.refundable_cents);
+      if (amount <= 0) continue;
+
+      const refund = await stripe.refunds.create({
+        payment_intent: p.payment_intent_id,
+        amount,
+        reason: 'requested_by_customer',
+        metadata: { order_id: order.id, kraus_reason: reason, kraus_actor: actor }
+      }, { idempotencyKey: `refund_${order.id}_${refundKey}_${p.payment_intent_id}_${amount}` });
+
+      stripeRefunds.push({ refund_id: refund.id, payment_intent_id: p.payment_intent_id, kind: p.kind, amount_cents: amount });
+      remaining -= amount;
+    }
+  } catch (err) {
+    failure = err?.message || String(err);
+    console.error('[ALERT] Refund failed part-way:', order.id, failure, stripeRefunds);
+  }
+
+  const refundedCents = amountCents - remaining;
+  const entry = {
+    at: new Date().toISOString(),
+    key: refundKey,
+    actor,
+    reason,
+    amount_cents: refundedCents,
+    stripe_refunds: stripeRefunds,
+    balance_invoice: voided,
+    ...(failure ? { requested_cents: amountCents, error: failure } : {})
+  };
+  await updateOrder(order.id, (current) =>
+    (current.refunds || []).some((r) => r.key === refundKey)
+      ? current
+      : {
+          ...current,
+          refunds: [...(current.refunds || []), entry],
+          refunded_cents: Number(current.refunded_cents || 0) + refundedCents
+        });
+
+  return { entry, stripeRefunds, refundedCents, failure };
+}
+
+function buildRefundEmail({ customerName, orderId, amountCents, cardLast4, balanceCancelled, reason }) {
+  return renderEmail({
+    subject: '↩️ Refund issued – Kraus’ Tables & Chairs',
+    body: html`
+      ${paragraph(`Hi ${customerName || 'there'},`)}
+      ${paragraph('We’ve issued a refund for your rental.')}
+      ${fields([
+        ['Order', orderId],
+        ['Amount refunded', `$${centsToDollars(amountCents)}`],
+        ['Refunded to', cardLast4 ? `card ending in ${cardLast4}` : 'your original payment method'],
+        ['Reason', reason || '']
+      ])}
+      ${balanceCancelled ? paragraph(html`<strong>Remaining balance: cancelled — it will not be charged</strong>`) : ''}
+      ${paragraph('Refunds usually appear on your statement within 5–10 business days.')}
+      ${paragraph('If you have any questions, just reply to this email.')}
+    `
+  });
+}
+
+async function sendRefundEmail({ to, ...details }) {
+  const resend = getResendClient();
+  const from = process.env.FROM_EMAIL;
+  if (!resend || !from || !to) return false;
+
+  await resend.emails.send({ from, to, ...buildRefundEmail(details) });
+  return true;
+}
+
+// orderId: stored order
+// amountCents: omit for a full refund of everything still refundable
+// reason: required; stored on the order and the Stripe refunds
+// actor: recorded in order.refunds and the status history
+// refundKey: one per refund the admin confirms (admin-refund's refund_key); when omitted it is
+// derived from the request and what was refundable, so a double submit still refunds once
+async function refundOrder({ orderId, amountCents = null, reason, actor = 'admin', notifyCustomer = true, refundKey = null }) {
+  const order = await getOrder(orderId);
+  if (!order) return { statusCode: 404, body: { error: 'Order not found' } };
+
+  const why = String(reason || '').trim().slice(0, 500);
+  if (!why) return { statusCode: 400, body: { error: 'A refund reason is required' } };
+
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    return { statusCode: 409, body: { error: `${describeStatus(order)}; nothing to refund`, status: order.status } };
+  }
+
+  const { payments, balanceInvoice } = await orderPayments(order);
+  const refundableCents = payments.reduce((n, p) => n + p.refundable_cents, 0);
+  if (refundableCents <= 0) {
+    return { statusCode: 409, body: { error: `Nothing left to refund on order ${order.id}`, status: order.status } };
+  }
+
+  const requested = amountCents === null || amountCents === undefined || amountCents === ''
+    ? refundableCents
+    : Number(amountCents);
+  if (!Number.isInteger(requested) || requested <= 0) {
+    return { statusCode: 400, body: { error: 'amount_cents must be a positive whole number of cents' } };
+  }
+  if (requested > refundableCents) {
+    return {
+      statusCode: 400,
+      body: { error: `Only $${centsToDollars(refundableCents)} can be refunded`, refundable_cents: refundableCents }
+    };
+  }
+
+  const key = String(refundKey || '').trim().slice(0, 64) ||
+    crypto.createHash('sha256').update(JSON.stringify([order.id, requested, why, refundableCents])).digest('hex').slice(0, 32);
+  const done = (order.refunds || []).find((r) => r.key === key);
+  if (done) {
+    return {
+      statusCode: 200,
+      body: { ok: true, duplicate: true, order_id: order.id, refunded_cents: done.amount_cents, refunds: done.stripe_refunds, status: order.status }
+    };
+  }
+
+  // A full refund ends the booking: stop the balance job before any money goes back
+  const fullyRefunded = requested >= refundableCents;
+  const voided = fullyRefunded ? await voidBalanceInvoice(balanceInvoice) : null;
+
+  const { entry, stripeRefunds, refundedCents, failure } = await issueRefunds(order, payments, requested, {
+    reason: why,
+    actor,
+    voided,
+    refundKey: key
+  });
+
+  if (failure) {
+    return {
+      statusCode: 502,
+      body: { error: `Refund failed after $${centsToDollars(refundedCents)}: ${failure}`, refunds: stripeRefunds, balance_invoice: voided }
+    };
+  }
+
+  if (fullyRefunded && canTransition(order.status, 'refunded')) {
+    try {
+      await transitionOrder(order.id, 'refunded', {
+        actor,
+        note: why,
+        stripe: { refund_ids: stripeRefunds.map((r) => r.refund_id).join(',') },
+        patch: { refunded_at: entry.at }
+      });
+    } catch (err) {
+      console.error('[ALERT] Failed to record refund status on order:', order.id, err?.message || err);
+    }
+
+    // Booking is over: free the stock and the security deposit if the rental has not happened yet
+    if (!['delivered', 'returned'].includes(order.status) && order.stripe?.checkout_session_id) {
+      try {
+        await releaseReservation(order.stripe.checkout_session_id);
+      } catch (err) {
+        console.error('[ALERT] Failed to release inventory reservation:', err?.message || err);
+      }
+    }
+    if (!['delivered', 'returned'].includes(order.status) && OPEN_DEPOSIT_STATUSES.includes(order.security_deposit?.status)) {
+      try {
+        await releaseSecurityDeposit(order.id, { actor, reason: 'order refunded' });
+      } catch (err) {
+        console.error('[ALERT] Failed to release security deposit:', order.id, err?.message || err);
+      }
+    }
+  }
+
+  let emailSent = false;
+  if (notifyCustomer) {
+    try {
+      emailSent = await sendRefundEmail({
+        to: order.customer?.email,
+        customerName: order.customer?.name,
+        orderId: order.id,
+        amountCents: requested,
+        cardLast4: payments.find((p) => p.card_last4)?.card_last4 || null,
+        balanceCancelled: Boolean(voided),
+        reason: why
+      });
+    } catch (err) {
+      console.error('[ALERT] Failed to send refund email:', err?.message || err);
+    }
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      ok: true,
+      order_id: order.id,
+      refunded_cents: requested,
+      refunds: stripeRefunds,
+      balance_invoice: voided,
+      status: fullyRefunded ? 'refunded' : order.status,
+      emailSent
+    }
+  };
+}
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  orderPayments,
+  voidBalanceInvoice,
+  issueRefunds,
+  sendRefundEmail,
+  buildRefundEmail,
+  refundOrder,
+  refundPreview
+};
@@ -0,0 +1,306 @@
+// netlify/lib/security-deposits.js
+// Refundable damage deposits for high-value pieces (lib/pricing SECURITY_DEPOSITS).
+//
+// approveOrder places the deposit as its own PaymentIntent (metadata.kraus_kind
+// 'security_deposit') on the card the rental was paid with:
+// - 'hold':   manual-capture authorization, when the deposit is due back within the card
+//             authorization window (lib/auth-holds AUTH_WINDOW_DAYS, less HOLD_MARGIN_HOURS)
+// - 'charge': charged now and refunded on release, for rentals further out (a hold would lapse)
+// release-security-deposits (daily) releases it once the release date has come — DAMAGE_REVIEW_DAYS
+// after pickup (full-service) / return (self-service) — unless the owner flagged damage.
+// A damage claim (admin-damage-claim) keeps part of the deposit, releases the rest and emails the
+// customer an itemized notice.
+//
+// order.security_deposit:
+// { amount_cents, lines, mode, payment_intent_id, status, placed_at, release_on, damage_flagged,
+//   flag_note, claim: { at, actor, items, amount_cents, note }, released_cents, released_at, error }
+// status: 'held' | 'charged' | 'released' | 'claimed' | 'failed'
+//
+// Deposit functions return { statusCode, body } with a plain-object body; callers add headers.
+
+const Stripe = require('stripe');
+
+const { getOrder, updateOrder, orderDates } = require('./orders');
+const { securityDepositFor } = require('./pricing');
+const { addDaysYMD, compareYMD, nyTodayYMD, parseNYDate } = require('./ny-dates');
+const { nyLocalToUtc } = require('./balance-invoices');
+const { AUTH_WINDOW_DAYS } = require('./auth-holds');
+const { sendOwnerAlert } = require('./owner-alerts');
+const { html, paragraph, fields, summaryTable, renderEmail } = require('./email-templates');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
+
+const DEPOSIT_KIND = 'security_deposit';
+const DAMAGE_REVIEW_DAYS = 2;
+const HOLD_MARGIN_HOURS = 12;
+
+// Deposits still on the customer's card
+const OPEN_DEPOSIT_STATUSES = ['held', 'charged'];
+
+let resendClient = null;
+function getResendClient() {
+  if (!resendClient && process.env.RESEND_API_KEY) {
+    const { Resend } = require('resend');
+    resendClient = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resendClient;
+}
+
+function centsToDollars(cents) {
+  const n = Number(cents || 0);
+  return (n / 100).toFixed(2);
+}
+
+// NY date the deposit is due back (end of the damage review after the rental ends)
+function depositReleaseDate(order) {
+  const { start_date, end_date } = orderDates(order);
+  const last = end_date || start_date;
+  return parseNYDate(last) ? addDaysYMD(last, DAMAGE_REVIEW_DAYS) : null;
+}
+
+// 'hold' when an authorization placed now outlives the release date, else 'charge'
+function depositMode(releaseOn, now = new Date()) {
+  if (!releaseOn) return 'charge';
+  const releaseAt = nyLocalToUtc(releaseOn, 23, 59);
+  const holdLasts = now.getTime() + (AUTH_WINDOW_DAYS * 24 - HOLD_MARGIN_HOURS) * 60 * 60 * 1000;
+  return releaseAt.getTime() <= holdLasts ? 'hold' : 'charge';
+}
+
+function depositIsDue(deposit, today = nyTodayYMD()) {
+  return Boolean(deposit) &&
+    OPEN_DEPOSIT_STATUSES.includes(deposit.status) &&
+    !deposit.damage_flagged &&
+    compareYMD(parseNYDate(deposit.release_on), parseNYDate(today)) <= 0;
+}
+
+async function saveDeposit(orderId, patch) {
+  return updateOrder(orderId, (current) => ({
+    ...current,
+    security_deposit: { ...current.security_deposit, ...patch }
+  }));
+}
+
+// Place the deposit at approval (best-effort: the rental is already paid; a failure is recorded
+// and texted to the owner). Returns order.security_deposit, or null when no piece needs one.
+async function placeSecurityDeposit({ order, customerId, paymentMethodId, sessionId }) {
+  if (!order) return null;
+  if (order.security_deposit && order.security_deposit.status !== 'failed') return order.security_deposit;
+
+  const { total_cents: amountCents, lines } = securityDepositFor(order.items);
+  if (amountCents <= 0) return null;
+
+  const releaseOn = depositReleaseDate(order);
+  const mode = depositMode(releaseOn);
+  const base = { amount_cents: amountCents, lines, mode, release_on: releaseOn, damage_flagged: false };
+
+  try {
+    if (!customerId || !paymentMethodId) throw new Error('No saved card to place the deposit on');
+    const pi = await stripe.paymentIntents.create({
+      amount: amountCents,
+      currency: 'usd',
+      customer: customerId,
+      payment_method: paymentMethodId,
+      off_session: true,
+      confirm: true,
+      capture_method: mode === 'hold' ? 'manual' : 'automatic',
+      description: 'Refundable security deposit',
+      metadata: {
+        kraus_kind: DEPOSIT_KIND,
+        flow: order.flow,
+        order_id: order.id,
+        checkout_session_id: sessionId || '',
+        release_on: releaseOn || ''
+      }
+    }, { idempotencyKey: `secdep_${sessionId || order.id}` });
+
+    const deposit = {
+      ...base,
+      payment_intent_id: pi.id,
+      status: mode === 'hold' ? 'held' : 'charged',
+      placed_at: new Date().toISOString()
+    };
+    await saveDeposit(order.id, deposit);
+    return deposit;
+  } catch (err) {
+    const message = err?.message || String(err);
+    console.error('[ALERT] Failed to place security deposit:', order.id, message);
+    const deposit = { ...base, status: 'failed', error: message };
+    try {
+      await saveDeposit(order.id, deposit);
+    } catch (e) {
+      console.error('[ALERT] Failed to record security deposit failure:', order.id, e?.message || e);
+    }
+    await sendOwnerAlert({
+      subject: `Security deposit FAILED — order ${order.id}`,
+      sms: `${order.customer?.name || 'Customer'} $${centsToDollars(amountCents)} security deposit not placed (${message}). Collect it before the rental goes out.`,
+      details: { order_id: order.id, amount_cents: amountCents, lines, mode, error: message }
+    });
+    return deposit;
+  }
+}
+
+// Give back whatever of the deposit Stripe still holds: cancel the authorization (or refund the
+// charge) for everything above keepCents. Returns the cents given back.
+async function returnDeposit(order, deposit, keepCents = 0) {
+  const giveBack = Math.max(0, deposit.amount_cents - keepCents);
+
+  if (deposit.status === 'held') {
+    if (keepCents > 0) {
+      // Partial capture: Stripe releases the uncaptured remainder
+      await stripe.paymentIntents.capture(deposit.payment_intent_id, { amount_to_capture: keepCents }, {
+        idempotencyKey: `secdep_capture_${order.id}_${keepCents}`
+      });
+    } else {
+      await stripe.paymentIntents.cancel(deposit.payment_intent_id, { cancellation_reason: 'requested_by_customer' });
+    }
+    return giveBack;
+  }
+
+  if (giveBack > 0) {
+    await stripe.refunds.create({
+      payment_intent: deposit.payment_intent_id,
+      amount: giveBack,
+      reason: 'requested_by_customer',
+      metadata: { order_id: order.id, kraus_kind: DEPOSIT_KIND }
+    }, { idempotencyKey: `secdep_refund_${order.id}_${giveBack}` });
+  }
+  return giveBack;
+}
+
+// Release the whole deposit (release job, cancellations, full refunds).
+// Returns { statusCode, body }; 409 when there is nothing open to release.
+async function releaseSecurityDeposit(orderId, { actor = 'system', reason = '' } = {}) {
+  const order = await getOrder(orderId);
+  const deposit = order?.security_deposit;
+  if (!deposit || !OPEN_DEPOSIT_STATUSES.includes(deposit.status)) {
+    return { statusCode: 409, body: { error: `No open security deposit on order ${orderId}`, deposit: deposit || null } };
+  }
+
+  const releasedCents = await returnDeposit(order, deposit, 0);
+  const updated = await saveDeposit(order.id, {
+    status: 'released',
+    released_cents: releasedCents,
+    released_at: new Date().toISOString(),
+    released_by: actor,
+    ...(reason ? { release_reason: reason } : {})
+  });
+  return { statusCode: 200, body: { ok: true, order_id: order.id, deposit: updated.security_deposit } };
+}
+
+// Owner flags damage: the release job leaves the deposit alone until it is claimed or released.
+async function flagDamage(orderId, { flagged = true, note = '' } = {}) {
+  const order = await getOrder(orderId);
+  const deposit = order?.security_deposit;
+  if (!deposit || !OPEN_DEPOSIT_STATUSES.includes(deposit.status)) {
+    return { statusCode: 409, body: { error: `No open security deposit on order ${orderId}`, deposit: deposit || null } };
+  }
+  const updated = await saveDeposit(order.id, {
+    damage_flagged: Boolean(flagged),
+    flag_note: String(note || '').slice(0, 500),
+    flagged_at: flagged ? new Date().toISOString() : null
+  });
+  return { statusCode: 200, body: { ok: true, order_id: order.id, deposit: updated.security_deposit } };
+}
+
+function buildDamageNoticeEmail({ order, deposit, items, claimedCents, releasedCents, note }) {
+  const rows = [
+    ...items.map((it) => ({ label: it.description, value: `$${centsToDollars(it.amount_cents)}` })),
+    { label: 'Total kept', value: `$${centsToDollars(claimedCents)}`, isTotal: true }
+  ];
+
+  return renderEmail({
+    subject: 'Damage notice for your rental – Kraus’ Tables & Chairs',
+    body: html`
+      ${paragraph(`Hi ${order.customer?.name || 'there'},`)}
+      ${paragraph(`When your rental came back we found damage that is not covered by normal wear. As described in
+        our terms, we have kept part of your security deposit to cover it.`)}
+      ${fields([['Order', order.id]])}
+      ${summaryTable(rows)}
+      ${fields([
+        ['Security deposit', `$${centsToDollars(deposit.amount_cents)}`],
+        ['Released back to you', `$${centsToDollars(releasedCents)}`]
+      ])}
+      ${note ? paragraph(note) : ''}
+      ${paragraph(deposit.status === 'held'
+        ? 'The released amount was never charged; the hold on your card drops off within a few days.'
+        : 'The released amount is refunded to your card and usually appears within 5–10 business days.')}
+      ${paragraph('If you have any questions, just reply to this email.')}
+    `
+  });
+}
+
+async function sendDamageNoticeEmail({ order, deposit, items, claimedCents, releasedCents, note }) {
+  const resend = getResendClient();
+  const from = process.env.FROM_EMAIL;
+  const to = order.customer?.email;
+  if (!resend || !from || !to) return false;
+
+  await resend.emails.send({
+    from,
+    to,
+    ...buildDamageNoticeEmail({ order, deposit, items, claimedCents, releasedCents, note })
+  });
+  return true;
+}
+
+// items: [{ description, amount_cents }] (itemized damage; the sum is kept, the rest released)
+async function claimDamage({ orderId, items, note = '', actor = 'admin', notifyCustomer = true }) {
+  const order = await getOrder(orderId);
+  if (!order) return { statusCode: 404, body: { error: 'Order not found' } };
+  const deposit = order.security_deposit;
+  if (!deposit || !OPEN_DEPOSIT_STATUSES.includes(deposit.status)) {
+    return { statusCode: 409, body: { error: `No open security deposit on order ${order.id}`, deposit: deposit || null } };
+  }
+
+  const clean = (Array.isArray(items) ? items : []).map((it) => ({
+    description: String(it?.description || '').trim().slice(0, 200),
+    amount_cents: Number(it?.amount_cents)
+  }));
+  if (!clean.length || clean.some((it) => !it.description || !Number.isInteger(it.amount_cents) || it.amount_cents <= 0)) {
+    return { statusCode: 400, body: { error: 'List each damaged item with a description and a positive amount_cents' } };
+  }
+  const claimedCents = clean.reduce((n, it) => n + it.amount_cents, 0);
+  if (claimedCents > deposit.amount_cents) {
+    return {
+      statusCode: 400,
+      body: { error: `Damage of $${centsToDollars(claimedCents)} is more than the $${centsToDollars(deposit.amount_cents)} deposit` }
+    };
+  }
+
+  const releasedCents = await returnDeposit(order, deposit, claimedCents);
+  const claim = { at: new Date().toISOString(), actor, items: clean, amount_cents: claimedCents, note: String(note || '').slice(0, 1000) };
+  const updated = await saveDeposit(order.id, {
+    status: 'claimed',
+    claim,
+    released_cents: releasedCents,
+    released_at: claim.at
+  });
+
+  let emailSent = false;
+  if (notifyCustomer) {
+    try {
+      emailSent = await sendDamageNoticeEmail({ order, deposit, items: clean, claimedCents, releasedCents, note: claim.note });
+    } catch (err) {
+      console.error('[ALERT] Failed to send damage notice email:', err?.message || err);
+    }
+  }
+
+  return {
+    statusCode: 200,
+    body: { ok: true, order_id: order.id, claimed_cents: claimedCents, released_cents: releasedCents, deposit: updated.security_deposit, emailSent }
+  };
+}
+
+module.exports = {
+  DEPOSIT_KIND,
+  DAMAGE_REVIEW_DAYS,
+  OPEN_DEPOSIT_STATUSES,
+  depositReleaseDate,
+  depositMode,
+  depositIsDue,
+  placeSecurityDeposit,
+  releaseSecurityDeposit,
+  flagDamage,
+  claimDamage,
+  buildDamageNoticeEmail
+};
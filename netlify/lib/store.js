@@ -0,0 +1,197 @@
+// netlify/lib/store.js
+// Minimal persistent record store behind openCollection(): async get/put/update/list/remove.
+//
+// Deployed functions keep every collection in Netlify Blobs (site-wide store "kraus-<name>",
+// one blob per record), which all instances share. update() is a real read-modify-write across
+// instances: the new record is written only if the blob's ETag is unchanged since it was read
+// (or, for a new record, only if it still doesn't exist), and it re-reads and retries otherwise.
+// That is what makes webhook dedupe, token jti claims, promo limits and outbox leases hold when
+// two instances race. fn may therefore run more than once: keep it free of side effects and
+// derive any "did I win" flag inside it on every run.
+//
+// Lambda-compat handlers (exports.handler) must call connectStore(event) first so Blobs picks up
+// the site credentials Netlify passes on the event; v2 functions get them automatically.
+//
+// Without a Blobs context (local dev, tests) records live in one JSON file per collection under
+// KRAUS_DATA_DIR (default <os tmpdir>/kraus-data). Production (CONTEXT=production, or a live
+// Stripe key) refuses that fallback: a function's disk is private to one instance.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { connectLambda, getStore } = require('@netlify/blobs');
+
+const UPDATE_ATTEMPTS = 10;
+
+function isProduction() {
+  return process.env.CONTEXT === 'production' || String(process.env.STRIPE_SECRET_KEY || '').startsWith('sk_live_');
+}
+
+function hasBlobsContext() {
+  return Boolean(process.env.NETLIFY_BLOBS_CONTEXT || globalThis.netlifyBlobsContext);
+}
+
+// Call at the top of every exports.handler; a no-op outside Netlify (no event.blobs).
+function connectStore(event) {
+  if (event?.blobs) connectLambda(event);
+}
+
+function dataDir() {
+  const configured = (process.env.KRAUS_DATA_DIR || '').trim();
+  if (configured) return configured;
+  return path.join(os.tmpdir(), 'kraus-data');
+}
+
+function validateName(name) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) throw new Error(`Invalid collection name: ${name}`);
+}
+
+// ---------------------------------------------------------------------------
+// Netlify Blobs backend
+// ---------------------------------------------------------------------------
+
+function blobsCollection(name) {
+  const store = getStore({ name: `kraus-${name}`, consistency: 'strong' });
+  const key = (id) => String(id);
+
+  return {
+    async get(id) {
+      const rec = await store.get(key(id), { type: 'json' });
+      return rec === undefined ? null : rec;
+    },
+
+    async put(id, record) {
+      await store.setJSON(key(id), record);
+      return record;
+    },
+
+    // fn(current|null) -> next record (return null/undefined to leave it unchanged)
+    async update(id, fn) {
+      for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt += 1) {
+        const entry = await store.getWithMetadata(key(id), { type: 'json' });
+        const current = entry ? entry.data : null;
+        const next = await fn(current);
+        if (next === null || next === undefined) return current;
+        const condition = entry ? { onlyIfMatch: entry.etag } : { onlyIfNew: true };
+        const { modified } = await store.setJSON(key(id), next, condition);
+        if (modified) return next;
+      }
+      throw new Error(`Store update conflict: ${name}/${id} kept changing after ${UPDATE_ATTEMPTS} attempts`);
+    },
+
+    async list(predicate) {
+      const keys = [];
+      for await (const page of store.list({ paginate: true })) {
+        for (const blob of page.blobs) keys.push(blob.key);
+      }
+      const values = (await Promise.all(keys.map((k) => store.get(k, { type: 'json' }))))
+        .filter((rec) => rec !== null && rec !== undefined);
+      return typeof predicate === 'function' ? values.filter(predicate) : values;
+    },
+
+    async remove(id) {
+      const existing = await store.getMetadata(key(id));
+      if (!existing) return false;
+      await store.delete(key(id));
+      return true;
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// File backend (local dev and tests)
+// ---------------------------------------------------------------------------
+
+function collectionFile(name) {
+  validateName(name);
+  return path.join(dataDir(), `${name}.json`);
+}
+
+function readAll(name) {
+  try {
+    const raw = fs.readFileSync(collectionFile(name), 'utf8');
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+function writeAll(name, records) {
+  const file = collectionFile(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // write-then-rename so a crash never leaves a half-written collection
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Writes to a collection run one at a time within this process, so update() is a real
+// read-modify-write (e.g. insert-if-absent) for concurrent requests served by one instance.
+const queues = new Map();
+
+function serialize(name, task) {
+  const run = (queues.get(name) || Promise.resolve()).then(task, task);
+  queues.set(name, run.catch(() => {}));
+  return run;
+}
+
+function fileCollection(name) {
+  collectionFile(name); // validate early
+
+  return {
+    async get(id) {
+      const rec = readAll(name)[id];
+      return rec === undefined ? null : rec;
+    },
+
+    async put(id, record) {
+      return serialize(name, () => {
+        const all = readAll(name);
+        all[id] = record;
+        writeAll(name, all);
+        return record;
+      });
+    },
+
+    // fn(current|null) -> next record (return null/undefined to leave it unchanged)
+    async update(id, fn) {
+      return serialize(name, async () => {
+        const all = readAll(name);
+        const current = all[id] === undefined ? null : all[id];
+        const next = await fn(current);
+        if (next === null || next === undefined) return current;
+        all[id] = next;
+        writeAll(name, all);
+        return next;
+      });
+    },
+
+    async list(predicate) {
+      const values = Object.values(readAll(name));
+      return typeof predicate === 'function' ? values.filter(predicate) : values;
+    },
+
+    async remove(id) {
+      return serialize(name, () => {
+        const all = readAll(name);
+        if (all[id] === undefined) return false;
+        delete all[id];
+        writeAll(name, all);
+        return true;
+      });
+    }
+  };
+}
+
+function openCollection(name) {
+  validateName(name);
+  if (hasBlobsContext()) return blobsCollection(name);
+  if (isProduction()) {
+    throw new Error('No Netlify Blobs context: production handlers must call connectStore(event) before using the store');
+  }
+  return fileCollection(name);
+}
+
+module.exports = { openCollection, connectStore, dataDir };
@@ -0,0 +1,189 @@
+// scripts/email-fixtures.js
+// Sample orders for scripts/preview-emails.js: a full-service delivery and a self-service pickup,
+// as stored orders (lib/orders), as checkout-webhook's orderDetails (dollars) and as a quote request,
+// plus the links and free-text fields the other templates take.
+
+const fullServiceOrder = {
+  id: 'KO-3F9A1C2B7D',
+  flow: 'full_service',
+  status: 'approved',
+  customer: { name: 'Maya Goldberg', email: 'maya@example.com', phone: '+17185550142' },
+  schedule: {
+    dropoff_date: '2030-06-13',
+    dropoff_timeslot_type: 'flex',
+    dropoff_timeslot_value: '8-12',
+    pickup_date: '2030-06-15',
+    pickup_timeslot_type: 'prompt',
+    pickup_timeslot_value: '9-10'
+  },
+  location: { street: '212 Prospect Park West', address2: 'Garden entrance', city: 'Brooklyn', state: 'NY', zip: '11215', notes: 'Gate code 4410' },
+  items: [
+    { sku: 'chair_dark', name: 'Vintage Folding Chairs — Dark', qty: 60, unit_cents: 1000, total_cents: 60000 },
+    { sku: 'table_farm', name: 'Folding Farm Table', qty: 6, unit_cents: 6500, total_cents: 39000 }
+  ],
+  pricing: {
+    subtotal_cents: 99000,
+    bundle_cents: 4500,
+    bundles: [{ label: 'Table + chairs bundle' }],
+    delivery_cents: 28350,
+    dropoff_timeslot_cents: 0,
+    pickup_timeslot_cents: 5000,
+    tax_cents: 11397,
+    total_cents: 139247,
+    delivery_zone: { name: 'Brooklyn' },
+    lines: [
+      { code: 'bundle', label: 'Table + chairs bundle', amount_cents: -4500 },
+      { code: 'delivery', label: 'Delivery fee (Brooklyn)', amount_cents: 28350 },
+      { code: 'pickup_timeslot', label: 'Pickup time slot fee', amount_cents: 5000 },
+      { code: 'tax', label: 'Sales tax (8.875%)', amount_cents: 11397 }
+    ]
+  }
+};
+
+const selfServiceOrder = {
+  id: 'KO-8B21E0D4A6',
+  flow: 'self_service',
+  status: 'approved',
+  customer: { name: 'Theo Park', email: 'theo@example.com', phone: '+19175550188' },
+  schedule: { pickup_date: '2030-05-02', return_date: '2030-05-04' },
+  location: {},
+  items: [
+    { sku: 'chair_dark', name: 'Vintage Folding Chairs — Dark', qty: 30, unit_cents: 1000, total_cents: 30000 },
+    { sku: 'chair_light', name: 'Vintage Folding Chairs — Light', qty: 20, unit_cents: 1000, total_cents: 20000 }
+  ],
+  pricing: {
+    subtotal_cents: 50000,
+    extra_days: 1,
+    extended_cents: 5000,
+    tax_cents: 4881,
+    total_cents: 59881,
+    lines: [
+      { code: 'extended', label: 'Extended rental (1 extra day)', amount_cents: 5000 },
+      { code: 'tax', label: 'Sales tax (8.875%)', amount_cents: 4881 }
+    ]
+  }
+};
+
+// checkout-webhook orderDetails (amounts in dollars)
+const fullServiceDetails = {
+  flow: 'full_service',
+  orderId: fullServiceOrder.id,
+  customerName: 'Maya Goldberg',
+  customerEmail: 'maya@example.com',
+  customerPhone: '+17185550142',
+  dropoffDate: '2030-06-13',
+  dropoffTimeslotValue: '8-12',
+  dropoffTimeslotType: 'flex',
+  pickupDate: '2030-06-15',
+  pickupTimeslotValue: '9-10',
+  pickupTimeslotType: 'prompt',
+  extraDays: null,
+  street: '212 Prospect Park West',
+  address2: 'Garden entrance',
+  city: 'Brooklyn',
+  state: 'NY',
+  zip: '11215',
+  locationNotes: 'Gate code 4410',
+  deliveryZone: 'Brooklyn',
+  subtotalNumber: 990,
+  bundleDiscountNumber: 45,
+  bundleLabel: 'Table + chairs bundle',
+  deliveryFeeNumber: 283.5,
+  congestionFeeNumber: 0,
+  rushFeeNumber: 0,
+  dropoffTimeslotFeeNumber: 0,
+  pickupTimeslotFeeNumber: 50,
+  extendedFeeNumber: 0,
+  minOrderFeeNumber: 0,
+  discountNumber: 0,
+  promoCode: null,
+  taxNumber: 113.97,
+  totalNumber: 1392.47,
+  items: [
+    { name: 'Vintage Folding Chairs — Dark', qty: 60, unit: 10, total: 600 },
+    { name: 'Folding Farm Table', qty: 6, unit: 65, total: 390 }
+  ],
+  manageUrl: 'https://kraustables.com/manage?token=preview'
+};
+
+const selfServiceDetails = {
+  flow: 'self_service',
+  orderId: selfServiceOrder.id,
+  customerName: 'Theo Park',
+  customerEmail: 'theo@example.com',
+  customerPhone: '+19175550188',
+  pickupDate: '2030-05-02',
+  returnDate: '2030-05-04',
+  extraDays: 1,
+  selfQtyDark: 30,
+  selfQtyLight: 20,
+  subtotalNumber: 500,
+  extendedFeeNumber: 50,
+  discountNumber: 25,
+  promoCode: 'SPRING10',
+  taxNumber: 46.6,
+  totalNumber: 571.6,
+  items: [
+    { name: 'Vintage Folding Chairs — Dark', qty: 30, unit: 10, total: 300 },
+    { name: 'Vintage Folding Chairs — Light', qty: 20, unit: 10, total: 200 }
+  ],
+  manageUrl: 'https://kraustables.com/manage?token=preview'
+};
+
+// quote-request's email input (lib/quote-request-emails)
+const quoteRequest = {
+  requestId: 'KR-1893456000000-A1B2C3',
+  flow: 'full_service',
+  createdAt: '2030-05-20T14:03:11.000Z',
+  clientToken: 'tok-preview',
+  isSelfFlow: false,
+  customer: { name: 'Maya Goldberg', email: 'maya@example.com', phone: '(718) 555-0142' },
+  schedule: { dropDate: '2030-06-13', dropWindow: 'Flexible window (8-12)', pickDate: '2030-06-15', pickWindow: '9-10 AM' },
+  address: { line1: '212 Prospect Park West', line2: 'Garden entrance', city: 'Brooklyn', state: 'NY', zip: '11215', notes: 'Gate code 4410' },
+  items: [
+    { name: 'Vintage Folding Chairs — Dark', qty: 60, unitPrice: 10, lineTotal: 600 },
+    { name: 'Folding Farm Table', qty: 6, unitPrice: 65, lineTotal: 390 }
+  ],
+  summaryRows: [
+    { label: 'Items subtotal', value: 990 },
+    { label: 'Table + chairs bundle', value: -45 },
+    { label: 'Delivery fee (Brooklyn)', value: 283.5 },
+    { label: 'Pickup time slot fee', value: 50 },
+    { label: 'Sales tax (8.875%)', value: 113.97 },
+    { label: 'Total', value: 1392.47, isTotal: true }
+  ],
+  priceCheck: [
+    'The request form showed different amounts; the customer was only sent the amounts below.',
+    'total: browser showed $1,200.00, server $1,392.47'
+  ]
+};
+
+// checkout-webhook's invoice.paid receipt (amountPaid in dollars)
+const invoiceReceipt = {
+  number: 'KT-0042',
+  customerName: 'Maya Goldberg',
+  customerEmail: 'maya@example.com',
+  amountPaid: 1392.47,
+  hostedUrl: 'https://invoice.stripe.com/i/preview',
+  pdfUrl: 'https://pay.stripe.com/invoice/preview/pdf'
+};
+
+const links = {
+  approve: 'https://kraustables.com/.netlify/functions/checkout-approve?token=preview',
+  decline: 'https://kraustables.com/.netlify/functions/checkout-decline?token=preview',
+  invoice: 'https://invoice.stripe.com/i/preview',
+  checkout: 'https://checkout.stripe.com/c/pay/preview'
+};
+
+module.exports = {
+  fullServiceOrder,
+  selfServiceOrder,
+  fullServiceDetails,
+  selfServiceDetails,
+  quoteRequest,
+  invoiceReceipt,
+  links,
+  refundReason: 'Event moved indoors; fewer chairs needed',
+  damageItems: [{ description: 'Cracked farm table leg', amount_cents: 8500 }],
+  damageNote: 'Photos from check-in are attached to your order.'
+};
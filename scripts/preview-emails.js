@@ -0,0 +1,124 @@
+// scripts/preview-emails.js
+// Renders every transactional email with the fixture orders in scripts/email-fixtures.js and
+// writes <name>.html / <name>.txt plus an index.html to review them in a browser:
+//
+//   npm run preview:emails                 -> ./email-previews/
+//   node scripts/preview-emails.js <dir>   -> <dir>/
+//
+// Nothing is sent and no credentials are needed.
+
+const fs = require('fs');
+const path = require('path');
+
+const orderEmails = require('../netlify/lib/order-emails');
+const { buildApprovedEmail } = require('../netlify/lib/approve-order');
+const { buildDeclinedEmail } = require('../netlify/lib/decline-order');
+const { buildPaymentLinkEmail } = require('../netlify/lib/quote-conversion');
+const { buildRevisedSummaryEmail } = require('../netlify/lib/modify-order');
+const { buildRefundEmail } = require('../netlify/lib/refund-order');
+const { buildDamageNoticeEmail } = require('../netlify/lib/security-deposits');
+const { buildPayLinkEmail } = require('../netlify/lib/payment-failures');
+const { buildQuoteRequestOwnerEmail, buildQuoteRequestCustomerEmail } = require('../netlify/lib/quote-request-emails');
+const { buildOwnerAlertEmail } = require('../netlify/lib/owner-alerts');
+const { escapeHtml } = require('../netlify/lib/email-templates');
+const fixtures = require('./email-fixtures');
+
+// name -> () => { subject, html, text }, rendered with the given fixtures (the test suite passes
+// hostile ones)
+function buildTemplates(f = fixtures) {
+  const { fullServiceOrder, selfServiceOrder, fullServiceDetails, selfServiceDetails, quoteRequest, invoiceReceipt, links } = f;
+  const customer = fullServiceOrder.customer;
+
+  return {
+    'full-service-owner': () => orderEmails.buildOwnerEmail(fullServiceDetails, links.approve, links.decline),
+    'full-service-customer': () => orderEmails.buildCustomerEmail(fullServiceDetails),
+    'self-service-owner': () => orderEmails.buildSelfOwnerEmail(selfServiceDetails, links.approve, links.decline),
+    'self-service-customer': () => orderEmails.buildSelfCustomerEmail(selfServiceDetails),
+    'self-service-approved': () => orderEmails.buildSelfApprovedEmail(selfServiceDetails),
+    'self-service-captured-owner': () => orderEmails.buildSelfCapturedOwnerEmail(selfServiceDetails),
+    'invoice-paid-owner': () => orderEmails.buildInvoicePaidEmail(invoiceReceipt, { audience: 'owner' }),
+    'invoice-paid-customer': () => orderEmails.buildInvoicePaidEmail(invoiceReceipt, { audience: 'customer' }),
+    approved: () => buildApprovedEmail({
+      customerName: customer.name,
+      paidNowCents: 69624,
+      balanceCents: 69623,
+      dropoffDateStr: fullServiceOrder.schedule.dropoff_date,
+      securityDeposit: { status: 'held', mode: 'hold', amount_cents: 20000, release_on: '2030-06-18' }
+    }),
+    declined: () => buildDeclinedEmail({ customerName: selfServiceOrder.customer.name }),
+    'quote-request-owner': () => buildQuoteRequestOwnerEmail(quoteRequest),
+    'quote-request-customer': () => buildQuoteRequestCustomerEmail(quoteRequest),
+    'quote-request-customer-unpriced': () => buildQuoteRequestCustomerEmail({ ...quoteRequest, summaryRows: [] }),
+    'payment-link-checkout': () => buildPaymentLinkEmail({
+      order: selfServiceOrder,
+      request: { id: quoteRequest.requestId },
+      mode: 'checkout',
+      url: links.checkout
+    }),
+    'payment-link-invoice': () => buildPaymentLinkEmail({
+      order: fullServiceOrder,
+      request: { id: quoteRequest.requestId },
+      mode: 'invoice',
+      url: links.invoice
+    }),
+    'order-updated': () => buildRevisedSummaryEmail({
+      order: fullServiceOrder,
+      next: fullServiceOrder,
+      plan: { from_total_cents: 120000, to_total_cents: 139247, paid_cents: 60000, balance_cents: 79247, charge_cents: 19247 },
+      outcome: { refundedCents: 0, adjustment: { status: 'open', hosted_invoice_url: links.invoice } }
+    }),
+    refund: () => buildRefundEmail({
+      customerName: customer.name,
+      orderId: fullServiceOrder.id,
+      amountCents: 25000,
+      cardLast4: '4242',
+      balanceCancelled: true,
+      reason: f.refundReason
+    }),
+    'damage-notice': () => buildDamageNoticeEmail({
+      order: fullServiceOrder,
+      deposit: { status: 'charged', amount_cents: 20000 },
+      items: f.damageItems,
+      claimedCents: 8500,
+      releasedCents: 11500,
+      note: f.damageNote
+    }),
+    'balance-payment-failed': () => buildPayLinkEmail({
+      customerName: customer.name,
+      amountCents: 69623,
+      hostedInvoiceUrl: links.invoice,
+      dropoffDate: fullServiceOrder.schedule.dropoff_date
+    }),
+    'owner-alert': () => buildOwnerAlertEmail('[KRAUS] Balance invoice failed to charge', {
+      invoice_id: 'in_1PxyzExample',
+      order_id: fullServiceOrder.id,
+      amount_cents: 69623,
+      stage: 'charge',
+      error: f.refundReason,
+      customer: { name: customer.name, email: customer.email }
+    })
+  };
+}
+
+function main() {
+  const outDir = path.resolve(process.argv[2] || 'email-previews');
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const rows = [];
+  for (const [name, build] of Object.entries(buildTemplates())) {
+    const email = build();
+    fs.writeFileSync(path.join(outDir, `${name}.html`), email.html);
+    fs.writeFileSync(path.join(outDir, `${name}.txt`), `Subject: ${email.subject}\n\n${email.text}`);
+    rows.push(`<li><a href="${name}.html">${escapeHtml(name)}</a> (<a href="${name}.txt">text</a>) — ${escapeHtml(email.subject)}</li>`);
+  }
+
+  fs.writeFileSync(
+    path.join(outDir, 'index.html'),
+    `<!doctype html><meta charset="utf-8"><title>Email previews</title><h1>Email previews</h1><ul>${rows.join('')}</ul>`
+  );
+  console.log(`Wrote ${rows.length} email previews to ${outDir}`);
+}
+
+if (require.main === module) main();
+
+module.exports = { buildTemplates };
@@ -0,0 +1,130 @@
+// test/action-tokens.test.js
+// Approve/decline link tokens (lib/action-tokens): the jti ledger makes each link single-use and
+// revocable; tokens minted before the ledger (no jti, no action) are still accepted and rely on
+// the order state machine alone. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const stripe = require('./helpers/fake-stripe');
+const { useTempDataDir } = require('./helpers/data-dir');
+
+stripe.install();
+useTempDataDir();
+process.env.JWT_SECRET = 'jwt-secret';
+
+const {
+  issueActionToken, verifyActionToken, checkActionToken, claimActionToken, settleActionToken, revokeActionTokens
+} = require('../netlify/lib/action-tokens');
+const { createOrder, getOrder } = require('../netlify/lib/orders');
+const checkoutDecline = require('../netlify/functions/checkout-decline');
+
+const SECRET = process.env.JWT_SECRET;
+
+async function issuePair(orderId) {
+  const payload = { orderId, sessionId: `cs_${orderId}` };
+  const approve = await issueActionToken('approve', payload, { secret: SECRET });
+  const decline = await issueActionToken('decline', payload, { secret: SECRET });
+  return {
+    approve: verifyActionToken(approve, 'approve', SECRET).claims,
+    decline: verifyActionToken(decline, 'decline', SECRET).claims
+  };
+}
+
+test('a token only verifies for its own action and secret', async () => {
+  const token = await issueActionToken('approve', { orderId: 'KO-V' }, { secret: SECRET });
+
+  const ok = verifyActionToken(token, 'approve', SECRET);
+  assert.equal(ok.ok, true);
+  assert.equal(ok.claims.action, 'approve');
+  assert.ok(ok.claims.jti);
+
+  assert.deepEqual(verifyActionToken(token, 'decline', SECRET), {
+    ok: false, statusCode: 403, error: 'This link can only be used to approve the order'
+  });
+  assert.equal(verifyActionToken(token, 'approve', 'other-secret').statusCode, 401);
+  await assert.rejects(issueActionToken('refund', {}, { secret: SECRET }), /Unknown token action/);
+});
+
+test('claim is single-use; a failed action reopens the link', async () => {
+  const { approve } = await issuePair('KO-C');
+
+  assert.deepEqual(await claimActionToken(approve), { ok: true });
+  const second = await claimActionToken(approve);
+  assert.equal(second.statusCode, 409);
+  assert.equal(second.token_status, 'claimed');
+  assert.match(second.error, /being approved right now/);
+
+  await settleActionToken(approve, false);
+  assert.deepEqual(await checkActionToken(approve), { ok: true });
+  assert.deepEqual(await claimActionToken(approve), { ok: true });
+});
+
+test('a consumed link reads "already approved" and revokes its sibling', async () => {
+  const { approve, decline } = await issuePair('KO-S');
+
+  await claimActionToken(approve);
+  await settleActionToken(approve, true);
+
+  const again = await claimActionToken(approve);
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.token_status, 'consumed');
+  assert.match(again.error, /^Order already approved on /);
+
+  const sibling = await checkActionToken(decline);
+  assert.equal(sibling.statusCode, 410);
+  assert.match(sibling.error, /^Order already approved on /);
+  assert.equal((await claimActionToken(decline)).token_status, 'revoked');
+});
+
+test('revoking by hand and unknown jtis', async () => {
+  const { approve, decline } = await issuePair('KO-R');
+
+  assert.equal((await revokeActionTokens({ orderId: 'KO-R' }, { reason: 'handled in dashboard' })).length, 2);
+  assert.deepEqual(await revokeActionTokens({}), []);
+  const revoked = await claimActionToken(approve);
+  assert.equal(revoked.statusCode, 410);
+  assert.match(revoked.error, /revoked on .*\(handled in dashboard\)$/);
+  assert.equal((await checkActionToken(decline)).statusCode, 410);
+
+  const forged = { ...approve, jti: 'not-in-ledger' };
+  assert.equal((await checkActionToken(forged)).statusCode, 401);
+  assert.equal((await claimActionToken(forged)).statusCode, 401);
+});
+
+test('legacy tokens (no jti, no action) verify for either action and skip the ledger', async () => {
+  const legacy = jwt.sign({ orderId: 'KO-L', sessionId: 'cs_KO-L' }, SECRET, { expiresIn: '24h' });
+
+  for (const action of ['approve', 'decline']) {
+    const verified = verifyActionToken(legacy, action, SECRET);
+    assert.equal(verified.ok, true, action);
+    assert.deepEqual(await checkActionToken(verified.claims), { ok: true });
+    assert.deepEqual(await claimActionToken(verified.claims), { ok: true });
+    assert.deepEqual(await claimActionToken(verified.claims), { ok: true });
+    await settleActionToken(verified.claims, true);
+  }
+
+  const expired = jwt.sign({ orderId: 'KO-L', exp: Math.floor(Date.now() / 1000) - 60 }, SECRET);
+  assert.equal(verifyActionToken(expired, 'approve', SECRET).statusCode, 401);
+});
+
+test('a legacy decline link still declines once; the order state stops the second click', async () => {
+  await createOrder({ id: 'KO-LEGACY', flow: 'full_service', status: 'requested', status_history: [], stripe: { checkout_session_id: 'cs_legacy' } });
+  stripe.responses['checkout.sessions.retrieve'] = (id) => ({ id, mode: 'setup', metadata: { order_id: 'KO-LEGACY' }, setup_intent: null });
+  stripe.responses['checkout.sessions.expire'] = (id) => ({ id, status: 'expired' });
+  const token = jwt.sign({ sessionId: 'cs_legacy', customerEmail: '' }, SECRET, { expiresIn: '24h' });
+  const post = () => checkoutDecline.handler({
+    httpMethod: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ token })
+  });
+
+  const first = await post();
+  assert.equal(first.statusCode, 200, first.body);
+  assert.equal((await getOrder('KO-LEGACY')).status, 'declined');
+
+  const second = await post();
+  assert.equal(second.statusCode, 409);
+  assert.match(JSON.parse(second.body).error, /is already declined/);
+});
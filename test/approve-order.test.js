@@ -0,0 +1,95 @@
+// test/approve-order.test.js
+// Approving from the admin dashboard (admin-order-action): the only claim is { orderId }, and a
+// setup-mode Checkout Session has no Customer, so the card comes from what checkout-webhook
+// stored on the order. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stripe = require('./helpers/fake-stripe');
+const { useTempDataDir } = require('./helpers/data-dir');
+
+stripe.install();
+useTempDataDir();
+process.env.ADMIN_TOKEN = 'admin-secret';
+
+const { createOrder, getOrder } = require('../netlify/lib/orders');
+const { addDaysYMD, nyTodayYMD } = require('../netlify/lib/ny-dates');
+const adminOrderAction = require('../netlify/functions/admin-order-action');
+
+// Stored order as it looks after checkout-webhook: customer + card saved on order.stripe
+async function requestedOrder(id, flow, extra = {}) {
+  const start = addDaysYMD(nyTodayYMD(), 10);
+  return createOrder({
+    id,
+    flow,
+    status: 'requested',
+    status_history: [],
+    customer: { name: 'Ann', email: '', phone: '' },
+    items: [{ sku: 'dark', qty: 10 }],
+    schedule: flow === 'full_service'
+      ? { dropoff_date: start, pickup_date: addDaysYMD(start, 1), dropoff_timeslot_type: 'flex', dropoff_timeslot_value: '8-12' }
+      : { pickup_date: start, return_date: addDaysYMD(start, 1) },
+    pricing: { total_cents: 100000 },
+    stripe: {
+      checkout_session_id: `cs_${id}`,
+      setup_intent_id: `seti_${id}`,
+      customer_id: `cus_${id}`,
+      payment_method_id: `pm_${id}`
+    },
+    ...extra
+  });
+}
+
+function approveFromDashboard(orderId) {
+  return adminOrderAction.handler({
+    httpMethod: 'POST',
+    headers: { authorization: 'Bearer admin-secret' },
+    body: JSON.stringify({ order_id: orderId, action: 'approve' })
+  });
+}
+
+test.beforeEach(() => {
+  stripe.reset();
+  // Setup-mode Checkout without customer_creation: no Customer on the session or the SetupIntent
+  stripe.responses['checkout.sessions.retrieve'] = (id) => ({ id, mode: 'setup', metadata: {}, customer: null, setup_intent: null });
+  stripe.responses['setupIntents.retrieve'] = (id) => ({ id, customer: null, payment_method: null });
+  stripe.responses['paymentIntents.create'] = (params) => ({ id: 'pi_charged', status: 'succeeded', amount: params.amount });
+  stripe.responses['invoices.create'] = (params) => ({ id: 'in_balance', metadata: params.metadata });
+});
+
+test('full-service approval with only { orderId } claims charges the customer saved on the order', async () => {
+  await requestedOrder('KO-FULL', 'full_service');
+
+  const res = await approveFromDashboard('KO-FULL');
+  const body = JSON.parse(res.body);
+
+  assert.equal(res.statusCode, 200, body.error);
+  assert.deepEqual(stripe.callsTo('setupIntents.retrieve').map(([id]) => id), ['seti_KO-FULL']);
+
+  const [charge] = stripe.callsTo('paymentIntents.create').map(([params]) => params);
+  assert.equal(charge.customer, 'cus_KO-FULL');
+  assert.equal(charge.payment_method, 'pm_KO-FULL');
+  assert.equal(charge.amount, 30000);
+
+  const [invoice] = stripe.callsTo('invoices.create').map(([params]) => params);
+  assert.equal(invoice.customer, 'cus_KO-FULL');
+
+  const order = await getOrder('KO-FULL');
+  assert.equal(order.status, 'balance_scheduled');
+  assert.equal(order.stripe.deposit_payment_intent_id, 'pi_charged');
+});
+
+test('self-service approval of a saved card (no hold) with only { orderId } claims', async () => {
+  await requestedOrder('KO-SELF', 'self_service');
+
+  const res = await approveFromDashboard('KO-SELF');
+  const body = JSON.parse(res.body);
+
+  assert.equal(res.statusCode, 200, body.error);
+  const [charge] = stripe.callsTo('paymentIntents.create').map(([params]) => params);
+  assert.equal(charge.customer, 'cus_KO-SELF');
+  assert.equal(charge.payment_method, 'pm_KO-SELF');
+  assert.equal(charge.amount, 100000);
+  assert.equal((await getOrder('KO-SELF')).status, 'paid_in_full');
+});
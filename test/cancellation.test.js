@@ -0,0 +1,122 @@
+// test/cancellation.test.js
+// Customer cancellation policy (lib/cancellation): notice needed per order-size tier, counted in
+// NY calendar days before drop-off / pickup, and what cancelOrder() then refunds. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stripe = require('./helpers/fake-stripe');
+const { useTempDataDir } = require('./helpers/data-dir');
+
+stripe.install();
+useTempDataDir();
+
+const { NOTICE_TIERS, LATE_REFUND_PCT, noticeDaysFor, cancellationQuote, cancelOrder } = require('../netlify/lib/cancellation');
+const { createOrder, getOrder } = require('../netlify/lib/orders');
+const { addDaysYMD, nyTodayYMD } = require('../netlify/lib/ny-dates');
+
+const inDays = (d) => addDaysYMD(nyTodayYMD(), d);
+
+function order({ flow = 'full_service', status = 'balance_scheduled', total = 80000, startIn = 10, ...extra } = {}) {
+  const start = inDays(startIn);
+  return {
+    id: 'KO-CX',
+    flow,
+    status,
+    status_history: [],
+    pricing: { total_cents: total },
+    schedule: flow === 'full_service'
+      ? { dropoff_date: start, pickup_date: addDaysYMD(start, 1) }
+      : { pickup_date: start, return_date: addDaysYMD(start, 1) },
+    stripe: {},
+    ...extra
+  };
+}
+
+test('notice tiers by order total', () => {
+  assert.deepEqual(NOTICE_TIERS.map((t) => t.notice_days), [7, 14, 30]);
+  assert.equal(noticeDaysFor(0), 7);
+  assert.equal(noticeDaysFor(100000), 7);
+  assert.equal(noticeDaysFor(100001), 14);
+  assert.equal(noticeDaysFor(250000), 14);
+  assert.equal(noticeDaysFor(250001), 30);
+  assert.equal(noticeDaysFor(undefined), 7);
+});
+
+test('full refund with at least the tier notice, LATE_REFUND_PCT with less', () => {
+  for (const [total, notice] of [[80000, 7], [200000, 14], [400000, 30]]) {
+    const onTime = cancellationQuote(order({ total, startIn: notice }), 30000);
+    assert.equal(onTime.cancellable, true);
+    assert.equal(onTime.notice_days, notice);
+    assert.equal(onTime.days_before, notice);
+    assert.equal(onTime.refund_pct, 100);
+    assert.equal(onTime.refund_cents, 30000);
+    assert.equal(onTime.kept_cents, 0);
+
+    const late = cancellationQuote(order({ total, startIn: notice - 1 }), 30000);
+    assert.equal(late.cancellable, true);
+    assert.equal(late.refund_pct, LATE_REFUND_PCT);
+    assert.equal(late.refund_cents, Math.round(30000 * LATE_REFUND_PCT / 100));
+    assert.equal(late.kept_cents, 30000 - late.refund_cents);
+  }
+});
+
+test('notice counts to pickup for self-service orders', () => {
+  const quote = cancellationQuote(order({ flow: 'self_service', status: 'paid_in_full', total: 5000, startIn: 8 }), 5000);
+  assert.equal(quote.start_date, inDays(8));
+  assert.equal(quote.days_before, 8);
+  assert.equal(quote.refund_pct, 100);
+});
+
+test('unapproved requests cancel free; started or finished rentals cannot cancel online', () => {
+  const requested = cancellationQuote(order({ status: 'requested', startIn: 1 }), 99999);
+  assert.equal(requested.cancellable, true);
+  assert.equal(requested.charged, false);
+  assert.equal(requested.paid_cents, 0);
+  assert.equal(requested.refund_cents, 0);
+
+  const today = cancellationQuote(order({ startIn: 0 }), 30000);
+  assert.equal(today.cancellable, false);
+  assert.match(today.reason, /already started/);
+  assert.equal(cancellationQuote(order({ startIn: -2 }), 30000).cancellable, false);
+
+  const delivered = cancellationQuote(order({ status: 'delivered' }), 30000);
+  assert.equal(delivered.cancellable, false);
+  assert.match(delivered.reason, /already delivered/);
+  assert.equal(cancellationQuote(order({ status: 'checkout' }), 0).cancellable, false);
+});
+
+test('cancelOrder refunds what the policy allows and voids the unpaid balance', async () => {
+  stripe.responses['invoices.retrieve'] = (id) => ({ id, status: 'draft', amount_due: 56000 });
+  stripe.responses['paymentIntents.retrieve'] = (id) => ({ id, status: 'succeeded', latest_charge: { amount_captured: 24000, amount_refunded: 0 } });
+  stripe.responses['refunds.create'] = (params) => ({ id: `re_${params.amount}` });
+
+  await createOrder(order({
+    id: 'KO-CX-ONTIME',
+    startIn: 10,
+    stripe: { checkout_session_id: 'cs_ontime', deposit_payment_intent_id: 'pi_dep', balance_invoice_id: 'in_bal' }
+  }));
+  const onTime = await cancelOrder({ orderId: 'KO-CX-ONTIME' });
+  assert.equal(onTime.statusCode, 200, JSON.stringify(onTime.body));
+  assert.deepEqual(stripe.callsTo('refunds.create').map(([p]) => [p.payment_intent, p.amount]), [['pi_dep', 24000]]);
+  assert.deepEqual(stripe.callsTo('invoices.del').map(([id]) => id), ['in_bal']);
+  const stored = await getOrder('KO-CX-ONTIME');
+  assert.equal(stored.status, 'cancelled');
+  assert.equal(stored.cancellation.refunded_cents, 24000);
+
+  stripe.reset();
+  stripe.responses['invoices.retrieve'] = (id) => ({ id, status: 'draft', amount_due: 56000 });
+  stripe.responses['paymentIntents.retrieve'] = (id) => ({ id, status: 'succeeded', latest_charge: { amount_captured: 24000, amount_refunded: 0 } });
+  await createOrder(order({
+    id: 'KO-CX-LATE',
+    startIn: 3,
+    stripe: { checkout_session_id: 'cs_late', deposit_payment_intent_id: 'pi_dep2', balance_invoice_id: 'in_bal2' }
+  }));
+  const late = await cancelOrder({ orderId: 'KO-CX-LATE' });
+  assert.equal(late.statusCode, 200, JSON.stringify(late.body));
+  assert.equal(stripe.callsTo('refunds.create').length, LATE_REFUND_PCT > 0 ? 1 : 0);
+  assert.deepEqual(stripe.callsTo('invoices.del').map(([id]) => id), ['in_bal2']);
+  assert.equal((await getOrder('KO-CX-LATE')).status, 'cancelled');
+
+  assert.equal((await cancelOrder({ orderId: 'KO-CX-LATE' })).statusCode, 409);
+});
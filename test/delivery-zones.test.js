@@ -0,0 +1,111 @@
+// test/delivery-zones.test.js
+// Delivery zones (lib/delivery-zones + netlify/config/delivery-zones.json): which zone a ZIP falls
+// in, the delivery fee and congestion surcharge lib/pricing charges for it, and out-of-area ZIPs.
+// Extra zones are added to the loaded config for a test and removed after. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../netlify/config/delivery-zones.json');
+const { normalizeZip, zoneForZip, deliveryFeeCents, outOfAreaMessage } = require('../netlify/lib/delivery-zones');
+const { priceFullService } = require('../netlify/lib/pricing');
+
+const TODAY = '2026-03-10';
+
+// 30 dark chairs ($300 of items) delivered in 10 days, picked up the next day
+const delivery = (zip) => priceFullService({
+  items: [{ sku: 'dark', qty: 30 }],
+  schedule: { dropoff_date: '2026-03-20', pickup_date: '2026-03-21', dropoff_timeslot_type: 'flex', dropoff_timeslot_value: '8-12' },
+  location: { zip }
+}, { today: TODAY });
+
+function withZones(zones, fn) {
+  Object.assign(config.zones, zones);
+  try {
+    fn();
+  } finally {
+    for (const id of Object.keys(zones)) delete config.zones[id];
+  }
+}
+
+test('ZIPs map to the borough and county zones', () => {
+  const ids = {
+    '10001': 'manhattan_congestion', '10008': 'manhattan', '10115': 'manhattan', '11211': 'brooklyn',
+    '11101': 'queens', '11354': 'queens', '11691': 'queens', '10451': 'bronx', '10301': 'staten_island',
+    '10601': 'westchester', '10801': 'westchester', '11001': 'nassau', '11501': 'nassau'
+  };
+  for (const [zip, id] of Object.entries(ids)) assert.equal(zoneForZip(zip)?.id, id, zip);
+});
+
+test('an exact ZIP beats any prefix', () => {
+  // 11004/11005 are Queens ZIPs inside Nassau's 110 prefix
+  assert.equal(zoneForZip('11004').id, 'queens');
+  assert.equal(zoneForZip('11005').id, 'queens');
+  assert.equal(zoneForZip('11003').id, 'nassau');
+
+  // the congestion ZIPs are listed exactly; the rest of Manhattan is matched by prefix
+  assert.equal(zoneForZip('10036').congestion_cents, 7500);
+  assert.equal(zoneForZip('10008').congestion_cents, 0);
+});
+
+test('the longest matching prefix wins', () => {
+  withZones({ roosevelt_island: { name: 'Roosevelt Island', zip_prefixes: ['1004'], delivery: { rate: 0.2 } } }, () => {
+    assert.equal(zoneForZip('10045').id, 'roosevelt_island');
+    assert.equal(zoneForZip('10050').id, 'manhattan');
+    assert.equal(zoneForZip('10044').id, 'manhattan_congestion');
+  });
+});
+
+test('ZIP+4 and stray spaces are read as the 5-digit ZIP', () => {
+  assert.equal(normalizeZip(' 10001-1234 '), '10001');
+  assert.equal(zoneForZip('10001-1234').id, 'manhattan_congestion');
+  assert.equal(zoneForZip('1000'), null);
+  assert.equal(zoneForZip('ABCDE'), null);
+  assert.equal(zoneForZip(undefined), null);
+});
+
+test('ZIPs outside every zone, or in an unserviceable one, are rejected', () => {
+  assert.equal(zoneForZip('90210'), null);
+  assert.equal(outOfAreaMessage('11211'), null);
+  assert.equal(outOfAreaMessage('90210-0001'), "Sorry, ZIP 90210 is outside our delivery area. Contact us and we'll see what we can do.");
+
+  const quote = delivery('90210');
+  assert.ok(quote.errors.includes(outOfAreaMessage('90210')));
+  assert.equal(quote.delivery_cents, 0);
+  assert.ok(delivery('').errors.includes('Delivery ZIP code is required'));
+
+  withZones({ montauk: { name: 'Montauk', serviceable: false, zips: ['11954'] } }, () => {
+    assert.equal(zoneForZip('11954').serviceable, false);
+    assert.match(outOfAreaMessage('11954'), /not currently delivering to Montauk \(ZIP 11954\)/);
+    assert.ok(delivery('11954').errors.includes(outOfAreaMessage('11954')));
+  });
+});
+
+test('delivery fee: flat plus rate of the items, at least the zone minimum', () => {
+  assert.equal(deliveryFeeCents({ delivery: { rate: 0.3 } }, 30000), 9000);
+  assert.equal(deliveryFeeCents({ delivery: { rate: 0.1, flat_cents: 2500 } }, 30000), 5500);
+  assert.equal(deliveryFeeCents({ delivery: { rate: 0.1, min_cents: 5000 } }, 30000), 5000);
+  assert.equal(deliveryFeeCents({ delivery: { rate: 0.1, min_cents: 5000 } }, 60000), 6000);
+  assert.equal(deliveryFeeCents(null, 30000), 0);
+});
+
+test('quotes charge the zone fee, the congestion surcharge and the zone minimum', () => {
+  const midtown = delivery('10036');
+  assert.deepEqual(midtown.delivery_zone, { id: 'manhattan_congestion', name: 'Manhattan' });
+  assert.equal(midtown.delivery_cents, 9000);
+  assert.equal(midtown.congestion_cents, 7500);
+  assert.ok(midtown.lines.some((l) => l.code === 'congestion' && l.label === 'Manhattan congestion surcharge'));
+
+  const brooklyn = delivery('11211');
+  assert.equal(brooklyn.delivery_cents, 9000);
+  assert.equal(brooklyn.congestion_cents, 0);
+  assert.equal(brooklyn.lines.find((l) => l.code === 'delivery').label, 'Delivery fee (Brooklyn)');
+  assert.equal(brooklyn.min_order_cents, 0);
+
+  withZones({ hudson: { name: 'Hudson Valley', zip_prefixes: ['125'], delivery: { rate: 0.2, flat_cents: 5000 }, min_order_cents: 60000 } }, () => {
+    const far = delivery('12550');
+    assert.equal(far.delivery_cents, 5000 + 6000);
+    assert.equal(far.min_order_cents, 60000 - (30000 + 11000));
+    assert.ok(far.warnings[0].startsWith('Orders under $600'));
+  });
+});
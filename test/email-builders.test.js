@@ -0,0 +1,174 @@
+// test/email-builders.test.js
+// Every email template (the scripts/preview-emails.js registry) rendered with customer data that
+// tries to inject markup or links: names, addresses, item names and notes come from the checkout
+// form via Stripe metadata, URLs from Stripe objects. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  escapeHtml,
+  html,
+  raw,
+  safeUrl,
+  telUrl,
+  paragraph,
+  link,
+  fields,
+  button
+} = require('../netlify/lib/email-templates');
+const { buildTemplates } = require('../scripts/preview-emails');
+const fixtures = require('../scripts/email-fixtures');
+
+const NAME = '<a href="https://evil.test/phish">Ann</a> <script>alert(1)</script>';
+const TEXT = '"><img src=x onerror=alert(1)> & <b>bold</b>';
+const BAD_URL = 'javascript:alert(document.cookie)';
+const DATA_URL = 'data:text/html,<script>alert(1)</script>';
+
+function hostileFixtures() {
+  const f = structuredClone(fixtures);
+  const customer = { name: NAME, email: `ann${TEXT}@example.com`, phone: '+1 718 555 0142"><script>x</script>' };
+
+  for (const order of [f.fullServiceOrder, f.selfServiceOrder]) {
+    order.customer = { ...customer };
+    order.location = { street: TEXT, address2: TEXT, city: TEXT, state: 'NY', zip: TEXT, notes: TEXT };
+    order.items.forEach((it) => { it.name = `${it.name} ${TEXT}`; });
+    order.pricing.lines.forEach((line) => { line.label = `${line.label} ${TEXT}`; });
+  }
+  f.fullServiceOrder.schedule.dropoff_date = TEXT;
+
+  for (const details of [f.fullServiceDetails, f.selfServiceDetails]) {
+    Object.assign(details, {
+      customerName: NAME,
+      customerEmail: customer.email,
+      customerPhone: customer.phone,
+      street: TEXT,
+      address2: TEXT,
+      city: TEXT,
+      state: TEXT,
+      zip: TEXT,
+      locationNotes: TEXT,
+      deliveryZone: TEXT,
+      bundleLabel: TEXT,
+      promoCode: TEXT,
+      dropoffTimeslotValue: TEXT,
+      selfQtyDark: TEXT,
+      manageUrl: BAD_URL
+    });
+    details.items.forEach((it) => { it.name = `${it.name} ${TEXT}`; });
+  }
+
+  const q = f.quoteRequest;
+  q.requestId = `KR-1${TEXT}`;
+  q.clientToken = TEXT;
+  q.customer = { ...customer };
+  q.schedule = { ...q.schedule, dropWindow: TEXT, pickWindow: TEXT };
+  q.address = { line1: TEXT, line2: TEXT, city: TEXT, state: TEXT, zip: TEXT, notes: TEXT };
+  q.items.forEach((it) => { it.name = `${it.name} ${TEXT}`; });
+  q.summaryRows.forEach((r) => { r.label = `${r.label} ${TEXT}`; });
+  q.priceCheck = [TEXT, NAME];
+
+  f.invoiceReceipt = {
+    ...f.invoiceReceipt,
+    number: TEXT,
+    customerName: NAME,
+    customerEmail: customer.email,
+    hostedUrl: BAD_URL,
+    pdfUrl: DATA_URL
+  };
+  f.links = { ...f.links, invoice: BAD_URL, checkout: DATA_URL };
+  f.refundReason = TEXT;
+  f.damageItems = [{ description: TEXT, amount_cents: 8500 }];
+  f.damageNote = NAME;
+  return f;
+}
+
+const ALLOWED_HREF = /^(https:\/\/|http:\/\/|tel:|mailto:)/;
+
+function assertSafe(name, { html: body, text }) {
+  assert.doesNotMatch(body, /<script|<img|<b>|onerror=alert\(1\)>/i, `${name}: injected markup in html`);
+  assert.doesNotMatch(body, /javascript:|data:text/i, `${name}: unsafe URL in html`);
+  assert.doesNotMatch(body, /evil\.test\/phish"/, `${name}: injected link in html`);
+  assert.doesNotMatch(body, /&amp;(lt|gt|quot|amp|#39);/, `${name}: double-escaped html`);
+
+  for (const [, href] of body.matchAll(/<a\b[^>]*?\bhref="([^"]*)"/g)) {
+    assert.match(href, ALLOWED_HREF, `${name}: unexpected href ${href}`);
+  }
+  // every attribute opened in a tag is closed in the same tag
+  for (const [tag] of body.matchAll(/<[a-z][^>]*>/gi)) {
+    assert.equal((tag.match(/"/g) || []).length % 2, 0, `${name}: broken attribute in ${tag}`);
+  }
+
+  assert.doesNotMatch(text, /&(lt|gt|quot|amp|#39);/, `${name}: entities in text`);
+  assert.doesNotMatch(text, /javascript:|data:text/i, `${name}: unsafe URL in text`);
+}
+
+test('every template renders the sample fixtures', () => {
+  for (const [name, build] of Object.entries(buildTemplates())) {
+    const email = build();
+    assert.ok(email.subject, `${name}: subject`);
+    assert.match(email.html, /^<!doctype html>/, `${name}: html`);
+    assert.ok(email.text.trim(), `${name}: text`);
+    assertSafe(name, email);
+  }
+});
+
+test('every template escapes hostile customer data and drops unsafe links', () => {
+  for (const [name, build] of Object.entries(buildTemplates(hostileFixtures()))) {
+    assertSafe(name, build());
+  }
+});
+
+test('owner approval email shows a hostile name as text next to working buttons', () => {
+  const f = hostileFixtures();
+  const email = buildTemplates(f)['full-service-owner']();
+
+  assert.ok(email.html.includes(escapeHtml(NAME)));
+  assert.ok(email.text.includes(`Name: ${NAME}`));
+  assert.ok(email.html.includes(`href="${escapeHtml(f.links.approve)}"`));
+  assert.ok(email.html.includes(`href="${escapeHtml(f.links.decline)}"`));
+  assert.ok(email.html.includes('href="tel:+17185550142"'));
+});
+
+test('customer emails keep the text of links whose URL was dropped', () => {
+  const templates = buildTemplates(hostileFixtures());
+
+  assert.match(templates['full-service-customer']().text, /Manage your booking — you’ll see any refund/);
+  assert.match(templates['invoice-paid-customer']().text, /View invoice • Download PDF/);
+  assert.doesNotMatch(templates['balance-payment-failed']().text, /Pay remaining balance/);
+  assert.doesNotMatch(templates['payment-link-checkout']().text, /Complete booking/);
+});
+
+test('html escapes interpolated values unless they are already html', () => {
+  assert.equal(html`<p>${'<b>&</b>'}</p>`.toString(), '<p>&lt;b&gt;&amp;&lt;/b&gt;</p>');
+  assert.equal(html`<p>${html`<b>${'"x"'}</b>`}</p>`.toString(), '<p><b>&quot;x&quot;</b></p>');
+  assert.equal(html`${['<i>', raw('<br />'), 1]}`.toString(), '&lt;i&gt;<br />1');
+  assert.equal(html`${null}${undefined}${false}${0}`.toString(), '0');
+  assert.equal(paragraph('<x>').toString(), '<p style="margin:0 0 12px;">&lt;x&gt;</p>');
+  assert.equal(fields([['A', '<x>'], ['B', '']]).toString(), '<p style="margin:0 0 12px;"><strong>A:</strong> &lt;x&gt;</p>');
+});
+
+test('safeUrl only lets absolute http(s), mailto and tel URLs through', () => {
+  assert.equal(safeUrl('https://kraustables.com/manage?token=a&b=1'), 'https://kraustables.com/manage?token=a&b=1');
+  assert.equal(safeUrl(' http://example.com/x '), 'http://example.com/x');
+  assert.equal(safeUrl('mailto:hello@example.com'), 'mailto:hello@example.com');
+  assert.equal(safeUrl('tel:+17182184057'), 'tel:+17182184057');
+
+  for (const url of [BAD_URL, ' JavaScript:alert(1)', 'java\tscript:alert(1)', DATA_URL, 'vbscript:x', '/relative', '//evil.test', 'not a url', '', null, undefined]) {
+    assert.equal(safeUrl(url), '', String(url));
+  }
+});
+
+test('links and buttons escape their labels and drop unsafe URLs', () => {
+  assert.equal(link('<b>Pay</b>', 'https://example.com/?a="b"').toString(), '<a href="https://example.com/?a=%22b%22">&lt;b&gt;Pay&lt;/b&gt;</a>');
+  assert.equal(link('<b>Pay</b>', BAD_URL).toString(), '&lt;b&gt;Pay&lt;/b&gt;');
+  assert.equal(button('Pay', BAD_URL), '');
+  assert.match(button('<Pay>', 'https://example.com').toString(), /^<a data-button href="https:\/\/example\.com\/" [^>]*>&lt;Pay&gt;<\/a>$/);
+});
+
+test('telUrl keeps only digits and +', () => {
+  assert.equal(telUrl('(718) 555-0142'), 'tel:7185550142');
+  assert.equal(telUrl('+1 718 555 0142"><script>'), 'tel:+17185550142');
+  assert.equal(telUrl('call me'), '');
+  assert.equal(telUrl(null), '');
+});
@@ -0,0 +1,16 @@
+// test/helpers/data-dir.js
+// Points lib/store at a fresh temp directory for this test file (call before requiring the libs);
+// it is removed when the process exits.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function useTempDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kraus-test-'));
+  process.env.KRAUS_DATA_DIR = dir;
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = { useTempDataDir };
@@ -0,0 +1,71 @@
+// test/helpers/fake-blobs.js
+// In-memory stand-in for @netlify/blobs with the ETag semantics lib/store relies on: every write
+// gets a new etag, setJSON honours onlyIfMatch / onlyIfNew and reports { modified }. Call
+// install() before requiring the libs; it also sets NETLIFY_BLOBS_CONTEXT so the store picks
+// the Blobs backend. Each operation yields to the event loop, so concurrent calls interleave the
+// way two function instances would.
+
+const path = require('path');
+
+const stores = new Map(); // store name -> Map(key -> { data, etag })
+let nextEtag = 0;
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+function blobs(name) {
+  if (!stores.has(name)) stores.set(name, new Map());
+  return stores.get(name);
+}
+
+function fakeStore(name) {
+  const entries = blobs(name);
+  return {
+    async get(key) {
+      await tick();
+      const entry = entries.get(key);
+      return entry ? structuredClone(entry.data) : null;
+    },
+    async getMetadata(key) {
+      await tick();
+      const entry = entries.get(key);
+      return entry ? { etag: entry.etag, metadata: {} } : null;
+    },
+    async getWithMetadata(key) {
+      await tick();
+      const entry = entries.get(key);
+      return entry ? { data: structuredClone(entry.data), etag: entry.etag, metadata: {} } : null;
+    },
+    async setJSON(key, data, { onlyIfMatch, onlyIfNew } = {}) {
+      await tick();
+      const entry = entries.get(key);
+      if (onlyIfNew && entry) return { modified: false };
+      if (onlyIfMatch && (!entry || entry.etag !== onlyIfMatch)) return { modified: false };
+      nextEtag += 1;
+      entries.set(key, { data: structuredClone(data), etag: `"${nextEtag}"` });
+      return { modified: true, etag: `"${nextEtag}"` };
+    },
+    async delete(key) {
+      await tick();
+      entries.delete(key);
+    },
+    async *list() {
+      await tick();
+      yield { blobs: [...entries].map(([key, entry]) => ({ key, etag: entry.etag })), directories: [] };
+    }
+  };
+}
+
+const connected = [];
+
+const FakeBlobs = {
+  getStore: ({ name }) => fakeStore(name),
+  connectLambda: (event) => connected.push(event)
+};
+
+function install() {
+  const id = require.resolve('@netlify/blobs', { paths: [path.join(__dirname, '..', '..')] });
+  require.cache[id] = { id, filename: id, loaded: true, exports: FakeBlobs };
+  process.env.NETLIFY_BLOBS_CONTEXT = 'fake';
+}
+
+module.exports = { install, stores, blobs, connected };
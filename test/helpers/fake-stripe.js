@@ -0,0 +1,49 @@
+// test/helpers/fake-stripe.js
+// Stand-in for the stripe package. The libs create their client (`new Stripe(key)`) when they
+// are loaded, so call install() before requiring them. Every call is recorded in `calls`
+// ({ fn: 'paymentIntents.create', args }); set `responses[fn]` to a value or a function of the
+// call's arguments, otherwise a call returns { id: '<fn>_<n>' } (list calls: an empty page).
+// webhooks.constructEvent is synchronous like the real one and returns the raw body parsed.
+
+const path = require('path');
+
+const calls = [];
+const responses = {};
+
+function client(prefix = '') {
+  return new Proxy(function () {}, {
+    get(_, prop) {
+      if (prop === 'then') return undefined;
+      return client(prefix ? `${prefix}.${String(prop)}` : String(prop));
+    },
+    apply(_, __, args) {
+      calls.push({ fn: prefix, args });
+      if (prefix === 'webhooks.constructEvent') return JSON.parse(args[0]);
+      const r = responses[prefix];
+      if (typeof r === 'function') return Promise.resolve().then(() => r(...args));
+      if (r !== undefined) return Promise.resolve(r);
+      if (prefix.endsWith('.list')) return Promise.resolve({ data: [], has_more: false });
+      return Promise.resolve({ id: `${prefix.replace(/\W/g, '_')}_${calls.length}` });
+    }
+  });
+}
+
+function FakeStripe() {
+  return client();
+}
+
+function install() {
+  const id = require.resolve('stripe', { paths: [path.join(__dirname, '..', '..')] });
+  require.cache[id] = { id, filename: id, loaded: true, exports: FakeStripe };
+}
+
+function callsTo(fn) {
+  return calls.filter((c) => c.fn === fn).map((c) => c.args);
+}
+
+function reset() {
+  calls.length = 0;
+  for (const key of Object.keys(responses)) delete responses[key];
+}
+
+module.exports = { install, calls, responses, callsTo, reset };
@@ -0,0 +1,65 @@
+// test/invoice-paid.test.js
+// checkout-webhook invoice.paid: a balance (or quote) invoice settles the order; an order change's
+// adjustment invoice is recorded on its modification and leaves the status alone. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stripe = require('./helpers/fake-stripe');
+const { useTempDataDir } = require('./helpers/data-dir');
+
+stripe.install();
+useTempDataDir();
+
+const { createOrder, getOrder } = require('../netlify/lib/orders');
+const webhook = require('../netlify/functions/checkout-webhook');
+
+function invoicePaid(invoice) {
+  const event = { id: `evt_${invoice.id}`, type: 'invoice.paid', data: { object: invoice } };
+  return webhook.handler({ headers: { 'stripe-signature': 'sig' }, body: JSON.stringify(event) });
+}
+
+test('a paid adjustment invoice is recorded without marking the order paid in full', async () => {
+  await createOrder({
+    id: 'KO-ADJ',
+    flow: 'full_service',
+    status: 'balance_scheduled',
+    status_history: [],
+    at_risk: true,
+    payment_issue: { kind: 'adjustment', invoice_id: 'in_adjust' },
+    stripe: { balance_invoice_id: 'in_balance' },
+    modifications: [{ revision: 1, action: 'charge_difference', adjustment_invoice_id: 'in_adjust', adjustment_status: 'open' }]
+  });
+
+  const res = await invoicePaid({
+    id: 'in_adjust',
+    status: 'paid',
+    amount_paid: 2500,
+    total: 2500,
+    payment_intent: 'pi_adjust',
+    metadata: { kraus_flow: 'full_service', kraus_kind: 'adjustment', kraus_revision: '1', order_id: 'KO-ADJ' }
+  });
+  assert.equal(res.statusCode, 200);
+
+  const order = await getOrder('KO-ADJ');
+  assert.equal(order.status, 'balance_scheduled');
+  assert.equal(order.at_risk, false);
+  assert.equal(order.modifications[0].adjustment_status, 'paid');
+  assert.equal(order.modifications[0].adjustment_payment_intent_id, 'pi_adjust');
+
+  // the balance invoice still settles the order
+  await invoicePaid({
+    id: 'in_balance',
+    status: 'paid',
+    amount_paid: 70000,
+    total: 70000,
+    metadata: { kraus_flow: 'full_service', kraus_kind: 'balance', order_id: 'KO-ADJ' }
+  });
+  assert.equal((await getOrder('KO-ADJ')).status, 'paid_in_full');
+});
+
+test('an invoice of another kind does not change the order', async () => {
+  await createOrder({ id: 'KO-OTHER', flow: 'full_service', status: 'deposit_paid', status_history: [], stripe: {} });
+  await invoicePaid({ id: 'in_other', status: 'paid', amount_paid: 100, total: 100, metadata: { order_id: 'KO-OTHER' } });
+  assert.equal((await getOrder('KO-OTHER')).status, 'deposit_paid');
+});
@@ -0,0 +1,124 @@
+// test/late-returns.test.js
+// Late self-service returns (lib/late-returns): days late in NY calendar days, the free grace day,
+// the cap on automatically charged days, and charging only the days not charged yet.
+// Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stripe = require('./helpers/fake-stripe');
+const { useTempDataDir } = require('./helpers/data-dir');
+
+stripe.install();
+useTempDataDir();
+
+const { daysLate, isOverdue, handleOverdue, checkInReturn } = require('../netlify/lib/late-returns');
+const { SELF_SERVICE, TAX_RATE, selfServiceLateFee } = require('../netlify/lib/pricing');
+const { createOrder, getOrder } = require('../netlify/lib/orders');
+const { addDaysYMD } = require('../netlify/lib/ny-dates');
+
+const RETURN_DATE = '2026-03-06';
+const dayLate = (n) => addDaysYMD(RETURN_DATE, n);
+
+let n = 0;
+function rental(extra = {}) {
+  n += 1;
+  return createOrder({
+    id: `KO-LATE${n}`,
+    flow: 'self_service',
+    status: 'paid_in_full',
+    status_history: [],
+    customer: { name: 'Ann', phone: '' },
+    items: [{ sku: 'chair_dark', qty: 10 }],
+    schedule: { pickup_date: '2026-03-05', return_date: RETURN_DATE },
+    pricing: { subtotal_cents: 10000 },
+    stripe: { customer_id: 'cus_1', payment_method_id: 'pm_1' },
+    ...extra
+  });
+}
+
+test.beforeEach(() => {
+  stripe.reset();
+  stripe.responses['paymentIntents.create'] = (params) => ({ id: `pi_late_${params.metadata.late_days}`, status: 'succeeded' });
+});
+
+test('days late are NY calendar days after the return date', () => {
+  const order = { flow: 'self_service', status: 'paid_in_full', schedule: { return_date: RETURN_DATE } };
+  assert.equal(daysLate(order, RETURN_DATE), 0);
+  assert.equal(daysLate(order, '2026-03-05'), -1);
+  assert.equal(daysLate(order, '2026-03-09'), 3); // across the DST change on Mar 8
+  assert.equal(daysLate({ schedule: { return_date: '2026-12-30' } }, '2027-01-02'), 3);
+  assert.equal(daysLate({ schedule: {} }, '2026-03-09'), 0);
+
+  assert.equal(isOverdue(order, dayLate(1)), true);
+  assert.equal(isOverdue(order, RETURN_DATE), false);
+  assert.equal(isOverdue({ ...order, status: 'returned' }, dayLate(1)), false);
+  assert.equal(isOverdue({ ...order, flow: 'full_service' }, dayLate(1)), false);
+});
+
+test('a late day costs one extended-rental day plus tax', () => {
+  const fee = selfServiceLateFee({ subtotal_cents: 10000, days: 3 });
+  assert.equal(fee.per_day_cents, Math.round(10000 * SELF_SERVICE.EXT_RATE));
+  assert.equal(fee.subtotal_cents, 3 * fee.per_day_cents);
+  assert.equal(fee.tax_cents, Math.round(fee.subtotal_cents * TAX_RATE));
+  assert.equal(fee.total_cents, fee.subtotal_cents + fee.tax_cents);
+  assert.equal(selfServiceLateFee({ subtotal_cents: 10000, days: 2.7 }).days, 2);
+  assert.equal(selfServiceLateFee({ subtotal_cents: 10000, days: -1 }).total_cents, 0);
+});
+
+test('grace day free, then each run charges only the days not charged yet', async () => {
+  const { id } = await rental();
+  const run = async (day) => handleOverdue(await getOrder(id), dayLate(day));
+
+  assert.equal((await run(SELF_SERVICE.LATE_GRACE_DAYS)).fee, null);
+
+  const first = await run(SELF_SERVICE.LATE_GRACE_DAYS + 1);
+  assert.deepEqual([first.fee.from_day, first.fee.to_day, first.fee.days], [1, 1, 1]);
+  assert.equal(first.fee.amount_cents, selfServiceLateFee({ subtotal_cents: 10000, days: 1 }).total_cents);
+
+  assert.equal((await run(SELF_SERVICE.LATE_GRACE_DAYS + 1)).fee, null); // same day again
+
+  const later = await run(SELF_SERVICE.LATE_GRACE_DAYS + 4);
+  assert.deepEqual([later.fee.from_day, later.fee.to_day, later.fee.days], [2, 4, 3]);
+
+  const stored = await getOrder(id);
+  assert.equal(stored.late_return.charged_days, 4);
+  assert.deepEqual(stripe.callsTo('paymentIntents.create').map(([p]) => p.metadata.late_days), ['1-1', '2-4']);
+});
+
+test('automatic charges stop at LATE_FEE_MAX_DAYS and the owner is alerted once', async () => {
+  const { id } = await rental();
+  const way = SELF_SERVICE.LATE_GRACE_DAYS + SELF_SERVICE.LATE_FEE_MAX_DAYS + 5;
+
+  const result = await handleOverdue(await getOrder(id), dayLate(way));
+  assert.equal(result.fee.to_day, SELF_SERVICE.LATE_FEE_MAX_DAYS);
+  assert.equal(result.escalated, true);
+
+  const again = await handleOverdue(await getOrder(id), dayLate(way + 1));
+  assert.equal(again.fee, null);
+  assert.equal(again.escalated, false);
+});
+
+test('a failed charge does not count; the next run retries the same days', async () => {
+  const { id } = await rental();
+  stripe.responses['paymentIntents.create'] = () => { throw new Error('card_declined'); };
+
+  const failed = await handleOverdue(await getOrder(id), dayLate(3));
+  assert.equal(failed.fee.status, 'failed');
+  assert.equal(failed.escalated, true);
+
+  stripe.responses['paymentIntents.create'] = () => ({ id: 'pi_retry', status: 'succeeded' });
+  const retried = await handleOverdue(await getOrder(id), dayLate(3));
+  assert.deepEqual([retried.fee.status, retried.fee.from_day, retried.fee.to_day], ['charged', 1, 2]);
+});
+
+test('check-in reports late days not charged yet', async () => {
+  const { id } = await rental({ schedule: { pickup_date: '2026-01-01', return_date: '2026-01-02' } });
+  const res = await checkInReturn({ orderId: id, counts: { chair_dark: 9 } });
+  assert.equal(res.statusCode, 200);
+  const { checkin } = res.body;
+  assert.ok(checkin.days_late > SELF_SERVICE.LATE_GRACE_DAYS);
+  assert.equal(checkin.uncharged_late_days, Math.min(checkin.days_late - SELF_SERVICE.LATE_GRACE_DAYS, SELF_SERVICE.LATE_FEE_MAX_DAYS));
+  assert.deepEqual(checkin.missing, [{ sku: 'chair_dark', expected: 10, returned: 9, missing: 1 }]);
+  assert.equal((await getOrder(id)).status, 'returned');
+});
@@ -0,0 +1,120 @@
+// test/modify-order.test.js
+// Order changes (lib/modify-order planModification): the repriced total against what Stripe
+// already holds decides the plan — replace the scheduled balance, charge or refund the difference.
+// Stripe is faked: a 30% deposit PaymentIntent and a balance invoice (draft or paid). Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stripe = require('./helpers/fake-stripe');
+const { useTempDataDir } = require('./helpers/data-dir');
+
+stripe.install();
+useTempDataDir();
+
+const { planModification } = require('../netlify/lib/modify-order');
+const { priceFullService } = require('../netlify/lib/pricing');
+const { buildOrder } = require('../netlify/lib/orders');
+const { addDaysYMD, nyTodayYMD } = require('../netlify/lib/ny-dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOCATION = { street: '1 Main St', city: 'Brooklyn', state: 'NY', zip: '11211' };
+
+// A full-service order booked `bookedDaysAgo` days ago for a drop-off `dropoffIn` days from now.
+// paid: 'deposit' (30% charged, balance invoice still draft) or 'full' (balance invoice paid)
+function bookedOrder({ items = [{ sku: 'dark', qty: 30 }], dropoffIn = 40, bookedDaysAgo = 10, paid = 'deposit' } = {}) {
+  const createdAt = new Date(Date.now() - bookedDaysAgo * DAY_MS);
+  const bookedOn = createdAt.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+  const dropoff = addDaysYMD(nyTodayYMD(), dropoffIn);
+  const schedule = { dropoff_date: dropoff, pickup_date: addDaysYMD(dropoff, 1), dropoff_timeslot_type: 'flex', dropoff_timeslot_value: '8-12' };
+  const quote = priceFullService({ items, schedule, location: LOCATION }, { today: bookedOn });
+  assert.deepEqual(quote.errors, []);
+
+  const total = quote.total_cents;
+  const deposit = Math.round(total * 0.3);
+  stripe.responses['paymentIntents.retrieve'] = (id) => ({
+    id,
+    status: 'succeeded',
+    latest_charge: { amount_captured: id === 'pi_dep' ? deposit : total - deposit, amount_refunded: 0 }
+  });
+  stripe.responses['invoices.retrieve'] = (id) => paid === 'full'
+    ? { id, status: 'paid', payment_intent: 'pi_bal', amount_due: total - deposit }
+    : { id, status: 'draft', payment_intent: null, amount_due: total - deposit };
+
+  return {
+    ...buildOrder({ id: 'KO-MOD', flow: 'full_service', customer: { name: 'Ann' }, location: LOCATION, schedule, quote }),
+    status: paid === 'full' ? 'paid_in_full' : 'balance_scheduled',
+    created_at: createdAt.toISOString(),
+    stripe: { checkout_session_id: 'cs_mod', deposit_payment_intent_id: 'pi_dep', balance_invoice_id: 'in_bal' }
+  };
+}
+
+test.beforeEach(() => stripe.reset());
+
+test('more items with a scheduled balance: the balance is replaced by the new remainder', async () => {
+  const order = bookedOrder();
+  const paid = Math.round(order.pricing.total_cents * 0.3);
+
+  const { plan, next } = await planModification(order, { items: [{ sku: 'dark', qty: 40 }] }, { actor: 'admin' });
+  assert.equal(plan.action, 'replace_balance');
+  assert.equal(plan.paid_cents, paid);
+  assert.equal(plan.pending_balance_cents, order.pricing.total_cents - paid);
+  assert.equal(plan.to_total_cents, next.pricing.total_cents);
+  assert.equal(plan.balance_cents, next.pricing.total_cents - paid);
+  assert.equal(plan.charge_cents, 0);
+  assert.equal(plan.refund_cents, 0);
+});
+
+test('fewer items than the deposit covers: the balance goes and the excess is refunded', async () => {
+  const order = bookedOrder({ items: [{ sku: 'industrial-bar', qty: 3 }] });
+  const paid = Math.round(order.pricing.total_cents * 0.3);
+
+  const { plan } = await planModification(order, { items: [{ sku: 'dark', qty: 10 }] }, { actor: 'admin' });
+  assert.equal(plan.action, 'refund');
+  assert.equal(plan.refund_cents, paid - plan.to_total_cents);
+  assert.equal(plan.balance_cents, 0);
+});
+
+test('paid in full: a dearer order charges the difference, a cheaper one refunds it', async () => {
+  const up = await planModification(bookedOrder({ paid: 'full' }), { items: [{ sku: 'dark', qty: 35 }] }, { actor: 'admin' });
+  assert.equal(up.plan.action, 'charge_difference');
+  assert.equal(up.plan.charge_cents, up.plan.to_total_cents - up.plan.from_total_cents);
+
+  const down = await planModification(bookedOrder({ paid: 'full' }), { items: [{ sku: 'dark', qty: 25 }] }, { actor: 'admin' });
+  assert.equal(down.plan.action, 'refund');
+  assert.equal(down.plan.refund_cents, down.plan.from_total_cents - down.plan.to_total_cents);
+
+  const same = await planModification(bookedOrder({ paid: 'full' }), { items: [{ sku: 'light', qty: 30 }] }, { actor: 'admin' });
+  assert.equal(same.plan.action, 'none');
+  assert.equal(same.plan.to_total_cents, same.plan.from_total_cents);
+});
+
+test('an items-only change keeps the booking-day pricing; a new date is priced today', async () => {
+  // booked 10 days ago for a drop-off 2 days out: no rush then, rush if repriced today
+  const order = bookedOrder({ dropoffIn: 2, paid: 'full' });
+  assert.equal(order.pricing.rush_cents, 0);
+
+  const itemsOnly = await planModification(order, { items: [{ sku: 'dark', qty: 31 }] }, { actor: 'admin' });
+  assert.equal(itemsOnly.next.pricing.rush_cents, 0);
+
+  const newDate = await planModification(order, { schedule: { pickup_date: addDaysYMD(order.schedule.pickup_date, 1) } }, { actor: 'admin' });
+  assert.ok(newDate.next.pricing.rush_cents > 0);
+  assert.equal(newDate.plan.action, 'charge_difference');
+});
+
+test('refusals: nothing to change, closed orders, customers inside the notice window', async () => {
+  const order = bookedOrder();
+  assert.deepEqual(await planModification(order, {}, { actor: 'admin' }), { statusCode: 400, error: 'Nothing to change' });
+
+  const delivered = await planModification({ ...order, status: 'delivered' }, { items: [{ sku: 'dark', qty: 40 }] }, { actor: 'admin' });
+  assert.equal(delivered.statusCode, 409);
+
+  const soon = bookedOrder({ dropoffIn: 5 });
+  const byCustomer = await planModification(soon, { items: [{ sku: 'dark', qty: 40 }] }, { actor: 'customer' });
+  assert.equal(byCustomer.statusCode, 409);
+  assert.match(byCustomer.error, /close to your date/);
+  assert.equal((await planModification(soon, { items: [{ sku: 'dark', qty: 40 }] }, { actor: 'admin' })).plan.action, 'replace_balance');
+
+  const badZip = await planModification(order, { location: { zip: '90210' } }, { actor: 'admin' });
+  assert.equal(badZip.statusCode, 400);
+});
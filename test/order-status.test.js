@@ -0,0 +1,107 @@
+// test/order-status.test.js
+// Order lifecycle (lib/order-status): the TRANSITIONS table and transitionOrder(), which checks a
+// move inside the order's read-modify-write and records it in status_history. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTempDataDir } = require('./helpers/data-dir');
+
+useTempDataDir();
+
+const {
+  ORDER_STATUSES, TRANSITIONS, canTransition, transitionOrder, transitionOrderThrough
+} = require('../netlify/lib/order-status');
+const { createOrder, getOrder } = require('../netlify/lib/orders');
+
+let n = 0;
+function orderIn(status, extra = {}) {
+  n += 1;
+  return createOrder({ id: `KO-ST${n}`, status, status_history: [], stripe: { checkout_session_id: `cs_${n}` }, ...extra });
+}
+
+test('TRANSITIONS covers every status and only points at known ones', () => {
+  assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...ORDER_STATUSES].sort());
+  for (const [from, targets] of Object.entries(TRANSITIONS)) {
+    for (const to of targets) {
+      assert.ok(ORDER_STATUSES.includes(to), `${from} -> ${to}`);
+      assert.notEqual(from, to);
+    }
+  }
+  for (const terminal of ['declined', 'cancelled', 'refunded']) assert.deepEqual(TRANSITIONS[terminal], []);
+});
+
+test('happy paths and exits are allowed; going back is not', () => {
+  const full = ['checkout', 'requested', 'approved', 'deposit_paid', 'balance_scheduled', 'paid_in_full', 'delivered', 'returned'];
+  for (let i = 1; i < full.length; i++) assert.ok(canTransition(full[i - 1], full[i]), `${full[i - 1]} -> ${full[i]}`);
+  assert.ok(canTransition('approved', 'paid_in_full'));
+  assert.ok(canTransition('deposit_paid', 'paid_in_full'));
+  assert.ok(canTransition('requested', 'declined'));
+  assert.ok(canTransition('returned', 'refunded'));
+
+  assert.equal(canTransition('approved', 'approved'), false);
+  assert.equal(canTransition('declined', 'approved'), false);
+  assert.equal(canTransition('checkout', 'approved'), false);
+  assert.equal(canTransition('paid_in_full', 'approved'), false);
+  assert.equal(canTransition('delivered', 'cancelled'), false);
+  assert.equal(canTransition('unknown', 'requested'), false);
+});
+
+test('transitionOrder records the move and applies the patch in the same write', async () => {
+  const order = await orderIn('requested');
+  const updated = await transitionOrder(order.id, 'approved', {
+    actor: 'admin',
+    stripe: { payment_intent_id: 'pi_1', invoice_id: '' },
+    note: 'looks good',
+    patch: { payment: { paid_now_cents: 100 }, stripe: { payment_intent_id: 'pi_1' } }
+  });
+
+  assert.equal(updated.status, 'approved');
+  assert.deepEqual(updated.payment, { paid_now_cents: 100 });
+  assert.deepEqual(updated.stripe, { checkout_session_id: order.stripe.checkout_session_id, payment_intent_id: 'pi_1' });
+  const [entry] = updated.status_history;
+  assert.equal(entry.from, 'requested');
+  assert.equal(entry.to, 'approved');
+  assert.equal(entry.actor, 'admin');
+  assert.equal(entry.note, 'looks good');
+  assert.deepEqual(entry.stripe, { payment_intent_id: 'pi_1' });
+  assert.ok(!Number.isNaN(Date.parse(entry.at)));
+  assert.deepEqual(await getOrder(order.id), updated);
+});
+
+test('transitionOrderThrough walks several steps', async () => {
+  const order = await orderIn('approved');
+  const updated = await transitionOrderThrough(order.id, ['deposit_paid', 'balance_scheduled'], { actor: 'stripe-webhook' });
+  assert.equal(updated.status, 'balance_scheduled');
+  assert.deepEqual(updated.status_history.map((e) => `${e.from}->${e.to}`), ['approved->deposit_paid', 'deposit_paid->balance_scheduled']);
+});
+
+test('disallowed moves are rejected with a 409 and leave the order unchanged', async () => {
+  const declined = await orderIn('declined', {
+    status_history: [{ from: 'requested', to: 'declined', at: '2026-06-01T14:14:00.000Z', actor: 'admin', stripe: {} }]
+  });
+  await assert.rejects(transitionOrder(declined.id, 'approved'), (err) => {
+    assert.equal(err.code, 'INVALID_TRANSITION');
+    assert.equal(err.statusCode, 409);
+    assert.match(err.message, new RegExp(`Order ${declined.id} is already declined \\(Jun 1, 2026`));
+    return true;
+  });
+  assert.deepEqual(await getOrder(declined.id), declined);
+
+  const pending = await orderIn('checkout');
+  await assert.rejects(transitionOrder(pending.id, 'approved'), /has not been submitted yet/);
+  await assert.rejects(transitionOrder(pending.id, 'shipped'), /Unknown order status: shipped/);
+  await assert.rejects(transitionOrder('KO-MISSING', 'approved'), /Order not found: KO-MISSING/);
+});
+
+test('two approvals racing: exactly one wins', async () => {
+  const order = await orderIn('requested');
+  const results = await Promise.allSettled([
+    transitionOrder(order.id, 'approved', { actor: 'email-link' }),
+    transitionOrder(order.id, 'approved', { actor: 'admin' })
+  ]);
+
+  assert.equal(results.filter((r) => r.status === 'fulfilled').length, 1);
+  assert.equal(results.find((r) => r.status === 'rejected').reason.code, 'INVALID_TRANSITION');
+  assert.equal((await getOrder(order.id)).status_history.length, 1);
+});
@@ -0,0 +1,324 @@
+// test/pricing-parity.test.js
+// lib/pricing replaced the math that checkout-full, checkout-self and quote-request each carried.
+// The baseline* functions below are that math as it was (copied from those functions, minus the
+// Stripe/HTTP plumbing); every case must price to the same cents through the shared engine.
+// Later pricing rules change some quotes on purpose and are covered in their own tests, so the
+// cases stay clear of them: quantity breaks (50+ chairs), the table + chairs bundle, the weekly
+// rate (more than 3 extra days) and ZIPs outside the delivery zones. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { priceFullService, priceSelfService, priceOrder, lookupSku } = require('../netlify/lib/pricing');
+const { parseNYDate, compareYMD, dayDiffNY, addDaysYMD } = require('../netlify/lib/ny-dates');
+
+const TODAY = '2026-03-10';
+
+// ---- Baseline checkout-full ----
+
+const BASE_FULL = {
+  PRICE_MAP: {
+    'table-chair-set': 16000, dark: 1000, light: 1000, 'folding-table': 10000, 'end-leaves': 5000,
+    'industrial-bar': 40000, 'industrial-cocktail-table': 5000, 'ASH-NYC-steel-table': 40000,
+    'MCM-etched-tulip-table': 25000, 'antique-work-bench': 40000, 'vintage-drafting-table': 10000,
+    'industrial-garment-rack': 10000
+  },
+  DELIVERY_RATE: 0.30,
+  EXTENDED_RATE: 0.15,
+  MIN_ORDER: 30000,
+  TAX_RATE: 0.08875,
+  CONGESTION_FEE_CENTS: 7500,
+  MANHATTAN_ZIPS: [
+    '10001', '10002', '10003', '10004', '10005', '10006', '10007', '10009', '10010', '10011', '10012', '10013', '10014',
+    '10016', '10017', '10018', '10019', '10020', '10021', '10022', '10023', '10024', '10025', '10026', '10027', '10028', '10029',
+    '10030', '10031', '10032', '10033', '10034', '10035', '10036', '10037', '10038', '10039', '10040',
+    '10044', '10065', '10075', '10128', '10280', '10281', '10282'
+  ],
+  TIMESLOT_BASE_FEE: { prompt: 10000, flex: 0 },
+  PROMPT_FEE: {
+    6: 7500, 7: 5000, 8: 2500, 9: 0, 10: 0, 11: 0, 12: 0, 13: 0, 14: 0, 15: 0, 16: 0, 17: 0, 18: 0, 19: 0, 20: 0,
+    21: 2500, 22: 5000, 23: 5000, 0: 7500
+  },
+  FLEX_FEE: { '8-12': 0, '12-4': 5000, '4-8': 0 }
+};
+
+function baselineFull({ items, schedule, location }, today) {
+  const B = BASE_FULL;
+  let productsSubtotalC = 0;
+  for (const item of items) {
+    const qty = Math.max(0, Number(item.qty) || 0);
+    if (qty > 0 && B.PRICE_MAP[item.sku]) productsSubtotalC += B.PRICE_MAP[item.sku] * qty;
+  }
+
+  const todayNY = parseNYDate(today);
+  const dropoffNY = parseNYDate(schedule.dropoff_date);
+  const pickupNY = parseNYDate(schedule.pickup_date);
+
+  const deliveryC = Math.round(productsSubtotalC * B.DELIVERY_RATE);
+  const zip5 = String(location.zip || '').trim().slice(0, 5);
+  const congestionC = B.MANHATTAN_ZIPS.includes(zip5) ? B.CONGESTION_FEE_CENTS : 0;
+  const daysUntilDropoff = dayDiffNY(todayNY, dropoffNY);
+  const rushC = (Number.isFinite(daysUntilDropoff) && daysUntilDropoff <= 2)
+    ? Math.max(10000, Math.round(productsSubtotalC * 0.10))
+    : 0;
+
+  const parseHourStart = (range) => {
+    const h = parseInt(String(range).split('-')[0], 10);
+    return Number.isFinite(h) ? h : null;
+  };
+
+  const dropoffType = schedule.dropoff_timeslot_type || 'flex';
+  const dropoffValue = schedule.dropoff_timeslot_value || '';
+  let dropoffTimeslotC = B.TIMESLOT_BASE_FEE[dropoffType] || 0;
+  if (dropoffType === 'prompt') {
+    const h = parseHourStart(dropoffValue);
+    dropoffTimeslotC += (h !== null ? (B.PROMPT_FEE[h] || 0) : 0);
+  } else if (dropoffType === 'flex') {
+    dropoffTimeslotC += B.FLEX_FEE[dropoffValue] || 0;
+  }
+
+  const sameDay = compareYMD(dropoffNY, pickupNY) === 0;
+  const pickupType = schedule.pickup_timeslot_type || 'flex';
+  const pickupValue = schedule.pickup_timeslot_value || '';
+  let pickupTimeslotC = 0;
+  if (pickupType === 'prompt' && !sameDay) {
+    pickupTimeslotC += B.TIMESLOT_BASE_FEE[pickupType] || 0;
+  } else if (pickupType === 'flex') {
+    pickupTimeslotC += B.TIMESLOT_BASE_FEE[pickupType] || 0;
+  }
+  if (pickupType === 'prompt') {
+    const h = parseHourStart(pickupValue);
+    pickupTimeslotC += (h !== null ? (B.PROMPT_FEE[h] || 0) : 0);
+  } else if (pickupType === 'flex') {
+    pickupTimeslotC += B.FLEX_FEE[pickupValue] || 0;
+  }
+
+  const rentalDays = dayDiffNY(dropoffNY, pickupNY);
+  const extraDays = Math.max(0, rentalDays - 1);
+  const extendedC = Math.round(productsSubtotalC * B.EXTENDED_RATE * extraDays);
+
+  const towardMinC = productsSubtotalC + deliveryC + congestionC + rushC + dropoffTimeslotC + pickupTimeslotC + extendedC;
+  const minC = Math.max(0, B.MIN_ORDER - towardMinC);
+  const taxableC = towardMinC + minC;
+  const taxC = Math.round(taxableC * B.TAX_RATE);
+
+  return {
+    subtotal_cents: productsSubtotalC,
+    delivery_cents: deliveryC,
+    congestion_cents: congestionC,
+    rush_cents: rushC,
+    dropoff_timeslot_cents: dropoffTimeslotC,
+    pickup_timeslot_cents: pickupTimeslotC,
+    extended_cents: extendedC,
+    min_order_cents: minC,
+    tax_cents: taxC,
+    total_cents: taxableC + taxC
+  };
+}
+
+// ---- Baseline checkout-self ----
+
+function baselineSelf({ items, pickup_date, return_date }, today) {
+  const UNIT = 1000;
+  const EXT_RATE = 0.15;
+  const RUSH_FEE = 2500;
+  const MIN_ORDER = 5000;
+  const TAX_RATE = 0.08875;
+
+  let qtyDark = 0, qtyLight = 0;
+  for (const it of items) {
+    const q = Number(it.qty) || 0;
+    if (it.sku === 'chair_dark') qtyDark = Math.max(0, q);
+    if (it.sku === 'chair_light') qtyLight = Math.max(0, q);
+  }
+  const MAX_QTY = 25;
+  const clampedDark = Math.min(qtyDark, MAX_QTY);
+  const clampedLight = Math.min(qtyLight, Math.max(0, MAX_QTY - clampedDark));
+  const chairsSubtotalC = (clampedDark + clampedLight) * UNIT;
+
+  const todayNY = parseNYDate(today);
+  const pickupNY = parseNYDate(pickup_date);
+  const returnNY = parseNYDate(return_date);
+  const rentalDays = dayDiffNY(pickupNY, returnNY);
+  const extDays = Math.max(0, (Number.isFinite(rentalDays) ? rentalDays : 0) - 1);
+
+  let rushC = 0;
+  const daysUntilPickup = dayDiffNY(todayNY, pickupNY);
+  if (Number.isFinite(daysUntilPickup) && daysUntilPickup === 0) rushC = RUSH_FEE;
+
+  const extFeeC = Math.round(chairsSubtotalC * EXT_RATE * extDays);
+  const baseC = chairsSubtotalC + rushC + extFeeC;
+  const minC = Math.max(0, MIN_ORDER - baseC);
+  const taxC = Math.round((baseC + minC) * TAX_RATE);
+
+  return {
+    qty: { chair_dark: clampedDark, chair_light: clampedLight },
+    subtotal_cents: chairsSubtotalC,
+    rush_cents: rushC,
+    extra_days: extDays,
+    extended_cents: extFeeC,
+    min_order_cents: minC,
+    tax_cents: taxC,
+    total_cents: baseC + minC + taxC
+  };
+}
+
+// ---- Baseline quote-request (catalog unit prices in dollars) ----
+
+const BASE_QUOTE_SKU_PRICE_MAP = {
+  'antique-work-bench': 400,
+  'ASH-NYC-steel-table': 400,
+  dark: 10,
+  'end-leaves': 50,
+  'folding-table': 100,
+  'industrial-bar': 400,
+  'industrial-cocktail-table': 50,
+  'industrial-garment-rack': 100,
+  light: 10,
+  'MCM-etched-tulip-table': 250,
+  'table-chair-set': 160,
+  'vintage-drafting-table': 100,
+  chair_dark: 10,
+  chair_light: 10
+};
+
+// ---- Cases ----
+
+const FULL_CARTS = [
+  [{ sku: 'dark', qty: 10 }],                                            // under the $300 minimum
+  [{ sku: 'light', qty: 49 }, { sku: 'end-leaves', qty: 1 }],
+  [{ sku: 'folding-table', qty: 2 }, { sku: 'dark', qty: 7 }],           // one chair short of the bundle
+  [{ sku: 'industrial-bar', qty: 1 }, { sku: 'MCM-etched-tulip-table', qty: 1 }, { sku: 'table-chair-set', qty: 3 }],
+  [{ sku: 'ASH-NYC-steel-table', qty: 2 }, { sku: 'antique-work-bench', qty: 1 }, { sku: 'industrial-garment-rack', qty: 2 },
+    { sku: 'vintage-drafting-table', qty: 1 }, { sku: 'industrial-cocktail-table', qty: 4 }]
+];
+
+const ZIPS = ['10001', '10128-1234', '10103', '11211', '11375', '10451', '10301', '10601', '11050'];
+
+const SLOTS = [
+  { dropoff_timeslot_type: 'flex', dropoff_timeslot_value: '8-12', pickup_timeslot_type: 'flex', pickup_timeslot_value: '4-8' },
+  { dropoff_timeslot_type: 'flex', dropoff_timeslot_value: '12-4', pickup_timeslot_type: 'flex', pickup_timeslot_value: '12-4' },
+  { dropoff_timeslot_type: 'prompt', dropoff_timeslot_value: '6-7', pickup_timeslot_type: 'prompt', pickup_timeslot_value: '22-23' },
+  { dropoff_timeslot_type: 'prompt', dropoff_timeslot_value: '13-14', pickup_timeslot_type: 'flex', pickup_timeslot_value: '8-12' },
+  {}
+];
+
+// [days from today to the start, rental days]: rush windows and up to 3 extra days
+const SPANS = [[0, 0], [0, 1], [1, 2], [2, 0], [2, 4], [3, 1], [3, 3], [10, 4], [30, 2]];
+
+const FULL_FIELDS = [
+  'subtotal_cents', 'delivery_cents', 'congestion_cents', 'rush_cents', 'dropoff_timeslot_cents',
+  'pickup_timeslot_cents', 'extended_cents', 'min_order_cents', 'tax_cents', 'total_cents'
+];
+
+function* fullServiceCases() {
+  let i = 0;
+  for (const items of FULL_CARTS) {
+    for (const [lead, days] of SPANS) {
+      for (const slots of SLOTS) {
+        const dropoff = addDaysYMD(TODAY, lead);
+        i += 1;
+        yield {
+          flow: 'full_service',
+          items,
+          schedule: { dropoff_date: dropoff, pickup_date: addDaysYMD(dropoff, days), ...slots },
+          location: { zip: ZIPS[i % ZIPS.length] }
+        };
+      }
+    }
+  }
+}
+
+const SELF_CARTS = [
+  [{ sku: 'chair_dark', qty: 1 }],
+  [{ sku: 'chair_light', qty: 4 }],
+  [{ sku: 'chair_dark', qty: 3 }, { sku: 'chair_light', qty: 2 }],
+  [{ sku: 'chair_dark', qty: 12 }, { sku: 'chair_light', qty: 13 }],
+  [{ sku: 'chair_dark', qty: 20 }, { sku: 'chair_light', qty: 10 }],     // clamped to 25 chairs
+  [{ sku: 'chair_dark', qty: 40 }]
+];
+
+const SELF_FIELDS = ['subtotal_cents', 'rush_cents', 'extra_days', 'extended_cents', 'min_order_cents', 'tax_cents', 'total_cents'];
+
+function* selfServiceCases() {
+  for (const items of SELF_CARTS) {
+    for (const [lead, days] of SPANS) {
+      const pickup = addDaysYMD(TODAY, lead);
+      yield { flow: 'self_service', items, pickup_date: pickup, return_date: addDaysYMD(pickup, days) };
+    }
+  }
+}
+
+function pick(quote, fields) {
+  return Object.fromEntries(fields.map((f) => [f, quote[f]]));
+}
+
+test('full-service quotes match the baseline checkout-full math', () => {
+  let n = 0;
+  for (const input of fullServiceCases()) {
+    const quote = priceFullService(input, { today: TODAY });
+    assert.deepEqual(quote.errors, [], JSON.stringify(input));
+    assert.equal(quote.bundle_cents, 0);
+    assert.equal(quote.discount_cents, 0);
+    assert.deepEqual(pick(quote, FULL_FIELDS), baselineFull(input, TODAY), JSON.stringify(input));
+    n += 1;
+  }
+  assert.equal(n, FULL_CARTS.length * SPANS.length * SLOTS.length);
+});
+
+test('self-service quotes match the baseline checkout-self math', () => {
+  for (const input of selfServiceCases()) {
+    const quote = priceSelfService(input, { today: TODAY });
+    const expected = baselineSelf(input, TODAY);
+    assert.deepEqual(quote.errors, [], JSON.stringify(input));
+    assert.deepEqual(pick(quote, SELF_FIELDS), pick(expected, SELF_FIELDS), JSON.stringify(input));
+    assert.deepEqual(
+      Object.fromEntries(quote.items.map((it) => [it.sku, it.qty])),
+      Object.fromEntries(Object.entries(expected.qty).filter(([, qty]) => qty > 0)),
+      JSON.stringify(input)
+    );
+  }
+});
+
+test('quote-request prices both flows like the checkout they would go through', () => {
+  for (const input of [...fullServiceCases()].slice(0, 40)) {
+    assert.deepEqual(pick(priceOrder(input, { today: TODAY }), FULL_FIELDS), baselineFull(input, TODAY));
+  }
+  for (const input of selfServiceCases()) {
+    const { flow, ...body } = input;
+    assert.deepEqual(pick(priceOrder(body, { today: TODAY }), SELF_FIELDS), pick(baselineSelf(input, TODAY), SELF_FIELDS));
+  }
+});
+
+test('quote-request item prices match its baseline catalog', () => {
+  for (const [sku, dollars] of Object.entries(BASE_QUOTE_SKU_PRICE_MAP)) {
+    assert.equal(lookupSku(sku)?.unit, dollars * 100, sku);
+  }
+});
+
+test('rush and extended-day boundaries', () => {
+  const full = (lead, days) => {
+    const dropoff = addDaysYMD(TODAY, lead);
+    return priceFullService({
+      items: [{ sku: 'folding-table', qty: 3 }],
+      schedule: { dropoff_date: dropoff, pickup_date: addDaysYMD(dropoff, days) },
+      location: { zip: '11211' }
+    }, { today: TODAY });
+  };
+  // rush: drop-off within 2 days, max($100, 10% of items)
+  assert.equal(full(2, 1).rush_cents, 10000);
+  assert.equal(full(3, 1).rush_cents, 0);
+  // extended: 15% of items per day after the first
+  assert.equal(full(5, 1).extended_cents, 0);
+  assert.equal(full(5, 2).extended_cents, 4500);
+  assert.equal(full(5, 4).extended_cents, 13500);
+
+  const self = (lead, days) => {
+    const pickup = addDaysYMD(TODAY, lead);
+    return priceSelfService({ items: [{ sku: 'chair_dark', qty: 10 }], pickup_date: pickup, return_date: addDaysYMD(pickup, days) }, { today: TODAY });
+  };
+  // rush: pickup today only, flat $25
+  assert.equal(self(0, 1).rush_cents, 2500);
+  assert.equal(self(1, 1).rush_cents, 0);
+  assert.equal(self(1, 3).extended_cents, 3000);
+});
@@ -0,0 +1,103 @@
+// test/pricing-rules.test.js
+// Pricing rules on top of the catalog (lib/pricing PRICING_RULES): quantity breaks, bundles and the
+// weekly rate that caps the extended-rental days charged. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PRICING_RULES, SELF_SERVICE, FULL_SERVICE, priceFullService, priceSelfService } = require('../netlify/lib/pricing');
+const { addDaysYMD } = require('../netlify/lib/ny-dates');
+
+const TODAY = '2026-03-10';
+const DROPOFF = '2026-03-20';
+
+// Delivered to Brooklyn in 10 days, picked up the next day unless `extraDays` says otherwise
+function delivery(items, { extraDays = 0 } = {}) {
+  return priceFullService({
+    items,
+    schedule: { dropoff_date: DROPOFF, pickup_date: addDaysYMD(DROPOFF, 1 + extraDays), dropoff_timeslot_type: 'flex', dropoff_timeslot_value: '8-12' },
+    location: { zip: '11211' }
+  }, { today: TODAY });
+}
+
+const item = (quote, sku) => quote.items.find((it) => it.sku === sku);
+
+test('the highest quantity break reached prices every unit of that SKU', () => {
+  assert.deepEqual(PRICING_RULES.QUANTITY_BREAKS.dark.map((t) => [t.min_qty, t.unit]), [[50, 900], [100, 800]]);
+
+  const list = item(delivery([{ sku: 'dark', qty: 49 }]), 'dark');
+  assert.equal(list.unit_cents, 1000);
+  assert.equal(list.note, undefined);
+
+  const fifty = item(delivery([{ sku: 'dark', qty: 50 }]), 'dark');
+  assert.deepEqual([fifty.unit_cents, fifty.total_cents, fifty.list_unit_cents, fifty.note], [900, 45000, 1000, '50+ volume price']);
+
+  const hundred = delivery([{ sku: 'dark', qty: 120 }]);
+  assert.equal(item(hundred, 'dark').unit_cents, 800);
+  assert.equal(hundred.subtotal_cents, 96000);
+  assert.equal(hundred.delivery_cents, Math.round(96000 * 0.3)); // fees follow the discounted subtotal
+});
+
+test('breaks count each SKU on its own', () => {
+  const quote = delivery([{ sku: 'dark', qty: 30 }, { sku: 'light', qty: 30 }]);
+  assert.equal(item(quote, 'dark').unit_cents, 1000);
+  assert.equal(item(quote, 'light').unit_cents, 1000);
+  assert.equal(quote.subtotal_cents, 60000);
+});
+
+test('self-service carts stop at MAX_QTY, below the first break', () => {
+  const quote = priceSelfService(
+    { items: [{ sku: 'chair_dark', qty: 80 }], pickup_date: '2026-03-12', return_date: '2026-03-13' },
+    { today: TODAY }
+  );
+  assert.deepEqual([quote.items[0].qty, quote.items[0].unit_cents], [SELF_SERVICE.MAX_QTY, 1000]);
+});
+
+test('each complete table + chairs set takes the bundle discount off the items', () => {
+  const one = delivery([{ sku: 'folding-table', qty: 1 }, { sku: 'dark', qty: 5 }, { sku: 'light', qty: 3 }]);
+  assert.deepEqual(one.bundles, [{ code: 'table_chairs', label: 'Table + chairs bundle', count: 1, amount_cents: 2000 }]);
+  assert.equal(one.bundle_cents, 2000);
+  assert.deepEqual(one.lines[0], { code: 'bundle', label: 'Table + chairs bundle', amount_cents: -2000 });
+
+  const twoTablesTenChairs = delivery([{ sku: 'folding-table', qty: 2 }, { sku: 'dark', qty: 10 }]);
+  assert.equal(twoTablesTenChairs.bundles[0].count, 1);
+
+  const two = delivery([{ sku: 'folding-table', qty: 2 }, { sku: 'dark', qty: 16 }]);
+  assert.deepEqual([two.bundles[0].count, two.bundles[0].label, two.bundle_cents], [2, 'Table + chairs bundle (×2)', 4000]);
+
+  assert.deepEqual(delivery([{ sku: 'folding-table', qty: 1 }, { sku: 'dark', qty: 7 }]).bundles, []);
+});
+
+test('the bundle discount counts toward tax but not the delivery fee', () => {
+  const quote = delivery([{ sku: 'folding-table', qty: 3 }, { sku: 'dark', qty: 24 }]);
+  assert.equal(quote.subtotal_cents, 54000);
+  assert.equal(quote.bundle_cents, 6000);
+  assert.equal(quote.delivery_cents, Math.round(54000 * 0.3));
+  assert.equal(quote.total_cents - quote.tax_cents, 54000 - 6000 + quote.delivery_cents);
+});
+
+test('weekly rate: of every 7 extra days, at most 3 are charged', () => {
+  assert.equal(PRICING_RULES.EXTENDED_DAYS_PER_WEEK, 3);
+  const charged = { 0: 0, 1: 1, 3: 3, 4: 3, 6: 3, 7: 3, 8: 4, 10: 6, 13: 6, 14: 6, 15: 7 };
+
+  for (const [extra, days] of Object.entries(charged).map(([e, d]) => [Number(e), d])) {
+    const quote = delivery([{ sku: 'dark', qty: 30 }], { extraDays: extra });
+    assert.equal(quote.extra_days, extra);
+    assert.equal(quote.extended_charged_days, days, `${extra} extra days`);
+    assert.equal(quote.extended_cents, Math.round(30000 * FULL_SERVICE.EXTENDED_RATE * days));
+  }
+
+  const week = delivery([{ sku: 'dark', qty: 30 }], { extraDays: 8 });
+  assert.equal(week.lines.find((l) => l.code === 'extended').label, 'Extended rental (8 days, weekly rate: 4 charged)');
+  assert.equal(delivery([{ sku: 'dark', qty: 30 }], { extraDays: 2 }).lines.find((l) => l.code === 'extended').label, 'Extended rental (2 days)');
+});
+
+test('the weekly rate applies to self-service rentals too', () => {
+  const quote = priceSelfService(
+    { items: [{ sku: 'chair_dark', qty: 10 }], pickup_date: '2026-03-12', return_date: addDaysYMD('2026-03-12', 1 + 10) },
+    { today: TODAY }
+  );
+  assert.equal(quote.extra_days, 10);
+  assert.equal(quote.extended_charged_days, 6);
+  assert.equal(quote.extended_cents, Math.round(10000 * SELF_SERVICE.EXT_RATE * 6));
+});
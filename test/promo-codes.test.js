@@ -0,0 +1,165 @@
+// test/promo-codes.test.js
+// Promo codes: the lookup (lib/promo-codes: active flag, date window), the discount lib/pricing
+// takes off a cart, and the usage limits — which orders count as a redemption, and the reservation
+// checkout-full / checkout-self take just before creating the order. Runs on the fake Blobs store
+// so racing checkouts interleave like two function instances. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fakeBlobs = require('./helpers/fake-blobs');
+
+fakeBlobs.install();
+
+const { PROMO_CODES, resolvePromo, reservePromo } = require('../netlify/lib/promo-codes');
+const { createOrder, updateOrder } = require('../netlify/lib/orders');
+const { TAX_RATE, priceSelfService, priceFullService } = require('../netlify/lib/pricing');
+
+const TODAY = '2026-03-10';
+
+const hoursAgo = (h) => new Date(Date.now() - h * 60 * 60 * 1000).toISOString();
+
+let n = 0;
+function defineCode(def) {
+  n += 1;
+  const code = `TEST${n}`;
+  PROMO_CODES[code] = { type: 'percent', percent_off: 10, ...def };
+  return { ...PROMO_CODES[code], code };
+}
+
+function orderWith(code, { status = 'requested', email = 'ann@example.com', created_at = hoursAgo(1), token = '' } = {}) {
+  n += 1;
+  return createOrder({
+    id: `KO-${n}`,
+    status,
+    created_at,
+    client_order_token: token,
+    customer: { email },
+    pricing: { promo_code: code }
+  });
+}
+
+// 10 dark chairs picked up and returned the next day: $100 of items, no other charges
+const chairs = (promo) => priceSelfService(
+  { items: [{ sku: 'chair_dark', qty: 10 }], pickup_date: '2026-03-12', return_date: '2026-03-13' },
+  { today: TODAY, promo }
+);
+
+// 30 dark chairs + a cocktail table delivered to Brooklyn in 10 days: $350 of items
+const delivery = (promo) => priceFullService({
+  items: [{ sku: 'dark', qty: 30 }, { sku: 'industrial-cocktail-table', qty: 1 }],
+  schedule: { dropoff_date: '2026-03-20', pickup_date: '2026-03-21', dropoff_timeslot_type: 'flex', dropoff_timeslot_value: '8-12' },
+  location: { zip: '11211' }
+}, { today: TODAY, promo });
+
+test('codes are matched case-insensitively and need to be active and in their date window', async () => {
+  const promo = defineCode({ starts: '2026-05-01', ends: '2026-05-31' });
+  const on = (today) => resolvePromo({ code: ` ${promo.code.toLowerCase()} `, today });
+
+  assert.match((await on('2026-04-30')).error, /not active yet/);
+  assert.equal((await on('2026-05-01')).promo.code, promo.code);
+  assert.equal((await on('2026-05-31')).promo.code, promo.code);
+  assert.match((await on('2026-06-01')).error, /has expired/);
+
+  const off = defineCode({ active: false });
+  assert.match((await resolvePromo({ code: off.code, today: TODAY })).error, /is not valid/);
+  assert.match((await resolvePromo({ code: 'NOPE', today: TODAY })).error, /is not valid/);
+  assert.deepEqual(await resolvePromo({ code: '  ', today: TODAY }), { promo: null });
+});
+
+test('a percent discount comes off the items before tax', () => {
+  const full = chairs(null);
+  const quote = chairs({ code: 'PCT', type: 'percent', percent_off: 10 });
+
+  assert.equal(quote.discount_cents, 1000);
+  assert.equal(quote.promo_code, 'PCT');
+  assert.equal(quote.tax_cents, Math.round((full.subtotal_cents - 1000) * TAX_RATE));
+  assert.equal(quote.total_cents, full.subtotal_cents - 1000 + quote.tax_cents);
+  assert.deepEqual(quote.lines.find((l) => l.code === 'discount'), { code: 'discount', label: 'Promo PCT (10% off)', amount_cents: -1000 });
+});
+
+test('a SKU-limited promo discounts only those items, a fixed amount at most their total', () => {
+  const percent = delivery({ code: 'TBL', type: 'percent', percent_off: 50, skus: ['industrial-cocktail-table'] });
+  assert.equal(percent.discount_cents, 2500);
+
+  const fixed = delivery({ code: 'TBL', type: 'fixed', amount_off_cents: 100000, skus: ['industrial-cocktail-table'] });
+  assert.equal(fixed.discount_cents, 5000);
+  assert.equal(fixed.delivery_cents, delivery(null).delivery_cents); // fees are not discounted
+
+  const none = delivery({ code: 'BAR', type: 'percent', percent_off: 50, skus: ['industrial-bar'] });
+  assert.equal(none.discount_cents, 0);
+  assert.match(none.promo_error, /does not apply to the items/);
+});
+
+test('a promo never takes an order below zero', () => {
+  const quote = chairs({ code: 'ALL', type: 'fixed', amount_off_cents: 20000 });
+  assert.equal(quote.discount_cents, quote.subtotal_cents);
+  assert.equal(quote.tax_cents, 0);
+  assert.equal(quote.total_cents, 0);
+});
+
+test('flows and minimum order are checked against the cart', () => {
+  const pickupOnly = { code: 'PICKUP', type: 'fixed', amount_off_cents: 2000, flows: ['self_service'] };
+  assert.equal(chairs(pickupOnly).discount_cents, 2000);
+  const delivered = delivery(pickupOnly);
+  assert.equal(delivered.discount_cents, 0);
+  assert.equal(delivered.promo_code, '');
+  assert.match(delivered.promo_error, /not valid for delivery orders/);
+
+  const big = chairs({ code: 'BIG', type: 'percent', percent_off: 10, min_order_cents: 15000 });
+  assert.equal(big.discount_cents, 0);
+  assert.ok(big.warnings.includes('Promo code BIG requires an order of at least $150.00'));
+  assert.equal(delivery({ code: 'BIG', type: 'percent', percent_off: 10, min_order_cents: 15000 }).discount_cents, 3500);
+});
+
+test('a checkout order counts while its Checkout Session can still complete', async () => {
+  const live = defineCode({ max_redemptions: 1 });
+  await orderWith(live.code, { status: 'checkout', created_at: hoursAgo(2) });
+  assert.match((await resolvePromo({ code: live.code, email: 'bob@example.com' })).error, /fully redeemed/);
+
+  const lapsed = defineCode({ max_redemptions: 1 });
+  await orderWith(lapsed.code, { status: 'checkout', created_at: hoursAgo(25) });
+  assert.equal((await resolvePromo({ code: lapsed.code, email: 'bob@example.com' })).promo.code, lapsed.code);
+});
+
+test('a resubmit of the same checkout form does not count against itself', async () => {
+  const promo = defineCode({ max_per_customer: 1 });
+  await orderWith(promo.code, { status: 'checkout', token: 'form-1' });
+
+  assert.ok((await resolvePromo({ code: promo.code, email: 'ann@example.com', clientOrderToken: 'form-1' })).promo);
+  assert.match((await resolvePromo({ code: promo.code, email: 'ann@example.com', clientOrderToken: 'form-2' })).error, /already been used/);
+});
+
+test('racing checkouts for the last use: only one reservation succeeds', async () => {
+  const promo = defineCode({ max_redemptions: 2 });
+  await orderWith(promo.code);
+
+  const results = await Promise.all([
+    reservePromo({ promo, orderId: 'KO-RACE-A', email: 'a@example.com' }),
+    reservePromo({ promo, orderId: 'KO-RACE-B', email: 'b@example.com' }),
+    reservePromo({ promo, orderId: 'KO-RACE-C', email: 'c@example.com' })
+  ]);
+
+  assert.equal(results.filter((r) => r.ok).length, 1);
+  assert.equal(results.filter((r) => /fully redeemed/.test(r.error)).length, 2);
+});
+
+test('reserving again for the same order is a no-op, and a declined order frees its use', async () => {
+  const promo = defineCode({ max_redemptions: 1 });
+  const first = await orderWith(promo.code, { status: 'checkout' });
+
+  assert.deepEqual(await reservePromo({ promo, orderId: first.id, email: 'ann@example.com' }), { ok: true });
+  assert.deepEqual(await reservePromo({ promo, orderId: first.id, email: 'ann@example.com' }), { ok: true });
+  assert.match((await reservePromo({ promo, orderId: 'KO-NEXT', email: 'bob@example.com' })).error, /fully redeemed/);
+
+  await updateOrder(first.id, { status: 'declined' });
+  assert.deepEqual(await reservePromo({ promo, orderId: 'KO-NEXT', email: 'bob@example.com' }), { ok: true });
+});
+
+test('first-order-only codes: one live use per email', async () => {
+  const promo = defineCode({ first_order_only: true });
+
+  assert.deepEqual(await reservePromo({ promo, orderId: 'KO-F1', email: 'New@Example.com' }), { ok: true });
+  assert.match((await reservePromo({ promo, orderId: 'KO-F2', email: 'new@example.com' })).error, /first orders only/);
+  assert.deepEqual(await reservePromo({ promo, orderId: 'KO-F3', email: 'other@example.com' }), { ok: true });
+});
@@ -0,0 +1,161 @@
+// test/refund-order.test.js
+// Refund amounts (lib/refund-order): what is refundable across an order's payments, the order a
+// refund takes them in (newest first), full vs partial refunds and the refund key. Stripe is
+// faked; each PaymentIntent's charge says what was captured and already refunded. Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stripe = require('./helpers/fake-stripe');
+const { useTempDataDir } = require('./helpers/data-dir');
+
+stripe.install();
+useTempDataDir();
+
+const { refundOrder, refundPreview } = require('../netlify/lib/refund-order');
+const { createOrder, getOrder } = require('../netlify/lib/orders');
+
+// pi id -> { captured, refunded, status }; invoice id -> { status, pi }
+let intents = {};
+let invoices = {};
+
+test.beforeEach(() => {
+  stripe.reset();
+  intents = {};
+  invoices = {};
+  stripe.responses['paymentIntents.retrieve'] = (id) => {
+    const pi = intents[id];
+    return {
+      id,
+      status: pi.status || 'succeeded',
+      latest_charge: { amount_captured: pi.captured, amount_refunded: pi.refunded || 0, payment_method_details: { card: { last4: '4242' } } }
+    };
+  };
+  stripe.responses['invoices.retrieve'] = (id) => ({ id, status: invoices[id].status, payment_intent: invoices[id].pi || null, amount_due: 70000 });
+  stripe.responses['refunds.create'] = (params) => ({ id: `re_${params.payment_intent}_${params.amount}` });
+});
+
+let n = 0;
+// Full-service order: 30% deposit charged, balance invoice (paid or not), optional modification invoices
+async function fullServiceOrder({ status = 'paid_in_full', balance = 'paid', deposit = 30000, balanceCents = 70000, adjustments = [] } = {}) {
+  n += 1;
+  const id = `KO-RF${n}`;
+  intents[`pi_dep_${n}`] = { captured: deposit };
+  invoices[`in_bal_${n}`] = { status: balance, pi: balance === 'paid' ? `pi_bal_${n}` : null };
+  if (balance === 'paid') intents[`pi_bal_${n}`] = { captured: balanceCents };
+  const modifications = adjustments.map((cents, i) => {
+    invoices[`in_adj_${n}_${i}`] = { status: 'paid', pi: `pi_adj_${n}_${i}` };
+    intents[`pi_adj_${n}_${i}`] = { captured: cents };
+    return { adjustment_invoice_id: `in_adj_${n}_${i}` };
+  });
+  return createOrder({
+    id,
+    flow: 'full_service',
+    status,
+    status_history: [],
+    customer: { name: 'Ann', email: '' },
+    modifications,
+    stripe: { checkout_session_id: `cs_${n}`, deposit_payment_intent_id: `pi_dep_${n}`, balance_invoice_id: `in_bal_${n}` }
+  });
+}
+
+// PaymentIntent / invoice ids of a fullServiceOrder(), e.g. ids(order).balancePi
+function ids(order) {
+  const k = order.id.slice('KO-RF'.length);
+  return { depositPi: `pi_dep_${k}`, balancePi: `pi_bal_${k}`, balanceInvoice: `in_bal_${k}`, adjustmentPi: (i) => `pi_adj_${k}_${i}` };
+}
+
+const refundCalls = () => stripe.callsTo('refunds.create').map(([params]) => [params.payment_intent, params.amount]);
+
+test('preview lists every payment newest first with what is left to refund', async () => {
+  const order = await fullServiceOrder({ adjustments: [5000, 2500] });
+  const { depositPi, balancePi, adjustmentPi } = ids(order);
+  intents[depositPi].refunded = 10000;
+
+  const { body } = await refundPreview(order.id);
+  assert.deepEqual(body.payments.map((p) => [p.kind, p.payment_intent_id, p.refundable_cents]), [
+    ['adjustment', adjustmentPi(1), 2500],
+    ['adjustment', adjustmentPi(0), 5000],
+    ['balance', balancePi, 70000],
+    ['deposit', depositPi, 20000]
+  ]);
+  assert.equal(body.refundable_cents, 97500);
+  assert.equal(body.pending_balance_invoice, null);
+});
+
+test('a partial refund takes the newest payment first and keeps the order', async () => {
+  const order = await fullServiceOrder();
+
+  const res = await refundOrder({ orderId: order.id, amountCents: 80000, reason: 'goodwill' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(refundCalls(), [[ids(order).balancePi, 70000], [ids(order).depositPi, 10000]]);
+  assert.equal(res.body.status, 'paid_in_full');
+
+  const stored = await getOrder(order.id);
+  assert.equal(stored.status, 'paid_in_full');
+  assert.equal(stored.refunded_cents, 80000);
+  assert.equal(stored.refunds[0].reason, 'goodwill');
+});
+
+test('a full refund returns everything, voids the unpaid balance and ends the order', async () => {
+  const order = await fullServiceOrder({ status: 'balance_scheduled', balance: 'draft' });
+
+  const res = await refundOrder({ orderId: order.id, reason: 'weather' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.refunded_cents, 30000);
+  assert.deepEqual(refundCalls(), [[ids(order).depositPi, 30000]]);
+  assert.deepEqual(res.body.balance_invoice, { invoice_id: ids(order).balanceInvoice, action: 'deleted_draft' });
+  assert.equal((await getOrder(order.id)).status, 'refunded');
+});
+
+test('refunding the rest after a partial refund ends the order too', async () => {
+  const order = await fullServiceOrder();
+  await refundOrder({ orderId: order.id, amountCents: 70000, reason: 'first part' });
+  intents[ids(order).balancePi].refunded = 70000;
+
+  const res = await refundOrder({ orderId: order.id, amountCents: 30000, reason: 'rest' });
+  assert.equal(res.body.status, 'refunded');
+  assert.equal((await getOrder(order.id)).refunded_cents, 100000);
+});
+
+test('amounts outside what is refundable are rejected before Stripe is called', async () => {
+  const order = await fullServiceOrder();
+
+  const tooMuch = await refundOrder({ orderId: order.id, amountCents: 100001, reason: 'x' });
+  assert.equal(tooMuch.statusCode, 400);
+  assert.equal(tooMuch.body.refundable_cents, 100000);
+  assert.equal((await refundOrder({ orderId: order.id, amountCents: 12.5, reason: 'x' })).statusCode, 400);
+  assert.equal((await refundOrder({ orderId: order.id, amountCents: 0, reason: 'x' })).statusCode, 400);
+  assert.equal((await refundOrder({ orderId: order.id, amountCents: 100, reason: ' ' })).statusCode, 400);
+  assert.deepEqual(refundCalls(), []);
+
+  const requested = await fullServiceOrder({ status: 'requested' });
+  assert.equal((await refundOrder({ orderId: requested.id, reason: 'x' })).statusCode, 409);
+});
+
+test('the same refund key refunds once', async () => {
+  const order = await fullServiceOrder();
+
+  const first = await refundOrder({ orderId: order.id, amountCents: 5000, reason: 'dent', refundKey: 'k1' });
+  const again = await refundOrder({ orderId: order.id, amountCents: 5000, reason: 'dent', refundKey: 'k1' });
+  assert.equal(first.statusCode, 200);
+  assert.equal(again.body.duplicate, true);
+  assert.equal(refundCalls().length, 1);
+  assert.equal((await getOrder(order.id)).refunded_cents, 5000);
+});
+
+test('a refund that fails part-way records what went through', async () => {
+  const order = await fullServiceOrder();
+  stripe.responses['refunds.create'] = (params) => {
+    if (params.payment_intent.startsWith('pi_dep')) throw new Error('card expired');
+    return { id: `re_${params.amount}` };
+  };
+
+  const res = await refundOrder({ orderId: order.id, reason: 'everything' });
+  assert.equal(res.statusCode, 502);
+  assert.match(res.body.error, /after \$700\.00: card expired/);
+  const stored = await getOrder(order.id);
+  assert.equal(stored.refunded_cents, 70000);
+  assert.equal(stored.refunds[0].requested_cents, 100000);
+  assert.equal(stored.status, 'paid_in_full');
+});
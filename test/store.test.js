@@ -0,0 +1,75 @@
+// test/store.test.js
+// lib/store on the Netlify Blobs backend (faked in memory): update() only lands when the record
+// is unchanged since it was read, so racing instances cannot both claim or both create.
+// Run with npm test.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fakeBlobs = require('./helpers/fake-blobs');
+
+fakeBlobs.install();
+
+const { openCollection, connectStore } = require('../netlify/lib/store');
+const { createQuoteRequest } = require('../netlify/lib/quote-requests');
+
+test('update re-runs fn on the fresh record when another instance wrote in between', async () => {
+  const counters = openCollection('counters');
+  await counters.put('c1', { n: 0, tags: [] });
+
+  let runs = 0;
+  const result = await counters.update('c1', async (current) => {
+    runs += 1;
+    // First run: another instance bumps the record after we read it
+    if (runs === 1) await fakeBlobs.blobs('kraus-counters').set('c1', { data: { n: 5, tags: ['other'] }, etag: '"racer"' });
+    return { ...current, n: current.n + 1, tags: [...current.tags, 'mine'] };
+  });
+
+  assert.equal(runs, 2);
+  assert.deepEqual(result, { n: 6, tags: ['other', 'mine'] });
+  assert.deepEqual(await counters.get('c1'), { n: 6, tags: ['other', 'mine'] });
+});
+
+test('concurrent insert-if-absent: exactly one caller creates the record', async () => {
+  const [a, b] = await Promise.all([
+    createQuoteRequest({ id: 'KR-RACE', note: 'a' }),
+    createQuoteRequest({ id: 'KR-RACE', note: 'b' })
+  ]);
+
+  assert.deepEqual([a.created, b.created].sort(), [false, true]);
+  const winner = a.created ? a : b;
+  assert.deepEqual(a.request, winner.request);
+  assert.deepEqual(b.request, winner.request);
+});
+
+test('update leaves the record alone when fn returns null, list and remove', async () => {
+  const things = openCollection('things');
+  await things.put('t1', { kind: 'x' });
+  await things.put('t2', { kind: 'y' });
+
+  assert.deepEqual(await things.update('t1', () => null), { kind: 'x' });
+  assert.deepEqual(await things.update('missing', () => null), null);
+  assert.deepEqual(await things.list((r) => r.kind === 'y'), [{ kind: 'y' }]);
+  assert.equal(await things.remove('t1'), true);
+  assert.equal(await things.remove('t1'), false);
+  assert.equal(await things.get('t1'), null);
+});
+
+test('connectStore hands Lambda events carrying Blobs credentials to the Blobs client', () => {
+  connectStore({ headers: {} });
+  connectStore({ headers: {}, blobs: 'e30=' });
+  assert.equal(fakeBlobs.connected.length, 1);
+});
+
+test('production without a Blobs context refuses to open a collection', () => {
+  const saved = { ctx: process.env.NETLIFY_BLOBS_CONTEXT, context: process.env.CONTEXT };
+  delete process.env.NETLIFY_BLOBS_CONTEXT;
+  process.env.CONTEXT = 'production';
+  try {
+    assert.throws(() => openCollection('orders'), /Netlify Blobs/);
+  } finally {
+    process.env.NETLIFY_BLOBS_CONTEXT = saved.ctx;
+    if (saved.context === undefined) delete process.env.CONTEXT;
+    else process.env.CONTEXT = saved.context;
+  }
+});